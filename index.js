@@ -1,6 +1,23 @@
-var HID = require('node-hid');
-var ByteBuffer = require('byte');
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
 var log = require('log4js').getLogger("speck-sensor");
+var SimulatedTransport = require('./lib/SimulatedTransport');
+var SimulatedSpeck = require('./lib/SimulatedSpeck');
+var SpeckProtocol = require('./lib/SpeckProtocol');
+var SpeckError = require('./lib/SpeckError');
+var RecordingTransport = require('./lib/RecordingTransport');
+var ReplayTransport = require('./lib/ReplayTransport');
+var HidWorkerDevice = require('./lib/HidWorkerDevice');
+var SpeckManager = require('./lib/SpeckManager');
+var SpeckProvisioner = require('./lib/SpeckProvisioner');
+var EsdrUploader = require('./lib/EsdrUploader');
+var SampleStore = require('./lib/SampleStore');
+var Aqi = require('./lib/Aqi');
+var Calibration = require('./lib/Calibration');
+var SampleSchema = require('./lib/SampleSchema');
+var SampleAggregator = require('./lib/SampleAggregator');
+var AlertEngine = require('./lib/AlertEngine');
+var SpeckServer = require('./lib/SpeckServer');
 
 var SPECK_HID = {
    "vendorId" : 0x2354,
@@ -39,6 +56,122 @@ var getRandomInt = function(min, max) {
    return Math.floor(Math.random() * (max - min)) + min;
 };
 
+// If the given callback is a function, runs the given operation with it and returns undefined.  Otherwise, runs the
+// operation with a callback which settles a new Promise, and returns the Promise.  This lets every public method
+// support both the callback style and the Promise (or async/await) style with identical error semantics.  Callbacks
+// are always called asynchronously, even if the operation finishes (e.g. fails validation) before returning.
+var callbackOrPromise = function(callback, operation) {
+   if (typeof callback === 'function') {
+      var isOperationRunning = true;
+      operation(function(err, data) {
+         if (isOperationRunning) {
+            setImmediate(function() {
+               callback(err, data);
+            });
+         }
+         else {
+            callback(err, data);
+         }
+      });
+      isOperationRunning = false;
+      return undefined;
+   }
+
+   return new Promise(function(resolve, reject) {
+      operation(function(err, data) {
+         if (err) {
+            reject(err);
+         }
+         else {
+            resolve(data);
+         }
+      });
+   });
+};
+
+// Supports methods with a signature of the form method([options], [callback]), returning the options (or an empty
+// object) and the callback.
+var parseOptionsAndCallback = function(options, callback) {
+   if (typeof options === 'function') {
+      return { options : {}, callback : options };
+   }
+   return { options : options || {}, callback : callback };
+};
+
+// Creates the SpeckError given to callbacks of commands cancelled via an AbortSignal
+var createAbortError = function() {
+   return SpeckError.create(SpeckError.CODES.ABORTED, "The command was aborted");
+};
+
+// Creates the SpeckError given to callbacks of methods called while not connected
+var createNotConnectedError = function() {
+   return SpeckError.create(SpeckError.CODES.NOT_CONNECTED, "Not connected to a Speck!");
+};
+
+// Creates the SpeckError given to callbacks of commands (or of operations waiting for the config) which were still
+// pending when the connection was closed, for the given reason (null if disconnect() was called)
+var createDisconnectedError = function(command, cause) {
+   var message = "Disconnected from the Speck before the command could be completed" + (cause ? ": " + cause.message : "");
+   return SpeckError.create(SpeckError.CODES.DISCONNECTED, message, { command : command, cause : cause });
+};
+
+// Creates the SpeckError given to callbacks of commands whose response was valid, but didn't confirm that the Speck did
+// what was asked (e.g. it deleted a different sample)
+var createUnexpectedResponseError = function(message, command, bytes) {
+   return SpeckError.create(SpeckError.CODES.UNEXPECTED_RESPONSE, message, { command : command, bytes : bytes });
+};
+
+// Creates the SpeckError given to callbacks of commands which succeeded, but somehow produced no response
+var createNoResponseDataError = function(command) {
+   return SpeckError.create(SpeckError.CODES.NO_RESPONSE_DATA, "No data in the response", { command : command });
+};
+
+// Returns the value of the given property in the given options, or the default value if it's not specified
+var getOption = function(options, propertyName, defaultValue) {
+   return (options && typeof options[propertyName] !== 'undefined') ? options[propertyName] : defaultValue;
+};
+
+// Returns a new Speck for the given HID device descriptor, or null (after logging why, on behalf of the given caller)
+// if it couldn't be opened
+var openSpeck = function(hidDeviceDescriptor, options, callerName) {
+   try {
+      return new Speck(hidDeviceDescriptor, options);
+   }
+   catch (e) {
+      log.error(callerName + ": failed to connect to speck at path [" + hidDeviceDescriptor.path + "] due to error:" + e);
+      return null;
+   }
+};
+
+// Returns the transport specified in the given options, or the HID transport if none was specified
+var getTransport = function(options) {
+   return (options && options.transport) ? options.transport : Speck.HidTransport;
+};
+
+// Defines the export with the given name as a getter which loads the given module on first use, so that the optional
+// dependency it needs (e.g. the native node-hid module) is only loaded by those who use it.  Throws an Error
+// explaining how to install the dependency if it's missing.
+var defineLazyExport = function(name, modulePath, dependencyName) {
+   var loadedModule = null;
+   Object.defineProperty(Speck, name, {
+      enumerable : true,
+      get : function() {
+         if (loadedModule == null) {
+            try {
+               loadedModule = require(modulePath);
+            }
+            catch (e) {
+               if (e.code === 'MODULE_NOT_FOUND' && String(e.message).indexOf("'" + dependencyName + "'") >= 0) {
+                  throw new Error("Speck." + name + " requires the optional " + dependencyName + " package, which isn't installed.  Install it with: npm install " + dependencyName);
+               }
+               throw e;
+            }
+         }
+         return loadedModule;
+      }
+   });
+};
+
 //======================================================================================================================
 // CLASS DEFINITION
 //======================================================================================================================
@@ -49,112 +182,198 @@ var getRandomInt = function(min, max) {
  *    obtain the HID device descriptor by calling {@linkcode Speck.enumerate}.
  * </p>
  * <p>
- *    Throws an <code>Error</code> if the HID device descriptor argument is <code>undefined</code> or <code>null</code>,
- *    or does not appear to be a valid device descriptor, or if a connection could not be established.
+ *    Throws a {@link SpeckError} if the HID device descriptor argument is <code>undefined</code> or <code>null</code>,
+ *    or does not appear to be a valid device descriptor (code <code>INVALID_ARGUMENT</code>), or if the device could
+ *    not be opened (code <code>HID_IO</code>).  Once the device is open, the Speck's
+ *    {@link Speck#getSpeckConfig config} is read through the command queue.  Commands sent before then wait for it,
+ *    and if it can't be read, they fail with the error, and the Speck {@link Speck#event:disconnect disconnects}.
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>transport</code>: the transport used to open the device (defaults to {@link HidTransport}).  Use a
+ *       {@link SimulatedTransport} to talk to simulated devices instead of real hardware.</li>
+ *       <li><code>commandTimeoutMillis</code>: how long a command may wait in the command queue and for its response
+ *       before failing with a timeout error, or 0 for no timeout (defaults to 5000)</li>
+ *       <li><code>maxRetries</code>: how many times to retry a command whose response fails checksum or command ID
+ *       verification (defaults to 2)</li>
+ *       <li><code>retryBackoffMillis</code>: the delay before the first retry, doubled for each subsequent retry
+ *       (defaults to 50)</li>
+ *       <li><code>calibration</code>: a {@link Calibration} whose profile for this Speck, if any, is used to add
+ *       calibrated values to samples</li>
+ *       <li><code>traceFile</code>: if given, all HID traffic with the Speck is recorded to this file, which can be
+ *       played back later with a {@link ReplayTransport} (see {@link RecordingTransport} for the format)</li>
+ *       <li><code>normalizeSamples</code>: if <code>true</code>, samples are returned in the protocol-independent
+ *       format described in {@link SampleSchema}, rather than the default format (defaults to <code>false</code>)</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    Methods which talk to the Speck accept an optional <code>options</code> object before the callback.  It may
+ *    contain a <code>signal</code> field, an <code>AbortSignal</code> which cancels the method's commands if they're
+ *    still waiting in the command queue (or waiting to be retried) when it's aborted.  Cancelled commands fail with
+ *    an <code>Error</code> whose <code>name</code> is <code>AbortError</code>.
+ * </p>
+ * <p>
+ *    Every error given to callbacks (or thrown) by this class is a {@link SpeckError} with a stable
+ *    <code>code</code>, such as <code>NOT_CONNECTED</code>, <code>CHECKSUM_MISMATCH</code>,
+ *    <code>UNSUPPORTED_BY_PROTOCOL</code>, or <code>HID_IO</code>, so callers can decide whether to retry without
+ *    parsing messages.  Where relevant, the error carries the raw <code>command</code> and response
+ *    <code>bytes</code>.  Methods which report whether they were successful (e.g.
+ *    {@linkcode Speck#deleteSample deleteSample}) give an <code>UNEXPECTED_RESPONSE</code> error when the Speck
+ *    responded, but didn't confirm the change.
+ * </p>
+ * <p>
+ *    Methods which take a callback also return a Promise if the callback is omitted, so they may be used with
+ *    <code>await</code>.  The Promise is rejected in exactly the cases where the callback would be given an error, and
+ *    is otherwise resolved with the data the callback would have been given (which may be <code>null</code>).
+ * </p>
+ * <p>
+ *    Callbacks are always called asynchronously.  Commands are sent one at a time, in the order the methods were
+ *    called.  node-hid's feature report calls are synchronous, so the {@link HidTransport} does the HID writes and
+ *    reads in a worker thread which owns the device (see {@link HidWorkerDevice}), and the event loop carries on
+ *    handling other I/O in the process (e.g. HTTP requests) while waiting for the Speck to respond.  Command timeouts
+ *    fire even if the device stops responding, and a response which arrives after its command timed out is ignored.
+ *    See {@linkcode Speck#getCommandStats getCommandStats} for measuring the time spent on I/O.
+ * </p>
+ * <p>
+ *    Speck is an <code>EventEmitter</code>.  See {@linkcode Speck#startSampling startSampling} for the events it emits.
  * </p>
  * <p>
  *    Note that, in most cases, it is easier to simply call {@linkcode Speck.create} to create a new instance.
  * </p>
  *
  * @param {object} hidDeviceDescriptor - an HID device descriptor
+ * @param {object} [options] - options, such as the <code>transport</code>
  * @constructor
- * @throws {Error} if the HID device descriptor is <code>undefined</code>, <code>null</code>, or invalid
- * @throws {Error} if a connection to the hardware could not be established.
+ * @extends EventEmitter
+ * @throws {SpeckError} if the HID device descriptor is <code>undefined</code>, <code>null</code>, or invalid
+ * @throws {SpeckError} if a connection to the hardware could not be established.
  * @see Speck.create
  * @see Speck.enumerate
  */
-function Speck(hidDeviceDescriptor) {
-   var GET_INFO_COMMAND_CHARACTER = "I";
-   var GET_EXTENDED_INFO_COMMAND_CHARACTER = "i";
-   var GET_HISTORIC_SAMPLE_COMMAND_CHARACTER = "G";
-   var GET_CURRENT_SAMPLE_COMMAND_CHARACTER = "S";
-   var GET_SAMPLE_COUNT_COMMAND_CHARACTER = "P";
-   var SET_LOGGING_INTERVAL_COMMAND_CHARACTER = "I";
-
-   var REPORT_ID = 1;
-   var COMMAND_LENGTH_IN_BYTES = 16;
-
-   // Array index in the data byte array containing the checksum byte
-   var CHECKSUM_BYTE_INDEX = COMMAND_LENGTH_IN_BYTES - 2;
-
-   // Array index in the data byte array containing the command ID byte
-   var COMMAND_ID_BYTE_INDEX = COMMAND_LENGTH_IN_BYTES - 1;
-
-   // Byte indices for Info command
-   var SERIAL_NUMBER_STARTING_BYTE_INDEX = 1;
-   var SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_1_AND_2 = 10;
-   var SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_3 = 8;
-   var HARDWARE_VERSION_BYTE_INDEX = 10;
-   var PROTOCOL_VERSION_BYTE_INDEX = 11;
-   var LOGGING_INTERVAL_BYTE_INDEX_WHEN_READING = 12;
-   var FIRMWARE_VERSION_BYTE_INDEX = 13;
-
-   // Byte indices for Num Samples command
-   var NUM_SAMPLES_BYTE_INDEX = 1;
-
-   // Byte indices for Get Data Sample command
-   var SAMPLE_TIME_SECS_BYTE_INDEX = 1;
-   var PARTICLE_COUNT_OR_CONCENTRATION_BYTE_INDEX = 5;
-   var TEMPERATURE_BYTE_INDEX = 9;
-   var HUMIDITY_BYTE_INDEX = 11;
-   var RAW_PARTICLE_COUNT_BYTE_INDEX = 12;
-
-   // Byte indices for Set Logging Interval command
-   var LOGGING_INTERVAL_BYTE_INDEX_WHEN_WRITING = 5;
-
-   var DEFAULT_LOGGING_INTERVAL = 1;
-   var MIN_LOGGING_INTERVAL = 1;
-   var MAX_LOGGING_INTERVAL = 255;
+function Speck(hidDeviceDescriptor, options) {
+   var MIN_LOGGING_INTERVAL = SpeckProtocol.MIN_LOGGING_INTERVAL;
+   var MAX_LOGGING_INTERVAL = SpeckProtocol.MAX_LOGGING_INTERVAL;
+
+   var DEFAULT_SAMPLING_INTERVAL_MILLIS = 1000;
+
+   // Device timestamps before this (2014-01-01) mean the Speck's clock was never set, e.g. after a battery failure
+   var MIN_PLAUSIBLE_SAMPLE_TIME_SECS = 1388534400;
+
+   // How far in the future a corrected sample timestamp may be before it's considered implausible
+   var MAX_FUTURE_SAMPLE_TIME_SECS = 60;
+
+   var DEFAULT_COMMAND_TIMEOUT_MILLIS = 5000;
+   var DEFAULT_MAX_RETRIES = 2;
+   var DEFAULT_RETRY_BACKOFF_MILLIS = 50;
 
    if (!isSpeck(hidDeviceDescriptor)) {
-      throw new Error("The given hidDeviceDescriptor does not represent a Speck!");
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "The given hidDeviceDescriptor does not represent a Speck!");
    }
 
+   EventEmitter.call(this);
+
    var self = this;
+   var transport = getTransport(options);
+   if (options && options.traceFile) {
+      transport = new RecordingTransport({ transport : transport, traceFile : options.traceFile });
+   }
    var speck = null;
    var speckConfig = null;
+   var isInBootloaderModeState = false;
    var commandId = getRandomInt(1, 256);  // start with a random command ID in the range [1,255]
 
+   // functions waiting for the config read which starts when connecting, called with an error if it fails
+   var configWaiters = [];
+
    var commandQueue = [];
+   var activeCommandQueueItem = null;
+   var commandStats = null;
+
+   var commandTimeoutMillis = getOption(options, 'commandTimeoutMillis', DEFAULT_COMMAND_TIMEOUT_MILLIS);
+   var maxRetries = getOption(options, 'maxRetries', DEFAULT_MAX_RETRIES);
+   var retryBackoffMillis = getOption(options, 'retryBackoffMillis', DEFAULT_RETRY_BACKOFF_MILLIS);
+   var calibration = getOption(options, 'calibration', null);
+   var normalizeSamples = getOption(options, 'normalizeSamples', false);
+
+   var samplingTimer = null;
+   var lastSampledTimeSecs = null;
 
    /**
-    * Establishes a connection to the Speck hardware.  This is called automatically by this class's constructor. Does
-    * nothing if already {@link Speck#isConnected connected}.  Returns whether the connection was successful.
+    * <p>
+    *    Establishes a connection to the Speck hardware.  This is called automatically by this class's constructor.
+    *    Does nothing if already {@link Speck#isConnected connected}.  Returns whether the device could be opened.
+    * </p>
+    * <p>
+    *    Once the device is open, the Speck's {@link Speck#getSpeckConfig config} is read asynchronously, through the
+    *    command queue.  Commands sent in the meantime wait for it.  If it can't be read, the Speck disconnects, with a
+    *    {@link Speck#event:disconnect disconnect} event carrying the error.
+    * </p>
+    * <p>
+    *    If the optional <code>newHidDeviceDescriptor</code> is given, it replaces the HID device descriptor given to
+    *    the constructor.  This allows reconnecting to the same Speck after it has been unplugged and plugged back in
+    *    on a different path.  It is ignored if already connected.
+    * </p>
     *
-    * @returns {boolean} - whether the connection was successful
+    * @param {object} [newHidDeviceDescriptor] - the HID device descriptor to connect to
+    * @returns {boolean} - whether the device could be opened
+    * @throws {SpeckError} if <code>newHidDeviceDescriptor</code> is given, but is not a valid Speck HID device descriptor
     * @see {@link Speck#isConnected isConnected}
     */
-   this.connect = function() {
+   this.connect = function(newHidDeviceDescriptor) {
 
       if (speck == null) {
+         if (typeof newHidDeviceDescriptor !== 'undefined') {
+            if (!isSpeck(newHidDeviceDescriptor)) {
+               throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "The given hidDeviceDescriptor does not represent a Speck!");
+            }
+            hidDeviceDescriptor = newHidDeviceDescriptor;
+         }
+
          // Attempt to connect to the hardware
          try {
-            speck = new HID.HID(hidDeviceDescriptor.path);
-            // call getSpeckConfig here just so it's cached for future use
-            this.getSpeckConfig(function(err, config) {
-               if (err) {
-                  log.error("connect(): Failed to get speck config after successful connection!");
-                  throw err;
-               }
-            })
+            speck = transport.open(hidDeviceDescriptor.path);
          }
          catch (e) {
             log.error("connect(): connection failed: " + e);
             speck = null;
          }
+
+         if (speck != null) {
+            readSpeckConfig();
+         }
+      }
+
+      if (speck != null) {
+         isInBootloaderModeState = false;
       }
 
       return speck ? this.isConnected() : false;
    };
 
    /**
-    * Disconnects from the Speck hardware.  Does nothing if already {@link Speck#isConnected disconnected}.  To
-    * attempt a reconnection, call {@linkcode Speck#connect connect}.
+    * Returns a copy of the HID device descriptor for this Speck.
+    *
+    * @returns {object}
+    */
+   this.getHidDeviceDescriptor = function() {
+      return simpleObjectCopy(hidDeviceDescriptor);
+   };
+
+   /**
+    * Disconnects from the Speck hardware.  Does nothing if already {@link Speck#isConnected disconnected}.  Any
+    * commands still waiting in the command queue fail with an error.  To attempt a reconnection, call
+    * {@linkcode Speck#connect connect}.
     *
+    * @fires Speck#disconnect
     * @see {@link Speck#isConnected isConnected}
     * @see {@link Speck#connect connect}
     */
    this.disconnect = function() {
+      closeConnection(null);
+   };
+
+   var closeConnection = function(err) {
       if (speck != null) {
          try {
             speck.close();
@@ -166,6 +385,22 @@ function Speck(hidDeviceDescriptor) {
             speck = null;
             speckConfig = null;
          }
+
+         drainCommandQueue(err);
+         flushConfigWaiters(createDisconnectedError(null, err));
+
+         /**
+          * Disconnect event, emitted when the connection to the Speck is closed, either by a call to
+          * {@linkcode Speck#disconnect disconnect}, because reading from or writing to the device failed (e.g.
+          * because it was unplugged), or because its config couldn't be read when connecting.
+          *
+          * @event Speck#disconnect
+          * @type {SpeckError|null}
+          * @property {SpeckError|null} err - the error which caused the disconnect (an <code>HID_IO</code> error, or the
+          * error which prevented reading the config when connecting), or <code>null</code> if
+          * {@linkcode Speck#disconnect disconnect} was called.
+          */
+         self.emit('disconnect', err);
       }
    };
 
@@ -178,13 +413,29 @@ function Speck(hidDeviceDescriptor) {
       return speck != null;
    };
 
+   /**
+    * Returns <code>true</code> if this Speck was put into bootloader mode by
+    * {@linkcode Speck#enterBootloaderMode enterBootloaderMode}, and hasn't been reconnected since.
+    *
+    * @returns {boolean}
+    */
+   this.isInBootloaderMode = function() {
+      return isInBootloaderModeState;
+   };
+
    /**
     * <p>
     *    Returns various properties about the currently-connected Speck to the given callback function.  These values
-    *    are read once then cached for future use.  The version returned here is a copy of the cached version, so
+    *    are read when {@link Speck#connect connecting} (if that's still in progress, the callback is called once it's
+    *    done), and cached while connected.  The version returned here is a copy of the cached version, so
     *    modifications won't have any effect on the cached version.
     * </p>
     * <p>
+    *    To read the values from the Speck again instead of using the cache, e.g. to verify that a change to the
+    *    logging interval really took effect, pass <code>{ refresh : true }</code> as the options.  This sends an info
+    *    command, and updates the cache with its response.
+    * </p>
+    * <p>
     *    The returned data object contains the following fields:
     *    <ul>
     *       <li><code>id</code>: string</li>
@@ -195,145 +446,277 @@ function Speck(hidDeviceDescriptor) {
     *    </ul>
     * </p>
     *
-    * @param callback {function} - the callback function with a signature of the form <code>callback(err, data)</code>
+    * @param {object} [options] - options, such as <code>refresh</code>, or an AbortSignal <code>signal</code> (only used
+    * when refreshing, since otherwise no command is sent)
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, data)</code>
+    * @returns {Promise|undefined} - a Promise for the result if no <code>callback</code> was given, otherwise <code>undefined</code>
     */
-   this.getSpeckConfig = function(callback) {
-      if (typeof callback === 'function') {
-         if (speckConfig) {
-            log.debug("getSpeckConfig(): returning copy of cached version");
-            return callback(null, simpleObjectCopy(speckConfig));
-         }
-         else {
-            log.debug("getSpeckConfig(): querying hardware for speck config");
-            getBasicSpeckConfig(function(err, config) {
+   this.getSpeckConfig = function(options, callback) {
+      var args = parseOptionsAndCallback(options, callback);
+      return callbackOrPromise(args.callback, function(callback) {
+         whenConfigIsRead(callback, function() {
+            if (!args.options.refresh) {
+               log.debug("getSpeckConfig(): returning copy of cached version");
+               return callback(null, simpleObjectCopy(speckConfig));
+            }
+
+            var connection = speck;
+            getBasicSpeckConfig(args.options, function(err, config) {
                if (err) {
                   return callback(err, null);
                }
 
+               // the connection may have been closed (and maybe reopened) since the read began
+               if (speck !== connection) {
+                  return callback(createNotConnectedError(), null);
+               }
+
+               // only the info command is resent, so keep the id, which may include the extended info's half
+               config.id = speckConfig.id;
                speckConfig = config;
+               callback(null, simpleObjectCopy(speckConfig));
+            });
+         });
+      });
+   };
 
-               if (speckConfig.protocolVersion < 3) {
-                  return callback(null, simpleObjectCopy(speckConfig));
-               }
+   /**
+    * Returns the id of the connected Speck (the <code>id</code> field of
+    * {@linkcode Speck#getSpeckConfig getSpeckConfig}), or <code>null</code> if not {@link Speck#isConnected connected},
+    * or if the config hasn't been read yet.
+    *
+    * @returns {string|null}
+    */
+   this.getId = function() {
+      return speckConfig ? speckConfig.id : null;
+   };
 
-               log.debug("getSpeckConfig(): need to get extended Speck config");
-               getExtendedSpeckConfig(function(err2, extendedConfig) {
-                  if (err2) {
-                     return callback(err2, null);
-                  }
+   // Reads the Speck's config through the command queue, then runs the functions which were waiting for it.  If it
+   // can't be read, the connection is closed, failing them.
+   var readSpeckConfig = function() {
+      var connection = speck;
+      var done = function(err, config) {
+         // the connection may have been closed (and maybe reopened) since the config read began
+         if (speck !== connection) {
+            return;
+         }
+         if (err) {
+            log.error("connect(): failed to read the Speck's config: " + err);
+
+            // disconnect before failing the waiting operations, so they see the Speck as disconnected
+            var waiters = configWaiters;
+            configWaiters = [];
+            closeConnection(err);
+            return waiters.forEach(function(waiter) {
+               waiter(err);
+            });
+         }
 
-                  log.debug("getSpeckConfig(): id was [" + speckConfig.id + "]");
-                  speckConfig.id = speckConfig.id + extendedConfig.id;
-                  log.debug("getSpeckConfig(): id is now [" + speckConfig.id + "]");
+         speckConfig = config;
+         flushConfigWaiters(null);
+      };
 
-                  callback(null, simpleObjectCopy(speckConfig));
-               });
-            })
+      getBasicSpeckConfig({}, function(err, config) {
+         if (err) {
+            return done(err, null);
+         }
+         if (config.protocolVersion < 3) {
+            return done(null, config);
          }
-      }
-      else {
-         log.error("Given callback [" + callback + "] is not a function")
-      }
-   };
 
-   var getBasicSpeckConfig = function(callback) {
-      if (self.isConnected()) {
-         var command = createCommand(GET_INFO_COMMAND_CHARACTER);
-         enqueueCommand(command, function(err, data) {
+         // For protocol 3, the id is only the first half of the serial number.  The other half comes from the 'i'
+         // command.
+         getExtendedSpeckConfig(function(err, extendedConfig) {
             if (err) {
-               log.error("getSpeckConfig(): failed to get Speck config: " + err);
-               callback(err, null);
+               return done(err, null);
             }
-            else {
-               if (data) {
-                  // First, get the protocol version number
-                  var protocolVersion = data.readUInt8(PROTOCOL_VERSION_BYTE_INDEX);
-
-                  // Protocol 1 and 2 have a 10-byte serial number.  Protocol three has a 16-byte serial number, split
-                  // into two groups of 8.  One here, and the other in the 'i' command.
-                  var serialNumberEndingByteIndex = (protocolVersion < 3) ?
-                                                    SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_1_AND_2 :
-                                                    SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_3;
-
-                  // Construct the serial number:
-                  // 1) convert the data buffer to a decimal array
-                  // 2) call slice on it to pick out just the 10 bytes which make up the ID
-                  // 3) call map on that to turn each value into a zero-padded hex string
-                  // 4) then finally join it all up with no delimiter to create the serial number string.
-                  var serialNumber =
-                        data.toJSON()
-                              .slice(SERIAL_NUMBER_STARTING_BYTE_INDEX, serialNumberEndingByteIndex + 1)
-                              .map(byteToZeroPaddedHexString)
-                              .join('');
-
-                  // build the return object
-                  var obj = {
-                     id : serialNumber,
-                     protocolVersion : protocolVersion,
-                     loggingIntervalSecs : data.readUInt8(LOGGING_INTERVAL_BYTE_INDEX_WHEN_READING)
-                  };
-
-                  // Logging interval was introduced in protocol version 2. In prior versions, it was hardcoded to 1 second
-                  if (protocolVersion < 2) {
-                     obj.loggingIntervalSecs = DEFAULT_LOGGING_INTERVAL;
-                  }
+            config.id = config.id + extendedConfig.id;
+            done(null, config);
+         });
+      });
+   };
 
-                  // Protocol 3 introduced hardware and firmware version
-                  if (protocolVersion >= 3) {
-                     obj.firmwareVersion = data.readUInt8(FIRMWARE_VERSION_BYTE_INDEX);
-                     obj.hardwareVersion = data.readUInt8(HARDWARE_VERSION_BYTE_INDEX);
-                  }
+   var getBasicSpeckConfig = function(commandOptions, callback) {
+      var command = SpeckProtocol.encodeGetInfoCommand();
+      queueCommand(command, commandOptions, function(err, data) {
+         if (err) {
+            log.error("getBasicSpeckConfig(): failed to get Speck config: " + err);
+            callback(err, null);
+         }
+         else if (data) {
+            callback(null, SpeckProtocol.decodeInfoResponse(data));
+         }
+         else {
+            log.error("getBasicSpeckConfig(): no data in the response!");
+            callback(createNoResponseDataError(command), null);
+         }
+      });
+   };
 
-                  callback(null, obj);
-               }
-               else {
-                  log.error("getSpeckConfig(): no data in the response!");
-                  callback(null, null);
-               }
-            }
-         });
+   var getExtendedSpeckConfig = function(callback) {
+      var command = SpeckProtocol.encodeGetExtendedInfoCommand();
+      queueCommand(command, {}, function(err, data) {
+         if (err) {
+            log.error("getExtendedSpeckConfig(): failed to get extended Speck config: " + err);
+            callback(err, null);
+         }
+         else if (data) {
+            callback(null, SpeckProtocol.decodeExtendedInfoResponse(data));
+         }
+         else {
+            log.error("getExtendedSpeckConfig(): no data in the response!");
+            callback(createNoResponseDataError(command), null);
+         }
+      });
+   };
+
+   // Runs the given operation once the config has been read, since operations rely on it (e.g. for the protocol
+   // version), and operations started while it's being read must still send their commands in order.  Calls the
+   // callback with an error instead if not connected, or if the config can't be read.
+   var whenConfigIsRead = function(callback, operation) {
+      if (speck == null) {
+         return callback(createNotConnectedError(), null);
       }
-      else {
-         callback(new Error("Not connected to a Speck!"), null);
+      if (speckConfig != null) {
+         return operation();
       }
+      configWaiters.push(function(err) {
+         if (err) {
+            callback(err, null);
+         }
+         else {
+            operation();
+         }
+      });
    };
 
-   var getExtendedSpeckConfig = function(callback) {
-      if (self.isConnected()) {
-         var command = createCommand(GET_EXTENDED_INFO_COMMAND_CHARACTER);
-         enqueueCommand(command, function(err, data) {
-            if (err) {
-               log.error("getExtendedSpeckConfig(): failed to get extended Speck config: " + err);
-               callback(err, null);
+   var flushConfigWaiters = function(err) {
+      var waiters = configWaiters;
+      configWaiters = [];
+      waiters.forEach(function(waiter) {
+         waiter(err);
+      });
+   };
+
+   /**
+    * <p>
+    *    Starts reading the current sample from the Speck every <code>intervalMillis</code> milliseconds (defaults to
+    *    1000), emitting a {@link Speck#event:sample sample} event for each new sample.  Samples whose
+    *    <code>sampleTimeSecs</code> matches the previously emitted sample are skipped, so polling faster than the
+    *    Speck updates its current sample doesn't produce duplicates.  Calling this while already sampling restarts
+    *    sampling with the new interval.
+    * </p>
+    * <p>
+    *    Failed reads are emitted as {@link Speck#event:error error} events if there are any <code>error</code>
+    *    listeners, otherwise they are just logged.  While the Speck is {@link Speck#isConnected disconnected},
+    *    sampling pauses, and resumes once a connection is reestablished.
+    * </p>
+    *
+    * @param {int} [intervalMillis] - the sampling interval in milliseconds
+    * @fires Speck#sample
+    * @fires Speck#error
+    * @see {@link Speck#stopSampling stopSampling}
+    */
+   this.startSampling = function(intervalMillis) {
+      self.stopSampling();
+
+      lastSampledTimeSecs = null;
+      samplingTimer = setInterval(readSampleForSampling, intervalMillis || DEFAULT_SAMPLING_INTERVAL_MILLIS);
+
+      // take the first sample right away, but not before the caller has had a chance to register listeners
+      setImmediate(readSampleForSampling);
+   };
+
+   /**
+    * Stops sampling started by {@linkcode Speck#startSampling startSampling}.  Does nothing if not sampling.
+    */
+   this.stopSampling = function() {
+      if (samplingTimer != null) {
+         clearInterval(samplingTimer);
+         samplingTimer = null;
+      }
+   };
+
+   /**
+    * Returns <code>true</code> if {@linkcode Speck#startSampling sampling} is in progress, <code>false</code>
+    * otherwise.
+    *
+    * @returns {boolean}
+    */
+   this.isSampling = function() {
+      return samplingTimer != null;
+   };
+
+   var readSampleForSampling = function() {
+      if (samplingTimer == null || !self.isConnected()) {
+         return;
+      }
+
+      getDataSample(SpeckProtocol.GET_CURRENT_SAMPLE_COMMAND_CHARACTER, {}, function(err, sample) {
+         if (err) {
+            if (self.listeners('error').length > 0) {
+               /**
+                * Error event, emitted when reading a sample fails while {@linkcode Speck#startSampling sampling}.
+                *
+                * @event Speck#error
+                * @type {Error}
+                */
+               self.emit('error', err);
             }
             else {
-               if (data) {
-                  // Construct the serial number suffix:
-                  // 1) convert the data buffer to a decimal array
-                  // 2) call slice on it to pick out just the 10 bytes which make up the ID
-                  // 3) call map on that to turn each value into a zero-padded hex string
-                  // 4) then finally join it all up with no delimiter to create the serial number string.
-                  var serialNumberSuffix =
-                        data.toJSON()
-                              .slice(SERIAL_NUMBER_STARTING_BYTE_INDEX, SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_3 + 1)
-                              .map(byteToZeroPaddedHexString)
-                              .join('');
-
-                  callback(null, {id : serialNumberSuffix});
-               }
-               else {
-                  log.error("getExtendedSpeckConfig(): no data in the response!");
-                  callback(null, null);
-               }
+               log.error("readSampleForSampling(): failed to read sample: " + err);
             }
+         }
+         else if (sample != null && sample.sampleTimeSecs !== lastSampledTimeSecs) {
+            lastSampledTimeSecs = sample.sampleTimeSecs;
+
+            /**
+             * Sample event, emitted for each new sample read while {@linkcode Speck#startSampling sampling}.  The
+             * sample object is the same as the one returned by {@linkcode Speck#getCurrentSample getCurrentSample}.
+             *
+             * @event Speck#sample
+             * @type {object}
+             */
+            self.emit('sample', sample);
+         }
+      });
+   };
+
+   /**
+    * <p>
+    *    Returns an object whose functions report which features this Speck's protocol version supports, e.g.
+    *    <code>canMutateLoggingInterval()</code>.  Since it relies on the Speck's config, which is read asynchronously
+    *    when connecting, it may only be called without a <code>callback</code> once the config has been read, i.e.
+    *    once {@linkcode Speck#getSpeckConfig getSpeckConfig} has called back.  Note that this is a breaking change:
+    *    the config used to be read synchronously while connecting, so calling it straight after
+    *    {@linkcode Speck.create} used to work, but now throws.
+    * </p>
+    * <p>
+    *    To wait for the config instead, pass a <code>callback</code>, which is given the object once the config has
+    *    been read, or an error if not connected, or if the config can't be read.
+    * </p>
+    *
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, apiSupport)</code>
+    * @returns {object|undefined} - the object if no <code>callback</code> was given, otherwise <code>undefined</code>
+    * @throws {SpeckError} if called without a <code>callback</code> before the config has been read (code
+    * <code>NOT_CONNECTED</code>)
+    */
+   this.getApiSupport = function(callback) {
+      if (typeof callback === 'function') {
+         return callbackOrPromise(callback, function(callback) {
+            whenConfigIsRead(callback, function() {
+               callback(null, createApiSupport());
+            });
          });
       }
-      else {
-         callback(new Error("Not connected to a Speck!"), null);
+
+      if (speckConfig == null) {
+         throw SpeckError.create(SpeckError.CODES.NOT_CONNECTED, "The Speck's config hasn't been read, since it's not connected, or is still connecting");
       }
+      return createApiSupport();
    };
 
-   this.getApiSupport = function() {
+   var createApiSupport = function() {
       return {
          getProtocolVersion : function() {
             return speckConfig.protocolVersion;
@@ -379,13 +762,23 @@ function Speck(hidDeviceDescriptor) {
     *       <li><code>humidity</code>: integer</li>
     *       <li><code>rawParticleCount</code>: integer</li>
     *       <li><code>temperature</code>: integer (only included in Specks supporting protocol version 1)</li>
+    *       <li><code>calibrated</code>: object containing the calibrated <code>particleConcentration</code> or
+    *       <code>particleCount</code> (only included if the <code>calibration</code> option given to the constructor
+    *       has a profile for this Speck)</li>
     *    </ul>
+    *    If the <code>normalizeSamples</code> option was given to the constructor, the data object is instead in the
+    *    format described in {@link SampleSchema}.
     * </p>
     *
-    * @param callback {function} - the callback function with a signature of the form <code>callback(err, data)</code>
+    * @param {object} [options] - options, such as an AbortSignal <code>signal</code>
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, data)</code>
+    * @returns {Promise|undefined} - a Promise for the result if no <code>callback</code> was given, otherwise <code>undefined</code>
     */
-   this.getCurrentSample = function(callback) {
-      getDataSample(GET_CURRENT_SAMPLE_COMMAND_CHARACTER, callback);
+   this.getCurrentSample = function(options, callback) {
+      var args = parseOptionsAndCallback(options, callback);
+      return callbackOrPromise(args.callback, function(callback) {
+         getDataSample(SpeckProtocol.GET_CURRENT_SAMPLE_COMMAND_CHARACTER, args.options, callback);
+      });
    };
 
    /**
@@ -402,255 +795,588 @@ function Speck(hidDeviceDescriptor) {
     *       <li><code>humidity</code>: integer</li>
     *       <li><code>rawParticleCount</code>: integer</li>
     *       <li><code>temperature</code>: integer (only included in Specks supporting protocol version 1)</li>
+    *       <li><code>calibrated</code>: object containing the calibrated <code>particleConcentration</code> or
+    *       <code>particleCount</code> (only included if the <code>calibration</code> option given to the constructor
+    *       has a profile for this Speck)</li>
     *    </ul>
+    *    If the <code>normalizeSamples</code> option was given to the constructor, the data object is instead in the
+    *    format described in {@link SampleSchema}.
     * </p>
     * <p>
     *    The error and data objects will both be <code>null</code> if no historical data is available.
     * </p>
     *
-    * @param callback {function} - the callback function with a signature of the form <code>callback(err, data)</code>
+    * @param {object} [options] - options, such as an AbortSignal <code>signal</code>
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, data)</code>
+    * @returns {Promise|undefined} - a Promise for the result if no <code>callback</code> was given, otherwise <code>undefined</code>
     */
-   this.getSample = function(callback) {
-      getDataSample(GET_HISTORIC_SAMPLE_COMMAND_CHARACTER, callback);
+   this.getSample = function(options, callback) {
+      var args = parseOptionsAndCallback(options, callback);
+      return callbackOrPromise(args.callback, function(callback) {
+         getDataSample(SpeckProtocol.GET_HISTORIC_SAMPLE_COMMAND_CHARACTER, args.options, callback);
+      });
    };
 
-   var getDataSample = function(commandCharacter, callback) {
+   var getDataSample = function(commandCharacter, commandOptions, callback) {
       if (self.isConnected()) {
-         var command = createCommand(commandCharacter);
-         enqueueCommand(command, function(err, data) {
+         var command = SpeckProtocol.encodeCommand(commandCharacter);
+         enqueueCommand(command, commandOptions, function(err, data) {
             if (err) {
                log.error("getDataSample(): failed to get data sample: " + err);
                callback(err, null);
             }
             else {
                if (data) {
-                  // build the return object
-                  var obj = {
-                     sampleTimeSecs : data.readUInt32BE(SAMPLE_TIME_SECS_BYTE_INDEX),
-                     humidity : data.readUInt8(HUMIDITY_BYTE_INDEX),
-                     rawParticleCount : data.readUInt16BE(RAW_PARTICLE_COUNT_BYTE_INDEX)
-                  };
-
-                  // see whether any data was actually returned (timestamp should never be 0)
-                  var isNoDataAvailable = obj.sampleTimeSecs == 0;
-
-                  if (!isNoDataAvailable) {
-                     // temperature was only included in protocol version 1
-                     if (self.getApiSupport().hasTemperatureSensor()) {
-                        obj['temperature'] = data.readInt16BE(TEMPERATURE_BYTE_INDEX);
-                     }
-
-                     // add the particleCount or particleConcentration field, depending on the protocol version.
-                     var particleCountOrConcentration = data.readUInt32BE(PARTICLE_COUNT_OR_CONCENTRATION_BYTE_INDEX);
-                     if (self.getApiSupport().hasParticleCount()) {
-                        obj['particleCount'] = particleCountOrConcentration;
-                     }
-                     else {
-                        obj['particleConcentration'] = particleCountOrConcentration / 10.0;
-                     }
+                  var obj = SpeckProtocol.decodeDataSampleResponse(data, speckConfig.protocolVersion);
+                  if (obj == null) {
+                     // return null if no data is available (timestamp should never be 0)
+                     return callback(null, null);
                   }
 
-                  // return null if no data is available
-                  callback(null, isNoDataAvailable ? null : obj);
+                  if (calibration) {
+                     obj = calibration.calibrate(speckConfig.id, obj);
+                  }
+                  callback(null, normalizeSamples ? SampleSchema.normalize(obj, speckConfig) : obj);
                }
                else {
                   log.error("getDataSample(): no data in the response!");
-                  callback(new Error("No data in the response"), null);
+                  callback(createNoResponseDataError(command), null);
                }
             }
          });
       }
       else {
-         callback(new Error("Not connected to a Speck!"), null);
+         callback(createNotConnectedError(), null);
       }
    };
 
-   this.getNumberOfAvailableSamples = function(callback) {
-      if (self.isConnected()) {
-         if (!self.getApiSupport().canGetNumberOfDataSamples()) {
-            return callback(new Error("This Speck cannot report the number of available samples."), null);
-         }
-
-         var command = createCommand(GET_SAMPLE_COUNT_COMMAND_CHARACTER);
-         enqueueCommand(command, function(err, data) {
-            if (err) {
-               log.error("getNumberOfAvailableSamples(): failed to get number of data samples: " + err);
-               callback(err, null);
+   /**
+    * <p>
+    *    Reads the number of historic samples stored on the Speck, if supported by the Speck's firmware, and returns it
+    *    to the given <code>callback</code>.  The callback function has a signature of the form
+    *    <code>callback(err, data)</code>, where the data object contains the field <code>numSamples</code>.
+    * </p>
+    *
+    * @param {object} [options] - options, such as an AbortSignal <code>signal</code>
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, data)</code>
+    * @returns {Promise|undefined} - a Promise for the result if no <code>callback</code> was given, otherwise <code>undefined</code>
+    */
+   this.getNumberOfAvailableSamples = function(options, callback) {
+      var args = parseOptionsAndCallback(options, callback);
+      return callbackOrPromise(args.callback, function(callback) {
+         whenConfigIsRead(callback, function() {
+            if (!self.getApiSupport().canGetNumberOfDataSamples()) {
+               return callback(new SpeckError.UnsupportedError("This Speck cannot report the number of available samples."), null);
             }
-            else {
-               if (data) {
-                  // build the return object
-                  var obj = {
-                     numSamples : data.readUInt32BE(NUM_SAMPLES_BYTE_INDEX)
-                  };
 
-                  callback(null, obj);
+            var command = SpeckProtocol.encodeGetSampleCountCommand();
+            enqueueCommand(command, args.options, function(err, data) {
+               if (err) {
+                  log.error("getNumberOfAvailableSamples(): failed to get number of data samples: " + err);
+                  callback(err, null);
                }
                else {
-                  log.error("getNumberOfAvailableSamples(): no data in the response!");
-                  callback(null, null);
+                  if (data) {
+                     callback(null, SpeckProtocol.decodeSampleCountResponse(data));
+                  }
+                  else {
+                     log.error("getNumberOfAvailableSamples(): no data in the response!");
+                     callback(createNoResponseDataError(command), null);
+                  }
                }
-            }
+            });
          });
-      }
-      else {
-         callback(new Error("Not connected to a Speck!"), null);
-      }
-   };
-
-   this.deleteSample = function(sampleTime, callback) {
-      // TODO: implement me!
+      });
    };
 
    /**
-    * Sets the logging interval, if supported by the Speck's firmware. The given
-    * <code>loggingIntervalInSeconds</code> is clamped to ensure it's within the valid range.
+    * <p>
+    *    Deletes the historic sample with the given sample time from the Speck's on-board memory.  The callback
+    *    function has a signature of the form <code>callback(err, wasSuccessful)</code>, where
+    *    <code>wasSuccessful</code> is <code>true</code> if the sample was deleted.  If the Speck reports deleting a
+    *    different sample (or none, e.g. because there's no sample with that time), the callback is given an
+    *    <code>UNEXPECTED_RESPONSE</code> {@link SpeckError} whose <code>bytes</code> hold the response frame.
+    * </p>
+    * <p>
+    *    Historic samples are returned oldest first by {@linkcode Speck#getSample getSample}, so deleting the sample
+    *    returned by <code>getSample</code> makes the next call return the next oldest sample.
+    * </p>
     *
-    * @param {int} loggingIntervalInSeconds
-    * @param callback
+    * <p>
+    *    Deletion is not idempotent, so unlike other commands, it is never retried after a corrupted response.
+    * </p>
+    *
+    * @param {int} sampleTime - the <code>sampleTimeSecs</code> of the historic sample to delete
+    * @param {object} [options] - options, such as an AbortSignal <code>signal</code>
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, wasSuccessful)</code>
+    * @returns {Promise|undefined} - a Promise for the result if no <code>callback</code> was given, otherwise <code>undefined</code>
     */
-   this.setLoggingInterval = function(loggingIntervalInSeconds, callback) {
-      if (self.isConnected()) {
-         if (self.getApiSupport().canMutateLoggingInterval()) {
-            // make sure the range is valid
-            loggingIntervalInSeconds = Math.min(Math.max(loggingIntervalInSeconds, MIN_LOGGING_INTERVAL), MAX_LOGGING_INTERVAL);
+   this.deleteSample = function(sampleTime, options, callback) {
+      var args = parseOptionsAndCallback(options, callback);
+      return callbackOrPromise(args.callback, function(callback) {
+         if (self.isConnected()) {
+            var command = null;
+            try {
+               command = SpeckProtocol.encodeDeleteSampleCommand(sampleTime);
+            }
+            catch (e) {
+               return callback(e, null);
+            }
 
-            var command = createCommand(SET_LOGGING_INTERVAL_COMMAND_CHARACTER);
-            command[LOGGING_INTERVAL_BYTE_INDEX_WHEN_WRITING] = loggingIntervalInSeconds;
-            enqueueCommand(command, function(err, data) {
+            var commandOptions = simpleObjectCopy(args.options);
+            commandOptions.isRetryable = false;
+            enqueueCommand(command, commandOptions, function(err, data) {
                if (err) {
-                  console.log("ERROR: setLoggingInterval(): failed to write logging interval: " + err);
+                  log.error("deleteSample(): failed to delete sample: " + err);
                   callback(err, null);
                }
                else {
                   if (data) {
-                     // read the value returned from the Speck and make sure it matches the value we asked for
-                     var actualLoggingInterval = data.readUInt8(LOGGING_INTERVAL_BYTE_INDEX_WHEN_READING);
-                     var wasSuccessful = loggingIntervalInSeconds == actualLoggingInterval;
-                     if (wasSuccessful) {
-                        // remember this new logging interval
-                        speckConfig.loggingIntervalSecs = actualLoggingInterval;
+                     // the Speck echoes back the time of the sample it deleted, or zero if it couldn't find it
+                     var deletedSampleTime = SpeckProtocol.decodeDeleteSampleResponse(data).sampleTimeSecs;
+                     if (deletedSampleTime != sampleTime) {
+                        log.error("deleteSample(): Failed to delete sample. Expected [" + sampleTime + "], but received [" + deletedSampleTime + "]");
+                        return callback(createUnexpectedResponseError("Failed to delete sample [" + sampleTime + "], the Speck deleted [" + deletedSampleTime + "] instead", command, data), null);
                      }
-                     else {
-                        console.log("ERROR: Failed to set logging interval. Expected [" + loggingIntervalInSeconds + "], but received [" + actualLoggingInterval + "]");
-                     }
-                     callback(null, wasSuccessful);
+                     callback(null, true);
                   }
                   else {
-                     console.log("ERROR: setLoggingInterval(): no data in the response!");
-                     callback(null, false);
+                     log.error("deleteSample(): no data in the response!");
+                     callback(createNoResponseDataError(command), null);
                   }
                }
             });
          }
          else {
-            return callback(new Error("The logging interval for this Speck cannot be modified."), null);
+            callback(createNotConnectedError(), null);
          }
-      }
-      else {
-         callback(new Error("Not connected to a Speck!"), null);
-      }
-   };
-
-   var createCommand = function(commandCharacter) {
-      var byteBuffer = ByteBuffer.allocate(COMMAND_LENGTH_IN_BYTES);
-
-      // for some reason, these buffers have random bytes in them, so initialize to all zeros
-      for (var i = 0; i < COMMAND_LENGTH_IN_BYTES; i++) {
-         byteBuffer.putChar(0);
-      }
-      byteBuffer.position(0);    // resets the write position
-
-      byteBuffer.putChar(commandCharacter);                                   // the command character
-      byteBuffer.putInt(Math.round(new Date().getTime() / 1000));             // current time in seconds
-
-      // convert to an array and return
-      return byteBufferToArray(byteBuffer, COMMAND_LENGTH_IN_BYTES);
+      });
    };
 
-   var computeChecksum = function(command) {
-      // Speck checksum simply sums all the bytes and then uses the lowest 8 bits
-      var sum = 0;
-      for (var i = 0; i < CHECKSUM_BYTE_INDEX; i++) {
-         sum += command[i];
-      }
+   /**
+    * <p>
+    *    Downloads all historic samples from the Speck, oldest first.  Each sample is handed to the caller-supplied
+    *    <code>persistSample</code> function, and is only deleted from the Speck's on-board memory once
+    *    <code>persistSample</code> reports that it was stored successfully.  Thus, if the download is interrupted
+    *    (e.g. by a crash or a failed write), no data is lost from the device--the next download simply picks up where
+    *    this one left off.
+    * </p>
+    * <p>
+    *    The <code>options</code> object contains the following fields:
+    *    <ul>
+    *       <li>
+    *          <code>persistSample</code>: required function with a signature of the form
+    *          <code>persistSample(sample, done)</code>, where <code>done</code> has a signature of the form
+    *          <code>done(err)</code>.  The sample is only deleted from the Speck if <code>err</code> is falsy.
+    *       </li>
+    *       <li>
+    *          <code>onProgress</code>: optional function with a signature of the form
+    *          <code>onProgress(numSamplesDownloaded, numSamplesTotal)</code>, called after each sample is persisted
+    *          and deleted.  <code>numSamplesTotal</code> is the number of samples available when the download began,
+    *          or <code>null</code> if this Speck {@link Speck#getApiSupport cannot report} the number of available
+    *          samples.
+    *       </li>
+    *       <li>
+    *          <code>signal</code>: optional AbortSignal which stops the download.  Samples already persisted but not
+    *          yet deleted are simply downloaded again next time.
+    *       </li>
+    *       <li>
+    *          <code>correctClock</code>: optional boolean.  If <code>true</code>, the Speck's
+    *          {@link Speck#getClockStatus clock offset} is measured before downloading, and each sample handed to
+    *          <code>persistSample</code> has its <code>sampleTimeSecs</code> rewritten in host time by subtracting the
+    *          offset.  The sample also gets a <code>deviceSampleTimeSecs</code> field holding the original device
+    *          timestamp, and a <code>timestampFlags</code> array which is empty if the timestamp looks plausible, and
+    *          otherwise contains one or more of <code>"unset"</code> (the device timestamp is so early that the
+    *          Speck's clock was evidently never set), <code>"future"</code> (the corrected timestamp is in the
+    *          future), and <code>"nonMonotonic"</code> (the corrected timestamp is not after the previous sample's).
+    *       </li>
+    *    </ul>
+    * </p>
+    * <p>
+    *    The <code>callback</code> function has a signature of the form <code>callback(err, data)</code>, where the
+    *    data object contains the field <code>numSamples</code>, the number of samples downloaded and deleted, and, when
+    *    correcting the clock, the field <code>clockOffsetSecs</code>, the measured clock offset.  If an
+    *    error occurs, the data object is still provided, so that the caller can tell how many samples were downloaded
+    *    before the error.
+    * </p>
+    *
+    * @param {object} options - the download options
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, data)</code>
+    * @returns {Promise|undefined} - a Promise for the result if no <code>callback</code> was given, otherwise <code>undefined</code>
+    */
+   this.downloadAllSamples = function(options, callback) {
+      return callbackOrPromise(callback, function(callback) {
+         if (!options || typeof options.persistSample !== 'function') {
+            return callback(SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "A persistSample function is required"), null);
+         }
+
+         var commandOptions = { signal : options.signal };
+         var numSamplesDownloaded = 0;
+         var numSamplesTotal = null;
+         var clockOffsetSecs = null;
+         var previousSampleTimeSecs = null;
+
+         var reportProgress = function() {
+            if (typeof options.onProgress === 'function') {
+               options.onProgress(numSamplesDownloaded, numSamplesTotal);
+            }
+         };
+
+         var finish = function(err) {
+            var data = { numSamples : numSamplesDownloaded };
+            if (clockOffsetSecs != null) {
+               data.clockOffsetSecs = clockOffsetSecs;
+            }
+            callback(err || null, data);
+         };
 
-      return sum & 0xff;
+         var downloadNextSample = function() {
+            self.getSample(commandOptions, function(err, sample) {
+               if (err) {
+                  return finish(err);
+               }
+
+               // a null sample means there's no more historic data
+               if (sample == null) {
+                  return finish(null);
+               }
+
+               // the Speck identifies samples by their device timestamp, so remember it for deleting
+               var deviceSampleTimeSecs = sample.sampleTimeSecs;
+               if (clockOffsetSecs != null) {
+                  sample = correctSampleTime(sample, clockOffsetSecs, previousSampleTimeSecs);
+                  previousSampleTimeSecs = sample.sampleTimeSecs;
+               }
+
+               options.persistSample(sample, function(persistError) {
+                  if (persistError) {
+                     log.error("downloadAllSamples(): failed to persist sample [" + deviceSampleTimeSecs + "], so it will not be deleted: " + persistError);
+                     return finish(persistError);
+                  }
+
+                  self.deleteSample(deviceSampleTimeSecs, commandOptions, function(deleteError) {
+                     if (deleteError) {
+                        return finish(deleteError);
+                     }
+
+                     numSamplesDownloaded++;
+                     reportProgress();
+
+                     // callbacks are always asynchronous, so long downloads don't grow the stack
+                     downloadNextSample();
+                  });
+               });
+            });
+         };
+
+         var startDownload = function() {
+            if (self.getApiSupport().canGetNumberOfDataSamples()) {
+               self.getNumberOfAvailableSamples(commandOptions, function(err, data) {
+                  if (err) {
+                     return finish(err);
+                  }
+                  numSamplesTotal = data ? data.numSamples : null;
+                  downloadNextSample();
+               });
+            }
+            else {
+               downloadNextSample();
+            }
+         };
+
+         whenConfigIsRead(callback, function() {
+            if (options.correctClock) {
+               self.getClockStatus(commandOptions, function(err, clockStatus) {
+                  if (err) {
+                     return finish(err);
+                  }
+                  clockOffsetSecs = clockStatus.offsetSecs;
+                  startDownload();
+               });
+            }
+            else {
+               startDownload();
+            }
+         });
+      });
    };
 
-   var enqueueCommand = function(command, callback) {
+   // Returns a copy of the given historic sample with its timestamp converted from device time to host time, and
+   // flagged if it looks implausible.  See downloadAllSamples() for details.
+   var correctSampleTime = function(sample, clockOffsetSecs, previousSampleTimeSecs) {
+      var correctedSample = simpleObjectCopy(sample);
+      correctedSample.deviceSampleTimeSecs = sample.sampleTimeSecs;
+      correctedSample.sampleTimeSecs = sample.sampleTimeSecs - clockOffsetSecs;
+      correctedSample.timestampFlags = [];
+      if (normalizeSamples) {
+         correctedSample.timestamp = new Date(correctedSample.sampleTimeSecs * 1000);
+      }
 
-      // define the command queue processor
-      var processCommandQueue = function() {
-         if (commandQueue.length > 0) {
+      if (sample.sampleTimeSecs < MIN_PLAUSIBLE_SAMPLE_TIME_SECS) {
+         correctedSample.timestampFlags.push("unset");
+      }
+      if (correctedSample.sampleTimeSecs > Math.round(new Date().getTime() / 1000) + MAX_FUTURE_SAMPLE_TIME_SECS) {
+         correctedSample.timestampFlags.push("future");
+      }
+      if (previousSampleTimeSecs != null && correctedSample.sampleTimeSecs <= previousSampleTimeSecs) {
+         correctedSample.timestampFlags.push("nonMonotonic");
+      }
 
-            var shiftQueueAndContinue = function() {
-               commandQueue.shift();
-               processCommandQueue();
-            };
+      return correctedSample;
+   };
 
-            // peek at the item in need of processing
-            var commandQueueItem = commandQueue[0];
+   /**
+    * <p>
+    *    Compares the Speck's clock to the host's clock, and returns the result to the given <code>callback</code>.
+    *    The callback function has a signature of the form <code>callback(err, data)</code>.  Specks keep time on
+    *    their own, so their clocks drift, especially while running unplugged on battery.
+    * </p>
+    * <p>
+    *    The data object contains the following fields:
+    *    <ul>
+    *       <li><code>hostTimeSecs</code>: integer, the host's Unix time when the Speck was read</li>
+    *       <li><code>deviceTimeSecs</code>: integer, the Speck's Unix time, from its current sample</li>
+    *       <li><code>offsetSecs</code>: integer, how far the Speck's clock is ahead of the host's (negative if it's
+    *       behind)</li>
+    *    </ul>
+    * </p>
+    *
+    * @param {object} [options] - options, such as an AbortSignal <code>signal</code>
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, data)</code>
+    * @returns {Promise|undefined} - a Promise for the result if no <code>callback</code> was given, otherwise <code>undefined</code>
+    */
+   this.getClockStatus = function(options, callback) {
+      var args = parseOptionsAndCallback(options, callback);
+      return callbackOrPromise(args.callback, function(callback) {
+         var requestTimeMillis = new Date().getTime();
+         getDataSample(SpeckProtocol.GET_CURRENT_SAMPLE_COMMAND_CHARACTER, args.options, function(err, sample) {
+            if (err) {
+               return callback(err, null);
+            }
+            if (sample == null) {
+               return callback(SpeckError.create(SpeckError.CODES.UNEXPECTED_RESPONSE, "The Speck did not report the time of its current sample"), null);
+            }
 
-            // attempt to write the command
-            try {
+            // use the midpoint of the round trip as the host time at which the Speck was read
+            var hostTimeSecs = Math.round((requestTimeMillis + new Date().getTime()) / 2000);
+            callback(null, {
+               hostTimeSecs : hostTimeSecs,
+               deviceTimeSecs : sample.sampleTimeSecs,
+               offsetSecs : sample.sampleTimeSecs - hostTimeSecs
+            });
+         });
+      });
+   };
 
-               speck.sendFeatureReport(commandQueueItem.command);
+   /**
+    * <p>
+    *    Puts the Speck into bootloader mode, if supported by the Speck's firmware, so that new firmware can be
+    *    installed.  The Speck must confirm the command by echoing its command character (the protocol has no other
+    *    acknowledgement for it), after which this instance is
+    *    {@link Speck#isConnected disconnected} and {@link Speck#isInBootloaderMode in bootloader mode}.  The Speck then
+    *    re-enumerates as a bootloader device with a different USB identity, so it will no longer be found by
+    *    {@linkcode Speck.enumerate} until the firmware update completes.
+    * </p>
+    * <p>
+    *    Like deleting a sample, this command is never retried after a corrupted response.  If the Speck responds without
+    *    confirming, it stays connected, and the callback is given an <code>UNEXPECTED_RESPONSE</code>
+    *    {@link SpeckError} whose <code>bytes</code> hold the response frame.  Otherwise, <code>wasSuccessful</code> is
+    *    <code>true</code>.
+    * </p>
+    *
+    * @param {object} [options] - options, such as an AbortSignal <code>signal</code>
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, wasSuccessful)</code>
+    * @returns {Promise|undefined} - a Promise for the result if no <code>callback</code> was given, otherwise <code>undefined</code>
+    * @fires Speck#bootloader
+    * @fires Speck#disconnect
+    */
+   this.enterBootloaderMode = function(options, callback) {
+      var args = parseOptionsAndCallback(options, callback);
+      return callbackOrPromise(args.callback, function(callback) {
+         whenConfigIsRead(callback, function() {
+            if (self.getApiSupport().canEnterBootloaderMode()) {
+               var id = speckConfig.id;
+               var command = SpeckProtocol.encodeEnterBootloaderModeCommand();
+               var commandOptions = simpleObjectCopy(args.options);
+               commandOptions.isRetryable = false;
+               enqueueCommand(command, commandOptions, function(err, data) {
+                  if (err) {
+                     log.error("enterBootloaderMode(): failed to enter bootloader mode: " + err);
+                     callback(err, null);
+                  }
+                  else {
+                     if (!data) {
+                        log.error("enterBootloaderMode(): no data in the response!");
+                        return callback(createNoResponseDataError(command), null);
+                     }
 
-               // now attempt to read the response
-               try {
-                  var data = speck.getFeatureReport(REPORT_ID, COMMAND_LENGTH_IN_BYTES);
-                  data = new Buffer(data);
-                  if (data) {
-                     // verify command ID and checksum
-                     var responseData = data.toJSON();
-
-                     var expectedCommandId = commandQueueItem.command[COMMAND_ID_BYTE_INDEX];
-                     var actualCommandId = responseData[COMMAND_ID_BYTE_INDEX];
-                     if (expectedCommandId == actualCommandId) {
-                        var expectedChecksum = computeChecksum(responseData);
-                        var actualChecksum = responseData[CHECKSUM_BYTE_INDEX];
-                        if (expectedChecksum == actualChecksum) {
-                           commandQueueItem.callback(null, data);
-                        }
-                        else {
-                           commandQueueItem.callback(new Error("Failed to read response: invalid checksum.  Expected [" + expectedChecksum + "] actual [" + actualChecksum + "]"), null);
-                        }
+                     // the Speck's only confirmation is echoing the command character (there's no acknowledgement field)
+                     if (SpeckProtocol.decodeEnterBootloaderModeResponse(data).isConfirmed) {
+                        isInBootloaderModeState = true;
+                        closeConnection(null);
+
+                        /**
+                         * Bootloader event, emitted when the Speck has entered bootloader mode.  Listeners are called
+                         * with the Speck's id.  The Speck will re-enumerate under a different USB identity, so device
+                         * managers should stop expecting it at its current path.
+                         *
+                         * @event Speck#bootloader
+                         * @type {string}
+                         */
+                        self.emit('bootloader', id);
+                        callback(null, true);
                      }
                      else {
-                        commandQueueItem.callback(new Error("Failed to read response: invalid command ID.  Expected [" + expectedCommandId + "] actual [" + actualCommandId + "]"), null);
+                        log.error("enterBootloaderMode(): the Speck did not confirm entering bootloader mode!");
+                        callback(createUnexpectedResponseError("The Speck did not confirm entering bootloader mode", command, data), null);
                      }
                   }
-                  else {
-                     commandQueueItem.callback(new Error("Failed to read response: no data"), null);
-                  }
-                  shiftQueueAndContinue();
-               }
-               catch (readError) {
-                  log.error("processCommandQueue(): failed to read command response: " + readError);
-                  commandQueueItem.callback(readError, null);
+               });
+            }
+            else {
+               callback(new SpeckError.UnsupportedError("This Speck cannot enter bootloader mode."), null);
+            }
+         });
+      });
+   };
 
-                  shiftQueueAndContinue();
+   /**
+    * Sets the logging interval, if supported by the Speck's firmware. The given
+    * <code>loggingIntervalInSeconds</code> is clamped to ensure it's within the valid range.  If the Speck responds
+    * with a different interval, the callback is given an <code>UNEXPECTED_RESPONSE</code> {@link SpeckError} whose
+    * <code>bytes</code> hold the response frame.  Otherwise, <code>wasSuccessful</code> is <code>true</code>.
+    *
+    * @param {int} loggingIntervalInSeconds
+    * @param {object} [options] - options, such as an AbortSignal <code>signal</code>
+    * @param [callback] {function} - the callback function with a signature of the form <code>callback(err, wasSuccessful)</code>
+    * @returns {Promise|undefined} - a Promise for the result if no <code>callback</code> was given, otherwise <code>undefined</code>
+    */
+   this.setLoggingInterval = function(loggingIntervalInSeconds, options, callback) {
+      var args = parseOptionsAndCallback(options, callback);
+      return callbackOrPromise(args.callback, function(callback) {
+         whenConfigIsRead(callback, function() {
+            if (self.getApiSupport().canMutateLoggingInterval()) {
+               // make sure the range is valid
+               loggingIntervalInSeconds = Math.min(Math.max(Math.round(loggingIntervalInSeconds), MIN_LOGGING_INTERVAL), MAX_LOGGING_INTERVAL);
+
+               var command = null;
+               try {
+                  command = SpeckProtocol.encodeSetLoggingIntervalCommand(loggingIntervalInSeconds);
                }
-            }
-            catch (writeError) {
-               log.error("processCommandQueue(): failed to write command: " + writeError);
-               commandQueueItem.callback(writeError, null);
+               catch (e) {
+                  return callback(e, null);
+               }
+               enqueueCommand(command, args.options, function(err, data) {
+                  if (err) {
+                     log.error("setLoggingInterval(): failed to write logging interval: " + err);
+                     callback(err, null);
+                  }
+                  else {
+                     if (data) {
+                        // read the value returned from the Speck and make sure it matches the value we asked for
+                        var actualLoggingInterval = SpeckProtocol.decodeSetLoggingIntervalResponse(data).loggingIntervalSecs;
+                        if (actualLoggingInterval != loggingIntervalInSeconds) {
+                           log.error("setLoggingInterval(): Failed to set logging interval. Expected [" + loggingIntervalInSeconds + "], but received [" + actualLoggingInterval + "]");
+                           return callback(createUnexpectedResponseError("Failed to set the logging interval to [" + loggingIntervalInSeconds + "], the Speck reported [" + actualLoggingInterval + "]", command, data), null);
+                        }
 
-               shiftQueueAndContinue();
+                        // remember this new logging interval
+                        speckConfig.loggingIntervalSecs = actualLoggingInterval;
+                        callback(null, true);
+                     }
+                     else {
+                        log.error("setLoggingInterval(): no data in the response!");
+                        callback(createNoResponseDataError(command), null);
+                     }
+                  }
+               });
             }
-         }
+            else {
+               return callback(new SpeckError.UnsupportedError("The logging interval for this Speck cannot be modified."), null);
+            }
+         });
+      });
+   };
+
+   /**
+    * <p>
+    *    Returns statistics about the commands sent to the Speck since this instance was created, or since the last
+    *    call to {@linkcode Speck#resetCommandStats resetCommandStats}, so command throughput can be measured.  The
+    *    returned object contains the following fields:
+    *    <ul>
+    *       <li><code>numCommands</code>: the number of commands which completed successfully</li>
+    *       <li><code>numFailedCommands</code>: the number of commands which failed, timed out, or were aborted</li>
+    *       <li><code>numRetries</code>: the number of retries after corrupted responses</li>
+    *       <li><code>numExchanges</code>: the number of times a command was written to the Speck</li>
+    *       <li><code>ioMillis</code>: the total time spent writing commands and reading responses</li>
+    *       <li><code>averageIoMillis</code>: the average time per exchange, or <code>null</code> if there were
+    *       none</li>
+    *       <li><code>elapsedMillis</code>: the time since the statistics were reset</li>
+    *       <li><code>commandsPerSecond</code>: the throughput, i.e. <code>numCommands</code> per second of
+    *       <code>elapsedMillis</code></li>
+    *       <li><code>queueLength</code>: the number of commands currently in the command queue</li>
+    *       <li><code>maxQueueLength</code>: the most commands which were in the command queue at once</li>
+    *    </ul>
+    * </p>
+    * <p>
+    *    The config read when {@link Speck#connect connecting} goes through the command queue, so it's included.
+    * </p>
+    *
+    * @returns {object}
+    */
+   this.getCommandStats = function() {
+      var stats = simpleObjectCopy(commandStats);
+      delete stats.startTime;
+      stats.averageIoMillis = stats.numExchanges > 0 ? stats.ioMillis / stats.numExchanges : null;
+      stats.elapsedMillis = new Date().getTime() - commandStats.startTime;
+      stats.commandsPerSecond = stats.elapsedMillis > 0 ? stats.numCommands * 1000 / stats.elapsedMillis : 0;
+      stats.queueLength = commandQueue.length;
+      return stats;
+   };
+
+   /**
+    * Resets the statistics returned by {@linkcode Speck#getCommandStats getCommandStats}.
+    */
+   this.resetCommandStats = function() {
+      commandStats = {
+         numCommands : 0,
+         numFailedCommands : 0,
+         numRetries : 0,
+         numExchanges : 0,
+         ioMillis : 0,
+         maxQueueLength : commandQueue.length,
+         startTime : new Date().getTime()
       };
+   };
+
+   // Queues the given command once the config has been read, so that commands are sent in the order they were given
+   var enqueueCommand = function(command, commandOptions, callback) {
+      whenConfigIsRead(callback, function() {
+         queueCommand(command, commandOptions, callback);
+      });
+   };
 
-      // commands need incrementing command IDs
-      command[COMMAND_ID_BYTE_INDEX] = getNextCommandId();
+   var queueCommand = function(command, commandOptions, callback) {
+      var signal = commandOptions ? commandOptions.signal : null;
+      if (signal && signal.aborted) {
+         return callback(createAbortError(), null);
+      }
 
-      // insert checksum
-      command[CHECKSUM_BYTE_INDEX] = computeChecksum(command);       // insert the checksum
+      stampCommand(command);
 
       var commandQueueItem = {
          command : command,
          callback : callback,
+         isRetryable : !(commandOptions && commandOptions.isRetryable === false),
+         numRetries : 0,
+         clearAttemptTimer : null,
+         isAwaitingAttempt : false,
+         isAwaitingRetry : false,
+         isAwaitingResponse : false,
+         timeoutTimer : null,
+         signal : signal,
+         abortListener : null,
+         isComplete : false,
 
          time : new Date().getTime(),
          toString : function() {
@@ -658,14 +1384,248 @@ function Speck(hidDeviceDescriptor) {
          }
       };
 
+      if (commandTimeoutMillis > 0) {
+         commandQueueItem.timeoutTimer = setTimeout(function() {
+            cancelCommandQueueItem(commandQueueItem, SpeckError.create(SpeckError.CODES.TIMEOUT,
+                                                                     "Command timed out after " + commandTimeoutMillis + " ms",
+                                                                     { command : command }));
+         }, commandTimeoutMillis);
+      }
+
+      if (signal) {
+         commandQueueItem.abortListener = function() {
+            cancelCommandQueueItem(commandQueueItem, createAbortError());
+         };
+         signal.addEventListener('abort', commandQueueItem.abortListener);
+      }
+
       //log.debug("enqueueCommand: enqueuing " + commandQueueItem.toString());
       commandQueue.push(commandQueueItem);
+      commandStats.maxQueueLength = Math.max(commandStats.maxQueueLength, commandQueue.length);
+
+      // Kick off processing.  If the command queue processor is already busy with another command, this does nothing,
+      // and this new item will get processed once the commands ahead of it are done.
+      processCommandQueue();
+   };
+
+   // commands need incrementing command IDs, and a checksum which includes the command ID
+   var stampCommand = function(command) {
+      SpeckProtocol.stampCommand(command, getNextCommandId());
+   };
+
+   var processCommandQueue = function() {
+      if (activeCommandQueueItem == null && commandQueue.length > 0) {
+         activeCommandQueueItem = commandQueue[0];
+         scheduleAttempt(activeCommandQueueItem, 0);
+      }
+   };
+
+   // Attempts the given item after the given delay, or on the next turn of the event loop if the delay is 0.  Either
+   // way, HID I/O never happens within the caller's stack, so other I/O (e.g. HTTP requests) is handled between
+   // commands, callbacks are always called asynchronously, and a long run of queued commands doesn't grow the stack.
+   var scheduleAttempt = function(commandQueueItem, delayMillis) {
+      var attempt = function() {
+         commandQueueItem.clearAttemptTimer = null;
+         attemptCommand(commandQueueItem);
+      };
+
+      commandQueueItem.isAwaitingAttempt = true;
+      if (delayMillis > 0) {
+         var timer = setTimeout(attempt, delayMillis);
+         commandQueueItem.clearAttemptTimer = function() {
+            clearTimeout(timer);
+         };
+      }
+      else {
+         var immediate = setImmediate(attempt);
+         commandQueueItem.clearAttemptTimer = function() {
+            clearImmediate(immediate);
+         };
+      }
+   };
+
+   var attemptCommand = function(commandQueueItem) {
+      commandQueueItem.isAwaitingAttempt = false;
+      commandQueueItem.isAwaitingRetry = false;
+
+      // the connection may have been closed since this command was enqueued
+      if (speck == null) {
+         return finishCommandQueueItem(commandQueueItem, createNotConnectedError(), null);
+      }
+
+      var connection = speck;
+      var ioStartTime = process.hrtime();
+      commandStats.numExchanges++;
+      commandQueueItem.isAwaitingResponse = true;
+      exchangeFeatureReports(connection, commandQueueItem.command, function(ioError, data) {
+         commandQueueItem.isAwaitingResponse = false;
+         recordIoTime(ioStartTime);
+
+         // the item may have timed out, been aborted, or been drained by a disconnect while the exchange was happening
+         // in a worker thread, in which case it has already completed
+         if (commandQueueItem.isComplete) {
+            return;
+         }
+
+         if (ioError) {
+            var isWriteError = ioError.stage == "write";
+            log.error("processCommandQueue(): failed to " + (isWriteError ? "write command" : "read command response") + ": " + ioError);
+            var hidIoError = createHidIoError(isWriteError ? "Failed to write command" : "Failed to read command response", commandQueueItem, ioError);
+            if (speck === connection) {
+               closeConnection(hidIoError);
+            }
+            return finishCommandQueueItem(commandQueueItem, hidIoError, null);
+         }
+
+         handleResponse(commandQueueItem, data);
+      });
+   };
 
-      // If this newly-added item is the only thing on the command queue, then go ahead and kick off processing.
-      // Otherwise, the command queue processor must already be running, so this new item will get processed
-      if (commandQueue.length <= 1) {
-         processCommandQueue();
+   // Writes the given command to the given device and reads the response, calling back with an error (whose stage is
+   // "write" or "read") or the response.  Devices which can exchange reports asynchronously (e.g. in a worker thread,
+   // see HidWorkerDevice) do so, otherwise the device's synchronous feature report methods are called directly.
+   var exchangeFeatureReports = function(device, command, callback) {
+      if (typeof device.exchangeFeatureReports === 'function') {
+         return device.exchangeFeatureReports(command, SpeckProtocol.REPORT_ID, SpeckProtocol.COMMAND_LENGTH_IN_BYTES, callback);
+      }
+
+      try {
+         device.sendFeatureReport(command);
+      }
+      catch (writeError) {
+         writeError.stage = "write";
+         return callback(writeError, null);
+      }
+
+      var data = null;
+      try {
+         data = device.getFeatureReport(SpeckProtocol.REPORT_ID, SpeckProtocol.COMMAND_LENGTH_IN_BYTES);
+      }
+      catch (readError) {
+         readError.stage = "read";
+         return callback(readError, null);
       }
+      callback(null, data);
+   };
+
+   // Verifies the response to the given item's command, retrying the command if the response is corrupt
+   var handleResponse = function(commandQueueItem, data) {
+      var verificationError = SpeckProtocol.validateResponse(commandQueueItem.command, data);
+      if (verificationError && commandQueueItem.isRetryable && commandQueueItem.numRetries < maxRetries) {
+         // corrupted responses are usually transient, so back off a bit and then try again with a fresh command ID
+         var delayMillis = retryBackoffMillis * Math.pow(2, commandQueueItem.numRetries);
+         commandQueueItem.numRetries++;
+         commandStats.numRetries++;
+         log.warn("processCommandQueue(): " + verificationError.message + ".  Retry " + commandQueueItem.numRetries + " of " + maxRetries + " in " + delayMillis + " ms");
+
+         stampCommand(commandQueueItem.command);
+         commandQueueItem.isAwaitingRetry = true;
+         scheduleAttempt(commandQueueItem, delayMillis);
+      }
+      else {
+         finishCommandQueueItem(commandQueueItem, verificationError, verificationError ? null : new Buffer(data));
+      }
+   };
+
+   var recordIoTime = function(ioStartTime) {
+      var elapsed = process.hrtime(ioStartTime);
+      commandStats.ioMillis += elapsed[0] * 1000 + elapsed[1] / 1e6;
+   };
+
+   // Wraps an error thrown by the HID device in a SpeckError, keeping the original as the cause
+   var createHidIoError = function(message, commandQueueItem, cause) {
+      return SpeckError.create(SpeckError.CODES.HID_IO, message + ": " + (cause && cause.message ? cause.message : cause), {
+         command : commandQueueItem.command,
+         cause : cause
+      });
+   };
+
+   // Removes the active item from the command queue, calls its callback, and then moves on to the next command
+   var finishCommandQueueItem = function(commandQueueItem, err, data) {
+      removeCommandQueueItem(commandQueueItem);
+      if (activeCommandQueueItem === commandQueueItem) {
+         activeCommandQueueItem = null;
+      }
+
+      completeCommandQueueItem(commandQueueItem, err, data);
+      processCommandQueue();
+   };
+
+   // Fails an item which hasn't completed yet because it's waiting in the queue, waiting to be retried, or waiting for
+   // the device to respond (e.g. because it timed out or was aborted).  A response which arrives after that is ignored.
+   // Does nothing if the item has already completed, or is about to do I/O.
+   var cancelCommandQueueItem = function(commandQueueItem, err) {
+      var isActive = activeCommandQueueItem === commandQueueItem;
+      if (commandQueueItem.isComplete ||
+          (isActive && !commandQueueItem.isAwaitingRetry && !commandQueueItem.isAwaitingResponse)) {
+         return;
+      }
+
+      log.error("cancelCommandQueueItem(): " + err.message);
+      removeCommandQueueItem(commandQueueItem);
+      if (isActive) {
+         activeCommandQueueItem = null;
+      }
+      completeCommandQueueItem(commandQueueItem, err, null);
+      processCommandQueue();
+   };
+
+   // Fails all items which are still waiting in the queue, waiting to be attempted, or waiting for the device to respond.
+   var drainCommandQueue = function(cause) {
+      var drainedItems = commandQueue.filter(function(commandQueueItem) {
+         return !commandQueueItem.isComplete &&
+                (commandQueueItem !== activeCommandQueueItem ||
+                 commandQueueItem.isAwaitingAttempt ||
+                 commandQueueItem.isAwaitingResponse);
+      });
+
+      drainedItems.forEach(removeCommandQueueItem);
+      if (drainedItems.indexOf(activeCommandQueueItem) >= 0) {
+         activeCommandQueueItem = null;
+      }
+
+      drainedItems.forEach(function(commandQueueItem) {
+         completeCommandQueueItem(commandQueueItem, createDisconnectedError(commandQueueItem.command, cause), null);
+      });
+
+      // commands may have been enqueued by the callbacks, e.g. after reconnecting
+      processCommandQueue();
+   };
+
+   var removeCommandQueueItem = function(commandQueueItem) {
+      var index = commandQueue.indexOf(commandQueueItem);
+      if (index >= 0) {
+         commandQueue.splice(index, 1);
+      }
+   };
+
+   // Cleans up the item's timers and listeners, and then calls its callback.  Guarantees the callback is only called once.
+   var completeCommandQueueItem = function(commandQueueItem, err, data) {
+      if (commandQueueItem.isComplete) {
+         return;
+      }
+      commandQueueItem.isComplete = true;
+
+      if (commandQueueItem.timeoutTimer != null) {
+         clearTimeout(commandQueueItem.timeoutTimer);
+         commandQueueItem.timeoutTimer = null;
+      }
+      if (commandQueueItem.clearAttemptTimer != null) {
+         commandQueueItem.clearAttemptTimer();
+         commandQueueItem.clearAttemptTimer = null;
+      }
+      if (commandQueueItem.abortListener != null) {
+         commandQueueItem.signal.removeEventListener('abort', commandQueueItem.abortListener);
+         commandQueueItem.abortListener = null;
+      }
+
+      if (err) {
+         commandStats.numFailedCommands++;
+      }
+      else {
+         commandStats.numCommands++;
+      }
+      commandQueueItem.callback(err, data);
    };
 
    var getNextCommandId = function() {
@@ -676,12 +1636,6 @@ function Speck(hidDeviceDescriptor) {
       return commandId;
    };
 
-   var byteBufferToArray = function(byteBuffer, desiredArrayLength) {
-      byteBuffer.position(desiredArrayLength);
-      var buffer = byteBuffer.array(0, desiredArrayLength);
-      return buffer.toJSON();
-   };
-
    // convert a byte to a zero-padded hex string (from http://stackoverflow.com/a/1283519/703200)
    var byteToZeroPaddedHexString = function(val) {
       return ("00" + (val).toString(16)).slice(-2);
@@ -697,37 +1651,131 @@ function Speck(hidDeviceDescriptor) {
 
    // the "constructor"
    (function() {
+      self.resetCommandStats();
       if (!self.connect()) {
-         throw new Error("Connection failed: failed to connect to device at path [" + hidDeviceDescriptor.path + "]");
+         throw SpeckError.create(SpeckError.CODES.HID_IO, "Connection failed: failed to connect to device at path [" + hidDeviceDescriptor.path + "]");
       }
    })();
 }
 
+util.inherits(Speck, EventEmitter);
+
 //======================================================================================================================
 // PUBLIC STATIC METHODS
 //======================================================================================================================
 
 /**
- * Scans for Speck devices and creates and returns a new instance of a {@link Speck} representing the first Speck to
- * which it could successfully connect. Returns <code>null</code> if no Specks are plugged in or if a connection could
- * not be established to any Speck.
+ * <p>
+ *    Scans for Speck devices and creates and returns a new instance of a {@link Speck} representing the first Speck to
+ *    which it could successfully connect. Returns <code>null</code> if no Specks are plugged in or if a connection
+ *    could not be established to any Speck.
+ * </p>
+ * <p>
+ *    If a <code>callback</code> is given, it's called with the Speck (or <code>null</code>) instead, once the Speck's
+ *    {@link Speck#getSpeckConfig config} has been read, so Specks which don't respond are skipped too.
+ * </p>
+ * <p>
+ *    If the <code>options</code> contain an <code>id</code>, only the Speck with that serial number (i.e. the
+ *    <code>id</code> returned by {@linkcode Speck#getSpeckConfig getSpeckConfig}, compared case-insensitively) is
+ *    given to the callback, or <code>null</code> if it can't be found.  Each Speck is connected to in turn to read
+ *    its id, so Specks which are in use by another process are skipped.  Since the id is read asynchronously, if no
+ *    <code>callback</code> is given, a Promise for the Speck (or <code>null</code>) is returned instead.  Note that
+ *    this is a breaking change: <code>Speck.create({ id : id })</code> used to return the Speck itself.
+ * </p>
  *
- * @returns {Speck}
+ * @param {object} [options] - options, such as the <code>transport</code>, passed along to the {@link Speck}
+ * constructor, and the <code>id</code> of the Speck to create
+ * @param {function} [callback] - the callback function with a signature of the form <code>callback(err, speck)</code>
+ * @returns {Speck|Promise|undefined} - if no <code>callback</code> was given, the Speck (or <code>null</code>), or a
+ * Promise for it if the <code>options</code> contain an <code>id</code>, otherwise <code>undefined</code>
  * @see Speck
+ * @see Speck.createAll
  */
-Speck.create = function() {
-   var hidDeviceDescriptors = Speck.enumerate();
-   for (var i = 0; i < hidDeviceDescriptors.length; i++) {
-      var hidDeviceDescriptor = hidDeviceDescriptors[i];
-      try {
-         return new Speck(hidDeviceDescriptor);
+Speck.create = function(options, callback) {
+   var desiredId = (options && options.id != null) ? String(options.id).toLowerCase() : null;
+   var hidDeviceDescriptors;
+   if (typeof callback !== 'function') {
+      if (desiredId != null) {
+         return callbackOrPromise(null, function(callback) {
+            Speck.create(options, callback);
+         });
       }
-      catch (e) {
-         log.error("Speck.create(): failed to connect to speck at path [" + hidDeviceDescriptor.path + "] due to error:" + e);
+      hidDeviceDescriptors = Speck.enumerate(options);
+      for (var i = 0; i < hidDeviceDescriptors.length; i++) {
+         var speck = openSpeck(hidDeviceDescriptors[i], options, "Speck.create()");
+         if (speck != null) {
+            return speck;
+         }
       }
+      return null;
    }
 
-   return null;
+   try {
+      hidDeviceDescriptors = Speck.enumerate(options);
+   }
+   catch (e) {
+      return setImmediate(function() {
+         callback(e, null);
+      });
+   }
+
+   var tryNextSpeck = function(index) {
+      if (index >= hidDeviceDescriptors.length) {
+         return setImmediate(function() {
+            callback(null, null);
+         });
+      }
+
+      var speck = openSpeck(hidDeviceDescriptors[index], options, "Speck.create()");
+      if (speck == null) {
+         return tryNextSpeck(index + 1);
+      }
+      speck.getSpeckConfig(function(err, config) {
+         if (err) {
+            log.error("Speck.create(): failed to read the config of the speck at path [" + hidDeviceDescriptors[index].path + "]: " + err);
+         }
+         else if (desiredId == null || String(config.id).toLowerCase() == desiredId) {
+            return callback(null, speck);
+         }
+         speck.disconnect();
+         tryNextSpeck(index + 1);
+      });
+   };
+   tryNextSpeck(0);
+};
+
+/**
+ * <p>
+ *    Scans for Speck devices and creates a new instance of a {@link Speck} for every one to which it could
+ *    successfully connect.  Returns an object with two fields:
+ *    <ul>
+ *       <li><code>specks</code>: an array of the connected {@link Speck} instances</li>
+ *       <li><code>failures</code>: an array with an object for each Speck which couldn't be opened (e.g. because
+ *       it's in use by another process), with the Speck's HID <code>path</code> and the <code>error</code></li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    Each Speck's config is read asynchronously once it's open, so a Speck which opens, but doesn't respond, is
+ *    still included in <code>specks</code>.  Its {@linkcode Speck#getSpeckConfig getSpeckConfig} reports the error.
+ * </p>
+ *
+ * @param {object} [options] - options, such as the <code>transport</code>, passed along to the {@link Speck}
+ * constructor
+ * @returns {{specks: Array, failures: Array}}
+ * @see Speck.create
+ */
+Speck.createAll = function(options) {
+   var result = { specks : [], failures : [] };
+   Speck.enumerate(options).forEach(function(hidDeviceDescriptor) {
+      try {
+         result.specks.push(new Speck(hidDeviceDescriptor, options));
+      }
+      catch (e) {
+         log.error("Speck.createAll(): failed to connect to speck at path [" + hidDeviceDescriptor.path + "] due to error:" + e);
+         result.failures.push({ path : hidDeviceDescriptor.path, error : e });
+      }
+   });
+   return result;
 };
 
 /**
@@ -735,13 +1783,65 @@ Speck.create = function() {
  * plugged in.  Note that this method makes no guarantees about availability.  A device may currently be in use by
  * another process.  The only way to determine availability is to attempt a connection.
  *
+ * @param {object} [options] - options, such as the <code>transport</code> to scan (defaults to
+ * {@link HidTransport})
  * @returns {Array}
  * @see Speck.enumerate
  */
-Speck.enumerate = function() {
-   return HID.devices(SPECK_HID.vendorId, SPECK_HID.productId);
+Speck.enumerate = function(options) {
+   return getTransport(options).devices(SPECK_HID.vendorId, SPECK_HID.productId);
 };
 
+//======================================================================================================================
+// PROTOCOL
+//======================================================================================================================
+
+Speck.SpeckProtocol = SpeckProtocol;
+Speck.SpeckError = SpeckError;
+
+//======================================================================================================================
+// TRANSPORTS
+//======================================================================================================================
+
+defineLazyExport('HidTransport', './lib/HidTransport', 'node-hid');
+Speck.HidWorkerDevice = HidWorkerDevice;
+Speck.SimulatedTransport = SimulatedTransport;
+Speck.SimulatedSpeck = SimulatedSpeck;
+Speck.RecordingTransport = RecordingTransport;
+Speck.ReplayTransport = ReplayTransport;
+
+//======================================================================================================================
+// DEVICE MANAGEMENT
+//======================================================================================================================
+
+Speck.SpeckManager = SpeckManager;
+Speck.SpeckProvisioner = SpeckProvisioner;
+
+//======================================================================================================================
+// REMOTE ACCESS
+//======================================================================================================================
+
+Speck.SpeckServer = SpeckServer;
+defineLazyExport('SpeckFeedServer', './lib/SpeckFeedServer', 'ws');
+defineLazyExport('MqttPublisher', './lib/MqttPublisher', 'mqtt');
+
+//======================================================================================================================
+// DATA STORAGE AND UPLOAD
+//======================================================================================================================
+
+Speck.SampleStore = SampleStore;
+Speck.EsdrUploader = EsdrUploader;
+
+//======================================================================================================================
+// DATA ANALYSIS
+//======================================================================================================================
+
+Speck.Aqi = Aqi;
+Speck.Calibration = Calibration;
+Speck.SampleSchema = SampleSchema;
+Speck.SampleAggregator = SampleAggregator;
+Speck.AlertEngine = AlertEngine;
+
 //======================================================================================================================
 
 module.exports = Speck;
\ No newline at end of file
@@ -0,0 +1,405 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var fs = require('fs');
+var log = require('log4js').getLogger("speck-sensor");
+var SpeckManager = require('./SpeckManager');
+var SpeckSubscription = require('./SpeckSubscription');
+var SpeckError = require('./SpeckError');
+
+var OPERATORS = {
+   ">" : function(value, threshold) {
+      return value > threshold;
+   },
+   ">=" : function(value, threshold) {
+      return value >= threshold;
+   },
+   "<" : function(value, threshold) {
+      return value < threshold;
+   },
+   "<=" : function(value, threshold) {
+      return value <= threshold;
+   }
+};
+
+// Multipliers for the duration units allowed in rule conditions, e.g. "particleConcentration > 35 for 10 minutes"
+var DURATION_UNITS_IN_SECS = {
+   s : 1, sec : 1, secs : 1, second : 1, seconds : 1,
+   m : 60, min : 60, mins : 60, minute : 60, minutes : 60,
+   h : 3600, hr : 3600, hrs : 3600, hour : 3600, hours : 3600
+};
+
+var CONDITION_PATTERN = /^\s*([A-Za-z_]\w*)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)\s*(?:for\s+(\d+(?:\.\d+)?)\s*([A-Za-z]+))?\s*$/;
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var isValidNumber = function(value) {
+   return typeof value === 'number' && isFinite(value);
+};
+
+// Validates the given rule, and returns a normalized copy of it, with the condition (if any) parsed into the field,
+// operator, threshold, and durationSecs
+var parseRule = function(rule, index) {
+   if (rule == null || typeof rule !== 'object') {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid alert rule at index [" + index + "]: must be an object");
+   }
+   var name = rule.name;
+   if (typeof name !== 'string' || name.length == 0) {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid alert rule at index [" + index + "]: it must have a name");
+   }
+   var invalid = function(message) {
+      return SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid alert rule [" + name + "]: " + message);
+   };
+
+   var parsedRule = {
+      name : name,
+      deviceId : (typeof rule.deviceId === 'string') ? rule.deviceId.toLowerCase() : null,
+      field : rule.field,
+      operator : rule.operator,
+      threshold : rule.threshold,
+      durationSecs : rule.durationSecs || 0,
+      hysteresis : rule.hysteresis || 0,
+      cooldownSecs : rule.cooldownSecs || 0
+   };
+
+   if (typeof rule.condition !== 'undefined') {
+      var match = CONDITION_PATTERN.exec(String(rule.condition));
+      if (match == null) {
+         throw invalid("can't parse the condition [" + rule.condition + "], expected e.g. \"particleConcentration > 35 for 10 minutes\"");
+      }
+      parsedRule.field = match[1];
+      parsedRule.operator = match[2];
+      parsedRule.threshold = parseFloat(match[3]);
+      if (typeof match[4] !== 'undefined') {
+         var unit = match[5].toLowerCase();
+         if (!DURATION_UNITS_IN_SECS.hasOwnProperty(unit)) {
+            throw invalid("unknown duration unit [" + match[5] + "] in the condition [" + rule.condition + "]");
+         }
+         parsedRule.durationSecs = parseFloat(match[4]) * DURATION_UNITS_IN_SECS[unit];
+      }
+   }
+
+   if (typeof parsedRule.field !== 'string' || parsedRule.field.length == 0) {
+      throw invalid("it must have a condition, or a field");
+   }
+   if (!OPERATORS.hasOwnProperty(parsedRule.operator)) {
+      throw invalid("invalid operator [" + parsedRule.operator + "], must be one of [" + Object.keys(OPERATORS).join(", ") + "]");
+   }
+   if (!isValidNumber(parsedRule.threshold)) {
+      throw invalid("invalid threshold [" + parsedRule.threshold + "], must be a number");
+   }
+   ["durationSecs", "hysteresis", "cooldownSecs"].forEach(function(property) {
+      if (!isValidNumber(parsedRule[property]) || parsedRule[property] < 0) {
+         throw invalid("invalid " + property + " [" + parsedRule[property] + "], must be a non-negative number");
+      }
+   });
+   if (rule.deviceId != null && parsedRule.deviceId == null) {
+      throw invalid("invalid deviceId [" + rule.deviceId + "], must be a string");
+   }
+
+   return parsedRule;
+};
+
+// Returns whether the given value no longer meets the rule's condition, by a margin of at least the rule's hysteresis
+var isCleared = function(rule, value) {
+   var isUpperLimit = rule.operator.charAt(0) == ">";
+   var clearingThreshold = isUpperLimit ? rule.threshold - rule.hysteresis : rule.threshold + rule.hysteresis;
+   return !OPERATORS[rule.operator](value, clearingThreshold);
+};
+
+var copyAlert = function(alert) {
+   var copy = {};
+   Object.keys(alert).forEach(function(key) {
+      copy[key] = alert[key];
+   });
+   copy.samples = alert.samples.slice();
+   return copy;
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates an engine which evaluates samples from Specks against threshold rules, emitting an
+ *    {@link AlertEngine#event:alert alert} event when a rule's condition starts being met, and a
+ *    {@link AlertEngine#event:clear clear} event when it stops, e.g. to turn ventilation on and off, or to send
+ *    notifications.  Each rule is evaluated separately for each Speck.
+ * </p>
+ * <p>
+ *    Rules are objects with the following fields:
+ *    <ul>
+ *       <li><code>name</code>: required, the rule's name, included in its alerts</li>
+ *       <li><code>condition</code>: the condition, as a string of the form <code>field operator threshold</code>,
+ *       optionally followed by <code>for duration unit</code>, e.g. <code>"humidity > 80"</code> or
+ *       <code>"particleConcentration > 35 for 10 minutes"</code>.  The operator may be <code>&gt;</code>,
+ *       <code>&gt;=</code>, <code>&lt;</code>, or <code>&lt;=</code>, and the unit may be seconds, minutes, or hours.
+ *       Alternatively, give the <code>field</code>, <code>operator</code>, <code>threshold</code>, and (optionally)
+ *       <code>durationSecs</code> separately.</li>
+ *       <li><code>deviceId</code>: the id of the only Speck the rule applies to (defaults to all Specks)</li>
+ *       <li><code>hysteresis</code>: how far past the threshold the value must come back before the alert clears
+ *       (defaults to 0).  For example, with <code>"particleConcentration > 35"</code> and a hysteresis of 5, the
+ *       alert clears once the concentration is 30 or less.</li>
+ *       <li><code>cooldownSecs</code>: once an alert clears, how long before the rule may raise a new alert for the
+ *       same Speck, in seconds (defaults to 0)</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    A rule with a duration only raises an alert once its condition has held for every sample spanning at least
+ *    that duration.  Times are taken from each sample's <code>sampleTimeSecs</code>.  Samples without a value for
+ *    the rule's field (e.g. <code>particleConcentration</code> from a Speck supporting protocol version 1 or 2) are
+ *    ignored by that rule.
+ * </p>
+ * <p>
+ *    Samples may be given to the engine directly, via {@linkcode AlertEngine#evaluate evaluate}.  Once
+ *    {@linkcode AlertEngine#start started}, the engine also evaluates the samples of every Speck tracked by a
+ *    {@link SpeckManager}, {@linkcode Speck#startSampling sampling} each one while attached.
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>rules</code>: an array of rules</li>
+ *       <li><code>manager</code>: the {@link SpeckManager} which tracks the Specks.  If not given, the engine
+ *       creates one, which it starts and stops along with itself.</li>
+ *       <li><code>transport</code>: the transport for the engine's own manager (defaults to
+ *       {@link HidTransport})</li>
+ *       <li><code>speckOptions</code>: the options for the Specks of the engine's own manager, such as
+ *       <code>normalizeSamples</code> or <code>calibration</code> (see {@link SpeckManager})</li>
+ *       <li><code>samplingIntervalMillis</code>: how often to read each Speck's current sample (defaults to
+ *       1000)</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {object} [options] - the engine's options
+ * @constructor
+ * @extends EventEmitter
+ * @fires AlertEngine#alert
+ * @fires AlertEngine#clear
+ * @throws {SpeckError} if any of the rules are invalid
+ * @see AlertEngine.load
+ */
+function AlertEngine(options) {
+   EventEmitter.call(this);
+
+   options = options || {};
+
+   var self = this;
+   var rules = null;
+   var isManagerOwned = !options.manager;
+   var manager = options.manager || new SpeckManager({ transport : options.transport, speckOptions : options.speckOptions });
+
+   // map of rule name to a map of Speck id to the rule's state for that Speck
+   var ruleStates = {};
+
+   var subscription = new SpeckSubscription(manager, {
+      samplingIntervalMillis : options.samplingIntervalMillis,
+      onSample : function(id, sample) {
+         self.evaluate(id, sample);
+      }
+   });
+
+   /**
+    * Starts evaluating the samples of the Specks tracked by the manager.  Does nothing if already started.
+    */
+   this.start = function() {
+      subscription.start();
+      if (isManagerOwned) {
+         manager.start();
+      }
+   };
+
+   /**
+    * Stops evaluating the samples of the Specks tracked by the manager.  Specks are left connected, but stop
+    * sampling unless something else sharing the manager is still sampling them (see {@link SpeckSubscription}).
+    * Active alerts remain active.
+    */
+   this.stop = function() {
+      subscription.stop();
+      if (isManagerOwned) {
+         manager.stop();
+      }
+   };
+
+   /**
+    * Evaluates the given sample from the Speck with the given id against each rule which applies to that Speck,
+    * emitting {@link AlertEngine#event:alert alert} and {@link AlertEngine#event:clear clear} events as needed.
+    * Samples from each Speck should be given oldest first.
+    *
+    * @param {string} deviceId - the id of the Speck the sample came from
+    * @param {object} sample - the sample
+    */
+   this.evaluate = function(deviceId, sample) {
+      if (sample == null) {
+         return;
+      }
+      deviceId = String(deviceId).toLowerCase();
+      var sampleTimeSecs = isValidNumber(sample.sampleTimeSecs) ? sample.sampleTimeSecs : Math.round(new Date().getTime() / 1000);
+
+      rules.forEach(function(rule) {
+         if ((rule.deviceId == null || rule.deviceId == deviceId) && isValidNumber(sample[rule.field])) {
+            evaluateRule(rule, getRuleState(rule, deviceId), deviceId, sample, sampleTimeSecs);
+         }
+      });
+   };
+
+   /**
+    * Returns copies of the currently active alerts, in the same format as given to
+    * {@link AlertEngine#event:alert alert} listeners.
+    *
+    * @returns {Array}
+    */
+   this.getActiveAlerts = function() {
+      var activeAlerts = [];
+      rules.forEach(function(rule) {
+         var statesById = ruleStates[rule.name];
+         Object.keys(statesById).forEach(function(deviceId) {
+            if (statesById[deviceId].alert != null) {
+               activeAlerts.push(copyAlert(statesById[deviceId].alert));
+            }
+         });
+      });
+      return activeAlerts;
+   };
+
+   /**
+    * Returns the rules, with any conditions parsed into the <code>field</code>, <code>operator</code>,
+    * <code>threshold</code>, and <code>durationSecs</code>.
+    *
+    * @returns {Array}
+    */
+   this.getRules = function() {
+      return rules.map(function(rule) {
+         return JSON.parse(JSON.stringify(rule));
+      });
+   };
+
+   /**
+    * Returns the {@link SpeckManager} which tracks the Specks.
+    *
+    * @returns {SpeckManager}
+    */
+   this.getManager = function() {
+      return manager;
+   };
+
+   var getRuleState = function(rule, deviceId) {
+      var statesById = ruleStates[rule.name];
+      if (!statesById.hasOwnProperty(deviceId)) {
+         statesById[deviceId] = {
+            pendingSamples : [],
+            alert : null,
+            lastClearTimeSecs : null
+         };
+      }
+      return statesById[deviceId];
+   };
+
+   var evaluateRule = function(rule, state, deviceId, sample, sampleTimeSecs) {
+      var value = sample[rule.field];
+
+      if (state.alert != null) {
+         if (isCleared(rule, value)) {
+            var clearedAlert = state.alert;
+            state.alert = null;
+            state.lastClearTimeSecs = sampleTimeSecs;
+            clearedAlert.clearTimeSecs = sampleTimeSecs;
+            clearedAlert.clearingSample = sample;
+            clearedAlert.value = value;
+
+            /**
+             * Clear event, emitted when an active alert's rule stops being met (taking the rule's hysteresis into
+             * account).  Listeners are called with the same object given to the
+             * {@link AlertEngine#event:alert alert} listeners, with the latest <code>value</code>, plus
+             * <code>clearTimeSecs</code> and the <code>clearingSample</code>.
+             *
+             * @event AlertEngine#clear
+             * @type {object}
+             */
+            self.emit('clear', clearedAlert);
+         }
+         return;
+      }
+
+      if (!OPERATORS[rule.operator](value, rule.threshold)) {
+         state.pendingSamples = [];
+         return;
+      }
+
+      state.pendingSamples.push(sample);
+      var conditionStartTimeSecs = isValidNumber(state.pendingSamples[0].sampleTimeSecs) ? state.pendingSamples[0].sampleTimeSecs : sampleTimeSecs;
+      var hasHeldLongEnough = sampleTimeSecs - conditionStartTimeSecs >= rule.durationSecs;
+      var isCoolingDown = state.lastClearTimeSecs != null && sampleTimeSecs < state.lastClearTimeSecs + rule.cooldownSecs;
+      if (hasHeldLongEnough && !isCoolingDown) {
+         state.alert = {
+            rule : rule.name,
+            deviceId : deviceId,
+            field : rule.field,
+            operator : rule.operator,
+            threshold : rule.threshold,
+            value : value,
+            startTimeSecs : conditionStartTimeSecs,
+            triggerTimeSecs : sampleTimeSecs,
+            samples : state.pendingSamples
+         };
+         state.pendingSamples = [];
+
+         /**
+          * Alert event, emitted when a rule's condition has been met for its duration.  Listeners are called with an
+          * object containing the <code>rule</code> name, the <code>deviceId</code> of the Speck, the rule's
+          * <code>field</code>, <code>operator</code>, and <code>threshold</code>, the triggering <code>value</code>,
+          * <code>startTimeSecs</code> (when the condition started being met), <code>triggerTimeSecs</code> (when the
+          * alert was raised), and the triggering <code>samples</code>, oldest first.
+          *
+          * @event AlertEngine#alert
+          * @type {object}
+          */
+         self.emit('alert', copyAlert(state.alert));
+      }
+   };
+
+   // the "constructor"
+   (function() {
+      rules = (options.rules || []).map(parseRule);
+      rules.forEach(function(rule) {
+         if (ruleStates.hasOwnProperty(rule.name)) {
+            throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid alert rule [" + rule.name + "]: rule names must be unique");
+         }
+         ruleStates[rule.name] = {};
+      });
+      log.debug("AlertEngine: loaded [" + rules.length + "] rules");
+   })();
+}
+
+util.inherits(AlertEngine, EventEmitter);
+
+//======================================================================================================================
+// PUBLIC STATIC METHODS
+//======================================================================================================================
+
+/**
+ * Creates an engine with the rules in the given JSON file, which contains either an array of rules, or an object
+ * with a <code>rules</code> array.
+ *
+ * @param {string} filePath - the path to the JSON file
+ * @param {object} [options] - the engine's other options (see {@link AlertEngine})
+ * @returns {AlertEngine}
+ * @throws {Error} if the file can't be read or parsed, or any of the rules is invalid
+ */
+AlertEngine.load = function(filePath, options) {
+   var json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+   var engineOptions = {};
+   Object.keys(options || {}).forEach(function(key) {
+      engineOptions[key] = options[key];
+   });
+   engineOptions.rules = Array.isArray(json) ? json : json.rules;
+   if (!Array.isArray(engineOptions.rules)) {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid alert rules file [" + filePath + "]: expected an array of rules, or an object with a rules array");
+   }
+   return new AlertEngine(engineOptions);
+};
+
+//======================================================================================================================
+
+module.exports = AlertEngine;
@@ -0,0 +1,256 @@
+var SpeckError = require('./SpeckError');
+
+var SECONDS_PER_HOUR = 60 * 60;
+var NOWCAST_HOURS = 12;
+var NOWCAST_MIN_WEIGHT_FACTOR = 0.5;
+
+// The EPA's PM2.5 breakpoints (µg/m³, 24-hour average) and their corresponding AQI ranges, as revised in 2024
+var PM25_BREAKPOINTS = [
+   { minConcentration : 0.0, maxConcentration : 9.0, minAqi : 0, maxAqi : 50 },
+   { minConcentration : 9.1, maxConcentration : 35.4, minAqi : 51, maxAqi : 100 },
+   { minConcentration : 35.5, maxConcentration : 55.4, minAqi : 101, maxAqi : 150 },
+   { minConcentration : 55.5, maxConcentration : 125.4, minAqi : 151, maxAqi : 200 },
+   { minConcentration : 125.5, maxConcentration : 225.4, minAqi : 201, maxAqi : 300 },
+   { minConcentration : 225.5, maxConcentration : 325.4, minAqi : 301, maxAqi : 500 }
+];
+
+var CATEGORIES = [
+   { name : "Good", color : "#00E400", minAqi : 0, maxAqi : 50 },
+   { name : "Moderate", color : "#FFFF00", minAqi : 51, maxAqi : 100 },
+   { name : "Unhealthy for Sensitive Groups", color : "#FF7E00", minAqi : 101, maxAqi : 150 },
+   { name : "Unhealthy", color : "#FF0000", minAqi : 151, maxAqi : 200 },
+   { name : "Very Unhealthy", color : "#8F3F97", minAqi : 201, maxAqi : 300 },
+   { name : "Hazardous", color : "#7E0023", minAqi : 301, maxAqi : null }
+];
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+// The EPA truncates PM2.5 concentrations to one decimal place before looking them up in the breakpoint table
+var truncateConcentration = function(concentration) {
+   return Math.floor(concentration * 10 + 1e-9) / 10;
+};
+
+var validateConcentration = function(concentration) {
+   if (typeof concentration !== 'number' || !isFinite(concentration) || concentration < 0) {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid PM2.5 concentration [" + concentration + "], must be a non-negative number");
+   }
+};
+
+// Returns the sample's particleConcentration, or throws an Error if it doesn't have one
+var getSampleConcentration = function(sample) {
+   if (sample == null || typeof sample.particleConcentration !== 'number') {
+      if (sample != null && typeof sample.particleCount === 'number') {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT,
+                                 "The sample has a particleCount but no particleConcentration.  AQI requires a PM2.5 " +
+                                 "concentration, which only Specks supporting protocol version 3 report.");
+      }
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "The sample has no particleConcentration");
+   }
+   return sample.particleConcentration;
+};
+
+var createAqiResult = function(concentration) {
+   var aqi = Aqi.computeAqi(concentration);
+   var category = Aqi.getCategory(aqi);
+   return {
+      concentration : truncateConcentration(concentration),
+      aqi : aqi,
+      category : category.name,
+      color : category.color
+   };
+};
+
+//======================================================================================================================
+// MODULE DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Functions for converting PM2.5 concentrations, as reported in the <code>particleConcentration</code> field of
+ *    samples from Specks supporting protocol version 3, to the US EPA's
+ *    <a href="https://www.airnow.gov/aqi/aqi-basics/">Air Quality Index</a>, using the EPA's 2024 PM2.5 breakpoints.
+ * </p>
+ * <p>
+ *    Specks supporting protocol version 1 or 2 report a <code>particleCount</code> instead, which can't be converted
+ *    to an AQI, so the functions which take samples throw an <code>Error</code> when given such samples.
+ * </p>
+ *
+ * @namespace Aqi
+ */
+var Aqi = {
+   /**
+    * Returns the AQI for the given PM2.5 concentration, which is first truncated to one decimal place.
+    * Concentrations beyond the top of the Hazardous breakpoint extend that breakpoint's line, so the AQI may exceed
+    * 500.
+    *
+    * @param {number} concentration - the PM2.5 concentration, in µg/m³
+    * @returns {int} the AQI
+    * @throws {SpeckError} if the concentration isn't a non-negative number
+    */
+   computeAqi : function(concentration) {
+      validateConcentration(concentration);
+      var truncatedConcentration = truncateConcentration(concentration);
+
+      var breakpoint = PM25_BREAKPOINTS[PM25_BREAKPOINTS.length - 1];
+      for (var i = 0; i < PM25_BREAKPOINTS.length; i++) {
+         if (truncatedConcentration <= PM25_BREAKPOINTS[i].maxConcentration) {
+            breakpoint = PM25_BREAKPOINTS[i];
+            break;
+         }
+      }
+
+      return Math.round((breakpoint.maxAqi - breakpoint.minAqi) /
+                        (breakpoint.maxConcentration - breakpoint.minConcentration) *
+                        (truncatedConcentration - breakpoint.minConcentration) +
+                        breakpoint.minAqi);
+   },
+
+   /**
+    * Returns the AQI category for the given AQI, as an object with <code>name</code>, <code>color</code> (a CSS hex
+    * color, as used by the EPA), <code>minAqi</code> and <code>maxAqi</code> (<code>null</code> for Hazardous)
+    * fields.
+    *
+    * @param {int} aqi - the AQI
+    * @returns {{name: string, color: string, minAqi: int, maxAqi: int|null}}
+    */
+   getCategory : function(aqi) {
+      for (var i = 0; i < CATEGORIES.length - 1; i++) {
+         if (aqi <= CATEGORIES[i].maxAqi) {
+            return CATEGORIES[i];
+         }
+      }
+      return CATEGORIES[CATEGORIES.length - 1];
+   },
+
+   /**
+    * Returns the AQI, category, and color for the given PM2.5 concentration.
+    *
+    * @param {number} concentration - the PM2.5 concentration, in µg/m³
+    * @returns {{concentration: number, aqi: int, category: string, color: string}} where
+    * <code>concentration</code> is the truncated concentration
+    * @throws {SpeckError} if the concentration isn't a non-negative number
+    */
+   fromConcentration : function(concentration) {
+      return createAqiResult(concentration);
+   },
+
+   /**
+    * Returns the AQI, category, and color for the <code>particleConcentration</code> of the given sample.  Note that
+    * the EPA defines the AQI for PM2.5 over 24-hour averages, so for a single sample it's only an indication;
+    * see {@linkcode Aqi.computeNowCast computeNowCast} for a better estimate of current conditions.
+    *
+    * @param {object} sample - a sample from a Speck supporting protocol version 3
+    * @returns {{concentration: number, aqi: int, category: string, color: string}}
+    * @throws {SpeckError} if the sample has no <code>particleConcentration</code>, e.g. if it's from a Speck supporting
+    * protocol version 1 or 2
+    */
+   fromSample : function(sample) {
+      return createAqiResult(getSampleConcentration(sample));
+   },
+
+   /**
+    * <p>
+    *    Computes the EPA NowCast PM2.5 concentration, and its AQI, from the given samples.  The samples are averaged
+    *    by clock hour, and the 12 hours ending with the hour containing <code>endTimeSecs</code> are weighted so that
+    *    recent hours count for more when conditions are changing quickly.
+    * </p>
+    * <p>
+    *    Hours without samples are left out of the calculation, but keep their place in the weighting.  As the EPA
+    *    requires, the NowCast is only available if at least two of the three most recent hours have samples;
+    *    otherwise this returns <code>null</code>.
+    * </p>
+    * <p>
+    *    The <code>options</code> object may contain the following fields:
+    *    <ul>
+    *       <li><code>endTimeSecs</code>: the time, in seconds, at which to compute the NowCast (defaults to the time
+    *       of the newest sample)</li>
+    *    </ul>
+    * </p>
+    *
+    * @param {Array} samples - samples from a Speck supporting protocol version 3, in any order
+    * @param {object} [options] - options for the calculation
+    * @returns {{concentration: number, aqi: int, category: string, color: string, numHours: int}|null} where
+    * <code>numHours</code> is the number of hours which had samples, or <code>null</code> if there isn't enough
+    * data
+    * @throws {SpeckError} if any sample has no <code>particleConcentration</code>
+    */
+   computeNowCast : function(samples, options) {
+      options = options || {};
+      var hourlyAverages = Aqi.computeHourlyAverages(samples, options.endTimeSecs);
+
+      var numRecentHours = hourlyAverages.slice(0, 3).filter(function(average) {
+         return average != null;
+      }).length;
+      if (numRecentHours < 2) {
+         return null;
+      }
+
+      var availableAverages = hourlyAverages.filter(function(average) {
+         return average != null;
+      });
+      var min = Math.min.apply(null, availableAverages);
+      var max = Math.max.apply(null, availableAverages);
+      var weightFactor = max > 0 ? Math.max(min / max, NOWCAST_MIN_WEIGHT_FACTOR) : 1;
+
+      var weightedSum = 0;
+      var sumOfWeights = 0;
+      hourlyAverages.forEach(function(average, i) {
+         if (average != null) {
+            var weight = Math.pow(weightFactor, i);
+            weightedSum += weight * average;
+            sumOfWeights += weight;
+         }
+      });
+
+      var result = createAqiResult(weightedSum / sumOfWeights);
+      result.numHours = availableAverages.length;
+      return result;
+   },
+
+   /**
+    * Returns the average <code>particleConcentration</code> of the given samples in each of the 12 clock hours
+    * ending with the hour containing <code>endTimeSecs</code>, most recent hour first.  Hours without samples are
+    * <code>null</code>.
+    *
+    * @param {Array} samples - samples from a Speck supporting protocol version 3, in any order
+    * @param {number} [endTimeSecs] - the time, in seconds, of the most recent hour (defaults to the time of the newest
+    * sample)
+    * @returns {Array} the 12 hourly averages
+    * @throws {SpeckError} if any sample has no <code>particleConcentration</code>
+    */
+   computeHourlyAverages : function(samples, endTimeSecs) {
+      samples = samples || [];
+      if (endTimeSecs == null) {
+         endTimeSecs = samples.reduce(function(newest, sample) {
+            return Math.max(newest, sample.sampleTimeSecs);
+         }, -Infinity);
+      }
+
+      var sums = [];
+      var counts = [];
+      for (var i = 0; i < NOWCAST_HOURS; i++) {
+         sums.push(0);
+         counts.push(0);
+      }
+
+      var endHour = Math.floor(endTimeSecs / SECONDS_PER_HOUR);
+      samples.forEach(function(sample) {
+         var concentration = getSampleConcentration(sample);
+         var hoursAgo = endHour - Math.floor(sample.sampleTimeSecs / SECONDS_PER_HOUR);
+         if (hoursAgo >= 0 && hoursAgo < NOWCAST_HOURS) {
+            sums[hoursAgo] += concentration;
+            counts[hoursAgo]++;
+         }
+      });
+
+      return sums.map(function(sum, i) {
+         return counts[i] > 0 ? sum / counts[i] : null;
+      });
+   }
+};
+
+//======================================================================================================================
+
+module.exports = Aqi;
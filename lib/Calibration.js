@@ -0,0 +1,216 @@
+var fs = require('fs');
+var SpeckError = require('./SpeckError');
+
+var CALIBRATED_FIELDS = ["particleConcentration", "particleCount"];
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var isNumber = function(value) {
+   return typeof value === 'number' && isFinite(value);
+};
+
+// Throws an INVALID_ARGUMENT SpeckError if the given correction isn't valid
+var validateCorrection = function(deviceId, field, correction) {
+   var describe = function(problem) {
+      return SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid " + field + " correction for device [" + deviceId + "]: " + problem);
+   };
+
+   if (correction == null || typeof correction !== 'object') {
+      throw describe("must be an object");
+   }
+   if (correction.type == "linear") {
+      if (!isNumber(correction.slope) || !isNumber(correction.intercept)) {
+         throw describe("linear corrections need a numeric slope and intercept");
+      }
+   }
+   else if (correction.type == "piecewise") {
+      var points = correction.points;
+      if (!Array.isArray(points) || points.length < 2) {
+         throw describe("piecewise corrections need at least two points");
+      }
+      points.forEach(function(point, i) {
+         if (!Array.isArray(point) || point.length != 2 || !isNumber(point[0]) || !isNumber(point[1])) {
+            throw describe("each point must be a [raw, calibrated] pair of numbers");
+         }
+         if (i > 0 && point[0] <= points[i - 1][0]) {
+            throw describe("points must be sorted by increasing raw value");
+         }
+      });
+   }
+   else {
+      throw describe("unknown type [" + correction.type + "], must be linear or piecewise");
+   }
+   if (typeof correction.humidityCoefficient !== 'undefined' && !isNumber(correction.humidityCoefficient)) {
+      throw describe("the humidityCoefficient must be a number");
+   }
+};
+
+// Applies the given piecewise linear correction, extending the first and last segments beyond the ends
+var applyPiecewise = function(points, value) {
+   var i = 1;
+   while (i < points.length - 1 && value > points[i][0]) {
+      i++;
+   }
+   var start = points[i - 1];
+   var end = points[i];
+   return start[1] + (value - start[0]) * (end[1] - start[1]) / (end[0] - start[0]);
+};
+
+var applyCorrection = function(correction, value, humidity) {
+   var calibratedValue = (correction.type == "linear") ?
+                         correction.slope * value + correction.intercept :
+                         applyPiecewise(correction.points, value);
+
+   if (isNumber(correction.humidityCoefficient) && isNumber(humidity)) {
+      calibratedValue += correction.humidityCoefficient * humidity;
+   }
+
+   // particle concentrations and counts can't be negative
+   return Math.max(0, calibratedValue);
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a set of per-device calibration profiles, keyed by device id (i.e. the <code>id</code> returned by
+ *    {@linkcode Speck#getSpeckConfig getSpeckConfig}, compared case-insensitively).  Each profile may hold a correction for
+ *    <code>particleConcentration</code> and/or <code>particleCount</code>, which is one of:
+ *    <ul>
+ *       <li><code>{ "type" : "linear", "slope" : number, "intercept" : number }</code>: the calibrated value is
+ *       <code>slope * raw + intercept</code></li>
+ *       <li><code>{ "type" : "piecewise", "points" : [[raw, calibrated], ...] }</code>: the calibrated value is
+ *       interpolated between the two surrounding points (sorted by raw value), and extrapolated from the first or
+ *       last pair of points beyond the ends</li>
+ *    </ul>
+ *    Either kind of correction may also have a <code>humidityCoefficient</code>, in which case
+ *    <code>humidityCoefficient * humidity</code> is added to the calibrated value.  Calibrated values are never
+ *    negative.
+ * </p>
+ * <p>
+ *    For example:
+ *    <pre>
+ * {
+ *    "0123456789abcdef0123456789abcdef" : {
+ *       "particleConcentration" : { "type" : "linear", "slope" : 0.52, "intercept" : 5.75, "humidityCoefficient" : -0.086 }
+ *    }
+ * }
+ *    </pre>
+ * </p>
+ * <p>
+ *    Give an instance to the {@link Speck} constructor's <code>calibration</code> option to have calibrated values
+ *    added to samples automatically.
+ * </p>
+ *
+ * @param {object} [profiles] - the profiles, keyed by device id
+ * @constructor
+ * @throws {SpeckError} if any of the profiles is invalid
+ */
+function Calibration(profiles) {
+   profiles = profiles || {};
+
+   // the profiles, keyed by lower case device id
+   var profilesById = {};
+
+   /**
+    * Returns the profile for the given device, or <code>null</code> if there isn't one.
+    *
+    * @param {string} deviceId - the device's id
+    * @returns {object|null}
+    */
+   this.getProfile = function(deviceId) {
+      var id = String(deviceId).toLowerCase();
+      return Object.prototype.hasOwnProperty.call(profilesById, id) ? profilesById[id] : null;
+   };
+
+   /**
+    * Returns the (lower case) ids of the devices which have profiles.
+    *
+    * @returns {Array}
+    */
+   this.getDeviceIds = function() {
+      return Object.keys(profilesById);
+   };
+
+   /**
+    * <p>
+    *    Returns a copy of the given sample with a <code>calibrated</code> field added, which contains the calibrated
+    *    <code>particleConcentration</code> and/or <code>particleCount</code>, according to the given device's
+    *    profile.  The sample's raw values are left untouched.
+    * </p>
+    * <p>
+    *    If the device has no profile, or its profile has no correction for any of the sample's fields, the copy has
+    *    no <code>calibrated</code> field.
+    * </p>
+    *
+    * @param {string} deviceId - the id of the device which produced the sample
+    * @param {object} sample - the sample to calibrate
+    * @returns {object} the copy of the sample
+    */
+   this.calibrate = function(deviceId, sample) {
+      var calibratedSample = {};
+      Object.keys(sample).forEach(function(key) {
+         calibratedSample[key] = sample[key];
+      });
+
+      var profile = this.getProfile(deviceId);
+      if (profile) {
+         var calibrated = {};
+         var hasCalibratedValues = false;
+         CALIBRATED_FIELDS.forEach(function(field) {
+            if (profile[field] && isNumber(sample[field])) {
+               calibrated[field] = applyCorrection(profile[field], sample[field], sample.humidity);
+               hasCalibratedValues = true;
+            }
+         });
+         if (hasCalibratedValues) {
+            calibratedSample.calibrated = calibrated;
+         }
+      }
+      return calibratedSample;
+   };
+
+   // the "constructor"
+   (function() {
+      Object.keys(profiles).forEach(function(deviceId) {
+         var profile = profiles[deviceId];
+         if (profile == null || typeof profile !== 'object') {
+            throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid calibration profile for device [" + deviceId + "]: must be an object");
+         }
+         CALIBRATED_FIELDS.forEach(function(field) {
+            if (typeof profile[field] !== 'undefined') {
+               validateCorrection(deviceId, field, profile[field]);
+            }
+         });
+
+         var id = deviceId.toLowerCase();
+         if (Object.prototype.hasOwnProperty.call(profilesById, id)) {
+            throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid calibration profile for device [" + deviceId + "]: there's already a profile for this device");
+         }
+         profilesById[id] = profile;
+      });
+   })();
+}
+
+//======================================================================================================================
+// PUBLIC STATIC METHODS
+//======================================================================================================================
+
+/**
+ * Loads calibration profiles from the given JSON file, which contains an object of profiles keyed by device id.
+ *
+ * @param {string} filePath - the path to the JSON file
+ * @returns {Calibration}
+ * @throws {Error} if the file can't be read or parsed, or any of the profiles is invalid
+ */
+Calibration.load = function(filePath) {
+   return new Calibration(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+};
+
+//======================================================================================================================
+
+module.exports = Calibration;
@@ -0,0 +1,467 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var fs = require('fs');
+var path = require('path');
+var url = require('url');
+var http = require('http');
+var https = require('https');
+var fileUtils = require('./fileUtils');
+var log = require('log4js').getLogger("speck-sensor");
+var SpeckError = require('./SpeckError');
+
+var DEFAULT_ESDR_URL = "https://esdr.cmucreatelab.org";
+var DEFAULT_BATCH_SIZE = 100;
+var DEFAULT_MAX_BATCH_AGE_MILLIS = 60 * 1000;
+var DEFAULT_RETRY_BACKOFF_MILLIS = 1000;
+var DEFAULT_MAX_RETRY_BACKOFF_MILLIS = 5 * 60 * 1000;
+var DEFAULT_REQUEST_TIMEOUT_MILLIS = 30 * 1000;
+
+var PENDING_FILENAME = "pending.jsonl";
+var BATCH_FILENAME_PREFIX = "batch-";
+var REJECTED_FILENAME_PREFIX = "rejected-";
+
+// Maps sample fields to ESDR channel names, in the order the channels appear in uploads
+var CHANNELS = [
+   { field : "particleConcentration", channelName : "particle_concentration" },
+   { field : "particleCount", channelName : "particle_count" },
+   { field : "humidity", channelName : "humidity" },
+   { field : "rawParticleCount", channelName : "raw_particles" },
+   { field : "temperature", channelName : "temperature" }
+];
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var zeroPad = function(value, length) {
+   var str = String(value);
+   while (str.length < length) {
+      str = "0" + str;
+   }
+   return str;
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates an uploader which sends samples to a feed in the CMU CREATE Lab's
+ *    <a href="https://esdr.cmucreatelab.org">Environmental Sensor Data Repository</a> (ESDR).  Samples are added
+ *    with {@linkcode EsdrUploader#add add}, which stores them durably in an on-disk queue before calling back, so it
+ *    is safe to use as the <code>persistSample</code> function for {@linkcode Speck#downloadAllSamples}.  Queued
+ *    samples are grouped into batches and uploaded in order, and batches which fail to upload (e.g. while offline)
+ *    stay on disk and are retried with exponential backoff--even across restarts.
+ * </p>
+ * <p>
+ *    The <code>options</code> object contains the following fields:
+ *    <ul>
+ *       <li><code>feedApiKey</code>: required, the API key of the ESDR feed to upload to</li>
+ *       <li><code>queueDirectory</code>: required, the directory in which to store the queue (created if it
+ *       doesn't exist).  Use a different directory for each feed.</li>
+ *       <li><code>esdrUrl</code>: the base URL of the ESDR server (defaults to
+ *       <code>https://esdr.cmucreatelab.org</code>)</li>
+ *       <li><code>batchSize</code>: the maximum number of samples per upload (defaults to 100)</li>
+ *       <li><code>maxBatchAgeMillis</code>: while {@linkcode EsdrUploader#start started}, queued samples are
+ *       uploaded at least this often, even if there aren't enough for a full batch (defaults to 60000)</li>
+ *       <li><code>retryBackoffMillis</code>: the delay before retrying a failed upload, doubled after each
+ *       consecutive failure (defaults to 1000)</li>
+ *       <li><code>maxRetryBackoffMillis</code>: the maximum delay before retrying (defaults to 300000)</li>
+ *       <li><code>requestTimeoutMillis</code>: how long to wait for the ESDR server to respond (defaults to
+ *       30000)</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    Batches rejected by the ESDR server with a 4xx status code (other than 408 and 429) will never succeed, so
+ *    instead of being retried forever, they're renamed with a <code>rejected-</code> prefix in the queue directory
+ *    for later inspection, and reported via an {@link EsdrUploader#event:error error} event.
+ * </p>
+ *
+ * @param {object} options - the uploader's options
+ * @constructor
+ * @extends EventEmitter
+ * @throws {SpeckError} if the <code>feedApiKey</code> or <code>queueDirectory</code> is missing
+ * @fires EsdrUploader#upload
+ * @fires EsdrUploader#error
+ */
+function EsdrUploader(options) {
+   EventEmitter.call(this);
+
+   options = options || {};
+   if (!options.feedApiKey) {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "The feedApiKey option is required");
+   }
+   if (!options.queueDirectory) {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "The queueDirectory option is required");
+   }
+
+   var self = this;
+   var feedUrl = url.parse((options.esdrUrl || DEFAULT_ESDR_URL).replace(/\/+$/, "") + "/api/v1/feeds/" + encodeURIComponent(options.feedApiKey));
+   var queueDirectory = options.queueDirectory;
+   var pendingFilePath = path.join(queueDirectory, PENDING_FILENAME);
+   var batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+   var maxBatchAgeMillis = options.maxBatchAgeMillis || DEFAULT_MAX_BATCH_AGE_MILLIS;
+   var retryBackoffMillis = options.retryBackoffMillis || DEFAULT_RETRY_BACKOFF_MILLIS;
+   var maxRetryBackoffMillis = options.maxRetryBackoffMillis || DEFAULT_MAX_RETRY_BACKOFF_MILLIS;
+   var requestTimeoutMillis = options.requestTimeoutMillis || DEFAULT_REQUEST_TIMEOUT_MILLIS;
+
+   var numPendingSamples = 0;
+   var batchSequenceNumber = 0;
+   var isStarted = false;
+   var isUploading = false;
+   var numConsecutiveFailures = 0;
+   var retryTimer = null;
+   var batchAgeTimer = null;
+   var waitingFlushCallbacks = [];
+
+   /**
+    * Durably appends the given sample to the queue, and calls the <code>callback</code> once it's on disk.  If
+    * there are now enough queued samples for a full batch, and the uploader is
+    * {@linkcode EsdrUploader#start started}, the batch is uploaded.
+    *
+    * @param {object} sample - a sample, as returned by {@linkcode Speck#getSample getSample} or
+    * {@linkcode Speck#getCurrentSample getCurrentSample}
+    * @param {function} callback - the callback function with a signature of the form <code>callback(err)</code>
+    */
+   this.add = function(sample, callback) {
+      try {
+         fileUtils.appendDurably(pendingFilePath, JSON.stringify(sample) + "\n");
+      }
+      catch (e) {
+         log.error("EsdrUploader.add(): failed to queue sample: " + e);
+         repairQueueFile(pendingFilePath);
+         return callback(e);
+      }
+
+      numPendingSamples++;
+      if (numPendingSamples >= batchSize) {
+         closePendingBatch();
+         if (isStarted) {
+            processQueue();
+         }
+      }
+      callback(null);
+   };
+
+   /**
+    * Starts uploading queued batches, including any left over from a previous run.  Does nothing if already started.
+    */
+   this.start = function() {
+      if (!isStarted) {
+         isStarted = true;
+         batchAgeTimer = setInterval(function() {
+            closePendingBatch();
+            processQueue();
+         }, maxBatchAgeMillis);
+         processQueue();
+      }
+   };
+
+   /**
+    * Stops uploading.  An upload already in progress is allowed to finish.  Queued samples stay on disk.
+    */
+   this.stop = function() {
+      isStarted = false;
+      if (batchAgeTimer != null) {
+         clearInterval(batchAgeTimer);
+         batchAgeTimer = null;
+      }
+      if (retryTimer != null) {
+         clearTimeout(retryTimer);
+         retryTimer = null;
+      }
+   };
+
+   /**
+    * Immediately tries to upload everything in the queue, including samples not yet in a full batch, without waiting
+    * for any retry backoff.  The <code>callback</code> is called with no error once the queue is empty, or with the
+    * error which stopped the upload.  Works whether or not the uploader is started.  If an upload is already in
+    * progress, the flush begins once it finishes.
+    *
+    * @param {function} [callback] - the callback function with a signature of the form <code>callback(err)</code>
+    */
+   this.flush = function(callback) {
+      var done = function(err) {
+         finishUploading();
+         if (typeof callback === 'function') {
+            callback(err);
+         }
+      };
+
+      var uploadNextBatch = function() {
+         var batchFilenames = listBatchFilenames();
+         if (batchFilenames.length == 0) {
+            return done(null);
+         }
+         uploadBatch(batchFilenames[0], function(err) {
+            if (err && !err.isRejected) {
+               return done(err);
+            }
+            uploadNextBatch();
+         });
+      };
+
+      if (isUploading) {
+         waitingFlushCallbacks.push(callback);
+         return;
+      }
+
+      closePendingBatch();
+      if (retryTimer != null) {
+         clearTimeout(retryTimer);
+         retryTimer = null;
+      }
+      isUploading = true;
+      uploadNextBatch();
+   };
+
+   /**
+    * Returns the number of samples waiting to be uploaded, and the number of rejected batches.
+    *
+    * @returns {{numQueuedSamples: int, numRejectedBatches: int}}
+    */
+   this.getQueueStatus = function() {
+      var numQueuedSamples = numPendingSamples;
+      listBatchFilenames().forEach(function(filename) {
+         numQueuedSamples += fileUtils.readJsonLines(path.join(queueDirectory, filename)).length;
+      });
+      return {
+         numQueuedSamples : numQueuedSamples,
+         numRejectedBatches : fs.readdirSync(queueDirectory).filter(function(filename) {
+            return filename.indexOf(REJECTED_FILENAME_PREFIX) == 0;
+         }).length
+      };
+   };
+
+   // Turns the pending samples into a batch, ready for upload
+   var closePendingBatch = function() {
+      if (numPendingSamples > 0) {
+         var batchFilename = BATCH_FILENAME_PREFIX + zeroPad(new Date().getTime(), 15) + "-" + zeroPad(batchSequenceNumber++, 6) + ".jsonl";
+         fs.renameSync(pendingFilePath, path.join(queueDirectory, batchFilename));
+         numPendingSamples = 0;
+      }
+   };
+
+   // Returns the filenames of the batches waiting to be uploaded, oldest first
+   var listBatchFilenames = function() {
+      return fs.readdirSync(queueDirectory).filter(function(filename) {
+         return filename.indexOf(BATCH_FILENAME_PREFIX) == 0;
+      }).sort();
+   };
+
+   // Uploads batches until the queue is empty or an upload fails, in which case it's retried after a backoff delay
+   var processQueue = function() {
+      if (!isStarted || isUploading || retryTimer != null) {
+         return;
+      }
+
+      var batchFilenames = listBatchFilenames();
+      if (batchFilenames.length == 0) {
+         return;
+      }
+
+      isUploading = true;
+      uploadBatch(batchFilenames[0], function(err) {
+         if (finishUploading()) {
+            return;
+         }
+         if (err && !err.isRejected) {
+            var delayMillis = Math.min(retryBackoffMillis * Math.pow(2, numConsecutiveFailures - 1), maxRetryBackoffMillis);
+            log.error("EsdrUploader: upload failed, will retry in " + delayMillis + " ms: " + err);
+            retryTimer = setTimeout(function() {
+               retryTimer = null;
+               processQueue();
+            }, delayMillis);
+         }
+         else {
+            processQueue();
+         }
+      });
+   };
+
+   // Marks the current upload as finished, and starts any flushes which were waiting for it, returning whether it did
+   var finishUploading = function() {
+      isUploading = false;
+      if (waitingFlushCallbacks.length == 0) {
+         return false;
+      }
+
+      var callbacks = waitingFlushCallbacks;
+      waitingFlushCallbacks = [];
+      self.flush(function(err) {
+         callbacks.forEach(function(callback) {
+            if (typeof callback === 'function') {
+               callback(err);
+            }
+         });
+      });
+      return true;
+   };
+
+   var uploadBatch = function(batchFilename, callback) {
+      var batchFilePath = path.join(queueDirectory, batchFilename);
+      var samples = fileUtils.readJsonLines(batchFilePath);
+
+      upload(EsdrUploader.toFeedUpload(samples), function(err) {
+         if (err) {
+            numConsecutiveFailures++;
+            if (err.isRejected) {
+               fs.renameSync(batchFilePath, path.join(queueDirectory, REJECTED_FILENAME_PREFIX + batchFilename));
+            }
+            emitError(err);
+            return callback(err);
+         }
+
+         numConsecutiveFailures = 0;
+         fs.unlinkSync(batchFilePath);
+
+         /**
+          * Upload event, emitted after a batch of samples is successfully uploaded.  Listeners are called with the
+          * number of samples in the batch.
+          *
+          * @event EsdrUploader#upload
+          * @type {int}
+          */
+         self.emit('upload', samples.length);
+         callback(null);
+      });
+   };
+
+   var upload = function(feedUpload, callback) {
+      var body = JSON.stringify(feedUpload);
+      var request = (feedUrl.protocol == "https:" ? https : http).request({
+         method : "PUT",
+         protocol : feedUrl.protocol,
+         hostname : feedUrl.hostname,
+         port : feedUrl.port,
+         path : feedUrl.path,
+         headers : {
+            "Content-Type" : "application/json",
+            "Content-Length" : Buffer.byteLength(body)
+         }
+      }, function(response) {
+         var responseBody = "";
+         response.setEncoding('utf8');
+         response.on('data', function(chunk) {
+            responseBody += chunk;
+         });
+         response.on('end', function() {
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+               return done(null);
+            }
+
+            var err = new Error("ESDR upload failed with HTTP status " + response.statusCode + ": " + responseBody);
+            err.statusCode = response.statusCode;
+            err.isRejected = response.statusCode >= 400 && response.statusCode < 500 &&
+                             response.statusCode != 408 && response.statusCode != 429;
+            done(err);
+         });
+      });
+
+      // make sure the callback is only called once, since a timeout is followed by an error event
+      var isDone = false;
+      var done = function(err) {
+         if (!isDone) {
+            isDone = true;
+            callback(err);
+         }
+      };
+
+      request.setTimeout(requestTimeoutMillis, function() {
+         request.abort();
+         done(new Error("ESDR upload timed out after " + requestTimeoutMillis + " ms"));
+      });
+      request.on('error', function(err) {
+         done(err);
+      });
+      request.end(body);
+   };
+
+   // A crash (or failed write) in the middle of an append leaves a partial line at the end of the file, which must go
+   // before anything else is appended, otherwise the next sample is joined onto it and the file can't be read
+   var repairQueueFile = function(filePath) {
+      try {
+         if (fs.existsSync(filePath) && fileUtils.truncatePartialLine(filePath)) {
+            log.warn("EsdrUploader: discarded partially-written sample in [" + filePath + "]");
+         }
+      }
+      catch (e) {
+         log.error("EsdrUploader: failed to repair [" + filePath + "]: " + e);
+      }
+   };
+
+   var emitError = function(err) {
+      if (self.listeners('error').length > 0) {
+         /**
+          * Error event, emitted when a batch fails to upload.  If the error's <code>isRejected</code> property is
+          * <code>true</code>, the batch was rejected by the ESDR server and won't be retried.
+          *
+          * @event EsdrUploader#error
+          * @type {Error}
+          */
+         self.emit('error', err);
+      }
+   };
+
+   // the "constructor"
+   (function() {
+      fileUtils.ensureDirectory(queueDirectory);
+
+      // pick up where a previous run left off
+      listBatchFilenames().forEach(function(filename) {
+         repairQueueFile(path.join(queueDirectory, filename));
+      });
+      repairQueueFile(pendingFilePath);
+      if (fs.existsSync(pendingFilePath)) {
+         numPendingSamples = fileUtils.readJsonLines(pendingFilePath).length;
+      }
+   })();
+}
+
+util.inherits(EsdrUploader, EventEmitter);
+
+//======================================================================================================================
+// PUBLIC STATIC METHODS
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Converts the given samples to the JSON format expected by ESDR's feed upload API, i.e. an object with a
+ *    <code>channel_names</code> array, and a <code>data</code> array whose rows each contain a sample's
+ *    <code>sampleTimeSecs</code> followed by its value for each channel.
+ * </p>
+ * <p>
+ *    The channels depend on the fields present in the samples, and thus on the Speck's protocol version:
+ *    <code>particle_concentration</code> (protocol version 3) or <code>particle_count</code> (protocol versions 1
+ *    and 2), then <code>humidity</code>, <code>raw_particles</code>, and <code>temperature</code> (protocol version
+ *    1).  A sample missing a channel present in other samples gets a <code>null</code> value for it.  Samples in
+ *    the normalized format described in {@link SampleSchema} work too, since their <code>null</code> fields are
+ *    treated as missing.
+ * </p>
+ *
+ * @param {Array} samples - the samples to convert
+ * @returns {{channel_names: Array, data: Array}}
+ */
+EsdrUploader.toFeedUpload = function(samples) {
+   var channels = CHANNELS.filter(function(channel) {
+      return samples.some(function(sample) {
+         return sample[channel.field] != null;
+      });
+   });
+
+   return {
+      channel_names : channels.map(function(channel) {
+         return channel.channelName;
+      }),
+      data : samples.map(function(sample) {
+         return [sample.sampleTimeSecs].concat(channels.map(function(channel) {
+            return (sample[channel.field] == null) ? null : sample[channel.field];
+         }));
+      })
+   };
+};
+
+//======================================================================================================================
+
+module.exports = EsdrUploader;
@@ -0,0 +1,62 @@
+var HID = require('node-hid');
+var HidWorkerDevice = require('./HidWorkerDevice');
+
+/**
+ * <p>
+ *    The default transport, which talks to real Speck hardware over USB HID using
+ *    <a href="https://github.com/node-hid/node-hid">node-hid</a>.
+ * </p>
+ * <p>
+ *    A transport is any object which implements the following two methods:
+ *    <ul>
+ *       <li>
+ *          <code>devices(vendorId, productId)</code>: returns an array of HID device descriptors (objects with at
+ *          least <code>vendorId</code>, <code>productId</code>, and <code>path</code> properties) for the devices
+ *          matching the given vendor and product IDs.
+ *       </li>
+ *       <li>
+ *          <code>open(path)</code>: opens the device at the given path and returns a device handle.  Throws an
+ *          <code>Error</code> if the device could not be opened.
+ *       </li>
+ *    </ul>
+ *    Device handles must implement <code>sendFeatureReport(byteArray)</code>,
+ *    <code>getFeatureReport(reportId, lengthInBytes)</code> (which returns a byte array), and <code>close()</code>,
+ *    just like a node-hid <code>HID</code> instance.  Alternatively, instead of the two feature report methods, a
+ *    handle may implement <code>exchangeFeatureReports(byteArray, reportId, lengthInBytes, callback)</code>, which
+ *    sends the command and reads the response asynchronously, calling back with an error (whose <code>stage</code>
+ *    is <code>"write"</code> or <code>"read"</code>) or the response bytes.  The {@link Speck} uses it when present.
+ * </p>
+ * <p>
+ *    node-hid's feature report calls are synchronous, and block for as long as the Speck takes to respond, so this
+ *    transport opens each device in a worker thread (see {@link HidWorkerDevice}) rather than on the main thread.
+ *    Only enumerating devices happens on the main thread.
+ * </p>
+ *
+ * @namespace HidTransport
+ * @see SimulatedTransport
+ */
+var HidTransport = {
+   /**
+    * Returns an array of HID device descriptors for all devices matching the given vendor and product IDs.
+    *
+    * @param {int} vendorId - the USB vendor ID
+    * @param {int} productId - the USB product ID
+    * @returns {Array}
+    */
+   devices : function(vendorId, productId) {
+      return HID.devices(vendorId, productId);
+   },
+
+   /**
+    * Opens the HID device at the given path, in a worker thread which owns the device until it's closed.
+    *
+    * @param {string} path - the HID device path
+    * @returns {HidWorkerDevice}
+    * @throws {Error} if the device could not be opened
+    */
+   open : function(path) {
+      return new HidWorkerDevice(path);
+   }
+};
+
+module.exports = HidTransport;
@@ -0,0 +1,179 @@
+var path = require('path');
+var workerThreads = require('worker_threads');
+var log = require('log4js').getLogger("speck-sensor");
+
+var WORKER_SCRIPT = path.join(__dirname, "hidWorker.js");
+var DEFAULT_OPEN_TIMEOUT_MILLIS = 10000;
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+// Creates the Error given for a failure described by the worker, noting whether it happened while writing the command
+// or reading the response
+var createDeviceError = function(description) {
+   var err = new Error(description.message);
+   err.stage = description.stage;
+   return err;
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Opens the HID device at the given path in a worker thread, which owns the device for as long as it's open.  This
+ *    is the device handle returned by {@linkcode HidTransport.open}.  node-hid's feature report calls are synchronous,
+ *    so running them in the worker means the main thread's event loop isn't blocked while waiting for the Speck to
+ *    respond, e.g. during a long historic download in a process which also runs an HTTP server.
+ * </p>
+ * <p>
+ *    Opening the device waits (synchronously, and only this once) for the worker to report whether it succeeded, so
+ *    that the constructor can throw if it didn't, just like node-hid.  After that, each exchange of a command and its
+ *    response is sent to the worker in a message, and {@linkcode HidWorkerDevice#exchangeFeatureReports} calls back
+ *    once the worker replies.  The worker handles exchanges one at a time, in order.  It doesn't keep the process
+ *    alive while no exchange is in progress.
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>hidModule</code>: the module the worker requires to open the device, which must have the same
+ *       <code>HID</code> class as node-hid (defaults to <code>"node-hid"</code>)</li>
+ *       <li><code>openTimeoutMillis</code>: how long to wait for the worker to open the device (defaults to
+ *       10000)</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {string} devicePath - the HID device path
+ * @param {object} [options] - the device's options
+ * @constructor
+ * @throws {Error} if the device could not be opened
+ * @see HidTransport
+ */
+function HidWorkerDevice(devicePath, options) {
+   options = options || {};
+
+   var worker = null;
+   var isOpen = false;
+
+   // map of exchange id to the callback waiting for that exchange's response
+   var pendingExchanges = {};
+   var numPendingExchanges = 0;
+   var nextExchangeId = 1;
+
+   /**
+    * Writes the given command feature report, then reads the response with the given report ID and length, in the
+    * worker thread.  Calls the <code>callback</code> with an error (whose <code>stage</code> is <code>"write"</code>
+    * or <code>"read"</code>), or the response as an array of bytes.  The callback is always called asynchronously.
+    *
+    * @param {Array} command - the command's bytes
+    * @param {int} reportId - the report ID of the response
+    * @param {int} lengthInBytes - the length of the response
+    * @param {function} callback - the callback function with a signature of the form <code>callback(err, bytes)</code>
+    */
+   this.exchangeFeatureReports = function(command, reportId, lengthInBytes, callback) {
+      if (!isOpen) {
+         return setImmediate(function() {
+            callback(createDeviceError({ stage : "write", message : "Cannot access HID device: the device is closed" }), null);
+         });
+      }
+
+      var id = nextExchangeId++;
+      pendingExchanges[id] = callback;
+      numPendingExchanges++;
+
+      // keep the process alive until the worker responds
+      worker.ref();
+      worker.postMessage({
+         type : "exchange",
+         id : id,
+         command : Array.prototype.slice.call(command),
+         reportId : reportId,
+         lengthInBytes : lengthInBytes
+      });
+   };
+
+   /**
+    * Closes the device, and stops the worker once it has done so.  Exchanges still in progress fail (asynchronously).
+    * Does nothing if already closed.
+    */
+   this.close = function() {
+      if (isOpen) {
+         isOpen = false;
+         worker.postMessage({ type : "close" });
+         failPendingExchanges("Cannot access HID device: the device was closed");
+      }
+   };
+
+   var handleMessage = function(message) {
+      if (message.type == "exchange" && pendingExchanges.hasOwnProperty(message.id)) {
+         var callback = pendingExchanges[message.id];
+         delete pendingExchanges[message.id];
+         numPendingExchanges--;
+         if (numPendingExchanges == 0) {
+            worker.unref();
+         }
+
+         if (message.error) {
+            callback(createDeviceError(message.error), null);
+         }
+         else {
+            callback(null, message.bytes);
+         }
+      }
+   };
+
+   var failPendingExchanges = function(message) {
+      var callbacks = pendingExchanges;
+      pendingExchanges = {};
+      numPendingExchanges = 0;
+      worker.unref();
+      Object.keys(callbacks).forEach(function(id) {
+         setImmediate(function() {
+            callbacks[id](createDeviceError({ stage : "read", message : message }), null);
+         });
+      });
+   };
+
+   // the "constructor"
+   (function() {
+      var openState = new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+      var openChannel = new workerThreads.MessageChannel();
+      worker = new workerThreads.Worker(WORKER_SCRIPT, {
+         workerData : {
+            path : devicePath,
+            hidModule : options.hidModule || "node-hid",
+            openState : openState,
+            openPort : openChannel.port2
+         },
+         transferList : [openChannel.port2]
+      });
+
+      var openTimeoutMillis = options.openTimeoutMillis || DEFAULT_OPEN_TIMEOUT_MILLIS;
+      Atomics.wait(openState, 0, 0, openTimeoutMillis);
+      var received = workerThreads.receiveMessageOnPort(openChannel.port1);
+      openChannel.port1.close();
+
+      if (received == null || received.message.error) {
+         worker.terminate();
+         throw createDeviceError(received ? received.message.error : {
+            stage : "open",
+            message : "Timed out after " + openTimeoutMillis + " ms waiting to open the device"
+         });
+      }
+
+      isOpen = true;
+      worker.on('message', handleMessage);
+      worker.on('error', function(err) {
+         log.error("HidWorkerDevice: the worker for the device at path [" + devicePath + "] failed: " + err);
+         isOpen = false;
+         failPendingExchanges("Cannot access HID device: " + err.message);
+      });
+      worker.unref();
+   })();
+}
+
+//======================================================================================================================
+
+module.exports = HidWorkerDevice;
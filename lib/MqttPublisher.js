@@ -0,0 +1,271 @@
+var mqtt = require('mqtt');
+var SpeckManager = require('./SpeckManager');
+var SpeckSubscription = require('./SpeckSubscription');
+var log = require('log4js').getLogger("speck-sensor");
+
+var DEFAULT_BROKER_URL = "mqtt://localhost:1883";
+var DEFAULT_QOS = 1;
+var DEFAULT_TOPICS = {
+   sample : "speck/{id}/sample",
+   historicSample : "speck/{id}/historic",
+   info : "speck/{id}/info",
+   status : "speck/{id}/status",
+   publisherStatus : "speck/publisher/status"
+};
+var ONLINE = "online";
+var OFFLINE = "offline";
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var getTopic = function(template, id) {
+   return template.replace(/\{id\}/g, id);
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a publisher which sends samples and device info from the attached Specks to an MQTT broker.  Specks are
+ *    tracked by a {@link SpeckManager}, and each one is {@linkcode Speck#startSampling sampled} while attached, so
+ *    each new current sample is published once.  Historic samples may be published too, using the function returned
+ *    by {@linkcode MqttPublisher#createPersistSample createPersistSample} with
+ *    {@linkcode Speck#downloadAllSamples downloadAllSamples}.
+ * </p>
+ * <p>
+ *    The publisher publishes the following messages, with topics configurable via the <code>topics</code> option
+ *    (where <code>{id}</code> is replaced by the Speck's id):
+ *    <ul>
+ *       <li><code>sample</code> (defaults to <code>speck/{id}/sample</code>): each new current sample, as JSON</li>
+ *       <li><code>historicSample</code> (defaults to <code>speck/{id}/historic</code>): each downloaded historic
+ *       sample, as JSON</li>
+ *       <li><code>info</code> (defaults to <code>speck/{id}/info</code>): retained, the Speck's config (see
+ *       {@linkcode Speck#getSpeckConfig getSpeckConfig}) as JSON, published whenever the Speck is attached</li>
+ *       <li><code>status</code> (defaults to <code>speck/{id}/status</code>): retained, <code>online</code> when the
+ *       Speck is attached and <code>offline</code> when it disconnects</li>
+ *       <li><code>publisherStatus</code> (defaults to <code>speck/publisher/status</code>): retained,
+ *       <code>online</code> while the publisher is connected to the broker, and <code>offline</code> otherwise.
+ *       This is also the publisher's last will and testament, so the broker publishes <code>offline</code> if the
+ *       publisher goes away without stopping.</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>brokerUrl</code>: the URL of the MQTT broker (defaults to <code>mqtt://localhost:1883</code>)</li>
+ *       <li><code>mqttOptions</code>: extra options for <a href="https://github.com/mqttjs/MQTT.js">MQTT.js</a>'s
+ *       <code>connect()</code>, such as <code>username</code>, <code>password</code>, and
+ *       <code>clientId</code></li>
+ *       <li><code>qos</code>: the QoS level for all messages, 0, 1, or 2 (defaults to 1)</li>
+ *       <li><code>topics</code>: topic templates, overriding any of the defaults above</li>
+ *       <li><code>manager</code>: the {@link SpeckManager} which tracks the Specks.  If not given, the publisher
+ *       creates one, which it starts and stops along with itself.</li>
+ *       <li><code>transport</code>: the transport for the publisher's own manager (defaults to
+ *       {@link HidTransport})</li>
+ *       <li><code>speckOptions</code>: the options for the Specks of the publisher's own manager, such as
+ *       <code>normalizeSamples</code> or <code>calibration</code> (see {@link SpeckManager})</li>
+ *       <li><code>samplingIntervalMillis</code>: how often to read each Speck's current sample (defaults to
+ *       1000)</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {object} [options] - the publisher's options
+ * @constructor
+ * @throws {Error} if the <code>qos</code> option is invalid
+ */
+function MqttPublisher(options) {
+   options = options || {};
+
+   var qos = typeof options.qos === 'number' ? options.qos : DEFAULT_QOS;
+   if (qos !== 0 && qos !== 1 && qos !== 2) {
+      throw new Error("Invalid QoS [" + options.qos + "], must be 0, 1, or 2");
+   }
+
+   var isManagerOwned = !options.manager;
+   var manager = options.manager || new SpeckManager({ transport : options.transport, speckOptions : options.speckOptions });
+   var brokerUrl = options.brokerUrl || DEFAULT_BROKER_URL;
+   var topics = {};
+   Object.keys(DEFAULT_TOPICS).forEach(function(name) {
+      topics[name] = (options.topics && options.topics[name]) || DEFAULT_TOPICS[name];
+   });
+
+   var client = null;
+
+   var subscription = new SpeckSubscription(manager, {
+      samplingIntervalMillis : options.samplingIntervalMillis,
+      onAttach : function(id, speck) {
+         speck.getSpeckConfig(function(err, config) {
+            if (!err) {
+               publish(getTopic(topics.info, id), JSON.stringify(config), true);
+               publish(getTopic(topics.status, id), ONLINE, true);
+            }
+         });
+      },
+      onSample : function(id, sample) {
+         publish(getTopic(topics.sample, id), JSON.stringify(sample), false);
+      },
+      onDisconnect : function(id) {
+         publish(getTopic(topics.status, id), OFFLINE, true);
+      }
+   });
+
+   /**
+    * Connects to the broker and starts publishing.  The <code>callback</code> is called once connected, or with an
+    * error if the first connection attempt fails.  After that, the connection is automatically re-established if
+    * lost, and messages published in the meantime are queued.
+    *
+    * @param {function} [callback] - the callback function with a signature of the form <code>callback(err)</code>
+    */
+   this.start = function(callback) {
+      var done = function(err) {
+         if (typeof callback === 'function') {
+            callback(err);
+         }
+      };
+
+      if (client != null) {
+         return done(new Error("The publisher is already started"));
+      }
+
+      var mqttOptions = {};
+      Object.keys(options.mqttOptions || {}).forEach(function(key) {
+         mqttOptions[key] = options.mqttOptions[key];
+      });
+      mqttOptions.will = { topic : topics.publisherStatus, payload : OFFLINE, qos : qos, retain : true };
+
+      client = mqtt.connect(brokerUrl, mqttOptions);
+
+      var onFirstConnect = function() {
+         client.removeListener('error', onFirstError);
+         client.on('error', function(err) {
+            log.error("MqttPublisher: " + err);
+         });
+         client.on('connect', publishOnline);
+         publishOnline();
+
+         subscription.start();
+         if (isManagerOwned) {
+            manager.start();
+         }
+         done(null);
+      };
+      var onFirstError = function(err) {
+         log.error("MqttPublisher.start(): failed to connect to [" + brokerUrl + "]: " + err);
+         client.removeListener('connect', onFirstConnect);
+         client.end(true);
+         client = null;
+         done(err);
+      };
+      client.once('connect', onFirstConnect);
+      client.once('error', onFirstError);
+   };
+
+   /**
+    * Stops publishing, publishes the <code>offline</code> publisher status, and disconnects from the broker.  Specks
+    * are left connected, but stop sampling unless something else sharing the manager is still sampling them (see
+    * {@link SpeckSubscription}).
+    *
+    * @param {function} [callback] - the callback function with a signature of the form <code>callback(err)</code>
+    */
+   this.stop = function(callback) {
+      var done = function(err) {
+         if (typeof callback === 'function') {
+            callback(err || null);
+         }
+      };
+
+      subscription.stop();
+      if (isManagerOwned) {
+         manager.stop();
+      }
+
+      if (client == null) {
+         return done(null);
+      }
+      var stoppingClient = client;
+      client = null;
+      if (!stoppingClient.connected) {
+         // there's no broker to tell, so just give up on anything still queued
+         return stoppingClient.end(true, {}, done);
+      }
+      stoppingClient.publish(topics.publisherStatus, OFFLINE, { qos : qos, retain : true }, function() {
+         stoppingClient.end(false, {}, done);
+      });
+   };
+
+   /**
+    * Publishes the given current sample from the Speck with the given id.  Samples from attached Specks are published
+    * automatically, so this is only needed for samples obtained some other way.
+    *
+    * @param {string} id - the Speck's id
+    * @param {object} sample - the sample
+    * @param {function} [callback] - called once the message is sent (or, for QoS 1 and 2, acknowledged), with a
+    * signature of the form <code>callback(err)</code>
+    */
+   this.publishSample = function(id, sample, callback) {
+      publish(getTopic(topics.sample, id), JSON.stringify(sample), false, callback);
+   };
+
+   /**
+    * Publishes the given historic sample from the Speck with the given id.
+    *
+    * @param {string} id - the Speck's id
+    * @param {object} sample - the sample
+    * @param {function} [callback] - called once the message is sent (or, for QoS 1 and 2, acknowledged), with a
+    * signature of the form <code>callback(err)</code>
+    */
+   this.publishHistoricSample = function(id, sample, callback) {
+      publish(getTopic(topics.historicSample, id), JSON.stringify(sample), false, callback);
+   };
+
+   /**
+    * Returns a function for the <code>persistSample</code> option of {@linkcode Speck#downloadAllSamples}, which
+    * publishes each downloaded sample from the Speck with the given id.  With QoS 1 or 2, each sample is only
+    * deleted from the Speck once the broker has acknowledged it.
+    *
+    * @param {string} id - the Speck's id
+    * @returns {function} a function with a signature of the form <code>persistSample(sample, done)</code>
+    */
+   this.createPersistSample = function(id) {
+      var self = this;
+      return function(sample, done) {
+         self.publishHistoricSample(id, sample, done);
+      };
+   };
+
+   /**
+    * Returns the {@link SpeckManager} which tracks the Specks.
+    *
+    * @returns {SpeckManager}
+    */
+   this.getManager = function() {
+      return manager;
+   };
+
+   var publish = function(topic, payload, retain, callback) {
+      var done = function(err) {
+         if (err) {
+            log.error("MqttPublisher: failed to publish to [" + topic + "]: " + err);
+         }
+         if (typeof callback === 'function') {
+            callback(err || null);
+         }
+      };
+
+      if (client == null) {
+         return done(new Error("The publisher is not started"));
+      }
+      client.publish(topic, payload, { qos : qos, retain : retain }, done);
+   };
+
+   var publishOnline = function() {
+      publish(topics.publisherStatus, ONLINE, true);
+   };
+}
+
+//======================================================================================================================
+
+module.exports = MqttPublisher;
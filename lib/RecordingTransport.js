@@ -0,0 +1,181 @@
+var fs = require('fs');
+var log = require('log4js').getLogger("speck-sensor");
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var toByteArray = function(bytes) {
+   return Array.prototype.slice.call(bytes);
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a transport which wraps another transport, and records all the HID traffic with the devices it opens to
+ *    a trace file.  The trace can be attached to a bug report, and played back through the {@link Speck} class with
+ *    a {@link ReplayTransport}, to reproduce problems without the original hardware.
+ * </p>
+ * <p>
+ *    The trace file contains one JSON record per line, each with a <code>timeMillis</code> timestamp, the device's
+ *    <code>path</code>, and a <code>type</code>, which is one of:
+ *    <ul>
+ *       <li><code>open</code>: the device was opened.  Includes the device's HID device <code>descriptor</code>.</li>
+ *       <li><code>request</code>: a feature report was sent.  Includes the <code>bytes</code> sent.</li>
+ *       <li><code>response</code>: a feature report was read.  Includes the <code>reportId</code>, the requested
+ *       <code>length</code>, and the <code>bytes</code> read.</li>
+ *       <li><code>error</code>: an operation on the device failed.  Includes the <code>operation</code> and the
+ *       error's <code>message</code>.</li>
+ *       <li><code>close</code>: the device was closed.</li>
+ *    </ul>
+ *    Records are appended, so several sessions may be recorded to the same file.
+ * </p>
+ * <p>
+ *    Rather than creating one directly, it's usually easier to give the {@link Speck} constructor a
+ *    <code>traceFile</code> option.
+ * </p>
+ * <p>
+ *    The <code>options</code> object contains the following fields:
+ *    <ul>
+ *       <li><code>traceFile</code>: required, the path of the trace file, created if it doesn't exist</li>
+ *       <li><code>transport</code>: the transport to wrap (defaults to {@link HidTransport})</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {object} options - the transport's options
+ * @constructor
+ * @throws {Error} if the <code>traceFile</code> is missing
+ * @see ReplayTransport
+ */
+function RecordingTransport(options) {
+   options = options || {};
+   if (!options.traceFile) {
+      throw new Error("The traceFile option is required");
+   }
+
+   var traceFile = options.traceFile;
+   // required here rather than at the top to avoid a circular dependency with the Speck module
+   var transport = options.transport || require('../index').HidTransport;
+
+   // map of path to the HID device descriptor most recently returned by devices()
+   var descriptorsByPath = {};
+
+   /**
+    * Returns the wrapped transport's HID device descriptors for the devices matching the given vendor and product IDs.
+    *
+    * @param {int} vendorId - the USB vendor ID
+    * @param {int} productId - the USB product ID
+    * @returns {Array}
+    */
+   this.devices = function(vendorId, productId) {
+      var descriptors = transport.devices(vendorId, productId);
+      descriptors.forEach(function(descriptor) {
+         descriptorsByPath[descriptor.path] = descriptor;
+      });
+      return descriptors;
+   };
+
+   /**
+    * Opens the device at the given path with the wrapped transport, and returns a device handle which records its
+    * traffic.
+    *
+    * @param {string} path - the device's path
+    * @returns {object} a device handle
+    * @throws {Error} if the device could not be opened
+    */
+   this.open = function(path) {
+      var device;
+      try {
+         device = transport.open(path);
+      }
+      catch (e) {
+         record(path, { type : "error", operation : "open", message : e.message });
+         throw e;
+      }
+      record(path, { type : "open", descriptor : descriptorsByPath[path] || { path : path } });
+
+      // runs the given operation on the device, recording any error it throws
+      var recordErrors = function(operation, fn) {
+         try {
+            return fn();
+         }
+         catch (e) {
+            record(path, { type : "error", operation : operation, message : e.message });
+            throw e;
+         }
+      };
+
+      var handle = {
+         sendFeatureReport : function(bytes) {
+            var bytesSent = toByteArray(bytes);
+            var result = recordErrors("sendFeatureReport", function() {
+               return device.sendFeatureReport(bytes);
+            });
+            record(path, { type : "request", bytes : bytesSent });
+            return result;
+         },
+         getFeatureReport : function(reportId, length) {
+            var bytes = recordErrors("getFeatureReport", function() {
+               return device.getFeatureReport(reportId, length);
+            });
+            record(path, { type : "response", reportId : reportId, length : length, bytes : toByteArray(bytes) });
+            return bytes;
+         },
+         close : function() {
+            recordErrors("close", function() {
+               device.close();
+            });
+            record(path, { type : "close" });
+         }
+      };
+
+      // devices which exchange reports asynchronously (e.g. in a worker thread) are recorded the same way, so that
+      // their traces can be replayed too
+      if (typeof device.exchangeFeatureReports === 'function') {
+         handle.exchangeFeatureReports = function(command, reportId, length, callback) {
+            var bytesSent = toByteArray(command);
+            device.exchangeFeatureReports(command, reportId, length, function(err, bytes) {
+               if (err) {
+                  if (err.stage != "write") {
+                     record(path, { type : "request", bytes : bytesSent });
+                  }
+                  record(path, {
+                     type : "error",
+                     operation : err.stage == "write" ? "sendFeatureReport" : "getFeatureReport",
+                     message : err.message
+                  });
+               }
+               else {
+                  record(path, { type : "request", bytes : bytesSent });
+                  record(path, { type : "response", reportId : reportId, length : length, bytes : toByteArray(bytes) });
+               }
+               callback(err, bytes);
+            });
+         };
+      }
+
+      return handle;
+   };
+
+   var record = function(path, obj) {
+      var line = { timeMillis : new Date().getTime(), path : path };
+      Object.keys(obj).forEach(function(key) {
+         line[key] = obj[key];
+      });
+
+      // a broken trace shouldn't break the connection to the Speck, so just log failures
+      try {
+         fs.appendFileSync(traceFile, JSON.stringify(line) + "\n");
+      }
+      catch (e) {
+         log.error("RecordingTransport: failed to write to trace file [" + traceFile + "]: " + e);
+      }
+   };
+}
+
+//======================================================================================================================
+
+module.exports = RecordingTransport;
@@ -0,0 +1,178 @@
+var fs = require('fs');
+var SpeckProtocol = require('./SpeckProtocol');
+
+var CHECKSUM_BYTE_INDEX = SpeckProtocol.CHECKSUM_BYTE_INDEX;
+var COMMAND_ID_BYTE_INDEX = SpeckProtocol.COMMAND_ID_BYTE_INDEX;
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var readTrace = function(traceFile) {
+   return fs.readFileSync(traceFile, 'utf8').split("\n").filter(function(line) {
+      return line.length > 0;
+   }).map(function(line) {
+      return JSON.parse(line);
+   });
+};
+
+var describeCommand = function(bytes) {
+   return bytes && bytes.length > 0 ? String.fromCharCode(bytes[0]) : "(none)";
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a transport which plays back a trace recorded by a {@link RecordingTransport}, so that the
+ *    {@link Speck} class sees exactly the responses the original device sent, including any with bad checksums,
+ *    mismatched command IDs, or I/O errors.
+ * </p>
+ * <p>
+ *    Each time a device is opened, the next recorded session for its path (i.e. the records from one
+ *    <code>open</code> to the next) is played back.  Requests are matched to the recorded ones by command, and each
+ *    response is adjusted to the command ID of the request actually sent, since command IDs differ from run to run.
+ *    The adjustment keeps any mismatch from the original: a response whose command ID or checksum was wrong in the
+ *    trace is still wrong, by the same amount, when played back.
+ * </p>
+ * <p>
+ *    If the Speck class sends a different command than the trace expects, or runs past the end of the trace, the
+ *    device handle throws an <code>Error</code>, just like a real device failing.
+ * </p>
+ *
+ * @param {string|Array} trace - the path of a trace file, or an array of trace records
+ * @constructor
+ * @see RecordingTransport
+ */
+function ReplayTransport(trace) {
+   var records = Array.isArray(trace) ? trace : readTrace(trace);
+
+   // map of path to an array of sessions, each an array of the records following an open
+   var sessionsByPath = {};
+
+   // map of path to the recorded HID device descriptor
+   var descriptorsByPath = {};
+
+   // the paths in the order they were first opened
+   var paths = [];
+
+   /**
+    * Returns HID device descriptors for the devices in the trace.
+    *
+    * @param {int} vendorId - the USB vendor ID
+    * @param {int} productId - the USB product ID
+    * @returns {Array}
+    */
+   this.devices = function(vendorId, productId) {
+      return paths.map(function(path) {
+         var descriptor = { vendorId : vendorId, productId : productId };
+         Object.keys(descriptorsByPath[path]).forEach(function(key) {
+            descriptor[key] = descriptorsByPath[path][key];
+         });
+         return descriptor;
+      }).filter(function(descriptor) {
+         return descriptor.vendorId == vendorId && descriptor.productId == productId;
+      });
+   };
+
+   /**
+    * Opens the device at the given path, returning a device handle which plays back the next recorded session for
+    * that path.
+    *
+    * @param {string} path - the device's path
+    * @returns {object} a device handle
+    * @throws {Error} if there is no (remaining) session for the path in the trace, or if opening it failed when
+    * recorded
+    */
+   this.open = function(path) {
+      var sessions = sessionsByPath[path];
+      if (!sessions || sessions.length == 0) {
+         throw new Error("The trace has no more sessions for the device at path [" + path + "]");
+      }
+      var session = sessions.shift();
+      if (session.openError) {
+         throw new Error(session.openError);
+      }
+      return createReplayDevice(path, session.records);
+   };
+
+   var createReplayDevice = function(path, sessionRecords) {
+      var position = 0;
+      var lastRecordedRequest = null;
+      var lastActualRequest = null;
+
+      // returns the next recorded request or response (or error for that operation), throwing if there isn't one
+      var nextRecord = function(operation, type) {
+         while (position < sessionRecords.length) {
+            var record = sessionRecords[position++];
+            if (record.type == type) {
+               return record;
+            }
+            if (record.type == "error" && record.operation == operation) {
+               throw new Error(record.message);
+            }
+         }
+         throw new Error("Reached the end of the trace for the device at path [" + path + "]");
+      };
+
+      return {
+         sendFeatureReport : function(bytes) {
+            var actualRequest = Array.prototype.slice.call(bytes);
+            var record = nextRecord("sendFeatureReport", "request");
+            if (record.bytes[0] != actualRequest[0]) {
+               throw new Error("Replay diverged from the trace: expected command [" + describeCommand(record.bytes) +
+                               "] but got [" + describeCommand(actualRequest) + "]");
+            }
+            lastRecordedRequest = record.bytes;
+            lastActualRequest = actualRequest;
+            return actualRequest.length;
+         },
+         getFeatureReport : function(reportId, length) {
+            var record = nextRecord("getFeatureReport", "response");
+            var response = record.bytes.slice();
+            if (lastRecordedRequest != null && response.length > COMMAND_ID_BYTE_INDEX) {
+               // shift the command ID and checksum by the same amount they were off by in the trace (usually zero)
+               var commandIdOffset = record.bytes[COMMAND_ID_BYTE_INDEX] - lastRecordedRequest[COMMAND_ID_BYTE_INDEX];
+               response[COMMAND_ID_BYTE_INDEX] = (lastActualRequest[COMMAND_ID_BYTE_INDEX] + commandIdOffset + 256) & 0xff;
+
+               var checksumOffset = record.bytes[CHECKSUM_BYTE_INDEX] - SpeckProtocol.computeChecksum(record.bytes);
+               response[CHECKSUM_BYTE_INDEX] = (SpeckProtocol.computeChecksum(response) + checksumOffset + 256) & 0xff;
+            }
+            return response;
+         },
+         close : function() {
+         }
+      };
+   };
+
+   // the "constructor"
+   (function() {
+      // map of path to the session which the path's records currently belong to
+      var currentSessionsByPath = {};
+
+      records.forEach(function(record) {
+         if (record.type == "open" || (record.type == "error" && record.operation == "open")) {
+            if (!sessionsByPath.hasOwnProperty(record.path)) {
+               sessionsByPath[record.path] = [];
+               descriptorsByPath[record.path] = { path : record.path };
+               paths.push(record.path);
+            }
+            if (record.descriptor) {
+               descriptorsByPath[record.path] = record.descriptor;
+            }
+            var session = { records : [], openError : record.type == "error" ? record.message : null };
+            sessionsByPath[record.path].push(session);
+            currentSessionsByPath[record.path] = session;
+         }
+         else if (currentSessionsByPath.hasOwnProperty(record.path)) {
+            currentSessionsByPath[record.path].records.push(record);
+         }
+      });
+   })();
+}
+
+//======================================================================================================================
+
+module.exports = ReplayTransport;
@@ -0,0 +1,404 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var log = require('log4js').getLogger("speck-sensor");
+var SpeckError = require('./SpeckError');
+
+// The sample fields aggregated by default
+var DEFAULT_FIELDS = ["particleConcentration", "particleCount", "humidity", "rawParticleCount"];
+
+// Bucket sizes, in seconds, keyed by resolution name
+var RESOLUTIONS = {
+   minute : 60,
+   hour : 60 * 60,
+   day : 24 * 60 * 60
+};
+
+var DEFAULT_ROLLING_WINDOW_SECS = 60 * 60;
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var isValidNumber = function(value) {
+   return typeof value === 'number' && isFinite(value);
+};
+
+var roundToTenths = function(value) {
+   return Math.round(value * 10) / 10;
+};
+
+// Returns the stats for each of the given fields, computed over the given samples
+var computeFieldStats = function(fields, samples) {
+   var fieldStats = {};
+   fields.forEach(function(field) {
+      fieldStats[field] = SampleAggregator.computeStats(samples.map(function(sample) {
+         return sample[field];
+      }));
+   });
+   return fieldStats;
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates an aggregator which takes a stream of samples from a single Speck--e.g. from
+ *    {@link Speck#event:sample sample} events, or a historic sample download--and computes rolling statistics over
+ *    the most recent samples, plus statistics for fixed, UTC-aligned time buckets (1-minute, hourly, and daily).
+ *    Statistics (count, mean, median, min, max, and standard deviation) are computed separately for each field.
+ * </p>
+ * <p>
+ *    Each sample covers the logging interval which ends at its <code>sampleTimeSecs</code>, i.e.
+ *    <code>[sampleTimeSecs - loggingIntervalSecs, sampleTimeSecs)</code>, and is included in every bucket which that
+ *    interval overlaps.  Each bucket also reports its <code>completeness</code>: the percentage of the bucket's
+ *    duration covered by samples.  So, for example, an hourly bucket of a Speck with a 60 second logging interval is
+ *    100% complete once it has 60 samples, and a sample from a Speck with a 5 minute logging interval is included in
+ *    (and completes) five 1-minute buckets.  The logging interval is taken from each sample's
+ *    <code>loggingIntervalSecs</code> field (present in samples from Specks created with the
+ *    <code>normalizeSamples</code> option), or else from the <code>loggingIntervalSecs</code> option.  If neither is
+ *    known, the sample is only included in the bucket containing its <code>sampleTimeSecs</code>, and the bucket's
+ *    <code>completeness</code> is <code>null</code>.
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>loggingIntervalSecs</code>: the Speck's logging interval, as returned by
+ *       {@linkcode Speck#getSpeckConfig getSpeckConfig}</li>
+ *       <li><code>rollingWindowSecs</code>: the duration of the rolling window, in seconds, ending at the newest
+ *       sample (defaults to 3600)</li>
+ *       <li><code>resolutions</code>: an array of the bucket resolutions to compute, any of <code>"minute"</code>,
+ *       <code>"hour"</code>, and <code>"day"</code> (defaults to all three)</li>
+ *       <li><code>fields</code>: an array of the sample fields to aggregate (defaults to
+ *       <code>particleConcentration</code>, <code>particleCount</code>, <code>humidity</code>, and
+ *       <code>rawParticleCount</code>)</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    Samples should be added oldest first.  A bucket is emitted in a {@link SampleAggregator#event:bucket bucket}
+ *    event once a sample whose interval starts in a later bucket arrives (or upon
+ *    {@linkcode SampleAggregator#flush flush}), after which samples are no longer included in it.  Samples with the
+ *    same <code>sampleTimeSecs</code> as one already added are ignored.
+ * </p>
+ *
+ * @param {object} [options] - the aggregator's options
+ * @constructor
+ * @extends EventEmitter
+ * @fires SampleAggregator#bucket
+ * @throws {SpeckError} if any of the options are invalid
+ */
+function SampleAggregator(options) {
+   EventEmitter.call(this);
+
+   options = options || {};
+
+   var self = this;
+   var loggingIntervalSecs = options.loggingIntervalSecs;
+   var rollingWindowSecs = options.rollingWindowSecs || DEFAULT_ROLLING_WINDOW_SECS;
+   var resolutions = options.resolutions || Object.keys(RESOLUTIONS);
+   var fields = options.fields || DEFAULT_FIELDS;
+
+   // the samples within the rolling window, oldest first
+   var windowSamples = [];
+
+   // map of resolution to its open buckets, oldest first
+   var openBuckets = {};
+
+   // map of resolution to the time before which buckets are closed, i.e. emitted or skipped over
+   var closedBeforeTimes = {};
+
+   /**
+    * Adds the given sample.  The sample is copied, so it's safe to modify it afterwards.  May emit
+    * {@link SampleAggregator#event:bucket bucket} events for buckets completed by this sample.
+    *
+    * @param {object} sample - the sample, with at least a <code>sampleTimeSecs</code> field
+    * @throws {SpeckError} if the sample has no <code>sampleTimeSecs</code>
+    */
+   this.add = function(sample) {
+      if (sample == null || !isValidNumber(sample.sampleTimeSecs)) {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid sample: it must have a numeric sampleTimeSecs");
+      }
+
+      var entry = {
+         sampleTimeSecs : sample.sampleTimeSecs,
+         loggingIntervalSecs : isValidNumber(sample.loggingIntervalSecs) ? sample.loggingIntervalSecs : loggingIntervalSecs
+      };
+      fields.forEach(function(field) {
+         entry[field] = sample[field];
+      });
+
+      addToRollingWindow(entry);
+      resolutions.forEach(function(resolution) {
+         addToBuckets(resolution, entry);
+      });
+   };
+
+   /**
+    * <p>
+    *    Returns the statistics for the samples within the rolling window, as an object with the following fields:
+    *    <ul>
+    *       <li><code>startTimeSecs</code> and <code>endTimeSecs</code>: the times of the oldest and newest samples in
+    *       the window (<code>null</code> if there are none)</li>
+    *       <li><code>numSamples</code>: the number of samples in the window</li>
+    *       <li><code>fields</code>: an object of stats, as returned by
+    *       {@linkcode SampleAggregator.computeStats computeStats}, keyed by field name</li>
+    *    </ul>
+    * </p>
+    *
+    * @returns {{startTimeSecs: int|null, endTimeSecs: int|null, numSamples: int, fields: object}}
+    */
+   this.getRollingStats = function() {
+      var numSamples = windowSamples.length;
+      return {
+         startTimeSecs : numSamples > 0 ? windowSamples[0].sampleTimeSecs : null,
+         endTimeSecs : numSamples > 0 ? windowSamples[numSamples - 1].sampleTimeSecs : null,
+         numSamples : numSamples,
+         fields : computeFieldStats(fields, windowSamples)
+      };
+   };
+
+   /**
+    * Returns the buckets which are still open (i.e. haven't been emitted yet), in the same format as those emitted
+    * in {@link SampleAggregator#event:bucket bucket} events, in the order of the resolutions.
+    *
+    * @returns {Array}
+    */
+   this.getOpenBuckets = function() {
+      var summaries = [];
+      resolutions.forEach(function(resolution) {
+         openBuckets[resolution].forEach(function(bucket) {
+            summaries.push(summarizeBucket(bucket));
+         });
+      });
+      return summaries;
+   };
+
+   /**
+    * Emits all open buckets, e.g. at the end of a historic sample download, and returns them.
+    *
+    * @returns {Array} the buckets which were emitted
+    */
+   this.flush = function() {
+      var summaries = [];
+      resolutions.forEach(function(resolution) {
+         summaries = summaries.concat(closeBucketsBefore(resolution, Infinity));
+      });
+      return summaries;
+   };
+
+   var addToRollingWindow = function(entry) {
+      // find where the sample belongs, which is almost always at the end
+      var index = windowSamples.length;
+      while (index > 0 && windowSamples[index - 1].sampleTimeSecs > entry.sampleTimeSecs) {
+         index--;
+      }
+      if (index > 0 && windowSamples[index - 1].sampleTimeSecs == entry.sampleTimeSecs) {
+         return;
+      }
+      windowSamples.splice(index, 0, entry);
+
+      // evict samples which have fallen out of the window
+      var windowStartTimeSecs = windowSamples[windowSamples.length - 1].sampleTimeSecs - rollingWindowSecs;
+      while (windowSamples.length > 0 && windowSamples[0].sampleTimeSecs <= windowStartTimeSecs) {
+         windowSamples.shift();
+      }
+   };
+
+   var addToBuckets = function(resolution, entry) {
+      var bucketSizeSecs = RESOLUTIONS[resolution];
+      var hasLoggingInterval = isValidNumber(entry.loggingIntervalSecs) && entry.loggingIntervalSecs > 0;
+
+      // the sample covers the logging interval ending at its time, or just its time if the logging interval isn't known
+      var coverageStartTimeSecs = hasLoggingInterval ? entry.sampleTimeSecs - entry.loggingIntervalSecs : entry.sampleTimeSecs;
+      var firstStartTimeSecs = Math.floor(coverageStartTimeSecs / bucketSizeSecs) * bucketSizeSecs;
+      var lastStartTimeSecs = hasLoggingInterval ? (Math.ceil(entry.sampleTimeSecs / bucketSizeSecs) - 1) * bucketSizeSecs : firstStartTimeSecs;
+
+      // samples are added oldest first, so buckets before the first one this sample covers won't get any more samples
+      closeBucketsBefore(resolution, firstStartTimeSecs);
+
+      for (var startTimeSecs = firstStartTimeSecs; startTimeSecs <= lastStartTimeSecs; startTimeSecs += bucketSizeSecs) {
+         if (closedBeforeTimes[resolution] != null && startTimeSecs < closedBeforeTimes[resolution]) {
+            log.debug("SampleAggregator.add(): ignoring sample at [" + entry.sampleTimeSecs + "] for the closed " + resolution + " bucket at [" + startTimeSecs + "]");
+            continue;
+         }
+
+         var bucket = getOpenBucket(resolution, startTimeSecs);
+         if (!bucket.sampleTimes.hasOwnProperty(entry.sampleTimeSecs)) {
+            bucket.sampleTimes[entry.sampleTimeSecs] = true;
+            bucket.samples.push(entry);
+            if (hasLoggingInterval) {
+               bucket.coveredSecs += Math.min(entry.sampleTimeSecs, startTimeSecs + bucketSizeSecs) - Math.max(coverageStartTimeSecs, startTimeSecs);
+            }
+            else {
+               bucket.isCoverageKnown = false;
+            }
+         }
+      }
+   };
+
+   // Returns the open bucket of the given resolution starting at the given time, opening it if necessary
+   var getOpenBucket = function(resolution, startTimeSecs) {
+      var buckets = openBuckets[resolution];
+      var index = buckets.length;
+      while (index > 0 && buckets[index - 1].startTimeSecs > startTimeSecs) {
+         index--;
+      }
+      if (index > 0 && buckets[index - 1].startTimeSecs == startTimeSecs) {
+         return buckets[index - 1];
+      }
+
+      var bucket = {
+         resolution : resolution,
+         startTimeSecs : startTimeSecs,
+         sizeSecs : RESOLUTIONS[resolution],
+         samples : [],
+         sampleTimes : {},
+         coveredSecs : 0,
+         isCoverageKnown : true
+      };
+      buckets.splice(index, 0, bucket);
+      return bucket;
+   };
+
+   // Emits the open buckets of the given resolution which start before the given time, and returns their summaries
+   var closeBucketsBefore = function(resolution, timeSecs) {
+      var summaries = [];
+      var buckets = openBuckets[resolution];
+      while (buckets.length > 0 && buckets[0].startTimeSecs < timeSecs) {
+         var bucket = buckets.shift();
+         closedBeforeTimes[resolution] = Math.max(closedBeforeTimes[resolution] || -Infinity, bucket.startTimeSecs + bucket.sizeSecs);
+
+         /**
+          * Bucket event, emitted when a bucket is complete.  Listeners are called with an object containing the
+          * bucket's <code>resolution</code> (<code>"minute"</code>, <code>"hour"</code>, or <code>"day"</code>),
+          * <code>startTimeSecs</code> (inclusive), <code>endTimeSecs</code> (exclusive), <code>numSamples</code>,
+          * <code>completeness</code> (a percentage from 0 to 100, or <code>null</code> if the logging interval isn't
+          * known), and <code>fields</code>, an object of stats, as returned by
+          * {@linkcode SampleAggregator.computeStats computeStats}, keyed by field name.
+          *
+          * @event SampleAggregator#bucket
+          * @type {object}
+          */
+         var summary = summarizeBucket(bucket);
+         self.emit('bucket', summary);
+         summaries.push(summary);
+      }
+      if (timeSecs !== Infinity) {
+         closedBeforeTimes[resolution] = Math.max(closedBeforeTimes[resolution] || -Infinity, timeSecs);
+      }
+      return summaries;
+   };
+
+   var summarizeBucket = function(bucket) {
+      return {
+         resolution : bucket.resolution,
+         startTimeSecs : bucket.startTimeSecs,
+         endTimeSecs : bucket.startTimeSecs + bucket.sizeSecs,
+         numSamples : bucket.samples.length,
+         completeness : bucket.isCoverageKnown ? roundToTenths(Math.min(100, bucket.coveredSecs / bucket.sizeSecs * 100)) : null,
+         fields : computeFieldStats(fields, bucket.samples)
+      };
+   };
+
+   // the "constructor"
+   (function() {
+      if (typeof loggingIntervalSecs !== 'undefined' && (!isValidNumber(loggingIntervalSecs) || loggingIntervalSecs <= 0)) {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid loggingIntervalSecs [" + loggingIntervalSecs + "], must be a positive number");
+      }
+      if (!isValidNumber(rollingWindowSecs) || rollingWindowSecs <= 0) {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid rollingWindowSecs [" + rollingWindowSecs + "], must be a positive number");
+      }
+      if (!Array.isArray(resolutions)) {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid resolutions: must be an array");
+      }
+      resolutions.forEach(function(resolution) {
+         if (!RESOLUTIONS.hasOwnProperty(resolution)) {
+            throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid resolution [" + resolution + "], must be one of [" + Object.keys(RESOLUTIONS).join(", ") + "]");
+         }
+      });
+      if (!Array.isArray(fields)) {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid fields: must be an array");
+      }
+      resolutions.forEach(function(resolution) {
+         openBuckets[resolution] = [];
+      });
+   })();
+}
+
+util.inherits(SampleAggregator, EventEmitter);
+
+//======================================================================================================================
+// PUBLIC STATIC METHODS
+//======================================================================================================================
+
+/**
+ * Returns the count, mean, median, min, max, and (population) standard deviation of the given values, ignoring any
+ * which aren't finite numbers (e.g. <code>null</code>, or <code>undefined</code> for fields a Speck's protocol
+ * version doesn't report).  Returns <code>null</code> if there are no such values.
+ *
+ * @param {Array} values - the values
+ * @returns {{count: int, mean: number, median: number, min: number, max: number, standardDeviation: number}|null}
+ */
+SampleAggregator.computeStats = function(values) {
+   var sortedValues = values.filter(isValidNumber).sort(function(a, b) {
+      return a - b;
+   });
+   var count = sortedValues.length;
+   if (count == 0) {
+      return null;
+   }
+
+   var sum = 0;
+   sortedValues.forEach(function(value) {
+      sum += value;
+   });
+   var mean = sum / count;
+
+   var sumOfSquaredDeviations = 0;
+   sortedValues.forEach(function(value) {
+      sumOfSquaredDeviations += (value - mean) * (value - mean);
+   });
+
+   var middleIndex = Math.floor(count / 2);
+   return {
+      count : count,
+      mean : mean,
+      median : (count % 2 == 1) ? sortedValues[middleIndex] : (sortedValues[middleIndex - 1] + sortedValues[middleIndex]) / 2,
+      min : sortedValues[0],
+      max : sortedValues[count - 1],
+      standardDeviation : Math.sqrt(sumOfSquaredDeviations / count)
+   };
+};
+
+/**
+ * Aggregates the given samples (in any order) into buckets, returning an object of arrays of buckets, oldest first,
+ * keyed by resolution.  See the {@link SampleAggregator} constructor for the options, and the
+ * {@link SampleAggregator#event:bucket bucket} event for the format of the buckets.
+ *
+ * @param {Array} samples - the samples
+ * @param {object} [options] - the aggregator's options
+ * @returns {object} arrays of buckets, keyed by resolution
+ * @throws {SpeckError} if any of the options or samples are invalid
+ */
+SampleAggregator.aggregate = function(samples, options) {
+   var aggregator = new SampleAggregator(options);
+   var bucketsByResolution = {};
+   ((options && options.resolutions) || Object.keys(RESOLUTIONS)).forEach(function(resolution) {
+      bucketsByResolution[resolution] = [];
+   });
+   aggregator.on('bucket', function(bucket) {
+      bucketsByResolution[bucket.resolution].push(bucket);
+   });
+
+   samples.slice().sort(function(a, b) {
+      return a.sampleTimeSecs - b.sampleTimeSecs;
+   }).forEach(aggregator.add);
+   aggregator.flush();
+
+   return bucketsByResolution;
+};
+
+//======================================================================================================================
+
+module.exports = SampleAggregator;
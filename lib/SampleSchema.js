@@ -0,0 +1,94 @@
+/**
+ * <p>
+ *    The normalized sample format, which Speck instances return when created with the <code>normalizeSamples</code>
+ *    option.  Unlike the default format, whose fields depend on the Speck's protocol version, normalized samples
+ *    always have the same keys, with <code>null</code> for values the Speck doesn't report:
+ *    <ul>
+ *       <li><code>deviceId</code>: string, the id returned by {@linkcode Speck#getSpeckConfig getSpeckConfig}</li>
+ *       <li><code>protocolVersion</code>: integer</li>
+ *       <li><code>loggingIntervalSecs</code>: integer, the Speck's logging interval when the sample was read</li>
+ *       <li><code>sampleTimeSecs</code>: integer</li>
+ *       <li><code>timestamp</code>: a <code>Date</code> for <code>sampleTimeSecs</code></li>
+ *       <li><code>particleCount</code>: number or <code>null</code> (reported by protocol versions 1 and 2)</li>
+ *       <li><code>particleConcentration</code>: number or <code>null</code> (reported by protocol version 3)</li>
+ *       <li><code>humidity</code>: number</li>
+ *       <li><code>rawParticleCount</code>: number</li>
+ *       <li><code>temperature</code>: number or <code>null</code> (reported by protocol version 1)</li>
+ *       <li><code>calibrated</code>: the calibrated values (see {@link Calibration}), or <code>null</code></li>
+ *       <li><code>units</code>: the units of the measurements, i.e. a copy of
+ *       {@linkcode SampleSchema.UNITS UNITS}</li>
+ *    </ul>
+ *    Historic samples downloaded by {@linkcode Speck#downloadAllSamples downloadAllSamples} also keep the fields it
+ *    adds, such as <code>deviceSampleTimeSecs</code>.
+ * </p>
+ *
+ * @namespace SampleSchema
+ */
+var SampleSchema = {
+   /**
+    * The units of each measurement in a sample.  Temperature is the unconverted value reported by the firmware.
+    *
+    * @type {object}
+    */
+   UNITS : {
+      particleCount : "count",
+      particleConcentration : "µg/m³",
+      humidity : "%RH",
+      rawParticleCount : "count",
+      temperature : "raw"
+   },
+
+   /**
+    * Returns the given sample in the normalized format.
+    *
+    * @param {object} sample - a sample in the default format
+    * @param {object} speckConfig - the config of the Speck which produced the sample, as returned by
+    * {@linkcode Speck#getSpeckConfig getSpeckConfig}
+    * @returns {object} the normalized sample
+    */
+   normalize : function(sample, speckConfig) {
+      var valueOrNull = function(value) {
+         return typeof value === 'undefined' ? null : value;
+      };
+
+      var normalizedSample = {
+         deviceId : speckConfig.id,
+         protocolVersion : speckConfig.protocolVersion,
+         loggingIntervalSecs : speckConfig.loggingIntervalSecs,
+         sampleTimeSecs : sample.sampleTimeSecs,
+         timestamp : new Date(sample.sampleTimeSecs * 1000),
+         particleCount : valueOrNull(sample.particleCount),
+         particleConcentration : valueOrNull(sample.particleConcentration),
+         humidity : valueOrNull(sample.humidity),
+         rawParticleCount : valueOrNull(sample.rawParticleCount),
+         temperature : valueOrNull(sample.temperature),
+         calibrated : valueOrNull(sample.calibrated),
+         units : {}
+      };
+      Object.keys(SampleSchema.UNITS).forEach(function(key) {
+         normalizedSample.units[key] = SampleSchema.UNITS[key];
+      });
+
+      // keep any other fields, e.g. those added to historic samples when their timestamps are corrected
+      Object.keys(sample).forEach(function(key) {
+         if (!(key in normalizedSample)) {
+            normalizedSample[key] = sample[key];
+         }
+      });
+      return normalizedSample;
+   },
+
+   /**
+    * Returns whether the given sample is in the normalized format.
+    *
+    * @param {object} sample - the sample
+    * @returns {boolean}
+    */
+   isNormalized : function(sample) {
+      return sample != null && sample.timestamp instanceof Date && 'deviceId' in sample && 'units' in sample;
+   }
+};
+
+//======================================================================================================================
+
+module.exports = SampleSchema;
@@ -0,0 +1,352 @@
+var fs = require('fs');
+var path = require('path');
+var fileUtils = require('./fileUtils');
+var log = require('log4js').getLogger("speck-sensor");
+var SpeckError = require('./SpeckError');
+
+var SAMPLES_FILENAME_SUFFIX = ".samples.jsonl";
+var STATE_FILENAME_SUFFIX = ".state.json";
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var validateDeviceId = function(deviceId) {
+   if (typeof deviceId !== 'string' || !/^[0-9a-zA-Z_-]+$/.test(deviceId)) {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid device id [" + deviceId + "], must be a non-empty string of letters, digits, underscores, and dashes");
+   }
+};
+
+var validateSample = function(sample) {
+   if (sample == null || typeof sample.sampleTimeSecs !== 'number' || !isFinite(sample.sampleTimeSecs)) {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid sample, it must have a numeric sampleTimeSecs");
+   }
+};
+
+// Returns whether the given time is within the given range, where either end may be unspecified
+var isInRange = function(sampleTimeSecs, range) {
+   return (range.from == null || sampleTimeSecs >= range.from) &&
+          (range.to == null || sampleTimeSecs <= range.to);
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a file-backed store of samples, keyed by device id (i.e. the <code>id</code> returned by
+ *    {@linkcode Speck#getSpeckConfig getSpeckConfig}) and <code>sampleTimeSecs</code>.  Inserting a sample which is
+ *    already in the store does nothing, so it's safe to insert the same sample more than once, e.g. when a download
+ *    is retried.
+ * </p>
+ * <p>
+ *    Each device's samples are stored in an append-only file of JSON lines in the given directory, and inserts are
+ *    flushed to disk before calling back.  Removing samples only appends a record of the removal, so call
+ *    {@linkcode SampleStore#compact compact} occasionally to reclaim the space.
+ * </p>
+ * <p>
+ *    The <code>options</code> object contains the following fields:
+ *    <ul>
+ *       <li><code>directory</code>: required, the directory in which to store the samples (created if it doesn't
+ *       exist)</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {object} options - the store's options
+ * @constructor
+ * @throws {SpeckError} if the <code>directory</code> is missing
+ */
+function SampleStore(options) {
+   options = options || {};
+   if (!options.directory) {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "The directory option is required");
+   }
+
+   var directory = options.directory;
+
+   // device id -> { samplesByTime : map of sampleTimeSecs to sample }
+   var devices = {};
+
+   /**
+    * Returns the ids of the devices which have samples in the store.
+    *
+    * @returns {Array} the device ids, sorted
+    */
+   this.getDeviceIds = function() {
+      var deviceIds = {};
+      fs.readdirSync(directory).forEach(function(filename) {
+         if (filename.slice(-SAMPLES_FILENAME_SUFFIX.length) == SAMPLES_FILENAME_SUFFIX) {
+            deviceIds[filename.slice(0, -SAMPLES_FILENAME_SUFFIX.length)] = true;
+         }
+      });
+      return Object.keys(deviceIds).filter(function(deviceId) {
+         return Object.keys(getDevice(deviceId).samplesByTime).length > 0;
+      }).sort();
+   };
+
+   /**
+    * Inserts the given sample for the given device, unless the store already has a sample for that device with the
+    * same <code>sampleTimeSecs</code>.  The callback is called once the sample is on disk, with a boolean indicating
+    * whether the sample was inserted (<code>false</code> if it was a duplicate).
+    *
+    * @param {string} deviceId - the device's id
+    * @param {object} sample - the sample to insert
+    * @param {function} callback - the callback function with a signature of the form
+    * <code>callback(err, wasInserted)</code>
+    */
+   this.insert = function(deviceId, sample, callback) {
+      try {
+         validateDeviceId(deviceId);
+         validateSample(sample);
+
+         var device = getDevice(deviceId);
+         if (sample.sampleTimeSecs in device.samplesByTime) {
+            return callback(null, false);
+         }
+
+         fileUtils.appendDurably(getSamplesFilePath(deviceId), JSON.stringify({ sample : sample }) + "\n");
+         device.samplesByTime[sample.sampleTimeSecs] = sample;
+      }
+      catch (e) {
+         log.error("SampleStore.insert(): failed to insert sample: " + e);
+         return callback(e);
+      }
+      callback(null, true);
+   };
+
+   /**
+    * Returns the given device's samples with a <code>sampleTimeSecs</code> in the given range, sorted by time.  Both
+    * ends of the range are inclusive, and either may be left off.
+    *
+    * @param {string} deviceId - the device's id
+    * @param {object} [range] - the range, with optional <code>from</code> and <code>to</code> fields, in seconds
+    * @param {function} callback - the callback function with a signature of the form <code>callback(err, samples)</code>
+    */
+   this.query = function(deviceId, range, callback) {
+      if (typeof range === 'function') {
+         callback = range;
+         range = null;
+      }
+      range = range || {};
+
+      var samples;
+      try {
+         validateDeviceId(deviceId);
+         samples = getSamplesInRange(getDevice(deviceId), range);
+      }
+      catch (e) {
+         log.error("SampleStore.query(): failed to query samples: " + e);
+         return callback(e);
+      }
+      callback(null, samples);
+   };
+
+   /**
+    * Returns the number of samples stored for the given device.
+    *
+    * @param {string} deviceId - the device's id
+    * @returns {int}
+    */
+   this.count = function(deviceId) {
+      validateDeviceId(deviceId);
+      return Object.keys(getDevice(deviceId).samplesByTime).length;
+   };
+
+   /**
+    * Removes the given device's samples with a <code>sampleTimeSecs</code> in the given range (inclusive), or all of
+    * its samples if the range is left off.  The callback is called with the number of samples removed.
+    *
+    * @param {string} deviceId - the device's id
+    * @param {object} [range] - the range, with optional <code>from</code> and <code>to</code> fields, in seconds
+    * @param {function} callback - the callback function with a signature of the form
+    * <code>callback(err, numRemoved)</code>
+    */
+   this.remove = function(deviceId, range, callback) {
+      if (typeof range === 'function') {
+         callback = range;
+         range = null;
+      }
+      range = range || {};
+
+      var numRemoved;
+      try {
+         validateDeviceId(deviceId);
+         var device = getDevice(deviceId);
+         var samples = getSamplesInRange(device, range);
+         numRemoved = samples.length;
+         if (numRemoved > 0) {
+            fileUtils.appendDurably(getSamplesFilePath(deviceId), JSON.stringify({ removed : { from : range.from, to : range.to } }) + "\n");
+            samples.forEach(function(sample) {
+               delete device.samplesByTime[sample.sampleTimeSecs];
+            });
+         }
+      }
+      catch (e) {
+         log.error("SampleStore.remove(): failed to remove samples: " + e);
+         return callback(e);
+      }
+      callback(null, numRemoved);
+   };
+
+   /**
+    * Rewrites the files of the given device (or of all devices, if no device id is given) so they contain only the
+    * current samples, in time order, reclaiming the space used by removed samples.  Each file is replaced
+    * atomically, so an interrupted compaction leaves the store intact.
+    *
+    * @param {string} [deviceId] - the device's id
+    * @param {function} callback - the callback function with a signature of the form <code>callback(err)</code>
+    */
+   this.compact = function(deviceId, callback) {
+      if (typeof deviceId === 'function') {
+         callback = deviceId;
+         deviceId = null;
+      }
+
+      try {
+         var deviceIds = deviceId == null ? this.getDeviceIds() : [deviceId];
+         deviceIds.forEach(function(id) {
+            validateDeviceId(id);
+            compactDevice(id);
+         });
+      }
+      catch (e) {
+         log.error("SampleStore.compact(): failed to compact: " + e);
+         return callback(e);
+      }
+      callback(null);
+   };
+
+   /**
+    * Returns where the last historic download for the given device got to, i.e. the <code>sampleTimeSecs</code> of
+    * the last sample stored via a {@linkcode SampleStore#createPersistSample createPersistSample} function, or
+    * <code>null</code> if there isn't one.
+    *
+    * @param {string} deviceId - the device's id
+    * @returns {number|null}
+    */
+   this.getDownloadPosition = function(deviceId) {
+      validateDeviceId(deviceId);
+      var stateFilePath = getStateFilePath(deviceId);
+      if (fs.existsSync(stateFilePath)) {
+         var state = JSON.parse(fs.readFileSync(stateFilePath, 'utf8'));
+         if (typeof state.downloadPosition === 'number') {
+            return state.downloadPosition;
+         }
+      }
+      return null;
+   };
+
+   /**
+    * Records where a historic download for the given device got to.
+    *
+    * @param {string} deviceId - the device's id
+    * @param {number} sampleTimeSecs - the <code>sampleTimeSecs</code> of the last sample downloaded
+    * @param {function} callback - the callback function with a signature of the form <code>callback(err)</code>
+    */
+   this.setDownloadPosition = function(deviceId, sampleTimeSecs, callback) {
+      try {
+         validateDeviceId(deviceId);
+         fileUtils.writeAtomically(getStateFilePath(deviceId), JSON.stringify({ downloadPosition : sampleTimeSecs }));
+      }
+      catch (e) {
+         log.error("SampleStore.setDownloadPosition(): failed to record download position: " + e);
+         return callback(e);
+      }
+      callback(null);
+   };
+
+   /**
+    * <p>
+    *    Returns a function for the <code>persistSample</code> option of {@linkcode Speck#downloadAllSamples}, which
+    *    inserts each downloaded sample for the given device and records the download position.  Since the Speck
+    *    deletes each sample only after it's persisted, a download interrupted between the two simply downloads the
+    *    sample again when resumed, and the duplicate insert is ignored.
+    * </p>
+    *
+    * @param {string} deviceId - the device's id
+    * @returns {function} a function with a signature of the form <code>persistSample(sample, done)</code>
+    */
+   this.createPersistSample = function(deviceId) {
+      var self = this;
+      validateDeviceId(deviceId);
+      return function(sample, done) {
+         self.insert(deviceId, sample, function(err) {
+            if (err) {
+               return done(err);
+            }
+            self.setDownloadPosition(deviceId, sample.sampleTimeSecs, done);
+         });
+      };
+   };
+
+   var getSamplesFilePath = function(deviceId) {
+      return path.join(directory, deviceId + SAMPLES_FILENAME_SUFFIX);
+   };
+
+   var getStateFilePath = function(deviceId) {
+      return path.join(directory, deviceId + STATE_FILENAME_SUFFIX);
+   };
+
+   var getSamplesInRange = function(device, range) {
+      return Object.keys(device.samplesByTime).map(function(sampleTimeSecs) {
+         return device.samplesByTime[sampleTimeSecs];
+      }).filter(function(sample) {
+         return isInRange(sample.sampleTimeSecs, range);
+      }).sort(function(a, b) {
+         return a.sampleTimeSecs - b.sampleTimeSecs;
+      });
+   };
+
+   // Returns the in-memory index of the given device's samples, loading it from disk the first time
+   var getDevice = function(deviceId) {
+      if (!(deviceId in devices)) {
+         var device = { samplesByTime : {} };
+         var samplesFilePath = getSamplesFilePath(deviceId);
+         if (fs.existsSync(samplesFilePath)) {
+            var contents = fs.readFileSync(samplesFilePath, 'utf8');
+            var needsRepair = contents.length > 0 && contents.slice(-1) != "\n";
+            fileUtils.parseJsonLines(contents).forEach(function(record) {
+               if (record.sample) {
+                  if (!(record.sample.sampleTimeSecs in device.samplesByTime)) {
+                     device.samplesByTime[record.sample.sampleTimeSecs] = record.sample;
+                  }
+               }
+               else if (record.removed) {
+                  Object.keys(device.samplesByTime).forEach(function(sampleTimeSecs) {
+                     if (isInRange(device.samplesByTime[sampleTimeSecs].sampleTimeSecs, record.removed)) {
+                        delete device.samplesByTime[sampleTimeSecs];
+                     }
+                  });
+               }
+            });
+            devices[deviceId] = device;
+
+            // a crash in the middle of an append leaves a partial line, which must go before anything else is appended
+            if (needsRepair) {
+               log.warn("SampleStore: discarding partially-written record in [" + samplesFilePath + "]");
+               compactDevice(deviceId);
+            }
+         }
+         devices[deviceId] = device;
+      }
+      return devices[deviceId];
+   };
+
+   var compactDevice = function(deviceId) {
+      var device = getDevice(deviceId);
+      var samples = getSamplesInRange(device, {});
+      fileUtils.writeAtomically(getSamplesFilePath(deviceId), samples.map(function(sample) {
+         return JSON.stringify({ sample : sample }) + "\n";
+      }).join(""));
+   };
+
+   // the "constructor"
+   (function() {
+      fileUtils.ensureDirectory(directory);
+   })();
+}
+
+//======================================================================================================================
+
+module.exports = SampleStore;
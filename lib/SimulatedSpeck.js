@@ -0,0 +1,479 @@
+var SpeckProtocol = require('./SpeckProtocol');
+
+//======================================================================================================================
+// CONSTANTS
+//======================================================================================================================
+
+var COMMAND_LENGTH_IN_BYTES = SpeckProtocol.COMMAND_LENGTH_IN_BYTES;
+var CHECKSUM_BYTE_INDEX = SpeckProtocol.CHECKSUM_BYTE_INDEX;
+var COMMAND_ID_BYTE_INDEX = SpeckProtocol.COMMAND_ID_BYTE_INDEX;
+
+var GET_INFO_COMMAND_CHARACTER = SpeckProtocol.GET_INFO_COMMAND_CHARACTER.charCodeAt(0);
+var GET_EXTENDED_INFO_COMMAND_CHARACTER = SpeckProtocol.GET_EXTENDED_INFO_COMMAND_CHARACTER.charCodeAt(0);
+var GET_HISTORIC_SAMPLE_COMMAND_CHARACTER = SpeckProtocol.GET_HISTORIC_SAMPLE_COMMAND_CHARACTER.charCodeAt(0);
+var GET_CURRENT_SAMPLE_COMMAND_CHARACTER = SpeckProtocol.GET_CURRENT_SAMPLE_COMMAND_CHARACTER.charCodeAt(0);
+var GET_SAMPLE_COUNT_COMMAND_CHARACTER = SpeckProtocol.GET_SAMPLE_COUNT_COMMAND_CHARACTER.charCodeAt(0);
+var DELETE_SAMPLE_COMMAND_CHARACTER = SpeckProtocol.DELETE_SAMPLE_COMMAND_CHARACTER.charCodeAt(0);
+var ENTER_BOOTLOADER_MODE_COMMAND_CHARACTER = SpeckProtocol.ENTER_BOOTLOADER_MODE_COMMAND_CHARACTER.charCodeAt(0);
+
+var SERIAL_NUMBER_STARTING_BYTE_INDEX = 1;
+var HARDWARE_VERSION_BYTE_INDEX = 10;
+var PROTOCOL_VERSION_BYTE_INDEX = 11;
+var LOGGING_INTERVAL_BYTE_INDEX_WHEN_READING = 12;
+var FIRMWARE_VERSION_BYTE_INDEX = 13;
+var LOGGING_INTERVAL_BYTE_INDEX_WHEN_WRITING = 5;
+var NUM_SAMPLES_BYTE_INDEX = 1;
+var SAMPLE_TIME_SECS_BYTE_INDEX = 1;
+var PARTICLE_COUNT_OR_CONCENTRATION_BYTE_INDEX = 5;
+var TEMPERATURE_BYTE_INDEX = 9;
+var HUMIDITY_BYTE_INDEX = 11;
+var RAW_PARTICLE_COUNT_BYTE_INDEX = 12;
+var DELETE_SAMPLE_TIME_SECS_BYTE_INDEX = 1;
+
+var DEFAULT_LOGGING_INTERVAL = SpeckProtocol.DEFAULT_LOGGING_INTERVAL;
+var DEFAULT_MAX_SAMPLES = 10000;
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var createRandomId = function(numBytes) {
+   var id = "";
+   for (var i = 0; i < numBytes; i++) {
+      id += ("00" + Math.floor(Math.random() * 256).toString(16)).slice(-2);
+   }
+   return id;
+};
+
+var hexStringToBytes = function(hexString) {
+   var bytes = [];
+   for (var i = 0; i < hexString.length; i += 2) {
+      bytes.push(parseInt(hexString.substr(i, 2), 16));
+   }
+   return bytes;
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates an in-memory simulation of a Speck device, suitable for use with a {@link SimulatedTransport}.  The
+ *    simulated device speaks the same feature report protocol as the real hardware, and responds to the get info
+ *    (<code>I</code>), get extended info (<code>i</code>), get current sample (<code>S</code>), get historic sample
+ *    (<code>G</code>), get sample count (<code>P</code>), delete sample (<code>D</code>), enter bootloader mode
+ *    (<code>B</code>), and set logging interval commands, with correct checksums and command IDs.
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>protocolVersion</code>: integer, 1, 2, or 3 (defaults to 3)</li>
+ *       <li><code>id</code>: hex string serial number, 20 characters for protocol versions 1 and 2, or 32 characters
+ *       for protocol version 3 (defaults to a random serial number)</li>
+ *       <li><code>loggingIntervalSecs</code>: integer (defaults to 1)</li>
+ *       <li><code>firmwareVersion</code>: integer (protocol version 3 only)</li>
+ *       <li><code>hardwareVersion</code>: integer (protocol version 3 only)</li>
+ *       <li><code>samples</code>: an array of stored historic samples, oldest first</li>
+ *       <li><code>maxSamples</code>: the capacity of the stored sample buffer.  Once full, the oldest samples are
+ *       discarded to make room for new ones (defaults to 10000)</li>
+ *       <li><code>currentSample</code>: the sample returned by the get current sample command</li>
+ *       <li><code>clockOffsetSecs</code>: how far the device's clock is ahead of the host's clock, in seconds
+ *       (defaults to 0)</li>
+ *       <li><code>refusesBootloaderMode</code>: if <code>true</code>, the device declines the enter bootloader
+ *       mode command (defaults to <code>false</code>)</li>
+ *       <li><code>ignoresLoggingIntervalChanges</code>: if <code>true</code>, the device acknowledges requests to
+ *       change the logging interval, but keeps its old one (defaults to <code>false</code>)</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    Samples are objects in the same format as returned by {@link Speck#getSample}.  If the current sample has no
+ *    <code>sampleTimeSecs</code>, the device's clock is used instead.
+ * </p>
+ *
+ * @param {object} [options] - the simulated device's configuration
+ * @constructor
+ * @see SimulatedTransport
+ */
+function SimulatedSpeck(options) {
+   options = options || {};
+
+   var self = this;
+   var protocolVersion = options.protocolVersion || 3;
+   var id = (options.id || createRandomId(protocolVersion < 3 ? 10 : 16)).toLowerCase();
+   var loggingIntervalSecs = (protocolVersion < 2) ? DEFAULT_LOGGING_INTERVAL : (options.loggingIntervalSecs || DEFAULT_LOGGING_INTERVAL);
+   var firmwareVersion = options.firmwareVersion || 0;
+   var hardwareVersion = options.hardwareVersion || 0;
+   var maxSamples = options.maxSamples || DEFAULT_MAX_SAMPLES;
+   var clockOffsetSecs = options.clockOffsetSecs || 0;
+   var samples = [];
+   var currentSample = options.currentSample || {
+         humidity : 40,
+         rawParticleCount : 12,
+         particleCount : 100,
+         particleConcentration : 5.5,
+         temperature : 220
+      };
+
+   var isAttached = true;
+   var isOpen = false;
+   var pendingResponse = null;
+   var isInBootloaderMode = false;
+   var refusesBootloaderMode = !!options.refusesBootloaderMode;
+   var ignoresLoggingIntervalChanges = !!options.ignoresLoggingIntervalChanges;
+
+   var numResponsesToCorrupt = 0;
+   var corruption = null;
+
+   /**
+    * The HID path of the simulated device.  Assigned by the {@link SimulatedTransport} when the device is added.
+    *
+    * @type {string}
+    */
+   this.path = options.path || null;
+
+   /**
+    * Returns the simulated device's protocol version.
+    *
+    * @returns {int}
+    */
+   this.getProtocolVersion = function() {
+      return protocolVersion;
+   };
+
+   /**
+    * Returns the simulated device's serial number.
+    *
+    * @returns {string}
+    */
+   this.getId = function() {
+      return id;
+   };
+
+   /**
+    * Returns the simulated device's logging interval, in seconds.
+    *
+    * @returns {int}
+    */
+   this.getLoggingInterval = function() {
+      return loggingIntervalSecs;
+   };
+
+   /**
+    * Appends the given sample to the stored sample buffer, discarding the oldest sample if the buffer is full.
+    *
+    * @param {object} sample - the sample to store
+    */
+   this.addSample = function(sample) {
+      samples.push(sample);
+      while (samples.length > maxSamples) {
+         samples.shift();
+      }
+   };
+
+   /**
+    * Returns a copy of the stored sample buffer, oldest first.
+    *
+    * @returns {Array}
+    */
+   this.getSamples = function() {
+      return samples.slice();
+   };
+
+   /**
+    * Sets the sample returned by the get current sample command.
+    *
+    * @param {object} sample - the new current sample
+    */
+   this.setCurrentSample = function(sample) {
+      currentSample = sample;
+   };
+
+   /**
+    * Sets how far the device's clock is ahead of the host's clock, in seconds (negative if it's behind).
+    *
+    * @param {int} offsetSecs - the clock offset
+    */
+   this.setClockOffset = function(offsetSecs) {
+      clockOffsetSecs = offsetSecs;
+   };
+
+   /**
+    * Corrupts the next <code>numResponses</code> responses, to simulate transient USB errors.  The
+    * <code>fault</code> is either <code>"checksum"</code> (the default), which corrupts the checksum byte, or
+    * <code>"commandId"</code>, which corrupts the command ID byte.
+    *
+    * @param {int} numResponses - the number of responses to corrupt
+    * @param {string} [fault] - the kind of corruption
+    */
+   this.corruptResponses = function(numResponses, fault) {
+      numResponsesToCorrupt = numResponses;
+      corruption = fault || "checksum";
+   };
+
+   /**
+    * Sets whether the device declines the enter bootloader mode command, e.g. to simulate firmware which can't be
+    * updated.  A declining device responds without echoing the command character, and stays in normal mode.
+    *
+    * @param {boolean} refuses
+    */
+   this.setRefusesBootloaderMode = function(refuses) {
+      refusesBootloaderMode = !!refuses;
+   };
+
+   /**
+    * Sets whether the device ignores requests to change the logging interval, e.g. to simulate faulty firmware.  An
+    * ignoring device echoes the requested interval in its response, as if it had accepted it, but keeps reporting its
+    * old interval to later info commands.
+    *
+    * @param {boolean} ignores
+    */
+   this.setIgnoresLoggingIntervalChanges = function(ignores) {
+      ignoresLoggingIntervalChanges = !!ignores;
+   };
+
+   /**
+    * Returns <code>true</code> if the simulated device is currently open, <code>false</code> otherwise.
+    *
+    * @returns {boolean}
+    */
+   this.isOpen = function() {
+      return isOpen;
+   };
+
+   /**
+    * Returns <code>true</code> if the simulated device is currently plugged in, <code>false</code> otherwise.
+    *
+    * @returns {boolean}
+    */
+   this.isAttached = function() {
+      return isAttached;
+   };
+
+   /**
+    * Returns <code>true</code> if the simulated device is in bootloader mode, <code>false</code> otherwise.  A device
+    * in bootloader mode has a different USB identity, so it can't be opened, and isn't returned by
+    * {@linkcode SimulatedTransport#devices devices}.
+    *
+    * @returns {boolean}
+    */
+   this.isInBootloaderMode = function() {
+      return isInBootloaderMode;
+   };
+
+   /**
+    * Simulates the completion of a firmware update, after which the device re-enumerates as a Speck.
+    */
+   this.exitBootloaderMode = function() {
+      isInBootloaderMode = false;
+   };
+
+   /**
+    * Marks the simulated device as plugged in or unplugged.  All I/O on an unplugged device fails.  This is called by
+    * the {@link SimulatedTransport} when the device is added or removed.
+    *
+    * @param {boolean} attached
+    */
+   this.setAttached = function(attached) {
+      isAttached = !!attached;
+      if (!isAttached) {
+         isOpen = false;
+         pendingResponse = null;
+      }
+   };
+
+   /**
+    * Opens the simulated device.  Throws an <code>Error</code> if the device is unplugged or already open.
+    *
+    * @throws {Error} if the device is unplugged or already open
+    */
+   this.open = function() {
+      if (!isAttached || isInBootloaderMode) {
+         throw new Error("Cannot open device at path [" + self.path + "]: device not attached");
+      }
+      if (isOpen) {
+         throw new Error("Cannot open device at path [" + self.path + "]: device already open");
+      }
+      isOpen = true;
+      pendingResponse = null;
+   };
+
+   /**
+    * Closes the simulated device.
+    */
+   this.close = function() {
+      isOpen = false;
+      pendingResponse = null;
+   };
+
+   /**
+    * Processes the given command, and prepares the response to be read by {@link SimulatedSpeck#getFeatureReport}.
+    *
+    * @param {Array} command - the command byte array
+    * @returns {int} the number of bytes written
+    * @throws {Error} if the device is not open
+    */
+   this.sendFeatureReport = function(command) {
+      ensureUsable();
+      if (!command || command.length != COMMAND_LENGTH_IN_BYTES) {
+         throw new Error("Cannot write to HID device: invalid command length");
+      }
+
+      pendingResponse = processCommand(command.slice());
+      return COMMAND_LENGTH_IN_BYTES;
+   };
+
+   /**
+    * Returns the response to the most recently sent command.
+    *
+    * @param {int} reportId - the report ID
+    * @param {int} lengthInBytes - the number of bytes to read
+    * @returns {Array}
+    * @throws {Error} if the device is not open, or if there is no response to read
+    */
+   this.getFeatureReport = function(reportId, lengthInBytes) {
+      ensureUsable();
+      if (pendingResponse == null) {
+         throw new Error("Cannot read from HID device: no response available");
+      }
+
+      var response = pendingResponse.slice(0, lengthInBytes);
+      pendingResponse = null;
+
+      // the device reboots into the bootloader once it has confirmed the command
+      if (response[0] == ENTER_BOOTLOADER_MODE_COMMAND_CHARACTER && protocolVersion >= 2) {
+         isInBootloaderMode = true;
+         isOpen = false;
+      }
+
+      return response;
+   };
+
+   var ensureUsable = function() {
+      if (!isAttached || isInBootloaderMode) {
+         throw new Error("Cannot access HID device: device not attached");
+      }
+      if (!isOpen) {
+         throw new Error("Cannot access HID device: device not open");
+      }
+   };
+
+   var processCommand = function(command) {
+      var response = new Buffer(COMMAND_LENGTH_IN_BYTES);
+      response.fill(0);
+      response[0] = command[0];
+
+      var commandBuffer = new Buffer(command);
+      var deviceTimeSecs = Math.round(new Date().getTime() / 1000) + clockOffsetSecs;
+
+      switch (command[0]) {
+         case GET_INFO_COMMAND_CHARACTER:
+            // a non-zero logging interval in the info command means the logging interval should be changed
+            var requestedLoggingInterval = command[LOGGING_INTERVAL_BYTE_INDEX_WHEN_WRITING];
+            var isChangingLoggingInterval = requestedLoggingInterval > 0 && protocolVersion >= 2;
+            if (isChangingLoggingInterval && !ignoresLoggingIntervalChanges) {
+               loggingIntervalSecs = requestedLoggingInterval;
+            }
+            writeInfo(response);
+            if (isChangingLoggingInterval) {
+               response[LOGGING_INTERVAL_BYTE_INDEX_WHEN_READING] = requestedLoggingInterval;
+            }
+            break;
+         case GET_EXTENDED_INFO_COMMAND_CHARACTER:
+            if (protocolVersion >= 3) {
+               writeBytes(response, SERIAL_NUMBER_STARTING_BYTE_INDEX, hexStringToBytes(id).slice(8, 16));
+            }
+            break;
+         case GET_CURRENT_SAMPLE_COMMAND_CHARACTER:
+            writeSample(response, currentSample, deviceTimeSecs);
+            break;
+         case GET_HISTORIC_SAMPLE_COMMAND_CHARACTER:
+            if (samples.length > 0) {
+               writeSample(response, samples[0], deviceTimeSecs);
+            }
+            break;
+         case GET_SAMPLE_COUNT_COMMAND_CHARACTER:
+            if (protocolVersion >= 2) {
+               response.writeUInt32BE(samples.length, NUM_SAMPLES_BYTE_INDEX);
+            }
+            break;
+         case DELETE_SAMPLE_COMMAND_CHARACTER:
+            // echo back the time of the deleted sample, or leave it zero if there's no such sample
+            var sampleTimeSecs = commandBuffer.readUInt32BE(DELETE_SAMPLE_TIME_SECS_BYTE_INDEX);
+            for (var i = 0; i < samples.length; i++) {
+               if (samples[i].sampleTimeSecs == sampleTimeSecs) {
+                  samples.splice(i, 1);
+                  response.writeUInt32BE(sampleTimeSecs, DELETE_SAMPLE_TIME_SECS_BYTE_INDEX);
+                  break;
+               }
+            }
+            break;
+         case ENTER_BOOTLOADER_MODE_COMMAND_CHARACTER:
+            if (refusesBootloaderMode) {
+               response[0] = 0;
+            }
+            break;
+      }
+
+      var responseBytes = Array.prototype.slice.call(response);
+      responseBytes[COMMAND_ID_BYTE_INDEX] = command[COMMAND_ID_BYTE_INDEX];
+      responseBytes[CHECKSUM_BYTE_INDEX] = SpeckProtocol.computeChecksum(responseBytes);
+
+      if (numResponsesToCorrupt > 0) {
+         numResponsesToCorrupt--;
+         var corruptedByteIndex = (corruption == "commandId") ? COMMAND_ID_BYTE_INDEX : CHECKSUM_BYTE_INDEX;
+         responseBytes[corruptedByteIndex] = (responseBytes[corruptedByteIndex] + 1) & 0xff;
+      }
+
+      return responseBytes;
+   };
+
+   var writeInfo = function(response) {
+      var idBytes = hexStringToBytes(id);
+      if (protocolVersion < 3) {
+         writeBytes(response, SERIAL_NUMBER_STARTING_BYTE_INDEX, idBytes.slice(0, 10));
+      }
+      else {
+         writeBytes(response, SERIAL_NUMBER_STARTING_BYTE_INDEX, idBytes.slice(0, 8));
+         response[HARDWARE_VERSION_BYTE_INDEX] = hardwareVersion;
+         response[FIRMWARE_VERSION_BYTE_INDEX] = firmwareVersion;
+      }
+      response[PROTOCOL_VERSION_BYTE_INDEX] = protocolVersion;
+      response[LOGGING_INTERVAL_BYTE_INDEX_WHEN_READING] = (protocolVersion < 2) ? 0 : loggingIntervalSecs;
+   };
+
+   var writeSample = function(response, sample, deviceTimeSecs) {
+      var sampleTimeSecs = (typeof sample.sampleTimeSecs === 'undefined') ? deviceTimeSecs : sample.sampleTimeSecs;
+      response.writeUInt32BE(sampleTimeSecs, SAMPLE_TIME_SECS_BYTE_INDEX);
+      if (protocolVersion < 3) {
+         response.writeUInt32BE(sample.particleCount || 0, PARTICLE_COUNT_OR_CONCENTRATION_BYTE_INDEX);
+      }
+      else {
+         response.writeUInt32BE(Math.round((sample.particleConcentration || 0) * 10), PARTICLE_COUNT_OR_CONCENTRATION_BYTE_INDEX);
+      }
+      if (protocolVersion < 2) {
+         response.writeInt16BE(sample.temperature || 0, TEMPERATURE_BYTE_INDEX);
+      }
+      response.writeUInt8(sample.humidity || 0, HUMIDITY_BYTE_INDEX);
+      response.writeUInt16BE(sample.rawParticleCount || 0, RAW_PARTICLE_COUNT_BYTE_INDEX);
+   };
+
+   var writeBytes = function(response, startingIndex, bytes) {
+      for (var i = 0; i < bytes.length; i++) {
+         response[startingIndex + i] = bytes[i];
+      }
+   };
+
+   // the "constructor"
+   (function() {
+      var expectedIdLength = (protocolVersion < 3) ? 20 : 32;
+      if (!/^[0-9a-f]*$/.test(id) || id.length != expectedIdLength) {
+         throw new Error("Invalid simulated Speck id [" + id + "]: expected " + expectedIdLength + " hex characters");
+      }
+      (options.samples || []).forEach(self.addSample);
+   })();
+}
+
+//======================================================================================================================
+
+module.exports = SimulatedSpeck;
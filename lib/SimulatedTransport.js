@@ -0,0 +1,110 @@
+var SimulatedSpeck = require('./SimulatedSpeck');
+
+var SPECK_VENDOR_ID = 0x2354;
+var SPECK_PRODUCT_ID = 0x3333;
+
+/**
+ * <p>
+ *    Creates a transport backed by zero or more {@link SimulatedSpeck} devices instead of real HID hardware.  Pass it
+ *    to {@link Speck}, {@linkcode Speck.enumerate}, or {@linkcode Speck.create} via the <code>transport</code> option
+ *    to exercise the entire API without a Speck plugged in.
+ * </p>
+ * <p>
+ *    Each element of the optional <code>devices</code> array may be either a {@link SimulatedSpeck} or an options
+ *    object for creating one.
+ * </p>
+ *
+ * @param {Array} [devices] - the simulated devices which are initially plugged in
+ * @constructor
+ * @see HidTransport
+ * @see SimulatedSpeck
+ */
+function SimulatedTransport(devices) {
+   var self = this;
+   var attachedDevices = [];
+   var nextPathNumber = 0;
+
+   /**
+    * Plugs in the given simulated device, assigning it a unique path if it doesn't already have one.  Returns the
+    * {@link SimulatedSpeck}.
+    *
+    * @param {SimulatedSpeck|object} device - a {@link SimulatedSpeck}, or an options object for creating one
+    * @returns {SimulatedSpeck}
+    */
+   this.add = function(device) {
+      if (!(device instanceof SimulatedSpeck)) {
+         device = new SimulatedSpeck(device);
+      }
+      if (device.path == null) {
+         device.path = "simulated-speck-" + (nextPathNumber++);
+      }
+      device.setAttached(true);
+      attachedDevices.push(device);
+      return device;
+   };
+
+   /**
+    * Unplugs the given simulated device.  Any open connection to it will fail on its next read or write.
+    *
+    * @param {SimulatedSpeck} device - the device to unplug
+    */
+   this.remove = function(device) {
+      var index = attachedDevices.indexOf(device);
+      if (index >= 0) {
+         attachedDevices.splice(index, 1);
+         device.setAttached(false);
+      }
+   };
+
+   /**
+    * Returns an array of HID device descriptors for all plugged-in simulated devices matching the given vendor and
+    * product IDs.
+    *
+    * @param {int} vendorId - the USB vendor ID
+    * @param {int} productId - the USB product ID
+    * @returns {Array}
+    */
+   this.devices = function(vendorId, productId) {
+      if (vendorId != SPECK_VENDOR_ID || productId != SPECK_PRODUCT_ID) {
+         return [];
+      }
+      return attachedDevices.filter(function(device) {
+         return !device.isInBootloaderMode();
+      }).map(function(device) {
+         return {
+            vendorId : SPECK_VENDOR_ID,
+            productId : SPECK_PRODUCT_ID,
+            path : device.path,
+            product : "Speck (simulated)"
+         };
+      });
+   };
+
+   /**
+    * Opens the simulated device at the given path.
+    *
+    * @param {string} path - the device path
+    * @returns {SimulatedSpeck}
+    * @throws {Error} if no device is plugged in at the given path, or if the device is already open
+    */
+   this.open = function(path) {
+      for (var i = 0; i < attachedDevices.length; i++) {
+         if (attachedDevices[i].path == path && !attachedDevices[i].isInBootloaderMode()) {
+            attachedDevices[i].open();
+            return attachedDevices[i];
+         }
+      }
+      throw new Error("Cannot open device at path [" + path + "]: no such device");
+   };
+
+   // the "constructor"
+   (function() {
+      (devices || []).forEach(function(device) {
+         self.add(device);
+      });
+   })();
+}
+
+//======================================================================================================================
+
+module.exports = SimulatedTransport;
@@ -0,0 +1,191 @@
+var util = require('util');
+
+// Machine-readable error codes, keyed by themselves
+var CODES = {
+   NOT_CONNECTED : "NOT_CONNECTED",
+   DISCONNECTED : "DISCONNECTED",
+   HID_IO : "HID_IO",
+   CHECKSUM_MISMATCH : "CHECKSUM_MISMATCH",
+   COMMAND_ID_MISMATCH : "COMMAND_ID_MISMATCH",
+   NO_RESPONSE_DATA : "NO_RESPONSE_DATA",
+   UNEXPECTED_RESPONSE : "UNEXPECTED_RESPONSE",
+   UNSUPPORTED_BY_PROTOCOL : "UNSUPPORTED_BY_PROTOCOL",
+   TIMEOUT : "TIMEOUT",
+   ABORTED : "ABORTED",
+   INVALID_ARGUMENT : "INVALID_ARGUMENT"
+};
+
+//======================================================================================================================
+// CLASS DEFINITIONS
+//======================================================================================================================
+
+/**
+ * <p>
+ *    The base class of all errors reported by this module, with a stable, machine-readable <code>code</code>, so
+ *    callers can branch on the kind of failure rather than matching messages.  Errors are instances of one of the
+ *    following subclasses, depending on the code:
+ *    <ul>
+ *       <li>{@link SpeckError.ConnectionError}: <code>NOT_CONNECTED</code> (there's no connection to the Speck),
+ *       <code>DISCONNECTED</code> (the connection was closed before the command completed), and
+ *       <code>HID_IO</code> (reading from or writing to the HID device failed, which closes the connection)</li>
+ *       <li>{@link SpeckError.ResponseError}: <code>CHECKSUM_MISMATCH</code>, <code>COMMAND_ID_MISMATCH</code>,
+ *       <code>NO_RESPONSE_DATA</code>, and <code>UNEXPECTED_RESPONSE</code> (the response was valid, but not what
+ *       the command asked for).  These carry the raw response frame in <code>bytes</code>.</li>
+ *       <li>{@link SpeckError.UnsupportedError}: <code>UNSUPPORTED_BY_PROTOCOL</code> (the Speck's protocol
+ *       version doesn't support the operation)</li>
+ *       <li>{@link SpeckError.CommandError}: <code>TIMEOUT</code>, <code>ABORTED</code> (cancelled via an
+ *       <code>AbortSignal</code>, in which case the <code>name</code> is <code>AbortError</code>), and
+ *       <code>INVALID_ARGUMENT</code></li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    The optional <code>details</code> object may contain the following fields, which are copied to the error:
+ *    <ul>
+ *       <li><code>command</code>: the raw command frame, as an array of bytes</li>
+ *       <li><code>bytes</code>: the raw response frame, as an array of bytes</li>
+ *       <li><code>cause</code>: the underlying error, e.g. from node-hid</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {string} code - the error code, one of the {@link SpeckError.CODES}
+ * @param {string} message - the error message
+ * @param {object} [details] - the raw frames and underlying cause, if any
+ * @constructor
+ * @extends Error
+ */
+function SpeckError(code, message, details) {
+   Error.call(this);
+   if (typeof Error.captureStackTrace === 'function') {
+      Error.captureStackTrace(this, this.constructor);
+   }
+   details = details || {};
+
+   this.name = (code == CODES.ABORTED) ? "AbortError" : "SpeckError";
+   this.code = code;
+   this.message = message;
+   if (details.command != null) {
+      this.command = Array.prototype.slice.call(details.command);
+   }
+   if (details.bytes != null) {
+      this.bytes = Array.prototype.slice.call(details.bytes);
+   }
+   if (details.cause != null) {
+      this.cause = details.cause;
+   }
+}
+
+util.inherits(SpeckError, Error);
+
+/**
+ * An error communicating with the Speck: <code>NOT_CONNECTED</code>, <code>DISCONNECTED</code>, or
+ * <code>HID_IO</code>.
+ *
+ * @param {string} code - the error code
+ * @param {string} message - the error message
+ * @param {object} [details] - the raw frames and underlying cause, if any
+ * @constructor
+ * @extends SpeckError
+ */
+SpeckError.ConnectionError = function(code, message, details) {
+   SpeckError.call(this, code, message, details);
+};
+util.inherits(SpeckError.ConnectionError, SpeckError);
+
+/**
+ * An invalid or unexpected response from the Speck: <code>CHECKSUM_MISMATCH</code>,
+ * <code>COMMAND_ID_MISMATCH</code>, <code>NO_RESPONSE_DATA</code>, or <code>UNEXPECTED_RESPONSE</code>.
+ *
+ * @param {string} code - the error code
+ * @param {string} message - the error message
+ * @param {object} [details] - the raw frames and underlying cause, if any
+ * @constructor
+ * @extends SpeckError
+ */
+SpeckError.ResponseError = function(code, message, details) {
+   SpeckError.call(this, code, message, details);
+};
+util.inherits(SpeckError.ResponseError, SpeckError);
+
+/**
+ * An operation the Speck's protocol version doesn't support: <code>UNSUPPORTED_BY_PROTOCOL</code>.
+ *
+ * @param {string} message - the error message
+ * @param {object} [details] - the raw frames and underlying cause, if any
+ * @constructor
+ * @extends SpeckError
+ */
+SpeckError.UnsupportedError = function(message, details) {
+   SpeckError.call(this, CODES.UNSUPPORTED_BY_PROTOCOL, message, details);
+};
+util.inherits(SpeckError.UnsupportedError, SpeckError);
+
+/**
+ * A command which couldn't be run or didn't complete: <code>TIMEOUT</code>, <code>ABORTED</code>, or
+ * <code>INVALID_ARGUMENT</code>.
+ *
+ * @param {string} code - the error code
+ * @param {string} message - the error message
+ * @param {object} [details] - the raw frames and underlying cause, if any
+ * @constructor
+ * @extends SpeckError
+ */
+SpeckError.CommandError = function(code, message, details) {
+   SpeckError.call(this, code, message, details);
+};
+util.inherits(SpeckError.CommandError, SpeckError);
+
+//======================================================================================================================
+// PUBLIC STATIC METHODS
+//======================================================================================================================
+
+/**
+ * The error codes.
+ *
+ * @type {object}
+ */
+SpeckError.CODES = CODES;
+
+/**
+ * Creates a new error of the appropriate subclass for the given code.
+ *
+ * @param {string} code - the error code, one of the {@link SpeckError.CODES}
+ * @param {string} message - the error message
+ * @param {object} [details] - the raw frames and underlying cause, if any
+ * @returns {SpeckError}
+ */
+SpeckError.create = function(code, message, details) {
+   switch (code) {
+      case CODES.NOT_CONNECTED:
+      case CODES.DISCONNECTED:
+      case CODES.HID_IO:
+         return new SpeckError.ConnectionError(code, message, details);
+      case CODES.CHECKSUM_MISMATCH:
+      case CODES.COMMAND_ID_MISMATCH:
+      case CODES.NO_RESPONSE_DATA:
+      case CODES.UNEXPECTED_RESPONSE:
+         return new SpeckError.ResponseError(code, message, details);
+      case CODES.UNSUPPORTED_BY_PROTOCOL:
+         return new SpeckError.UnsupportedError(message, details);
+      case CODES.TIMEOUT:
+      case CODES.ABORTED:
+      case CODES.INVALID_ARGUMENT:
+         return new SpeckError.CommandError(code, message, details);
+      default:
+         return new SpeckError(code, message, details);
+   }
+};
+
+/**
+ * Returns whether the given error is a {@link SpeckError} with the given code.
+ *
+ * @param {*} err - the error
+ * @param {string} code - the error code
+ * @returns {boolean}
+ */
+SpeckError.hasCode = function(err, code) {
+   return err instanceof SpeckError && err.code == code;
+};
+
+//======================================================================================================================
+
+module.exports = SpeckError;
@@ -0,0 +1,351 @@
+var url = require('url');
+var WebSocket = require('ws');
+var SpeckManager = require('./SpeckManager');
+var SpeckSubscription = require('./SpeckSubscription');
+var log = require('log4js').getLogger("speck-sensor");
+
+var DEFAULT_PORT = 8001;
+var DEFAULT_MAX_IN_FLIGHT_MESSAGES = 16;
+var DEFAULT_MAX_BUFFERED_BYTES = 1024 * 1024;
+var ALL_SPECKS = "*";
+
+// WebSocket close code for clients which fall too far behind (1008 is "policy violation")
+var SLOW_CLIENT_CLOSE_CODE = 1008;
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a WebSocket server which pushes live samples from the attached Specks to its clients.  Specks are
+ *    tracked by a {@link SpeckManager}, and each one is {@linkcode Speck#startSampling sampled} while attached, so
+ *    clients only receive new readings.
+ * </p>
+ * <p>
+ *    All messages are JSON objects with a <code>type</code> field.  The server sends:
+ *    <ul>
+ *       <li><code>{ "type" : "config", "specks" : [...] }</code>: sent when a client connects, with the config
+ *       (see {@linkcode Speck#getSpeckConfig getSpeckConfig}) of each attached Speck</li>
+ *       <li><code>{ "type" : "attach", "speck" : {...} }</code>: sent to every client when a Speck is attached (or
+ *       reconnected), with its config</li>
+ *       <li><code>{ "type" : "disconnect", "id" : "..." }</code>: sent to every client when a Speck disconnects,
+ *       e.g. because it was unplugged</li>
+ *       <li><code>{ "type" : "sample", "id" : "...", "sample" : {...} }</code>: sent to the clients subscribed to
+ *       the Speck when it has a new sample</li>
+ *       <li><code>{ "type" : "subscriptions", "ids" : [...] }</code>: sent in reply to a subscription change, with
+ *       the ids the client is now subscribed to (<code>"*"</code> means all Specks)</li>
+ *       <li><code>{ "type" : "error", "message" : "..." }</code>: sent in reply to an invalid message</li>
+ *    </ul>
+ *    Clients start out subscribed to the ids given as <code>id</code> query parameters in the WebSocket URL (e.g.
+ *    <code>ws://host:8001/?id=abc&amp;id=def</code>, or <code>?id=*</code> for all), if any, and may change their
+ *    subscriptions by sending <code>{ "type" : "subscribe", "ids" : [...] }</code> and
+ *    <code>{ "type" : "unsubscribe", "ids" : [...] }</code>.
+ * </p>
+ * <p>
+ *    To keep a slow client from holding up the others or using unbounded memory, at most
+ *    <code>maxInFlightMessages</code> messages are sent to a client before the earlier ones have been written.
+ *    While a client is behind, only its newest unsent sample for each Speck is kept, replacing any older one.  A
+ *    client whose outgoing buffer exceeds <code>maxBufferedBytes</code> anyway is disconnected.
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>manager</code>: the {@link SpeckManager} which tracks the Specks.  If not given, the server creates
+ *       one, which it starts and stops along with itself.</li>
+ *       <li><code>transport</code>: the transport for the server's own manager (defaults to
+ *       {@link HidTransport})</li>
+ *       <li><code>speckOptions</code>: the options for the Specks of the server's own manager, such as
+ *       <code>normalizeSamples</code> or <code>calibration</code> (see {@link SpeckManager})</li>
+ *       <li><code>port</code>: the port to listen on (defaults to 8001, use 0 for any free port)</li>
+ *       <li><code>host</code>: the host to listen on (defaults to all interfaces)</li>
+ *       <li><code>server</code>: an existing <code>http.Server</code> to share, instead of listening on a port</li>
+ *       <li><code>samplingIntervalMillis</code>: how often to read each Speck's current sample (defaults to
+ *       1000)</li>
+ *       <li><code>maxInFlightMessages</code>: see above (defaults to 16)</li>
+ *       <li><code>maxBufferedBytes</code>: see above (defaults to 1048576)</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {object} [options] - the server's options
+ * @constructor
+ */
+function SpeckFeedServer(options) {
+   options = options || {};
+
+   var isManagerOwned = !options.manager;
+   var manager = options.manager || new SpeckManager({ transport : options.transport, speckOptions : options.speckOptions });
+   var maxInFlightMessages = options.maxInFlightMessages || DEFAULT_MAX_IN_FLIGHT_MESSAGES;
+   var maxBufferedBytes = options.maxBufferedBytes || DEFAULT_MAX_BUFFERED_BYTES;
+
+   var webSocketServer = null;
+
+   // the connected clients, each an object holding its socket, subscriptions, and backpressure state
+   var clients = [];
+
+   var subscription = new SpeckSubscription(manager, {
+      samplingIntervalMillis : options.samplingIntervalMillis,
+      onAttach : function(id, speck) {
+         speck.getSpeckConfig(function(err, config) {
+            if (!err) {
+               broadcast({ type : "attach", speck : config });
+            }
+         });
+      },
+      onSample : function(id, sample) {
+         clients.forEach(function(client) {
+            if (isSubscribed(client, id)) {
+               sendSample(client, id, sample);
+            }
+         });
+      },
+      onDisconnect : function(id) {
+         broadcast({ type : "disconnect", id : id });
+      }
+   });
+
+   /**
+    * Starts the server.  The <code>callback</code> is called once it's listening, with the address it's listening
+    * on (an object with <code>address</code> and <code>port</code> fields), or <code>null</code> if it's sharing an
+    * existing server.
+    *
+    * @param {function} [callback] - the callback function with a signature of the form
+    * <code>callback(err, address)</code>
+    */
+   this.start = function(callback) {
+      var done = function(err, address) {
+         if (typeof callback === 'function') {
+            callback(err, address);
+         }
+      };
+
+      if (webSocketServer != null) {
+         return done(new Error("The server is already started"), null);
+      }
+
+      var startFeeds = function() {
+         subscription.start();
+         if (isManagerOwned) {
+            manager.start();
+         }
+      };
+
+      if (options.server) {
+         webSocketServer = new WebSocket.Server({ server : options.server });
+         webSocketServer.on('connection', handleConnection);
+         startFeeds();
+         return done(null, null);
+      }
+
+      webSocketServer = new WebSocket.Server({
+         port : typeof options.port === 'number' ? options.port : DEFAULT_PORT,
+         host : options.host
+      });
+      webSocketServer.on('connection', handleConnection);
+      webSocketServer.once('error', function(err) {
+         log.error("SpeckFeedServer.start(): failed to start: " + err);
+         webSocketServer = null;
+         done(err, null);
+      });
+      webSocketServer.once('listening', function() {
+         var address = webSocketServer.address();
+         log.info("SpeckFeedServer: listening on port [" + address.port + "]");
+         startFeeds();
+         done(null, { address : address.address, port : address.port });
+      });
+   };
+
+   /**
+    * Stops the server, closing all client connections.  Specks are left connected, but stop sampling unless
+    * something else sharing the manager is still sampling them (see {@link SpeckSubscription}).
+    *
+    * @param {function} [callback] - the callback function with a signature of the form <code>callback(err)</code>
+    */
+   this.stop = function(callback) {
+      subscription.stop();
+      if (isManagerOwned) {
+         manager.stop();
+      }
+
+      if (webSocketServer == null) {
+         if (typeof callback === 'function') {
+            callback(null);
+         }
+         return;
+      }
+      clients.forEach(function(client) {
+         client.socket.terminate();
+      });
+      clients = [];
+      webSocketServer.close(function(err) {
+         if (typeof callback === 'function') {
+            callback(err || null);
+         }
+      });
+      webSocketServer = null;
+   };
+
+   /**
+    * Returns the {@link SpeckManager} which tracks the Specks.
+    *
+    * @returns {SpeckManager}
+    */
+   this.getManager = function() {
+      return manager;
+   };
+
+   /**
+    * Returns the number of connected clients.
+    *
+    * @returns {int}
+    */
+   this.getNumberOfClients = function() {
+      return clients.length;
+   };
+
+   var handleConnection = function(socket, request) {
+      var client = {
+         socket : socket,
+         subscribedIds : {},
+         isSubscribedToAll : false,
+         numInFlightMessages : 0,
+         pendingSamples : {}
+      };
+      clients.push(client);
+
+      var query = url.parse(request.url, true).query;
+      var requestedIds = query.id == null ? [] : [].concat(query.id);
+      updateSubscriptions(client, requestedIds, true);
+
+      socket.on('message', function(data) {
+         handleMessage(client, data);
+      });
+      socket.on('close', function() {
+         var index = clients.indexOf(client);
+         if (index >= 0) {
+            clients.splice(index, 1);
+         }
+      });
+      socket.on('error', function(err) {
+         log.error("SpeckFeedServer: client error: " + err);
+      });
+
+      getAttachedConfigs(function(configs) {
+         send(client, { type : "config", specks : configs });
+      });
+   };
+
+   var handleMessage = function(client, data) {
+      var message;
+      try {
+         message = JSON.parse(String(data));
+      }
+      catch (e) {
+         return send(client, { type : "error", message : "Messages must be JSON" });
+      }
+
+      if (message == null || (message.type != "subscribe" && message.type != "unsubscribe")) {
+         return send(client, { type : "error", message : "Unknown message type, must be subscribe or unsubscribe" });
+      }
+      var ids = message.ids == null ? [ALL_SPECKS] : [].concat(message.ids);
+      if (!ids.every(function(id) {
+               return typeof id === 'string';
+            })) {
+         return send(client, { type : "error", message : "The ids must be strings" });
+      }
+
+      updateSubscriptions(client, ids, message.type == "subscribe");
+      send(client, {
+         type : "subscriptions",
+         ids : client.isSubscribedToAll ? [ALL_SPECKS] : Object.keys(client.subscribedIds).sort()
+      });
+   };
+
+   // ids are stored in lower case, matching the SpeckManager, so clients may give them in any case
+   var updateSubscriptions = function(client, ids, isSubscribing) {
+      ids.forEach(function(id) {
+         id = id.toLowerCase();
+         if (id == ALL_SPECKS) {
+            client.isSubscribedToAll = isSubscribing;
+            if (!isSubscribing) {
+               client.subscribedIds = {};
+            }
+         }
+         else if (isSubscribing) {
+            client.subscribedIds[id] = true;
+         }
+         else {
+            delete client.subscribedIds[id];
+         }
+      });
+   };
+
+   var isSubscribed = function(client, id) {
+      return client.isSubscribedToAll || client.subscribedIds.hasOwnProperty(id.toLowerCase());
+   };
+
+   var getAttachedConfigs = function(callback) {
+      var attachedSpecks = manager.getAttachedSpecks();
+      var ids = Object.keys(attachedSpecks).sort();
+      var configs = [];
+      var getNextConfig = function(i) {
+         if (i >= ids.length) {
+            return callback(configs);
+         }
+         attachedSpecks[ids[i]].getSpeckConfig(function(err, config) {
+            if (!err) {
+               configs.push(config);
+            }
+            getNextConfig(i + 1);
+         });
+      };
+      getNextConfig(0);
+   };
+
+   var broadcast = function(message) {
+      clients.forEach(function(client) {
+         send(client, message);
+      });
+   };
+
+   // Sends the sample to the client, or holds on to it (replacing any older one from the same Speck) if the client
+   // is behind
+   var sendSample = function(client, id, sample) {
+      if (client.numInFlightMessages >= maxInFlightMessages) {
+         client.pendingSamples[id] = sample;
+      }
+      else {
+         send(client, { type : "sample", id : id, sample : sample });
+      }
+   };
+
+   var send = function(client, message) {
+      if (client.socket.readyState !== WebSocket.OPEN) {
+         return;
+      }
+      if (client.socket.bufferedAmount > maxBufferedBytes) {
+         log.warn("SpeckFeedServer: disconnecting a client which has fallen too far behind");
+         client.socket.close(SLOW_CLIENT_CLOSE_CODE, "Too slow");
+         return;
+      }
+
+      client.numInFlightMessages++;
+      client.socket.send(JSON.stringify(message), function() {
+         client.numInFlightMessages--;
+         sendPendingSamples(client);
+      });
+   };
+
+   var sendPendingSamples = function(client) {
+      var ids = Object.keys(client.pendingSamples);
+      for (var i = 0; i < ids.length && client.numInFlightMessages < maxInFlightMessages; i++) {
+         var sample = client.pendingSamples[ids[i]];
+         delete client.pendingSamples[ids[i]];
+         send(client, { type : "sample", id : ids[i], sample : sample });
+      }
+   };
+}
+
+//======================================================================================================================
+
+module.exports = SpeckFeedServer;
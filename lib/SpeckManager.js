@@ -0,0 +1,321 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var log = require('log4js').getLogger("speck-sensor");
+
+var DEFAULT_POLL_INTERVAL_MILLIS = 1000;
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a manager which repeatedly scans for Specks, connecting to them as they're plugged in, and automatically
+ *    reconnecting the existing {@link Speck} instance when a previously-seen Speck is plugged back in--even if it
+ *    comes back on a different HID path.  Specks are identified by the serial number (the <code>id</code>) returned
+ *    by {@linkcode Speck#getSpeckConfig getSpeckConfig}, so callers can hold on to a Speck instance for as long as
+ *    they like without worrying about flaky USB connections.
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>transport</code>: the transport to scan (defaults to {@link HidTransport})</li>
+ *       <li><code>speckOptions</code>: options given to the constructor of each {@link Speck}, such as
+ *       <code>normalizeSamples</code>, <code>calibration</code>, or <code>commandTimeoutMillis</code>.  The
+ *       <code>transport</code> option above takes precedence over any <code>transport</code> given here.</li>
+ *       <li><code>pollIntervalMillis</code>: how often to scan for Specks, in milliseconds (defaults to 1000)</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    Call {@linkcode SpeckManager#start start} to begin scanning.
+ * </p>
+ *
+ * @param {object} [options] - the manager's options
+ * @constructor
+ * @extends EventEmitter
+ * @fires SpeckManager#attach
+ * @fires SpeckManager#detach
+ * @fires SpeckManager#bootloader
+ */
+function SpeckManager(options) {
+   EventEmitter.call(this);
+
+   // required here rather than at the top to avoid a circular dependency with the Speck module
+   var Speck = require('../index');
+
+   options = options || {};
+
+   var self = this;
+   var speckOptions = {};
+   Object.keys(options.speckOptions || {}).forEach(function(name) {
+      speckOptions[name] = options.speckOptions[name];
+   });
+   if (options.transport) {
+      speckOptions.transport = options.transport;
+   }
+   var pollIntervalMillis = options.pollIntervalMillis || DEFAULT_POLL_INTERVAL_MILLIS;
+
+   var pollTimer = null;
+   var isPolling = false;
+
+   // map of Speck id to Speck instance, for every Speck ever seen
+   var specksById = {};
+
+   // map of HID path to Speck id, for the Specks currently attached
+   var idsByPath = {};
+
+   // set of HID paths whose Speck was disconnected due to an I/O error, and need to be reconnected
+   var pathsNeedingReconnection = {};
+
+   /**
+    * Starts scanning for Specks.  The first scan happens immediately.  Does nothing if already started.
+    */
+   this.start = function() {
+      if (pollTimer == null) {
+         pollTimer = setInterval(function() {
+            self.poll();
+         }, pollIntervalMillis);
+         self.poll();
+      }
+   };
+
+   /**
+    * Stops scanning for Specks.  Connections to currently-attached Specks are left open.
+    */
+   this.stop = function() {
+      if (pollTimer != null) {
+         clearInterval(pollTimer);
+         pollTimer = null;
+      }
+   };
+
+   /**
+    * Returns the Speck with the given id (compared case-insensitively), or <code>null</code> if no such Speck has been
+    * seen.  The returned Speck may currently be disconnected.
+    *
+    * @param {string} id - the Speck's serial number
+    * @returns {Speck}
+    */
+   this.getSpeck = function(id) {
+      id = String(id).toLowerCase();
+      return specksById.hasOwnProperty(id) ? specksById[id] : null;
+   };
+
+   /**
+    * Returns a map of Speck id to {@link Speck} instance for all currently-attached Specks.
+    *
+    * @returns {object}
+    */
+   this.getAttachedSpecks = function() {
+      var attachedSpecks = {};
+      for (var path in idsByPath) {
+         var id = idsByPath[path];
+         attachedSpecks[id] = specksById[id];
+      }
+      return attachedSpecks;
+   };
+
+   /**
+    * <p>
+    *    Scans for Specks once, emitting {@link SpeckManager#event:attach attach} and
+    *    {@link SpeckManager#event:detach detach} events for any changes since the previous scan.  This is called
+    *    automatically by {@linkcode SpeckManager#start start}, but may also be called directly.  Does nothing if a
+    *    scan is already in progress.
+    * </p>
+    * <p>
+    *    The optional <code>callback</code> is called with no arguments once the scan is complete, or straight away if
+    *    another scan was already in progress.
+    * </p>
+    *
+    * @param {function} [callback] - called once the scan is complete
+    */
+   this.poll = function(callback) {
+      var done = function() {
+         isPolling = false;
+         if (typeof callback === 'function') {
+            callback();
+         }
+      };
+
+      // leave the flag alone if a scan is already in progress, since it's only cleared when that scan finishes
+      if (isPolling) {
+         if (typeof callback === 'function') {
+            callback();
+         }
+         return;
+      }
+      isPolling = true;
+
+      var hidDeviceDescriptors;
+      try {
+         hidDeviceDescriptors = Speck.enumerate(speckOptions);
+      }
+      catch (e) {
+         log.error("SpeckManager.poll(): failed to enumerate Specks: " + e);
+         return done();
+      }
+
+      var currentPaths = {};
+      hidDeviceDescriptors.forEach(function(hidDeviceDescriptor) {
+         currentPaths[hidDeviceDescriptor.path] = true;
+      });
+
+      // first look for Specks which have gone away
+      Object.keys(idsByPath).forEach(function(path) {
+         if (!currentPaths.hasOwnProperty(path)) {
+            detach(path);
+         }
+      });
+
+      // then reconnect to, or look for new Specks on, the paths which are present
+      var processDescriptor = function(index) {
+         if (index >= hidDeviceDescriptors.length) {
+            return done();
+         }
+
+         var processNextDescriptor = function() {
+            processDescriptor(index + 1);
+         };
+
+         var hidDeviceDescriptor = hidDeviceDescriptors[index];
+         var path = hidDeviceDescriptor.path;
+         if (idsByPath.hasOwnProperty(path)) {
+            if (pathsNeedingReconnection.hasOwnProperty(path)) {
+               reconnect(path, hidDeviceDescriptor);
+            }
+            processNextDescriptor();
+         }
+         else {
+            attach(hidDeviceDescriptor, processNextDescriptor);
+         }
+      };
+      processDescriptor(0);
+   };
+
+   var attach = function(hidDeviceDescriptor, callback) {
+      var probe;
+      try {
+         probe = new Speck(hidDeviceDescriptor, speckOptions);
+      }
+      catch (e) {
+         // most likely in use by another process, so just try again next time
+         log.debug("SpeckManager: failed to connect to Speck at path [" + hidDeviceDescriptor.path + "]: " + e);
+         return callback();
+      }
+
+      probe.getSpeckConfig(function(err, config) {
+         if (err) {
+            log.error("SpeckManager: failed to read config of Speck at path [" + hidDeviceDescriptor.path + "]: " + err);
+            probe.disconnect();
+            return callback();
+         }
+
+         // ids are stored in lower case, so they can be looked up case-insensitively
+         var id = config.id.toLowerCase();
+         var speck = probe;
+         var existingSpeck = self.getSpeck(id);
+         if (existingSpeck != null) {
+            // a Speck may have been plugged back in before we noticed it was unplugged, so detach its old path
+            Object.keys(idsByPath).forEach(function(path) {
+               if (idsByPath[path] == id) {
+                  detach(path);
+               }
+            });
+
+            // we've seen this Speck before, so hand the connection over to the existing instance
+            probe.disconnect();
+            if (!existingSpeck.connect(hidDeviceDescriptor)) {
+               log.error("SpeckManager: failed to reconnect Speck [" + id + "] at path [" + hidDeviceDescriptor.path + "]");
+               return callback();
+            }
+            log.info("SpeckManager: reconnected Speck [" + id + "] at path [" + hidDeviceDescriptor.path + "]");
+
+            // wait for the reconnected Speck to read its config, so attach listeners can use it straight away
+            return existingSpeck.getSpeckConfig(function(err) {
+               if (err) {
+                  log.error("SpeckManager: failed to read config of reconnected Speck [" + id + "]: " + err);
+                  return callback();
+               }
+               idsByPath[hidDeviceDescriptor.path] = id;
+               emitAttach(id, existingSpeck);
+               callback();
+            });
+         }
+
+         specksById[id] = speck;
+         watchSpeck(speck);
+         idsByPath[hidDeviceDescriptor.path] = id;
+         emitAttach(id, speck);
+         callback();
+      });
+   };
+
+   var emitAttach = function(id, speck) {
+      /**
+       * Attach event, emitted when a Speck is plugged in (or is already plugged in when scanning starts), and a
+       * connection has been established and its config read.  Listeners are called with the Speck's id and the
+       * {@link Speck} instance.  If the Speck was seen before, the instance is the same one given to previous listeners.
+       *
+       * @event SpeckManager#attach
+       * @type {Speck}
+       */
+      self.emit('attach', id, speck);
+   };
+
+   var detach = function(path) {
+      var id = idsByPath[path];
+      var speck = specksById[id];
+      delete idsByPath[path];
+      delete pathsNeedingReconnection[path];
+
+      speck.disconnect();
+
+      /**
+       * Detach event, emitted when a Speck is unplugged.  Listeners are called with the Speck's id and the (now
+       * disconnected) {@link Speck} instance, which will be automatically reconnected if the Speck is plugged back in.
+       *
+       * @event SpeckManager#detach
+       * @type {Speck}
+       */
+      self.emit('detach', id, speck);
+   };
+
+   var reconnect = function(path, hidDeviceDescriptor) {
+      var speck = specksById[idsByPath[path]];
+      if (speck.isConnected() || speck.connect(hidDeviceDescriptor)) {
+         delete pathsNeedingReconnection[path];
+         log.info("SpeckManager: reconnected Speck [" + idsByPath[path] + "] at path [" + path + "]");
+      }
+   };
+
+   var watchSpeck = function(speck) {
+      speck.on('disconnect', function(err) {
+         // only I/O errors should trigger a reconnection--explicit calls to disconnect() should be respected
+         if (err) {
+            var path = speck.getHidDeviceDescriptor().path;
+            if (idsByPath.hasOwnProperty(path)) {
+               pathsNeedingReconnection[path] = true;
+            }
+         }
+      });
+
+      speck.on('bootloader', function(id) {
+         /**
+          * Bootloader event, emitted when a managed Speck enters bootloader mode.  Listeners are called with the
+          * Speck's id and the (now disconnected) {@link Speck} instance.  The Speck re-enumerates under a different
+          * USB identity, so a {@link SpeckManager#event:detach detach} event follows on the next scan, and an
+          * {@link SpeckManager#event:attach attach} event once the firmware update completes and the Speck comes back.
+          *
+          * @event SpeckManager#bootloader
+          * @type {Speck}
+          */
+         self.emit('bootloader', id, speck);
+      });
+   };
+}
+
+util.inherits(SpeckManager, EventEmitter);
+
+//======================================================================================================================
+
+module.exports = SpeckManager;
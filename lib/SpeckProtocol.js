@@ -0,0 +1,549 @@
+var SpeckError = require('./SpeckError');
+
+var REPORT_ID = 1;
+var COMMAND_LENGTH_IN_BYTES = 16;
+
+// Array index in the data byte array containing the checksum byte
+var CHECKSUM_BYTE_INDEX = COMMAND_LENGTH_IN_BYTES - 2;
+
+// Array index in the data byte array containing the command ID byte
+var COMMAND_ID_BYTE_INDEX = COMMAND_LENGTH_IN_BYTES - 1;
+
+// Byte indices for commands
+var COMMAND_CHARACTER_BYTE_INDEX = 0;
+var COMMAND_TIME_SECS_BYTE_INDEX = 1;
+
+// Byte indices for Info command
+var SERIAL_NUMBER_STARTING_BYTE_INDEX = 1;
+var SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_1_AND_2 = 10;
+var SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_3 = 8;
+var HARDWARE_VERSION_BYTE_INDEX = 10;
+var PROTOCOL_VERSION_BYTE_INDEX = 11;
+var LOGGING_INTERVAL_BYTE_INDEX_WHEN_READING = 12;
+var FIRMWARE_VERSION_BYTE_INDEX = 13;
+
+// Byte indices for Num Samples command
+var NUM_SAMPLES_BYTE_INDEX = 1;
+
+// Byte indices for Get Data Sample command
+var SAMPLE_TIME_SECS_BYTE_INDEX = 1;
+var PARTICLE_COUNT_OR_CONCENTRATION_BYTE_INDEX = 5;
+var TEMPERATURE_BYTE_INDEX = 9;
+var HUMIDITY_BYTE_INDEX = 11;
+var RAW_PARTICLE_COUNT_BYTE_INDEX = 12;
+
+// Byte indices for Delete Sample command
+var DELETE_SAMPLE_TIME_SECS_BYTE_INDEX = 1;
+
+// Byte indices for Set Logging Interval command
+var LOGGING_INTERVAL_BYTE_INDEX_WHEN_WRITING = 5;
+
+var DEFAULT_LOGGING_INTERVAL = 1;
+var MIN_LOGGING_INTERVAL = 1;
+var MAX_LOGGING_INTERVAL = 255;
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+// Converts a Buffer, Array, typed array, ArrayBuffer, or DataView (as returned by WebHID) to a plain array of bytes
+var toByteArray = function(bytes) {
+   if (bytes instanceof ArrayBuffer) {
+      bytes = new Uint8Array(bytes);
+   }
+   else if (typeof DataView !== 'undefined' && bytes instanceof DataView) {
+      bytes = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+   }
+   return Array.prototype.slice.call(bytes);
+};
+
+// Converts the given response to a plain array of bytes, throwing a SpeckError if it's too short to be a response
+var toResponseByteArray = function(response) {
+   if (response == null) {
+      throw SpeckError.create(SpeckError.CODES.NO_RESPONSE_DATA, "Invalid response: no data");
+   }
+   var bytes = toByteArray(response);
+   if (bytes.length < COMMAND_LENGTH_IN_BYTES) {
+      throw SpeckError.create(SpeckError.CODES.UNEXPECTED_RESPONSE,
+                              "Invalid response: expected [" + COMMAND_LENGTH_IN_BYTES + "] bytes, but got [" + bytes.length + "]",
+                              { bytes : bytes });
+   }
+   return bytes;
+};
+
+var readUInt16BE = function(bytes, index) {
+   return (bytes[index] << 8) + bytes[index + 1];
+};
+
+var readInt16BE = function(bytes, index) {
+   var value = readUInt16BE(bytes, index);
+   return (value & 0x8000) ? value - 0x10000 : value;
+};
+
+var readUInt32BE = function(bytes, index) {
+   return bytes[index] * 0x1000000 + (bytes[index + 1] << 16) + (bytes[index + 2] << 8) + bytes[index + 3];
+};
+
+var writeUInt32BE = function(bytes, index, value) {
+   for (var i = 0; i < 4; i++) {
+      bytes[index + i] = (value >>> (8 * (3 - i))) & 0xff;
+   }
+};
+
+// convert a byte to a zero-padded hex string (from http://stackoverflow.com/a/1283519/703200)
+var byteToZeroPaddedHexString = function(val) {
+   return ("00" + (val).toString(16)).slice(-2);
+};
+
+var readHexString = function(bytes, startingIndex, endingIndex) {
+   return bytes.slice(startingIndex, endingIndex + 1).map(byteToZeroPaddedHexString).join('');
+};
+
+var validateUInt32 = function(name, value) {
+   if (typeof value !== 'number' || value !== Math.floor(value) || value < 0 || value > 0xffffffff) {
+      throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid " + name + " [" + value + "], must be an unsigned 32-bit integer");
+   }
+};
+
+// Stamps the command with the command ID given in the options, if any
+var stampIfRequested = function(command, options) {
+   if (options && typeof options.commandId !== 'undefined') {
+      SpeckProtocol.stampCommand(command, options.commandId);
+   }
+   return command;
+};
+
+//======================================================================================================================
+// MODULE DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    A pure encoder and decoder for the Speck's HID feature report protocol, with no dependency on node-hid or on a
+ *    connected device, so the exact parsing used by the {@link Speck} class can be reused elsewhere (e.g. by a WebHID
+ *    front end or a packet analyzer).
+ * </p>
+ * <p>
+ *    Every command and response is a {@link SpeckProtocol.COMMAND_LENGTH_IN_BYTES 16} byte report.  Byte 0 is the
+ *    command character, byte 14 is a checksum of bytes 0 through 13, and byte 15 is a command ID which the Speck
+ *    echoes back in its response.  The encoders return plain arrays of bytes.  The decoders accept a
+ *    <code>Buffer</code>, an array, a typed array, an <code>ArrayBuffer</code>, or a <code>DataView</code>, throw a
+ *    {@link SpeckError} if given fewer than 16 bytes, and don't validate the checksum or command ID--use
+ *    {@link SpeckProtocol.validateResponse validateResponse} for that.
+ * </p>
+ *
+ * @namespace SpeckProtocol
+ */
+var SpeckProtocol = {
+   REPORT_ID : REPORT_ID,
+   COMMAND_LENGTH_IN_BYTES : COMMAND_LENGTH_IN_BYTES,
+   CHECKSUM_BYTE_INDEX : CHECKSUM_BYTE_INDEX,
+   COMMAND_ID_BYTE_INDEX : COMMAND_ID_BYTE_INDEX,
+
+   GET_INFO_COMMAND_CHARACTER : "I",
+   GET_EXTENDED_INFO_COMMAND_CHARACTER : "i",
+   GET_HISTORIC_SAMPLE_COMMAND_CHARACTER : "G",
+   GET_CURRENT_SAMPLE_COMMAND_CHARACTER : "S",
+   GET_SAMPLE_COUNT_COMMAND_CHARACTER : "P",
+   SET_LOGGING_INTERVAL_COMMAND_CHARACTER : "I",
+   DELETE_SAMPLE_COMMAND_CHARACTER : "D",
+   ENTER_BOOTLOADER_MODE_COMMAND_CHARACTER : "B",
+
+   DEFAULT_LOGGING_INTERVAL : DEFAULT_LOGGING_INTERVAL,
+   MIN_LOGGING_INTERVAL : MIN_LOGGING_INTERVAL,
+   MAX_LOGGING_INTERVAL : MAX_LOGGING_INTERVAL,
+
+   /**
+    * Returns the checksum of the given report, which is simply the lowest 8 bits of the sum of all the bytes before
+    * the checksum byte.
+    *
+    * @param {Array|Buffer|Uint8Array} bytes - the command or response
+    * @returns {int}
+    */
+   computeChecksum : function(bytes) {
+      var sum = 0;
+      for (var i = 0; i < CHECKSUM_BYTE_INDEX; i++) {
+         sum += bytes[i];
+      }
+
+      return sum & 0xff;
+   },
+
+   /**
+    * Sets the command ID of the given command, and then its checksum.  Modifies and returns the given command.
+    *
+    * @param {Array} command - the command
+    * @param {int} commandId - the command ID, from 0 to 255
+    * @returns {Array} the given command
+    */
+   stampCommand : function(command, commandId) {
+      command[COMMAND_ID_BYTE_INDEX] = commandId & 0xff;
+      command[CHECKSUM_BYTE_INDEX] = SpeckProtocol.computeChecksum(command);
+      return command;
+   },
+
+   /**
+    * <p>
+    *    Returns a new command with the given command character, followed by a timestamp.  The optional
+    *    <code>options</code> object may contain the following fields:
+    *    <ul>
+    *       <li><code>timeSecs</code>: the timestamp, in seconds since the epoch (defaults to the current time)</li>
+    *       <li><code>commandId</code>: if given, the command is {@link SpeckProtocol.stampCommand stamped} with this
+    *       command ID.  Otherwise, the command ID and checksum are left zero.</li>
+    *    </ul>
+    * </p>
+    *
+    * @param {string} commandCharacter - the command character, e.g. <code>"S"</code>
+    * @param {object} [options] - the timestamp and command ID
+    * @returns {Array} the command
+    */
+   encodeCommand : function(commandCharacter, options) {
+      options = options || {};
+      if (typeof commandCharacter !== 'string' || commandCharacter.length != 1) {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid command character [" + commandCharacter + "]");
+      }
+
+      var timeSecs = (typeof options.timeSecs === 'undefined') ? Math.round(new Date().getTime() / 1000) : options.timeSecs;
+      validateUInt32("command time", timeSecs);
+
+      var command = [];
+      for (var i = 0; i < COMMAND_LENGTH_IN_BYTES; i++) {
+         command.push(0);
+      }
+      command[COMMAND_CHARACTER_BYTE_INDEX] = commandCharacter.charCodeAt(0) & 0xff;
+      writeUInt32BE(command, COMMAND_TIME_SECS_BYTE_INDEX, timeSecs);
+
+      return stampIfRequested(command, options);
+   },
+
+   /**
+    * Returns a new get info command.  See {@link SpeckProtocol.encodeCommand encodeCommand} for the options.
+    *
+    * @param {object} [options] - the timestamp and command ID
+    * @returns {Array} the command
+    */
+   encodeGetInfoCommand : function(options) {
+      return SpeckProtocol.encodeCommand(SpeckProtocol.GET_INFO_COMMAND_CHARACTER, options);
+   },
+
+   /**
+    * Returns a new get extended info command, supported by protocol version 3.  See
+    * {@link SpeckProtocol.encodeCommand encodeCommand} for the options.
+    *
+    * @param {object} [options] - the timestamp and command ID
+    * @returns {Array} the command
+    */
+   encodeGetExtendedInfoCommand : function(options) {
+      return SpeckProtocol.encodeCommand(SpeckProtocol.GET_EXTENDED_INFO_COMMAND_CHARACTER, options);
+   },
+
+   /**
+    * Returns a new get current sample command.  See {@link SpeckProtocol.encodeCommand encodeCommand} for the
+    * options.
+    *
+    * @param {object} [options] - the timestamp and command ID
+    * @returns {Array} the command
+    */
+   encodeGetCurrentSampleCommand : function(options) {
+      return SpeckProtocol.encodeCommand(SpeckProtocol.GET_CURRENT_SAMPLE_COMMAND_CHARACTER, options);
+   },
+
+   /**
+    * Returns a new get historic sample command, which gets the oldest sample stored on the Speck.  See
+    * {@link SpeckProtocol.encodeCommand encodeCommand} for the options.
+    *
+    * @param {object} [options] - the timestamp and command ID
+    * @returns {Array} the command
+    */
+   encodeGetHistoricSampleCommand : function(options) {
+      return SpeckProtocol.encodeCommand(SpeckProtocol.GET_HISTORIC_SAMPLE_COMMAND_CHARACTER, options);
+   },
+
+   /**
+    * Returns a new get sample count command, supported by protocol versions 2 and later.  See
+    * {@link SpeckProtocol.encodeCommand encodeCommand} for the options.
+    *
+    * @param {object} [options] - the timestamp and command ID
+    * @returns {Array} the command
+    */
+   encodeGetSampleCountCommand : function(options) {
+      return SpeckProtocol.encodeCommand(SpeckProtocol.GET_SAMPLE_COUNT_COMMAND_CHARACTER, options);
+   },
+
+   /**
+    * Returns a new command to delete the historic sample with the given sample time, which takes the place of the
+    * command's timestamp, so the <code>timeSecs</code> option is ignored.  See
+    * {@link SpeckProtocol.encodeCommand encodeCommand} for the other options.
+    *
+    * @param {int} sampleTimeSecs - the <code>sampleTimeSecs</code> of the sample to delete
+    * @param {object} [options] - the command ID
+    * @returns {Array} the command
+    * @throws {SpeckError} if the sample time isn't an unsigned 32-bit integer
+    */
+   encodeDeleteSampleCommand : function(sampleTimeSecs, options) {
+      validateUInt32("sample time", sampleTimeSecs);
+      var command = SpeckProtocol.encodeCommand(SpeckProtocol.DELETE_SAMPLE_COMMAND_CHARACTER);
+      writeUInt32BE(command, DELETE_SAMPLE_TIME_SECS_BYTE_INDEX, sampleTimeSecs);
+      return stampIfRequested(command, options);
+   },
+
+   /**
+    * Returns a new command to set the logging interval, supported by protocol versions 2 and later.  See
+    * {@link SpeckProtocol.encodeCommand encodeCommand} for the options.
+    *
+    * @param {int} loggingIntervalSecs - the logging interval, in seconds
+    * @param {object} [options] - the timestamp and command ID
+    * @returns {Array} the command
+    * @throws {SpeckError} if the logging interval isn't an integer within [{@link SpeckProtocol.MIN_LOGGING_INTERVAL},
+    * {@link SpeckProtocol.MAX_LOGGING_INTERVAL}]
+    */
+   encodeSetLoggingIntervalCommand : function(loggingIntervalSecs, options) {
+      if (typeof loggingIntervalSecs !== 'number' ||
+          loggingIntervalSecs !== Math.floor(loggingIntervalSecs) ||
+          loggingIntervalSecs < MIN_LOGGING_INTERVAL ||
+          loggingIntervalSecs > MAX_LOGGING_INTERVAL) {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT,
+                                 "Invalid logging interval [" + loggingIntervalSecs + "], must be an integer within [" +
+                                 MIN_LOGGING_INTERVAL + ", " + MAX_LOGGING_INTERVAL + "]");
+      }
+
+      var command = SpeckProtocol.encodeCommand(SpeckProtocol.SET_LOGGING_INTERVAL_COMMAND_CHARACTER, { timeSecs : options ? options.timeSecs : undefined });
+      command[LOGGING_INTERVAL_BYTE_INDEX_WHEN_WRITING] = loggingIntervalSecs;
+      return stampIfRequested(command, options);
+   },
+
+   /**
+    * Returns a new command to reboot the Speck into its bootloader, supported by protocol versions 2 and later.  See
+    * {@link SpeckProtocol.encodeCommand encodeCommand} for the options.
+    *
+    * @param {object} [options] - the timestamp and command ID
+    * @returns {Array} the command
+    */
+   encodeEnterBootloaderModeCommand : function(options) {
+      return SpeckProtocol.encodeCommand(SpeckProtocol.ENTER_BOOTLOADER_MODE_COMMAND_CHARACTER, options);
+   },
+
+   /**
+    * Returns the command character of the given command or response, e.g. <code>"S"</code>.
+    *
+    * @param {Array|Buffer|Uint8Array|ArrayBuffer|DataView} bytes - the command or response
+    * @returns {string|null} the command character, or <code>null</code> if there are no bytes
+    */
+   getCommandCharacter : function(bytes) {
+      var byteArray = (bytes == null) ? [] : toByteArray(bytes);
+      return byteArray.length > 0 ? String.fromCharCode(byteArray[COMMAND_CHARACTER_BYTE_INDEX]) : null;
+   },
+
+   /**
+    * Verifies that the given response has the same command ID as the given command, and a valid checksum.
+    *
+    * @param {Array} command - the command which was sent
+    * @param {Array|Buffer|Uint8Array|ArrayBuffer|DataView} response - the response which was read
+    * @returns {SpeckError|null} a {@link SpeckError} with code <code>NO_RESPONSE_DATA</code>,
+    * <code>COMMAND_ID_MISMATCH</code>, or <code>CHECKSUM_MISMATCH</code> if the response is missing or fails
+    * verification, otherwise <code>null</code>.  The error carries both the <code>command</code> and the response
+    * <code>bytes</code>.
+    */
+   validateResponse : function(command, response) {
+      if (!response) {
+         return SpeckError.create(SpeckError.CODES.NO_RESPONSE_DATA, "Failed to read response: no data", { command : command });
+      }
+
+      var responseData = toByteArray(response);
+      var details = { command : command, bytes : responseData };
+
+      var expectedCommandId = command[COMMAND_ID_BYTE_INDEX];
+      var actualCommandId = responseData[COMMAND_ID_BYTE_INDEX];
+      if (expectedCommandId != actualCommandId) {
+         return SpeckError.create(SpeckError.CODES.COMMAND_ID_MISMATCH,
+                                  "Failed to read response: invalid command ID.  Expected [" + expectedCommandId + "] actual [" + actualCommandId + "]",
+                                  details);
+      }
+
+      var expectedChecksum = SpeckProtocol.computeChecksum(responseData);
+      var actualChecksum = responseData[CHECKSUM_BYTE_INDEX];
+      if (expectedChecksum != actualChecksum) {
+         return SpeckError.create(SpeckError.CODES.CHECKSUM_MISMATCH,
+                                  "Failed to read response: invalid checksum.  Expected [" + expectedChecksum + "] actual [" + actualChecksum + "]",
+                                  details);
+      }
+
+      return null;
+   },
+
+   /**
+    * <p>
+    *    Decodes the response to a get info (or set logging interval) command, returning an object with the fields
+    *    <code>id</code> (the serial number, as a hex string), <code>protocolVersion</code>, and
+    *    <code>loggingIntervalSecs</code>, plus <code>firmwareVersion</code> and <code>hardwareVersion</code> for
+    *    protocol version 3.
+    * </p>
+    * <p>
+    *    For protocol version 3, the <code>id</code> is only the first half of the serial number.  The second half is
+    *    returned by the get extended info command.
+    * </p>
+    *
+    * @param {Array|Buffer|Uint8Array|ArrayBuffer|DataView} response - the response
+    * @returns {{id: string, protocolVersion: int, loggingIntervalSecs: int, firmwareVersion: int, hardwareVersion: int}}
+    * @throws {SpeckError} if the response is missing or too short
+    */
+   decodeInfoResponse : function(response) {
+      var bytes = toResponseByteArray(response);
+      var protocolVersion = bytes[PROTOCOL_VERSION_BYTE_INDEX];
+
+      // Protocol version 3 introduced a 16 byte serial number, so it's split into two groups of 8.  One here, and the
+      // other in the 'i' command.
+      var serialNumberEndingByteIndex = (protocolVersion < 3) ?
+                                        SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_1_AND_2 :
+                                        SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_3;
+
+      var obj = {
+         id : readHexString(bytes, SERIAL_NUMBER_STARTING_BYTE_INDEX, serialNumberEndingByteIndex),
+         protocolVersion : protocolVersion,
+         loggingIntervalSecs : bytes[LOGGING_INTERVAL_BYTE_INDEX_WHEN_READING]
+      };
+
+      // Logging interval was introduced in protocol version 2. In prior versions, it was hardcoded to 1 second
+      if (protocolVersion < 2) {
+         obj.loggingIntervalSecs = DEFAULT_LOGGING_INTERVAL;
+      }
+
+      // Protocol 3 introduced hardware and firmware version
+      if (protocolVersion >= 3) {
+         obj.firmwareVersion = bytes[FIRMWARE_VERSION_BYTE_INDEX];
+         obj.hardwareVersion = bytes[HARDWARE_VERSION_BYTE_INDEX];
+      }
+
+      return obj;
+   },
+
+   /**
+    * Decodes the response to a get extended info command, returning an object with the field <code>id</code>, the
+    * second half of a protocol version 3 Speck's serial number, as a hex string.
+    *
+    * @param {Array|Buffer|Uint8Array|ArrayBuffer|DataView} response - the response
+    * @returns {{id: string}}
+    * @throws {SpeckError} if the response is missing or too short
+    */
+   decodeExtendedInfoResponse : function(response) {
+      var bytes = toResponseByteArray(response);
+      return {
+         id : readHexString(bytes, SERIAL_NUMBER_STARTING_BYTE_INDEX, SERIAL_NUMBER_BYTE_ENDING_BYTE_INDEX_PROTOCOL_3)
+      };
+   },
+
+   /**
+    * <p>
+    *    Decodes the response to a get current sample or get historic sample command from a Speck with the given
+    *    protocol version, returning a sample in the same format as {@link Speck#getSample}, or <code>null</code> if
+    *    the response contains no sample (i.e. its sample time is zero).
+    * </p>
+    * <p>
+    *    Protocol versions 1 and 2 report a <code>particleCount</code>, and protocol version 3 reports a
+    *    <code>particleConcentration</code>.  Only protocol version 1 reports <code>temperature</code>.
+    * </p>
+    *
+    * @param {Array|Buffer|Uint8Array|ArrayBuffer|DataView} response - the response
+    * @param {int} protocolVersion - the Speck's protocol version, as returned by
+    * {@link SpeckProtocol.decodeInfoResponse decodeInfoResponse}
+    * @returns {object|null} the sample, or <code>null</code> if there isn't one
+    * @throws {SpeckError} if the response is missing or too short
+    */
+   decodeDataSampleResponse : function(response, protocolVersion) {
+      var bytes = toResponseByteArray(response);
+
+      // see whether any data was actually returned (timestamp should never be 0)
+      var sampleTimeSecs = readUInt32BE(bytes, SAMPLE_TIME_SECS_BYTE_INDEX);
+      if (sampleTimeSecs == 0) {
+         return null;
+      }
+
+      var obj = {
+         sampleTimeSecs : sampleTimeSecs,
+         humidity : bytes[HUMIDITY_BYTE_INDEX],
+         rawParticleCount : readUInt16BE(bytes, RAW_PARTICLE_COUNT_BYTE_INDEX)
+      };
+
+      // temperature was only included in protocol version 1
+      if (protocolVersion <= 1) {
+         obj['temperature'] = readInt16BE(bytes, TEMPERATURE_BYTE_INDEX);
+      }
+
+      // add the particleCount or particleConcentration field, depending on the protocol version.
+      var particleCountOrConcentration = readUInt32BE(bytes, PARTICLE_COUNT_OR_CONCENTRATION_BYTE_INDEX);
+      if (protocolVersion <= 2) {
+         obj['particleCount'] = particleCountOrConcentration;
+      }
+      else {
+         obj['particleConcentration'] = particleCountOrConcentration / 10.0;
+      }
+
+      return obj;
+   },
+
+   /**
+    * Decodes the response to a get sample count command, returning an object with the field
+    * <code>numSamples</code>.
+    *
+    * @param {Array|Buffer|Uint8Array|ArrayBuffer|DataView} response - the response
+    * @returns {{numSamples: int}}
+    * @throws {SpeckError} if the response is missing or too short
+    */
+   decodeSampleCountResponse : function(response) {
+      var bytes = toResponseByteArray(response);
+      return {
+         numSamples : readUInt32BE(bytes, NUM_SAMPLES_BYTE_INDEX)
+      };
+   },
+
+   /**
+    * Decodes the response to a delete sample command, returning an object with the field
+    * <code>sampleTimeSecs</code>, the time of the sample the Speck deleted, or zero if it couldn't find it.
+    *
+    * @param {Array|Buffer|Uint8Array|ArrayBuffer|DataView} response - the response
+    * @returns {{sampleTimeSecs: int}}
+    * @throws {SpeckError} if the response is missing or too short
+    */
+   decodeDeleteSampleResponse : function(response) {
+      var bytes = toResponseByteArray(response);
+      return {
+         sampleTimeSecs : readUInt32BE(bytes, DELETE_SAMPLE_TIME_SECS_BYTE_INDEX)
+      };
+   },
+
+   /**
+    * Decodes the Speck's acknowledgement of a set logging interval command, returning an object with the field
+    * <code>loggingIntervalSecs</code>, the logging interval now in effect.
+    *
+    * @param {Array|Buffer|Uint8Array|ArrayBuffer|DataView} response - the response
+    * @returns {{loggingIntervalSecs: int}}
+    * @throws {SpeckError} if the response is missing or too short
+    */
+   decodeSetLoggingIntervalResponse : function(response) {
+      var bytes = toResponseByteArray(response);
+      return {
+         loggingIntervalSecs : bytes[LOGGING_INTERVAL_BYTE_INDEX_WHEN_READING]
+      };
+   },
+
+   /**
+    * Decodes the response to an enter bootloader mode command, returning an object with the field
+    * <code>isConfirmed</code>, whether the Speck confirmed it's rebooting into its bootloader.  The protocol has no
+    * acknowledgement field for this command, so the only confirmation is the Speck echoing the command character in
+    * the first byte of its response.  Any other first byte means the Speck declined.
+    *
+    * @param {Array|Buffer|Uint8Array|ArrayBuffer|DataView} response - the response
+    * @returns {{isConfirmed: boolean}}
+    * @throws {SpeckError} if the response is missing or too short
+    */
+   decodeEnterBootloaderModeResponse : function(response) {
+      var bytes = toResponseByteArray(response);
+      return {
+         isConfirmed : bytes[COMMAND_CHARACTER_BYTE_INDEX] == SpeckProtocol.ENTER_BOOTLOADER_MODE_COMMAND_CHARACTER.charCodeAt(0)
+      };
+   }
+};
+
+//======================================================================================================================
+
+module.exports = SpeckProtocol;
@@ -0,0 +1,371 @@
+var fs = require('fs');
+var log = require('log4js').getLogger("speck-sensor");
+var SpeckError = require('./SpeckError');
+var SpeckProtocol = require('./SpeckProtocol');
+
+var STATUS = {
+   COMPLIANT : "compliant",
+   CHANGED : "changed",
+   UNSUPPORTED_BY_PROTOCOL : "unsupported-by-protocol",
+   FAILED : "failed"
+};
+
+// Settings which are only recorded in the report, since the Speck has nowhere to store them
+var METADATA_SETTINGS = ["name", "location"];
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+// Throws an INVALID_ARGUMENT SpeckError if the given settings aren't valid
+var validateSettings = function(description, settings) {
+   var describe = function(problem) {
+      return SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid settings for " + description + ": " + problem);
+   };
+
+   if (settings == null || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw describe("must be an object");
+   }
+   Object.keys(settings).forEach(function(name) {
+      var value = settings[name];
+      if (name == "loggingIntervalSecs") {
+         if (typeof value !== 'number' || value % 1 != 0 ||
+             value < SpeckProtocol.MIN_LOGGING_INTERVAL || value > SpeckProtocol.MAX_LOGGING_INTERVAL) {
+            throw describe("loggingIntervalSecs must be an integer from " + SpeckProtocol.MIN_LOGGING_INTERVAL +
+                           " to " + SpeckProtocol.MAX_LOGGING_INTERVAL);
+         }
+      }
+      else if (METADATA_SETTINGS.indexOf(name) >= 0) {
+         if (typeof value !== 'string') {
+            throw describe(name + " must be a string");
+         }
+      }
+      else {
+         throw describe("unknown setting [" + name + "]");
+      }
+   });
+};
+
+// Returns a new object with the fields of the given objects, later ones taking precedence
+var merge = function() {
+   var merged = {};
+   Array.prototype.forEach.call(arguments, function(obj) {
+      Object.keys(obj || {}).forEach(function(key) {
+         merged[key] = obj[key];
+      });
+   });
+   return merged;
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a provisioner which applies the desired settings in the given config to every attached Speck, verifies
+ *    them, and reports on each Speck.  The config maps device ids (i.e. the <code>id</code> returned by
+ *    {@linkcode Speck#getSpeckConfig getSpeckConfig}, compared case-insensitively) to settings, and may also have
+ *    default settings for every attached Speck, which the per-device settings override:
+ *    <pre>
+ * {
+ *    "defaults" : { "loggingIntervalSecs" : 60 },
+ *    "devices" : {
+ *       "0123456789abcdef0123456789abcdef" : { "loggingIntervalSecs" : 30, "name" : "Porch", "location" : "North wall" }
+ *    }
+ * }
+ *    </pre>
+ *    The settings are:
+ *    <ul>
+ *       <li><code>loggingIntervalSecs</code>: the logging interval, an integer from 1 to 255, applied with
+ *       {@linkcode Speck#setLoggingInterval setLoggingInterval}</li>
+ *       <li><code>name</code> and <code>location</code>: friendly metadata strings.  The Speck has nowhere to store
+ *       them, so they're just included in the report, e.g. for labelling the Specks or registering them elsewhere.</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>transport</code>: the transport used to find and open Specks (defaults to
+ *       {@link HidTransport})</li>
+ *       <li><code>traceFile</code>: if given, all HID traffic with the Specks is recorded to this trace file (see
+ *       {@link RecordingTransport})</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {object} config - the desired settings
+ * @param {object} [options] - the provisioner's options
+ * @constructor
+ * @throws {SpeckError} if the config is invalid
+ * @see SpeckProvisioner.load
+ */
+function SpeckProvisioner(config, options) {
+   // required here rather than at the top to avoid a circular dependency with the Speck module
+   var Speck = require('../index');
+
+   var self = this;
+   options = options || {};
+
+   var speckOptions = { transport : options.transport, traceFile : options.traceFile };
+   var defaultSettings = null;
+   var settingsById = {};
+
+   /**
+    * Returns the settings for the Speck with the given id, merged with the defaults, or <code>null</code> if the
+    * config has neither settings for it nor defaults.
+    *
+    * @param {string} id - the Speck's id
+    * @returns {object|null}
+    */
+   this.getSettings = function(id) {
+      var settings = settingsById[String(id).toLowerCase()];
+      if (settings == null && defaultSettings == null) {
+         return null;
+      }
+      return merge(defaultSettings, settings);
+   };
+
+   /**
+    * <p>
+    *    Provisions every attached Speck which the config has settings for (or every attached Speck, if it has
+    *    defaults), one at a time, disconnecting from each when it's done, and then calls the <code>callback</code>
+    *    with a report.  The report contains the following fields:
+    *    <ul>
+    *       <li><code>dryRun</code>: whether this was a dry run</li>
+    *       <li><code>devices</code>: an array with the result of
+    *       {@linkcode SpeckProvisioner#provisionSpeck provisionSpeck} for each provisioned Speck</li>
+    *       <li><code>missing</code>: the ids in the config of Specks which aren't attached</li>
+    *       <li><code>unconfigured</code>: the ids of attached Specks which the config has no settings for</li>
+    *       <li><code>failures</code>: the Speck's HID <code>path</code> and the <code>error</code> message for
+    *       each attached Speck which couldn't be connected to (e.g. because it's in use by another process), or
+    *       whose config couldn't be read</li>
+    *       <li><code>summary</code>: the number of Specks with each status</li>
+    *    </ul>
+    * </p>
+    * <p>
+    *    The optional <code>provisionOptions</code> object may contain the field <code>dryRun</code>.  If
+    *    <code>true</code>, nothing is changed, and Specks are reported as <code>changed</code> if they would have
+    *    been.
+    * </p>
+    *
+    * @param {object} [provisionOptions] - options, such as <code>dryRun</code>
+    * @param {function} callback - the callback function with a signature of the form <code>callback(err, report)</code>
+    */
+   this.provision = function(provisionOptions, callback) {
+      if (typeof provisionOptions === 'function') {
+         callback = provisionOptions;
+         provisionOptions = {};
+      }
+      provisionOptions = provisionOptions || {};
+
+      var created = Speck.createAll(speckOptions);
+      var report = {
+         dryRun : !!provisionOptions.dryRun,
+         devices : [],
+         missing : [],
+         unconfigured : [],
+         failures : created.failures.map(function(failure) {
+            return { path : failure.path, error : failure.error.message };
+         }),
+         summary : {}
+      };
+      Object.keys(STATUS).forEach(function(key) {
+         report.summary[STATUS[key]] = 0;
+      });
+
+      var attachedIds = {};
+      var provisionNextSpeck = function(specks) {
+         if (specks.length == 0) {
+            report.missing = Object.keys(settingsById).filter(function(id) {
+               return !attachedIds[id];
+            });
+            return callback(null, report);
+         }
+
+         var speck = specks[0];
+         speck.getSpeckConfig(function(err, config) {
+            if (err) {
+               log.error("SpeckProvisioner: failed to read the config of the Speck at path [" + speck.getHidDeviceDescriptor().path + "]: " + err.message);
+               speck.disconnect();
+               report.failures.push({ path : speck.getHidDeviceDescriptor().path, error : err.message });
+               return provisionNextSpeck(specks.slice(1));
+            }
+
+            var id = config.id;
+            attachedIds[String(id).toLowerCase()] = true;
+            if (self.getSettings(id) == null) {
+               speck.disconnect();
+               report.unconfigured.push(id);
+               return provisionNextSpeck(specks.slice(1));
+            }
+
+            self.provisionSpeck(speck, provisionOptions, function(err, result) {
+               speck.disconnect();
+               report.devices.push(result);
+               report.summary[result.status]++;
+               provisionNextSpeck(specks.slice(1));
+            });
+         });
+      };
+      provisionNextSpeck(created.specks);
+   };
+
+   /**
+    * <p>
+    *    Provisions the given connected Speck with its settings from the config, then re-reads its config from the
+    *    Speck to verify them, and calls the <code>callback</code> with the result, an object with the following fields:
+    *    <ul>
+    *       <li><code>id</code>: the Speck's id, or <code>null</code> if its config couldn't be read</li>
+    *       <li><code>path</code>: the Speck's HID path</li>
+    *       <li><code>protocolVersion</code>: the Speck's protocol version</li>
+    *       <li><code>status</code>: one of the {@link SpeckProvisioner.STATUS statuses}:
+    *          <ul>
+    *             <li><code>compliant</code>: the Speck already had the desired settings</li>
+    *             <li><code>changed</code>: the Speck's settings were changed (or would have been, in a dry run), and
+    *             verified</li>
+    *             <li><code>unsupported-by-protocol</code>: the Speck's protocol version doesn't allow changing a
+    *             setting which differs</li>
+    *             <li><code>failed</code>: applying or verifying a setting failed</li>
+    *          </ul>
+    *       </li>
+    *       <li><code>settings</code>: the desired settings</li>
+    *       <li><code>changes</code>: an array of the settings which differed, each an object with the
+    *       <code>setting</code>'s name and the value it was changed <code>from</code> and <code>to</code></li>
+    *       <li><code>metadata</code>: the <code>name</code> and <code>location</code> from the settings, if any</li>
+    *       <li><code>error</code> and <code>errorCode</code>: if the status is <code>failed</code> or
+    *       <code>unsupported-by-protocol</code>, the error message and the {@link SpeckError} code, if any</li>
+    *    </ul>
+    *    The result is always given, so the callback's <code>err</code> is always <code>null</code>.
+    * </p>
+    * <p>
+    *    The optional <code>provisionOptions</code> object may contain the field <code>dryRun</code>, as for
+    *    {@linkcode SpeckProvisioner#provision provision}.
+    * </p>
+    *
+    * @param {Speck} speck - the connected Speck
+    * @param {object} [provisionOptions] - options, such as <code>dryRun</code>
+    * @param {function} callback - the callback function with a signature of the form <code>callback(err, result)</code>
+    */
+   this.provisionSpeck = function(speck, provisionOptions, callback) {
+      if (typeof provisionOptions === 'function') {
+         callback = provisionOptions;
+         provisionOptions = {};
+      }
+      provisionOptions = provisionOptions || {};
+
+      var result = {
+         id : null,
+         path : speck.getHidDeviceDescriptor().path,
+         protocolVersion : null,
+         status : null,
+         settings : {},
+         changes : [],
+         metadata : {}
+      };
+
+      var finish = function(status, err) {
+         result.status = status;
+         if (err) {
+            result.error = err.message;
+            result.errorCode = err.code || null;
+            log.error("SpeckProvisioner: failed to provision Speck [" + result.id + "]: " + err.message);
+         }
+         callback(null, result);
+      };
+
+      speck.getSpeckConfig(function(err, config) {
+         if (err) {
+            return finish(STATUS.FAILED, err);
+         }
+         result.id = config.id;
+         result.protocolVersion = config.protocolVersion;
+         result.settings = self.getSettings(config.id) || {};
+         METADATA_SETTINGS.forEach(function(name) {
+            if (typeof result.settings[name] !== 'undefined') {
+               result.metadata[name] = result.settings[name];
+            }
+         });
+
+         var desiredLoggingIntervalSecs = result.settings.loggingIntervalSecs;
+         if (typeof desiredLoggingIntervalSecs === 'undefined' || desiredLoggingIntervalSecs == config.loggingIntervalSecs) {
+            return finish(STATUS.COMPLIANT, null);
+         }
+
+         result.changes.push({ setting : "loggingIntervalSecs", from : config.loggingIntervalSecs, to : desiredLoggingIntervalSecs });
+         if (!speck.getApiSupport().canMutateLoggingInterval()) {
+            return finish(STATUS.UNSUPPORTED_BY_PROTOCOL,
+                          new SpeckError.UnsupportedError("The logging interval for this Speck cannot be modified."));
+         }
+         if (provisionOptions.dryRun) {
+            return finish(STATUS.CHANGED, null);
+         }
+
+         speck.setLoggingInterval(desiredLoggingIntervalSecs, function(err) {
+            if (err) {
+               return finish(SpeckError.hasCode(err, SpeckError.CODES.UNSUPPORTED_BY_PROTOCOL) ? STATUS.UNSUPPORTED_BY_PROTOCOL : STATUS.FAILED, err);
+            }
+
+            // read the config back from the Speck (not the cache, which setLoggingInterval just updated) to make sure
+            // the change took
+            speck.getSpeckConfig({ refresh : true }, function(err, newConfig) {
+               if (err) {
+                  return finish(STATUS.FAILED, err);
+               }
+               if (newConfig.loggingIntervalSecs != desiredLoggingIntervalSecs) {
+                  return finish(STATUS.FAILED, SpeckError.create(SpeckError.CODES.UNEXPECTED_RESPONSE,
+                                                                 "Verification failed: expected a logging interval of [" +
+                                                                 desiredLoggingIntervalSecs + "], but the Speck reports [" +
+                                                                 newConfig.loggingIntervalSecs + "]"));
+               }
+               finish(STATUS.CHANGED, null);
+            });
+         });
+      });
+   };
+
+   // the "constructor"
+   (function() {
+      if (config == null || typeof config !== 'object' || Array.isArray(config)) {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid provisioning config: must be an object");
+      }
+      if (typeof config.defaults !== 'undefined') {
+         validateSettings("the defaults", config.defaults);
+         defaultSettings = config.defaults;
+      }
+      var devices = config.devices || {};
+      if (typeof devices !== 'object' || Array.isArray(devices)) {
+         throw SpeckError.create(SpeckError.CODES.INVALID_ARGUMENT, "Invalid provisioning config: devices must be an object mapping device ids to settings");
+      }
+      Object.keys(devices).forEach(function(id) {
+         validateSettings("device [" + id + "]", devices[id]);
+         settingsById[id.toLowerCase()] = devices[id];
+      });
+   })();
+}
+
+//======================================================================================================================
+// PUBLIC STATIC METHODS
+//======================================================================================================================
+
+/**
+ * The statuses reported for each Speck.
+ *
+ * @type {object}
+ */
+SpeckProvisioner.STATUS = STATUS;
+
+/**
+ * Creates a provisioner with the config in the given JSON file.
+ *
+ * @param {string} filePath - the path to the config file
+ * @param {object} [options] - the provisioner's options
+ * @returns {SpeckProvisioner}
+ * @throws {Error} if the file can't be read, or the config is invalid
+ */
+SpeckProvisioner.load = function(filePath, options) {
+   return new SpeckProvisioner(JSON.parse(fs.readFileSync(filePath, 'utf8')), options);
+};
+
+//======================================================================================================================
+
+module.exports = SpeckProvisioner;
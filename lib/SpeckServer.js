@@ -0,0 +1,366 @@
+var http = require('http');
+var url = require('url');
+var SpeckManager = require('./SpeckManager');
+var SpeckError = require('./SpeckError');
+var log = require('log4js').getLogger("speck-sensor");
+
+var DEFAULT_PORT = 8000;
+var MAX_REQUEST_BODY_BYTES = 10 * 1024;
+
+var HTTP_STATUS = {
+   OK : 200,
+   BAD_REQUEST : 400,
+   NOT_FOUND : 404,
+   METHOD_NOT_ALLOWED : 405,
+   PAYLOAD_TOO_LARGE : 413,
+   INTERNAL_SERVER_ERROR : 500,
+   NOT_IMPLEMENTED : 501,
+   SERVICE_UNAVAILABLE : 503,
+   GATEWAY_TIMEOUT : 504
+};
+
+// The HTTP status for each SpeckError code which isn't an internal server error
+var HTTP_STATUS_BY_ERROR_CODE = {};
+HTTP_STATUS_BY_ERROR_CODE[SpeckError.CODES.NOT_CONNECTED] = HTTP_STATUS.SERVICE_UNAVAILABLE;
+HTTP_STATUS_BY_ERROR_CODE[SpeckError.CODES.DISCONNECTED] = HTTP_STATUS.SERVICE_UNAVAILABLE;
+HTTP_STATUS_BY_ERROR_CODE[SpeckError.CODES.HID_IO] = HTTP_STATUS.SERVICE_UNAVAILABLE;
+HTTP_STATUS_BY_ERROR_CODE[SpeckError.CODES.UNSUPPORTED_BY_PROTOCOL] = HTTP_STATUS.NOT_IMPLEMENTED;
+HTTP_STATUS_BY_ERROR_CODE[SpeckError.CODES.TIMEOUT] = HTTP_STATUS.GATEWAY_TIMEOUT;
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var sendJson = function(response, statusCode, obj) {
+   var body = JSON.stringify(obj);
+   response.writeHead(statusCode, {
+      "Content-Type" : "application/json",
+      "Content-Length" : Buffer.byteLength(body)
+   });
+   response.end(body);
+};
+
+var sendError = function(response, statusCode, message, code) {
+   var obj = { error : message };
+   if (code) {
+      obj.code = code;
+   }
+   sendJson(response, statusCode, obj);
+};
+
+// Returns the flags of the given Speck's getApiSupport(), as a plain object of booleans
+var getApiSupportFlags = function(speck) {
+   var apiSupport = speck.getApiSupport();
+   var flags = {};
+   Object.keys(apiSupport).forEach(function(name) {
+      if (name != "getProtocolVersion") {
+         flags[name] = apiSupport[name]();
+      }
+   });
+   return flags;
+};
+
+var readJsonBody = function(request, callback) {
+   var body = "";
+   var isTooLarge = false;
+   request.setEncoding('utf8');
+   request.on('data', function(chunk) {
+      body += chunk;
+      if (Buffer.byteLength(body) > MAX_REQUEST_BODY_BYTES) {
+         isTooLarge = true;
+         body = "";
+      }
+   });
+   request.on('end', function() {
+      if (isTooLarge) {
+         return callback(HTTP_STATUS.PAYLOAD_TOO_LARGE, null);
+      }
+      try {
+         callback(null, JSON.parse(body));
+      }
+      catch (e) {
+         callback(HTTP_STATUS.BAD_REQUEST, null);
+      }
+   });
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates an HTTP server which lets other machines query the Specks attached to this one.  Specks are tracked by a
+ *    {@link SpeckManager}, so they may be plugged in and unplugged while the server is running.  The server provides
+ *    the following JSON endpoints:
+ *    <ul>
+ *       <li><code>GET /specks</code>: the attached Specks, each described by its HID <code>path</code> and the
+ *       fields returned by {@linkcode Speck#getSpeckConfig getSpeckConfig}</li>
+ *       <li><code>GET /specks/:id</code>: the Speck's config, plus an <code>apiSupport</code> object with the flags
+ *       from {@linkcode Speck#getApiSupport getApiSupport}</li>
+ *       <li><code>GET /specks/:id/current</code>: the current sample, from
+ *       {@linkcode Speck#getCurrentSample getCurrentSample}</li>
+ *       <li><code>GET /specks/:id/samples/count</code>: the number of historic samples, as
+ *       <code>{ "numSamples" : n }</code></li>
+ *       <li><code>PUT /specks/:id/logging-interval</code>: sets the logging interval to the
+ *       <code>loggingIntervalSecs</code> field of the JSON request body, and responds with the Speck's config</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    Errors are returned as <code>{ "error" : message }</code>, plus the {@link SpeckError} <code>code</code> if
+ *    the error came from the Speck, with one of the following status codes:
+ *    <ul>
+ *       <li>400: the request body is invalid</li>
+ *       <li>404: no Speck with the given id has been seen, or the URL is unknown</li>
+ *       <li>405: the method isn't supported for the URL</li>
+ *       <li>501: the request isn't supported by the Speck's protocol version</li>
+ *       <li>503: the Speck isn't connected, e.g. it was unplugged</li>
+ *       <li>504: the command timed out</li>
+ *       <li>500: anything else, e.g. the Speck's response was corrupted</li>
+ *    </ul>
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>manager</code>: the {@link SpeckManager} which tracks the Specks.  If not given, the server creates
+ *       one, which it starts and stops along with itself.</li>
+ *       <li><code>transport</code>: the transport for the server's own manager (defaults to
+ *       {@link HidTransport})</li>
+ *       <li><code>speckOptions</code>: the options for the Specks of the server's own manager, such as
+ *       <code>normalizeSamples</code> or <code>calibration</code> (see {@link SpeckManager})</li>
+ *       <li><code>port</code>: the port to listen on (defaults to 8000, use 0 for any free port)</li>
+ *       <li><code>host</code>: the host to listen on (defaults to all interfaces)</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {object} [options] - the server's options
+ * @constructor
+ */
+function SpeckServer(options) {
+   options = options || {};
+
+   var isManagerOwned = !options.manager;
+   var manager = options.manager || new SpeckManager({ transport : options.transport, speckOptions : options.speckOptions });
+   var port = typeof options.port === 'number' ? options.port : DEFAULT_PORT;
+   var host = options.host;
+   var server = null;
+
+   /**
+    * Starts the server.  The <code>callback</code> is called once it's listening, with the address it's listening
+    * on (an object with <code>address</code> and <code>port</code> fields).
+    *
+    * @param {function} [callback] - the callback function with a signature of the form
+    * <code>callback(err, address)</code>
+    */
+   this.start = function(callback) {
+      var done = function(err, address) {
+         if (typeof callback === 'function') {
+            callback(err, address);
+         }
+      };
+
+      if (server != null) {
+         return done(new Error("The server is already started"), null);
+      }
+
+      server = http.createServer(handleRequest);
+      server.once('error', function(err) {
+         log.error("SpeckServer.start(): failed to start: " + err);
+         server = null;
+         done(err, null);
+      });
+      server.listen(port, host, function() {
+         if (isManagerOwned) {
+            manager.start();
+         }
+         var address = server.address();
+         log.info("SpeckServer: listening on port [" + address.port + "]");
+         done(null, { address : address.address, port : address.port });
+      });
+   };
+
+   /**
+    * Stops the server.  The <code>callback</code> is called once it has stopped accepting connections.  Specks are
+    * left connected.
+    *
+    * @param {function} [callback] - the callback function with a signature of the form <code>callback(err)</code>
+    */
+   this.stop = function(callback) {
+      if (isManagerOwned) {
+         manager.stop();
+      }
+      if (server == null) {
+         if (typeof callback === 'function') {
+            callback(null);
+         }
+         return;
+      }
+      server.close(function(err) {
+         if (typeof callback === 'function') {
+            callback(err || null);
+         }
+      });
+      server = null;
+   };
+
+   /**
+    * Returns the {@link SpeckManager} which tracks the Specks.
+    *
+    * @returns {SpeckManager}
+    */
+   this.getManager = function() {
+      return manager;
+   };
+
+   var handleRequest = function(request, response) {
+      var pathname = url.parse(request.url).pathname;
+      for (var i = 0; i < ROUTES.length; i++) {
+         var match = ROUTES[i].pattern.exec(pathname);
+         if (match) {
+            var handler = ROUTES[i].methods[request.method];
+            if (!handler) {
+               response.setHeader("Allow", Object.keys(ROUTES[i].methods).join(", "));
+               return sendError(response, HTTP_STATUS.METHOD_NOT_ALLOWED, "Method not allowed");
+            }
+            var id = null;
+            if (match.length > 1) {
+               try {
+                  id = decodeURIComponent(match[1]);
+               }
+               catch (e) {
+                  return sendError(response, HTTP_STATUS.BAD_REQUEST, "Invalid Speck id");
+               }
+            }
+            return handler(request, response, id);
+         }
+      }
+      sendError(response, HTTP_STATUS.NOT_FOUND, "Not found");
+   };
+
+   var listSpecks = function(request, response) {
+      var attachedSpecks = manager.getAttachedSpecks();
+      var ids = Object.keys(attachedSpecks).sort();
+      var specks = [];
+
+      var describeNextSpeck = function(i) {
+         if (i >= ids.length) {
+            return sendJson(response, HTTP_STATUS.OK, specks);
+         }
+         var speck = attachedSpecks[ids[i]];
+         speck.getSpeckConfig(function(err, config) {
+            if (!err) {
+               config.path = speck.getHidDeviceDescriptor().path;
+               specks.push(config);
+            }
+            describeNextSpeck(i + 1);
+         });
+      };
+      describeNextSpeck(0);
+   };
+
+   var getSpeckInfo = function(request, response, id) {
+      withConnectedSpeck(response, id, null, function(speck) {
+         speck.getSpeckConfig(function(err, config) {
+            if (err) {
+               return sendCommandError(response, speck, err);
+            }
+            config.path = speck.getHidDeviceDescriptor().path;
+            config.apiSupport = getApiSupportFlags(speck);
+            sendJson(response, HTTP_STATUS.OK, config);
+         });
+      });
+   };
+
+   var getCurrentSample = function(request, response, id) {
+      withConnectedSpeck(response, id, null, function(speck) {
+         speck.getCurrentSample(function(err, sample) {
+            if (err) {
+               return sendCommandError(response, speck, err);
+            }
+            sendJson(response, HTTP_STATUS.OK, sample);
+         });
+      });
+   };
+
+   var getNumberOfSamples = function(request, response, id) {
+      withConnectedSpeck(response, id, "canGetNumberOfDataSamples", function(speck) {
+         speck.getNumberOfAvailableSamples(function(err, data) {
+            if (err) {
+               return sendCommandError(response, speck, err);
+            }
+            sendJson(response, HTTP_STATUS.OK, data);
+         });
+      });
+   };
+
+   var setLoggingInterval = function(request, response, id) {
+      readJsonBody(request, function(statusCode, body) {
+         if (statusCode) {
+            return sendError(response, statusCode, statusCode == HTTP_STATUS.PAYLOAD_TOO_LARGE ? "Request body too large" : "Request body must be JSON");
+         }
+         var loggingIntervalSecs = body ? body.loggingIntervalSecs : null;
+         if (typeof loggingIntervalSecs !== 'number' || loggingIntervalSecs % 1 != 0 || loggingIntervalSecs < 1 || loggingIntervalSecs > 255) {
+            return sendError(response, HTTP_STATUS.BAD_REQUEST, "loggingIntervalSecs must be an integer from 1 to 255");
+         }
+
+         withConnectedSpeck(response, id, "canMutateLoggingInterval", function(speck) {
+            speck.setLoggingInterval(loggingIntervalSecs, function(err) {
+               if (err) {
+                  return sendCommandError(response, speck, err);
+               }
+               speck.getSpeckConfig(function(err, config) {
+                  if (err) {
+                     return sendCommandError(response, speck, err);
+                  }
+                  sendJson(response, HTTP_STATUS.OK, config);
+               });
+            });
+         });
+      });
+   };
+
+   // Calls the given function with the Speck with the given id, unless it's unknown, disconnected, or doesn't have the
+   // given API support, in which case the appropriate error response is sent instead
+   var withConnectedSpeck = function(response, id, requiredApiSupport, callback) {
+      var speck = manager.getSpeck(id);
+      if (speck == null) {
+         return sendError(response, HTTP_STATUS.NOT_FOUND, "No Speck with id [" + id + "]");
+      }
+      if (!speck.isConnected()) {
+         return sendError(response, HTTP_STATUS.SERVICE_UNAVAILABLE, "The Speck [" + id + "] is not connected");
+      }
+
+      // the API support comes from the config, which may still be being read if the Speck only just reconnected
+      speck.getSpeckConfig(function(err) {
+         if (err) {
+            return sendCommandError(response, speck, err);
+         }
+         if (requiredApiSupport && !speck.getApiSupport()[requiredApiSupport]()) {
+            return sendError(response, HTTP_STATUS.NOT_IMPLEMENTED, "Not supported by this Speck's protocol version [" + speck.getApiSupport().getProtocolVersion() + "]");
+         }
+         callback(speck);
+      });
+   };
+
+   var sendCommandError = function(response, speck, err) {
+      var code = (err instanceof SpeckError) ? err.code : null;
+
+      // the Speck may have been unplugged while the command was in progress
+      if (!speck.isConnected()) {
+         return sendError(response, HTTP_STATUS.SERVICE_UNAVAILABLE, "The Speck is not connected", code);
+      }
+      sendError(response, HTTP_STATUS_BY_ERROR_CODE[code] || HTTP_STATUS.INTERNAL_SERVER_ERROR, err.message, code);
+   };
+
+   var ROUTES = [
+      { pattern : /^\/specks\/?$/, methods : { GET : listSpecks } },
+      { pattern : /^\/specks\/([^\/]+)\/?$/, methods : { GET : getSpeckInfo } },
+      { pattern : /^\/specks\/([^\/]+)\/current\/?$/, methods : { GET : getCurrentSample } },
+      { pattern : /^\/specks\/([^\/]+)\/samples\/count\/?$/, methods : { GET : getNumberOfSamples } },
+      { pattern : /^\/specks\/([^\/]+)\/logging-interval\/?$/, methods : { PUT : setLoggingInterval } }
+   ];
+}
+
+//======================================================================================================================
+
+module.exports = SpeckServer;
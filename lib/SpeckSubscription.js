@@ -0,0 +1,150 @@
+var log = require('log4js').getLogger("speck-sensor");
+
+var DEFAULT_SAMPLING_INTERVAL_MILLIS = 1000;
+
+// map of Speck to the sampling state shared by every subscription to it: the number of subscriptions using it, and
+// whether sampling was started by a subscription (rather than by whoever else is using the Speck)
+var samplingStates = new WeakMap();
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var acquireSampling = function(speck, samplingIntervalMillis) {
+   var state = samplingStates.get(speck);
+   if (state == null) {
+      state = { numSubscriptions : 0, isStartedBySubscription : false };
+      samplingStates.set(speck, state);
+   }
+   state.numSubscriptions++;
+   resumeSampling(speck, samplingIntervalMillis);
+};
+
+var resumeSampling = function(speck, samplingIntervalMillis) {
+   if (!speck.isSampling()) {
+      speck.startSampling(samplingIntervalMillis);
+      samplingStates.get(speck).isStartedBySubscription = true;
+   }
+};
+
+var releaseSampling = function(speck) {
+   var state = samplingStates.get(speck);
+   if (state == null) {
+      return;
+   }
+   state.numSubscriptions--;
+   if (state.numSubscriptions <= 0) {
+      samplingStates.delete(speck);
+      if (state.isStartedBySubscription) {
+         log.debug("SpeckSubscription: stopping sampling, since no subscriptions remain");
+         speck.stopSampling();
+      }
+   }
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a subscription to the samples of every Speck tracked by the given {@link SpeckManager}, used by the
+ *    {@link SpeckFeedServer}, {@link MqttPublisher}, and {@link AlertEngine}.  Once
+ *    {@linkcode SpeckSubscription#start started}, each attached Speck is {@linkcode Speck#startSampling sampled}, and
+ *    the subscription's handlers are called as Specks attach, produce samples, and disconnect.
+ * </p>
+ * <p>
+ *    Sampling is reference counted across all subscriptions, so that several of them may share a manager: stopping
+ *    a subscription only stops a Speck's sampling once no other subscription is using it, and never stops sampling
+ *    which was started by something other than a subscription.
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>samplingIntervalMillis</code>: how often to read each Speck's current sample (defaults to
+ *       1000)</li>
+ *       <li><code>onAttach</code>: called with the Speck's id and the {@link Speck} when a Speck is attached (or
+ *       reconnected), and for each Speck already attached when the subscription starts</li>
+ *       <li><code>onSample</code>: called with the Speck's id and the sample for each new sample</li>
+ *       <li><code>onDisconnect</code>: called with the Speck's id when a Speck disconnects</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {SpeckManager} manager - the manager which tracks the Specks
+ * @param {object} [options] - the subscription's options
+ * @constructor
+ */
+function SpeckSubscription(manager, options) {
+   options = options || {};
+
+   var samplingIntervalMillis = options.samplingIntervalMillis || DEFAULT_SAMPLING_INTERVAL_MILLIS;
+   var isStarted = false;
+
+   // map of Speck id to the listeners added to that Speck, so they can be removed when the subscription stops
+   var speckListeners = {};
+
+   /**
+    * Starts sampling the attached Specks, and any attached later.  Does nothing if already started.
+    */
+   this.start = function() {
+      if (!isStarted) {
+         isStarted = true;
+         manager.on('attach', handleAttach);
+         var attachedSpecks = manager.getAttachedSpecks();
+         Object.keys(attachedSpecks).forEach(function(id) {
+            handleAttach(id, attachedSpecks[id]);
+         });
+      }
+   };
+
+   /**
+    * Removes the subscription's listeners, and stops sampling each Speck which no other subscription is using.
+    * Specks are left connected.  Does nothing if not started.
+    */
+   this.stop = function() {
+      if (isStarted) {
+         isStarted = false;
+         manager.removeListener('attach', handleAttach);
+         Object.keys(speckListeners).forEach(function(id) {
+            var speck = speckListeners[id].speck;
+            speck.removeListener('sample', speckListeners[id].onSample);
+            speck.removeListener('disconnect', speckListeners[id].onDisconnect);
+            releaseSampling(speck);
+         });
+         speckListeners = {};
+      }
+   };
+
+   var handleAttach = function(id, speck) {
+      if (!speckListeners.hasOwnProperty(id)) {
+         var listeners = {
+            speck : speck,
+            onSample : function(sample) {
+               if (typeof options.onSample === 'function') {
+                  options.onSample(id, sample);
+               }
+            },
+            onDisconnect : function() {
+               if (typeof options.onDisconnect === 'function') {
+                  options.onDisconnect(id);
+               }
+            }
+         };
+         speck.on('sample', listeners.onSample);
+         speck.on('disconnect', listeners.onDisconnect);
+         speckListeners[id] = listeners;
+         acquireSampling(speck, samplingIntervalMillis);
+      }
+      else {
+         resumeSampling(speck, samplingIntervalMillis);
+      }
+
+      if (typeof options.onAttach === 'function') {
+         options.onAttach(id, speck);
+      }
+   };
+}
+
+//======================================================================================================================
+
+module.exports = SpeckSubscription;
@@ -0,0 +1,489 @@
+var fs = require('fs');
+var Speck = require('../index');
+
+var USAGE = [
+   "Usage: speck <command> [options]",
+   "",
+   "Commands:",
+   "   list                     List the attached Specks",
+   "   info                     Show the Speck's config and supported features",
+   "   current                  Show the Speck's current sample",
+   "   watch                    Show each new sample as the Speck takes it, until interrupted",
+   "   count                    Show the number of historic samples stored on the Speck",
+   "   download                 Download (and then delete) all historic samples stored on the Speck",
+   "   set-interval <seconds>   Set the Speck's logging interval",
+   "   provision <config-file>  Apply the settings in the given config file to every attached Speck, and report on each",
+   "",
+   "Options:",
+   "   --id <id>                Use the Speck with the given serial number",
+   "   --path <path>            Use the Speck at the given HID path (instead of --id)",
+   "   --json                   Write JSON instead of human-readable output",
+   "   --interval <millis>      watch: how often to read the current sample (default 1000)",
+   "   --limit <n>              watch: stop after n samples",
+   "   --output <file>          download: append samples to the given file instead of writing them to stdout",
+   "   --correct-clock          download: correct sample times for the Speck's clock drift",
+   "   --dry-run                provision: report what would change, without changing anything",
+   "   --trace <file>           Record all HID traffic with the Speck to the given trace file",
+   "   --replay <file>          Play back the given trace file instead of talking to real Specks",
+   "   --help                   Show this help"
+].join("\n");
+
+var EXIT_SUCCESS = 0;
+var EXIT_FAILURE = 1;
+var EXIT_USAGE = 2;
+
+// options which take a value, as opposed to flags
+var OPTIONS_WITH_VALUES = ['id', 'path', 'interval', 'limit', 'output', 'trace', 'replay'];
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+// Parses the given command line arguments into an object containing the positional arguments (in an array named
+// "_") and the options.  Throws an Error for options which are missing their value.
+var parseArgs = function(args) {
+   var parsed = { _ : [] };
+   for (var i = 0; i < args.length; i++) {
+      var arg = args[i];
+      if (arg.indexOf("--") == 0) {
+         var name = arg.slice(2);
+         var value = true;
+         var equalsIndex = name.indexOf("=");
+         if (equalsIndex >= 0) {
+            value = name.slice(equalsIndex + 1);
+            name = name.slice(0, equalsIndex);
+         }
+         else if (OPTIONS_WITH_VALUES.indexOf(name) >= 0) {
+            if (i + 1 >= args.length) {
+               throw new Error("Missing value for option --" + name);
+            }
+            value = args[++i];
+         }
+         parsed[name] = value;
+      }
+      else {
+         parsed._.push(arg);
+      }
+   }
+   return parsed;
+};
+
+// Returns the given API support object as a plain object of flags
+var apiSupportToObject = function(apiSupport) {
+   var obj = {};
+   for (var name in apiSupport) {
+      obj[name] = apiSupport[name]();
+   }
+   return obj;
+};
+
+var formatObject = function(obj) {
+   return Object.keys(obj).map(function(key) {
+      return key + ": " + obj[key];
+   }).join("\n");
+};
+
+var formatCsvRow = function(values) {
+   return values.map(function(value) {
+      if (Array.isArray(value)) {
+         value = value.join(";");
+      }
+      return (typeof value === 'undefined' || value === null) ? "" : String(value);
+   }).join(",");
+};
+
+//======================================================================================================================
+// CLASS DEFINITION
+//======================================================================================================================
+
+/**
+ * <p>
+ *    Creates a command line interface for Specks.  This is what the <code>speck</code> command runs, but it can also
+ *    be used directly, e.g. to run the commands against a {@link SimulatedTransport}.
+ * </p>
+ * <p>
+ *    The optional <code>options</code> object may contain the following fields:
+ *    <ul>
+ *       <li><code>transport</code>: the transport used to find and open Specks (defaults to
+ *       {@link HidTransport})</li>
+ *       <li><code>stdout</code>: the stream to write output to (defaults to <code>process.stdout</code>)</li>
+ *       <li><code>stderr</code>: the stream to write errors to (defaults to <code>process.stderr</code>)</li>
+ *    </ul>
+ * </p>
+ *
+ * @param {object} [options] - the CLI's options
+ * @constructor
+ */
+function SpeckCli(options) {
+   options = options || {};
+
+   var speckOptions = null;
+   var stdout = options.stdout || process.stdout;
+   var stderr = options.stderr || process.stderr;
+
+   /**
+    * Runs the command given by the command line arguments, and calls the <code>callback</code> with the exit code
+    * once it's done.
+    *
+    * @param {Array} args - the command line arguments, not including the node executable and script path
+    * @param {function} callback - the callback function with a signature of the form <code>callback(exitCode)</code>
+    */
+   this.run = function(args, callback) {
+      var parsedArgs;
+      try {
+         parsedArgs = parseArgs(args);
+      }
+      catch (e) {
+         return usageError(e.message, callback);
+      }
+
+      var commandName = parsedArgs._[0];
+      if (parsedArgs.help || typeof commandName === 'undefined') {
+         stdout.write(USAGE + "\n");
+         return callback(parsedArgs.help ? EXIT_SUCCESS : EXIT_USAGE);
+      }
+
+      if (!COMMANDS.hasOwnProperty(commandName)) {
+         return usageError("Unknown command [" + commandName + "]", callback);
+      }
+      if (parsedArgs.id && parsedArgs.path) {
+         return usageError("The --id and --path options can't be used together", callback);
+      }
+
+      speckOptions = { transport : options.transport, traceFile : parsedArgs.trace };
+      if (parsedArgs.replay) {
+         try {
+            speckOptions.transport = new Speck.ReplayTransport(parsedArgs.replay);
+         }
+         catch (e) {
+            stderr.write("Error: failed to read trace file [" + parsedArgs.replay + "]: " + e.message + "\n");
+            return callback(EXIT_FAILURE);
+         }
+      }
+
+      COMMANDS[commandName](parsedArgs, function(err) {
+         if (err) {
+            stderr.write("Error: " + err.message + "\n");
+            return callback(EXIT_FAILURE);
+         }
+         callback(EXIT_SUCCESS);
+      });
+   };
+
+   var usageError = function(message, callback) {
+      stderr.write("Error: " + message + "\n\n" + USAGE + "\n");
+      callback(EXIT_USAGE);
+   };
+
+   var writeResult = function(args, result, humanReadableResult) {
+      stdout.write((args.json ? JSON.stringify(result) : humanReadableResult) + "\n");
+   };
+
+   // Opens the Speck selected by the --id or --path options, or the first available Speck if neither was given
+   var openSpeck = function(args, callback) {
+      if (args.path) {
+         var descriptors = Speck.enumerate(speckOptions).filter(function(descriptor) {
+            return descriptor.path == args.path;
+         });
+         if (descriptors.length == 0) {
+            return callback(new Error("No Speck found at path [" + args.path + "]"), null);
+         }
+         try {
+            return callback(null, new Speck(descriptors[0], speckOptions));
+         }
+         catch (e) {
+            return callback(e, null);
+         }
+      }
+
+      Speck.create({ transport : speckOptions.transport, traceFile : speckOptions.traceFile, id : args.id }, function(err, speck) {
+         if (err) {
+            return callback(err, null);
+         }
+         if (speck == null) {
+            return callback(new Error(args.id ? "No Speck found with id [" + String(args.id).toLowerCase() + "]" : "No Speck found"), null);
+         }
+         callback(null, speck);
+      });
+   };
+
+   // Opens the selected Speck, runs the given action with it, and then disconnects
+   var withSpeck = function(args, action, callback) {
+      openSpeck(args, function(err, speck) {
+         if (err) {
+            return callback(err);
+         }
+         action(speck, function(err) {
+            speck.disconnect();
+            callback(err);
+         });
+      });
+   };
+
+   var COMMANDS = {
+      "list" : function(args, callback) {
+         var results = [];
+         var describeNextSpeck = function(descriptors) {
+            if (descriptors.length == 0) {
+               writeResult(args, results, results.length == 0 ? "No Specks found" : results.map(function(result) {
+                  return result.path + "\t" + (result.id || "(unavailable)") + (result.protocolVersion ? "\tprotocol " + result.protocolVersion : "");
+               }).join("\n"));
+               return callback(null);
+            }
+
+            var result = { path : descriptors[0].path, id : null, protocolVersion : null };
+            results.push(result);
+
+            var speck;
+            try {
+               speck = new Speck(descriptors[0], speckOptions);
+            }
+            catch (e) {
+               // leave the id null, since the Speck is probably in use by another process
+               return describeNextSpeck(descriptors.slice(1));
+            }
+
+            speck.getSpeckConfig(function(err, config) {
+               if (!err) {
+                  result.id = config.id;
+                  result.protocolVersion = config.protocolVersion;
+               }
+               speck.disconnect();
+               describeNextSpeck(descriptors.slice(1));
+            });
+         };
+
+         describeNextSpeck(Speck.enumerate(speckOptions));
+      },
+
+      "info" : function(args, callback) {
+         withSpeck(args, function(speck, done) {
+            speck.getSpeckConfig(function(err, config) {
+               if (err) {
+                  return done(err);
+               }
+               var info = { config : config, apiSupport : apiSupportToObject(speck.getApiSupport()) };
+               writeResult(args, info, formatObject(config) + "\n" + formatObject(info.apiSupport));
+               done(null);
+            });
+         }, callback);
+      },
+
+      "current" : function(args, callback) {
+         withSpeck(args, function(speck, done) {
+            speck.getCurrentSample(function(err, sample) {
+               if (err) {
+                  return done(err);
+               }
+               writeResult(args, sample, formatObject(sample));
+               done(null);
+            });
+         }, callback);
+      },
+
+      "watch" : function(args, callback) {
+         var intervalMillis = parseInt(args.interval || 1000, 10);
+         var limit = args.limit ? parseInt(args.limit, 10) : null;
+         if (isNaN(intervalMillis) || intervalMillis <= 0 || (limit !== null && (isNaN(limit) || limit <= 0))) {
+            return callback(new Error("The --interval and --limit options must be positive integers"));
+         }
+
+         withSpeck(args, function(speck, done) {
+            var numSamples = 0;
+            var isStopped = false;
+
+            // A failed read can both disconnect the Speck and emit an error, and samples may still be in flight when
+            // the limit is reached, so make sure this only finishes once.
+            var stop = function(err) {
+               if (isStopped) {
+                  return;
+               }
+               isStopped = true;
+               speck.stopSampling();
+               speck.removeListener('sample', handleSample);
+               speck.removeListener('error', stop);
+               speck.removeListener('disconnect', handleDisconnect);
+               process.removeListener('SIGINT', stop);
+               done(err && err instanceof Error ? err : null);
+            };
+
+            var handleSample = function(sample) {
+               if (args.json) {
+                  stdout.write(JSON.stringify(sample) + "\n");
+               }
+               else {
+                  if (numSamples == 0) {
+                     stdout.write(formatCsvRow(Object.keys(sample)) + "\n");
+                  }
+                  stdout.write(formatCsvRow(Object.keys(sample).map(function(key) {
+                     return sample[key];
+                  })) + "\n");
+               }
+               numSamples++;
+               if (limit !== null && numSamples >= limit) {
+                  stop(null);
+               }
+            };
+
+            var handleDisconnect = function(err) {
+               if (err) {
+                  stop(err);
+               }
+            };
+
+            speck.on('sample', handleSample);
+            speck.on('error', stop);
+            speck.on('disconnect', handleDisconnect);
+            process.on('SIGINT', stop);
+            speck.startSampling(intervalMillis);
+         }, callback);
+      },
+
+      "count" : function(args, callback) {
+         withSpeck(args, function(speck, done) {
+            speck.getNumberOfAvailableSamples(function(err, data) {
+               if (err) {
+                  return done(err);
+               }
+               writeResult(args, data, String(data.numSamples));
+               done(null);
+            });
+         }, callback);
+      },
+
+      "download" : function(args, callback) {
+         var fd = null;
+         var columns = null;
+
+         // Samples are deleted from the Speck once persisted, so make sure they've really been written first
+         var write = function(text, done) {
+            if (fd === null) {
+               return stdout.write(text, function() {
+                  done(null);
+               });
+            }
+            try {
+               fs.writeSync(fd, text);
+               fs.fsyncSync(fd);
+               done(null);
+            }
+            catch (e) {
+               done(e);
+            }
+         };
+
+         withSpeck(args, function(speck, done) {
+            // only open the output file once there's a Speck to download from, so failing to find one doesn't leave
+            // an empty file behind
+            if (args.output) {
+               try {
+                  fd = fs.openSync(args.output, 'a');
+               }
+               catch (e) {
+                  return done(e);
+               }
+            }
+
+            speck.downloadAllSamples({
+               correctClock : !!args['correct-clock'],
+               persistSample : function(sample, persisted) {
+                  if (args.json) {
+                     return write(JSON.stringify(sample) + "\n", persisted);
+                  }
+
+                  var header = "";
+                  if (columns === null) {
+                     columns = Object.keys(sample);
+                     header = formatCsvRow(columns) + "\n";
+                  }
+                  write(header + formatCsvRow(columns.map(function(column) {
+                     return sample[column];
+                  })) + "\n", persisted);
+               },
+               onProgress : function(numSamplesDownloaded, numSamplesTotal) {
+                  if (fd !== null && !args.json) {
+                     stderr.write("\rDownloaded " + numSamplesDownloaded + (numSamplesTotal === null ? "" : " of " + numSamplesTotal) + " samples");
+                  }
+               }
+            }, function(err, data) {
+               if (fd !== null) {
+                  fs.closeSync(fd);
+                  if (!args.json) {
+                     stderr.write((data && data.numSamples > 0 ? "\n" : "") + "Downloaded " + (data ? data.numSamples : 0) + " samples to " + args.output + "\n");
+                  }
+               }
+               done(err);
+            });
+         }, callback);
+      },
+
+      "set-interval" : function(args, callback) {
+         var loggingIntervalSecs = parseInt(args._[1], 10);
+         if (isNaN(loggingIntervalSecs)) {
+            return callback(new Error("set-interval requires the logging interval in seconds"));
+         }
+
+         withSpeck(args, function(speck, done) {
+            speck.setLoggingInterval(loggingIntervalSecs, function(err) {
+               if (err) {
+                  return done(err);
+               }
+               speck.getSpeckConfig(function(err, config) {
+                  if (err) {
+                     return done(err);
+                  }
+                  writeResult(args, { loggingIntervalSecs : config.loggingIntervalSecs }, "Logging interval set to " + config.loggingIntervalSecs + " seconds");
+                  done(null);
+               });
+            });
+         }, callback);
+      },
+
+      "provision" : function(args, callback) {
+         if (typeof args._[1] === 'undefined') {
+            return callback(new Error("provision requires the path to the config file"));
+         }
+
+         var provisioner;
+         try {
+            provisioner = Speck.SpeckProvisioner.load(args._[1], speckOptions);
+         }
+         catch (e) {
+            return callback(new Error("failed to read config file [" + args._[1] + "]: " + e.message));
+         }
+
+         provisioner.provision({ dryRun : !!args['dry-run'] }, function(err, report) {
+            if (err) {
+               return callback(err);
+            }
+
+            var lines = report.devices.map(function(result) {
+               var changes = result.changes.map(function(change) {
+                  return change.setting + " " + change.from + " -> " + change.to;
+               }).join(", ");
+               return result.id + "\t" + result.status + (changes ? "\t" + changes : "") + (result.error ? "\t" + result.error : "");
+            });
+            report.unconfigured.forEach(function(id) {
+               lines.push(id + "\tskipped (not in config)");
+            });
+            report.missing.forEach(function(id) {
+               lines.push(id + "\tmissing (not attached)");
+            });
+            report.failures.forEach(function(failure) {
+               lines.push(failure.path + "\tfailed\t" + failure.error);
+            });
+            if (report.dryRun) {
+               lines.push("Dry run: no changes were made");
+            }
+            writeResult(args, report, lines.length == 0 ? "No Specks found" : lines.join("\n"));
+
+            var numFailed = report.summary[Speck.SpeckProvisioner.STATUS.FAILED] + report.failures.length;
+            callback(numFailed > 0 ? new Error(numFailed + " Speck(s) failed to be provisioned") : null);
+         });
+      }
+   };
+}
+
+//======================================================================================================================
+
+module.exports = SpeckCli;
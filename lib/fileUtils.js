@@ -0,0 +1,121 @@
+var fs = require('fs');
+
+/**
+ * Helpers for the file-backed parts of this module, which store records as lines of JSON.
+ *
+ * @namespace fileUtils
+ * @private
+ */
+
+/**
+ * Appends the given text to the given file, and makes sure it's on disk before returning.
+ *
+ * @param {string} filePath - the file to append to, created if it doesn't exist
+ * @param {string} text - the text to append
+ */
+var appendDurably = function(filePath, text) {
+   var fd = fs.openSync(filePath, 'a');
+   try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+   }
+   finally {
+      fs.closeSync(fd);
+   }
+};
+
+/**
+ * Replaces the given file with the given text, atomically, by writing to a temporary file and then renaming it.
+ *
+ * @param {string} filePath - the file to replace
+ * @param {string} text - the new contents
+ */
+var writeAtomically = function(filePath, text) {
+   var tempFilePath = filePath + ".tmp";
+   var fd = fs.openSync(tempFilePath, 'w');
+   try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+   }
+   finally {
+      fs.closeSync(fd);
+   }
+   fs.renameSync(tempFilePath, filePath);
+};
+
+/**
+ * Parses the records in the given JSON lines.  A trailing partial line (e.g. left by a crash in the middle of a
+ * write) is ignored.
+ *
+ * @param {string} contents - the contents of a file of JSON lines
+ * @returns {Array} the records
+ */
+var parseJsonLines = function(contents) {
+   var lines = contents.split("\n");
+   var records = [];
+   lines.forEach(function(line, i) {
+      if (line.length > 0) {
+         try {
+            records.push(JSON.parse(line));
+         }
+         catch (e) {
+            if (i < lines.length - 1) {
+               throw e;
+            }
+         }
+      }
+   });
+   return records;
+};
+
+/**
+ * Reads the records in the given file of JSON lines.  A trailing partial line (e.g. left by a crash in the middle of
+ * a write) is ignored.
+ *
+ * @param {string} filePath - the file to read
+ * @returns {Array} the records
+ */
+var readJsonLines = function(filePath) {
+   return parseJsonLines(fs.readFileSync(filePath, 'utf8'));
+};
+
+/**
+ * Removes the partial line, if any, at the end of the given file of JSON lines (e.g. left by a crash in the middle of
+ * a write), so that lines appended later aren't joined onto it.  The file is replaced atomically.
+ *
+ * @param {string} filePath - the file to repair
+ * @returns {boolean} whether the file had a partial line to remove
+ */
+var truncatePartialLine = function(filePath) {
+   var contents = fs.readFileSync(filePath, 'utf8');
+   if (contents.length == 0 || contents.slice(-1) == "\n") {
+      return false;
+   }
+   writeAtomically(filePath, contents.slice(0, contents.lastIndexOf("\n") + 1));
+   return true;
+};
+
+/**
+ * Creates the given directory if it doesn't already exist.
+ *
+ * @param {string} directory - the directory to create
+ */
+var ensureDirectory = function(directory) {
+   try {
+      fs.mkdirSync(directory);
+   }
+   catch (e) {
+      if (e.code != 'EEXIST') {
+         throw e;
+      }
+   }
+};
+
+module.exports = {
+   appendDurably : appendDurably,
+   writeAtomically : writeAtomically,
+   parseJsonLines : parseJsonLines,
+   readJsonLines : readJsonLines,
+   truncatePartialLine : truncatePartialLine,
+   ensureDirectory : ensureDirectory
+};
@@ -0,0 +1,76 @@
+// The worker thread behind a HidWorkerDevice.  It owns one HID device, and runs each exchange (writing a command
+// feature report and reading the response) on its own thread, since node-hid's feature report calls are synchronous.
+
+var workerThreads = require('worker_threads');
+var parentPort = workerThreads.parentPort;
+var workerData = workerThreads.workerData;
+
+//======================================================================================================================
+// HELPER FUNCTIONS
+//======================================================================================================================
+
+var describeError = function(stage, e) {
+   return { stage : stage, message : (e && e.message) ? e.message : String(e) };
+};
+
+// Opens the device, and reports the result through the open port, waking the main thread, which is waiting for it
+var openDevice = function() {
+   var device = null;
+   var error = null;
+   try {
+      var HID = require(workerData.hidModule);
+      device = new HID.HID(workerData.path);
+   }
+   catch (e) {
+      error = describeError("open", e);
+   }
+
+   workerData.openPort.postMessage({ error : error });
+   workerData.openPort.close();
+   Atomics.store(workerData.openState, 0, 1);
+   Atomics.notify(workerData.openState, 0);
+   return device;
+};
+
+var exchange = function(device, message) {
+   var result = { type : "exchange", id : message.id, bytes : null, error : null };
+   try {
+      device.sendFeatureReport(message.command);
+   }
+   catch (writeError) {
+      result.error = describeError("write", writeError);
+      return result;
+   }
+   try {
+      result.bytes = Array.prototype.slice.call(device.getFeatureReport(message.reportId, message.lengthInBytes));
+   }
+   catch (readError) {
+      result.error = describeError("read", readError);
+   }
+   return result;
+};
+
+//======================================================================================================================
+
+(function() {
+   var device = openDevice();
+   if (device == null) {
+      return parentPort.close();
+   }
+
+   // messages are handled one at a time, so exchanges happen in the order they were sent
+   parentPort.on('message', function(message) {
+      if (message.type == "exchange") {
+         parentPort.postMessage(exchange(device, message));
+      }
+      else if (message.type == "close") {
+         try {
+            device.close();
+         }
+         catch (e) {
+            // the device is going away anyway, and the main thread has stopped listening
+         }
+         parentPort.close();
+      }
+   });
+})();
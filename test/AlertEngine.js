@@ -0,0 +1,237 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Speck = require('../index');
+var AlertEngine = Speck.AlertEngine;
+
+// 2015-01-01T00:00:00Z
+var START_TIME_SECS = 1420070400;
+var DEVICE_ID = "0123456789abcdef0123456789abcdef";
+var OTHER_DEVICE_ID = "fedcba9876543210fedcba9876543210";
+
+describe('AlertEngine', function() {
+   var engine = null;
+   var events = null;
+
+   // Creates an engine with the given rules, recording its alert and clear events
+   var createEngine = function(rules) {
+      engine = new AlertEngine({ rules : rules, manager : new Speck.SpeckManager({ transport : new Speck.SimulatedTransport() }) });
+      events = [];
+      engine.on('alert', function(alert) {
+         events.push({ type : 'alert', alert : alert });
+      });
+      engine.on('clear', function(alert) {
+         events.push({ type : 'clear', alert : alert });
+      });
+      return engine;
+   };
+
+   // Evaluates one sample per minute with the given particle concentrations
+   var evaluateConcentrations = function(deviceId, concentrations, startTimeSecs) {
+      concentrations.forEach(function(concentration, i) {
+         engine.evaluate(deviceId, {
+            sampleTimeSecs : (startTimeSecs || START_TIME_SECS) + i * 60,
+            particleConcentration : concentration,
+            humidity : 50
+         });
+      });
+   };
+
+   var getEventTypes = function() {
+      return events.map(function(event) {
+         return event.type;
+      });
+   };
+
+   describe('rules', function() {
+      it('should parse conditions', function() {
+         createEngine([
+            { name : "spike", condition : "particleConcentration > 35 for 10 minutes" },
+            { name : "damp", condition : "humidity>=80" },
+            { name : "cold", field : "temperature", operator : "<", threshold : 5, durationSecs : 30 }
+         ]);
+         var rules = engine.getRules();
+         expect(rules[0]).to.deep.equal({
+            name : "spike",
+            deviceId : null,
+            field : "particleConcentration",
+            operator : ">",
+            threshold : 35,
+            durationSecs : 600,
+            hysteresis : 0,
+            cooldownSecs : 0
+         });
+         expect(rules[1].operator).to.equal(">=");
+         expect(rules[1].threshold).to.equal(80);
+         expect(rules[1].durationSecs).to.equal(0);
+         expect(rules[2].field).to.equal("temperature");
+         expect(rules[2].durationSecs).to.equal(30);
+      });
+      it('should reject invalid rules', function() {
+         var expectInvalid = function(rule, pattern) {
+            expect(function() {
+               createEngine([rule]);
+            }).to.throw(Speck.SpeckError.CommandError, pattern);
+         };
+         expectInvalid({ condition : "humidity > 80" }, /must have a name/);
+         expectInvalid({ name : "a", condition : "humidity is high" }, /can't parse the condition/);
+         expectInvalid({ name : "a", condition : "humidity > 80 for 2 fortnights" }, /unknown duration unit \[fortnights\]/);
+         expectInvalid({ name : "a", field : "humidity", operator : "==", threshold : 80 }, /invalid operator/);
+         expectInvalid({ name : "a", field : "humidity", operator : ">" }, /invalid threshold/);
+         expectInvalid({ name : "a", condition : "humidity > 80", cooldownSecs : -1 }, /invalid cooldownSecs/);
+         expect(function() {
+            createEngine([{ name : "a", condition : "humidity > 80" }, { name : "a", condition : "humidity > 90" }]);
+         }).to.throw(Speck.SpeckError.CommandError, /must be unique/);
+      });
+      it('should load rules from a JSON file', function() {
+         var rulesFile = path.join(os.tmpdir(), "speck-alert-rules-test-" + process.pid + ".json");
+         fs.writeFileSync(rulesFile, JSON.stringify({ rules : [{ name : "damp", condition : "humidity > 80" }] }));
+         try {
+            engine = AlertEngine.load(rulesFile, { manager : new Speck.SpeckManager({ transport : new Speck.SimulatedTransport() }) });
+            expect(engine.getRules()[0].name).to.equal("damp");
+
+            fs.writeFileSync(rulesFile, JSON.stringify({ name : "damp" }));
+            expect(function() {
+               AlertEngine.load(rulesFile);
+            }).to.throw(Speck.SpeckError.CommandError, /expected an array of rules/);
+         }
+         finally {
+            fs.unlinkSync(rulesFile);
+         }
+      });
+   });
+
+   describe('evaluate()', function() {
+      it('should raise an alert immediately for a rule without a duration, and clear it', function() {
+         createEngine([{ name : "spike", condition : "particleConcentration > 35" }]);
+         evaluateConcentrations(DEVICE_ID, [10, 40, 50, 20]);
+         expect(getEventTypes()).to.deep.equal(['alert', 'clear']);
+
+         var alert = events[0].alert;
+         expect(alert.rule).to.equal("spike");
+         expect(alert.deviceId).to.equal(DEVICE_ID);
+         expect(alert.value).to.equal(40);
+         expect(alert.threshold).to.equal(35);
+         expect(alert.triggerTimeSecs).to.equal(START_TIME_SECS + 60);
+         expect(alert.samples).to.have.length(1);
+         expect(alert.samples[0].particleConcentration).to.equal(40);
+
+         var clearedAlert = events[1].alert;
+         expect(clearedAlert.clearTimeSecs).to.equal(START_TIME_SECS + 180);
+         expect(clearedAlert.value).to.equal(20);
+         expect(clearedAlert.clearingSample.particleConcentration).to.equal(20);
+         expect(clearedAlert.samples).to.deep.equal(alert.samples);
+      });
+      it('should only raise an alert once the condition has held for the duration', function() {
+         createEngine([{ name : "spike", condition : "particleConcentration > 35 for 3 minutes" }]);
+         evaluateConcentrations(DEVICE_ID, [40, 40, 40, 10, 40, 40, 40]);
+         expect(events).to.be.empty;
+
+         evaluateConcentrations(DEVICE_ID, [40], START_TIME_SECS + 7 * 60);
+         expect(getEventTypes()).to.deep.equal(['alert']);
+         expect(events[0].alert.startTimeSecs).to.equal(START_TIME_SECS + 4 * 60);
+         expect(events[0].alert.samples).to.have.length(4);
+         expect(engine.getActiveAlerts()).to.have.length(1);
+      });
+      it('should not clear until the value passes the threshold by the hysteresis', function() {
+         createEngine([{ name : "spike", condition : "particleConcentration > 35", hysteresis : 5 }]);
+         evaluateConcentrations(DEVICE_ID, [40, 34, 36, 31, 41, 30, 38]);
+         expect(getEventTypes()).to.deep.equal(['alert', 'clear', 'alert']);
+         expect(events[1].alert.value).to.equal(30);
+      });
+      it('should apply hysteresis in the other direction for lower limits', function() {
+         createEngine([{ name : "dry", condition : "humidity < 20", hysteresis : 5 }]);
+         [15, 22, 24, 25].forEach(function(humidity, i) {
+            engine.evaluate(DEVICE_ID, { sampleTimeSecs : START_TIME_SECS + i, humidity : humidity });
+         });
+         expect(getEventTypes()).to.deep.equal(['alert', 'clear']);
+         expect(events[1].alert.value).to.equal(25);
+      });
+      it('should not raise a new alert during the cooldown', function() {
+         createEngine([{ name : "spike", condition : "particleConcentration > 35", cooldownSecs : 300 }]);
+         evaluateConcentrations(DEVICE_ID, [40, 10, 40, 40, 40, 40, 40]);
+         expect(getEventTypes()).to.deep.equal(['alert', 'clear', 'alert']);
+         expect(events[2].alert.triggerTimeSecs).to.equal(START_TIME_SECS + 6 * 60);
+         expect(events[2].alert.startTimeSecs).to.equal(START_TIME_SECS + 2 * 60);
+      });
+      it('should evaluate each Speck separately, and respect per-device rules', function() {
+         createEngine([
+            { name : "spike", condition : "particleConcentration > 35" },
+            { name : "other-spike", condition : "particleConcentration > 5", deviceId : OTHER_DEVICE_ID.toUpperCase() }
+         ]);
+         evaluateConcentrations(DEVICE_ID, [40]);
+         evaluateConcentrations(OTHER_DEVICE_ID, [10]);
+         evaluateConcentrations(OTHER_DEVICE_ID, [40], START_TIME_SECS + 60);
+
+         expect(events.map(function(event) {
+            return event.alert.rule + "/" + event.alert.deviceId;
+         })).to.deep.equal(["spike/" + DEVICE_ID, "other-spike/" + OTHER_DEVICE_ID, "spike/" + OTHER_DEVICE_ID]);
+         expect(engine.getActiveAlerts()).to.have.length(3);
+      });
+      it('should ignore samples without a value for the rule', function() {
+         createEngine([{ name : "spike", condition : "particleConcentration > 35" }]);
+         engine.evaluate(DEVICE_ID, { sampleTimeSecs : START_TIME_SECS, particleCount : 100 });
+         engine.evaluate(DEVICE_ID, null);
+         expect(events).to.be.empty;
+      });
+   });
+
+   describe('Specks tracked by a manager', function() {
+      var transport = null;
+      var manager = null;
+      var device = null;
+
+      beforeEach(function(done) {
+         transport = new Speck.SimulatedTransport();
+         device = transport.add({
+            protocolVersion : 3,
+            currentSample : { sampleTimeSecs : START_TIME_SECS, particleConcentration : 50, humidity : 40, rawParticleCount : 10 }
+         });
+         manager = new Speck.SpeckManager({ transport : transport });
+         manager.poll(function() {
+            done();
+         });
+      });
+      afterEach(function() {
+         engine.stop();
+         manager.getSpeck(device.getId()).disconnect();
+      });
+
+      it('should evaluate samples from attached Specks', function(done) {
+         engine = new AlertEngine({
+            rules : [{ name : "spike", condition : "particleConcentration > 35" }],
+            manager : manager,
+            samplingIntervalMillis : 10
+         });
+         engine.on('alert', function(alert) {
+            expect(alert.deviceId).to.equal(device.getId());
+            expect(alert.samples[0].particleConcentration).to.equal(50);
+            expect(manager.getSpeck(device.getId()).isSampling()).to.be.true;
+            done();
+         });
+         engine.start();
+      });
+      it('should keep sampling for other consumers sharing the manager when stopped', function(done) {
+         var speck = manager.getSpeck(device.getId());
+         var otherEngine = new AlertEngine({
+            rules : [{ name : "humid", condition : "humidity > 60" }],
+            manager : manager,
+            samplingIntervalMillis : 10
+         });
+         otherEngine.on('alert', function(alert) {
+            expect(alert.rule).to.equal("humid");
+            otherEngine.stop();
+            expect(speck.isSampling()).to.be.false;
+            done();
+         });
+
+         engine = new AlertEngine({ manager : manager, samplingIntervalMillis : 10 });
+         engine.start();
+         otherEngine.start();
+         engine.stop();
+         expect(speck.isSampling()).to.be.true;
+         device.setCurrentSample({ sampleTimeSecs : START_TIME_SECS + 1, particleConcentration : 5, humidity : 70, rawParticleCount : 10 });
+      });
+   });
+});
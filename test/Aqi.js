@@ -0,0 +1,124 @@
+var expect = require('chai').expect;
+var Speck = require('../index');
+var Aqi = Speck.Aqi;
+
+// 2015-01-01T00:00:00Z, which is on an hour boundary
+var START_TIME_SECS = 1420070400;
+
+var createHourlySamples = function(concentrations) {
+   // concentrations are given oldest first, one per hour, each sample at half past the hour
+   return concentrations.map(function(concentration, i) {
+      return { sampleTimeSecs : START_TIME_SECS + i * 3600 + 1800, particleConcentration : concentration };
+   }).filter(function(sample) {
+      return sample.particleConcentration != null;
+   });
+};
+
+describe('Aqi', function() {
+   describe('computeAqi()', function() {
+      it('should map breakpoint boundaries to their AQI values', function() {
+         expect(Aqi.computeAqi(0)).to.equal(0);
+         expect(Aqi.computeAqi(9.0)).to.equal(50);
+         expect(Aqi.computeAqi(9.1)).to.equal(51);
+         expect(Aqi.computeAqi(35.4)).to.equal(100);
+         expect(Aqi.computeAqi(35.5)).to.equal(101);
+         expect(Aqi.computeAqi(55.4)).to.equal(150);
+         expect(Aqi.computeAqi(125.4)).to.equal(200);
+         expect(Aqi.computeAqi(225.4)).to.equal(300);
+         expect(Aqi.computeAqi(325.4)).to.equal(500);
+      });
+      it('should interpolate within a breakpoint, after truncating to one decimal place', function() {
+         expect(Aqi.computeAqi(12.0)).to.equal(56);
+         expect(Aqi.computeAqi(9.09)).to.equal(50);
+      });
+      it('should extrapolate beyond the top breakpoint', function() {
+         expect(Aqi.computeAqi(400)).to.be.above(500);
+      });
+      it('should reject invalid concentrations', function() {
+         expect(function() {
+            Aqi.computeAqi(-1);
+         }).to.throw(Speck.SpeckError.CommandError);
+         expect(function() {
+            Aqi.computeAqi("12");
+         }).to.throw(Speck.SpeckError.CommandError);
+      });
+   });
+
+   describe('getCategory()', function() {
+      it('should return the category name and color', function() {
+         expect(Aqi.getCategory(50).name).to.equal("Good");
+         expect(Aqi.getCategory(50).color).to.equal("#00E400");
+         expect(Aqi.getCategory(51).name).to.equal("Moderate");
+         expect(Aqi.getCategory(150).name).to.equal("Unhealthy for Sensitive Groups");
+         expect(Aqi.getCategory(151).name).to.equal("Unhealthy");
+         expect(Aqi.getCategory(300).name).to.equal("Very Unhealthy");
+         expect(Aqi.getCategory(301).name).to.equal("Hazardous");
+         expect(Aqi.getCategory(700).color).to.equal("#7E0023");
+      });
+   });
+
+   describe('fromSample()', function() {
+      it('should use the particleConcentration of protocol version 3 samples', function() {
+         expect(Aqi.fromSample({ sampleTimeSecs : START_TIME_SECS, particleConcentration : 40.25 })).to.deep.equal({
+            concentration : 40.2,
+            aqi : 113,
+            category : "Unhealthy for Sensitive Groups",
+            color : "#FF7E00"
+         });
+      });
+      it('should throw a clear error for protocol version 1 and 2 samples', function() {
+         expect(function() {
+            Aqi.fromSample({ sampleTimeSecs : START_TIME_SECS, particleCount : 40 });
+         }).to.throw(Speck.SpeckError.CommandError, /protocol version 3/);
+      });
+   });
+
+   describe('computeNowCast()', function() {
+      it('should equal the concentration when it is constant', function() {
+         var nowCast = Aqi.computeNowCast(createHourlySamples([20, 20, 20, 20, 20, 20, 20, 20, 20, 20, 20, 20]));
+         expect(nowCast.concentration).to.equal(20);
+         expect(nowCast.numHours).to.equal(12);
+      });
+      it('should weight recent hours more when conditions change quickly', function() {
+         // min/max = 0.1, so the weight factor is clamped to 0.5
+         var nowCast = Aqi.computeNowCast(createHourlySamples([10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 100, 100]));
+         var weights = [1, 0.5, 0.25, 0.125, 0.0625, 0.03125, 0.015625, 0.0078125, 0.00390625, 0.001953125, 0.0009765625, 0.00048828125];
+         var expected = weights.reduce(function(sum, weight, i) {
+            return sum + weight * (i < 2 ? 100 : 10);
+         }, 0) / weights.reduce(function(sum, weight) {
+            return sum + weight;
+         }, 0);
+         expect(nowCast.concentration).to.equal(Math.floor(expected * 10) / 10);
+         expect(nowCast.aqi).to.equal(Aqi.computeAqi(expected));
+      });
+      it('should average samples within each hour', function() {
+         var samples = [
+            { sampleTimeSecs : START_TIME_SECS + 60, particleConcentration : 10 },
+            { sampleTimeSecs : START_TIME_SECS + 120, particleConcentration : 30 },
+            { sampleTimeSecs : START_TIME_SECS + 3600 + 60, particleConcentration : 20 }
+         ];
+         expect(Aqi.computeHourlyAverages(samples).slice(0, 3)).to.deep.equal([20, 20, null]);
+         expect(Aqi.computeNowCast(samples).concentration).to.equal(20);
+      });
+      it('should skip missing hours but keep their place in the weighting', function() {
+         // the most recent hours are 40, missing, 20: weight factor is 0.5, so (40 + 0.25 * 20) / 1.25 = 36
+         var nowCast = Aqi.computeNowCast(createHourlySamples([20, null, 40]));
+         expect(nowCast.concentration).to.equal(36);
+         expect(nowCast.numHours).to.equal(2);
+      });
+      it('should return null unless two of the three most recent hours have samples', function() {
+         expect(Aqi.computeNowCast(createHourlySamples([20, 20, 20, null, null, 20]))).to.be.null;
+         expect(Aqi.computeNowCast([])).to.be.null;
+      });
+      it('should support an explicit end time', function() {
+         var samples = createHourlySamples([20, 20]);
+         expect(Aqi.computeNowCast(samples, { endTimeSecs : START_TIME_SECS + 3 * 3600 })).to.be.null;
+         expect(Aqi.computeNowCast(samples, { endTimeSecs : START_TIME_SECS + 2 * 3600 })).to.not.be.null;
+      });
+      it('should throw a clear error for protocol version 1 and 2 samples', function() {
+         expect(function() {
+            Aqi.computeNowCast([{ sampleTimeSecs : START_TIME_SECS, particleCount : 40 }]);
+         }).to.throw(Speck.SpeckError.CommandError, /protocol version 3/);
+      });
+   });
+});
@@ -0,0 +1,112 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Speck = require('../index');
+var Calibration = Speck.Calibration;
+
+var DEVICE_ID = "0123456789abcdef0123456789abcdef";
+
+describe('Calibration', function() {
+   describe('constructor', function() {
+      it('should reject invalid profiles', function() {
+         expect(function() {
+            new Calibration({ abc : { particleConcentration : { type : "quadratic" } } });
+         }).to.throw(Speck.SpeckError.CommandError, /unknown type/);
+         expect(function() {
+            new Calibration({ abc : { particleConcentration : { type : "linear", slope : 1 } } });
+         }).to.throw(Speck.SpeckError.CommandError, /slope and intercept/);
+         expect(function() {
+            new Calibration({ abc : { particleCount : { type : "piecewise", points : [[10, 1], [5, 2]] } } });
+         }).to.throw(Speck.SpeckError.CommandError, /sorted/);
+         expect(function() {
+            new Calibration({ abc : { particleCount : { type : "linear", slope : 1, intercept : 0, humidityCoefficient : "x" } } });
+         }).to.throw(Speck.SpeckError.CommandError, /humidityCoefficient/);
+         expect(function() {
+            new Calibration({ abc : {}, ABC : {} });
+         }).to.throw(Speck.SpeckError.CommandError, /already a profile/);
+      });
+      it('should match device ids case-insensitively', function() {
+         var calibration = new Calibration({ ABCDEF : { particleCount : { type : "linear", slope : 1, intercept : 2 } } });
+         expect(calibration.getDeviceIds()).to.deep.equal(["abcdef"]);
+         expect(calibration.getProfile("abcdef").particleCount.intercept).to.equal(2);
+         expect(calibration.getProfile("AbCdEf").particleCount.intercept).to.equal(2);
+         expect(calibration.calibrate("abcdef", { sampleTimeSecs : 1000, particleCount : 3 }).calibrated).to.deep.equal({ particleCount : 5 });
+      });
+   });
+
+   describe('calibrate()', function() {
+      var calibration = new Calibration({
+         linear : { particleConcentration : { type : "linear", slope : 2, intercept : 1 } },
+         humidity : { particleConcentration : { type : "linear", slope : 0.5, intercept : 5, humidityCoefficient : -0.1 } },
+         piecewise : { particleCount : { type : "piecewise", points : [[0, 0], [100, 50], [200, 150]] } }
+      });
+
+      it('should add calibrated values alongside the raw values', function() {
+         var sample = { sampleTimeSecs : 1000, particleConcentration : 10, humidity : 40, rawParticleCount : 3 };
+         var calibratedSample = calibration.calibrate("linear", sample);
+         expect(calibratedSample).to.deep.equal({
+            sampleTimeSecs : 1000,
+            particleConcentration : 10,
+            humidity : 40,
+            rawParticleCount : 3,
+            calibrated : { particleConcentration : 21 }
+         });
+         expect(sample.calibrated).to.not.exist;
+      });
+      it('should apply the humidity term', function() {
+         var sample = { sampleTimeSecs : 1000, particleConcentration : 10, humidity : 40, rawParticleCount : 3 };
+         expect(calibration.calibrate("humidity", sample).calibrated.particleConcentration).to.be.closeTo(6, 1e-9);
+      });
+      it('should interpolate and extrapolate piecewise corrections', function() {
+         var calibrate = function(particleCount) {
+            return calibration.calibrate("piecewise", { sampleTimeSecs : 1000, particleCount : particleCount, humidity : 40 }).calibrated.particleCount;
+         };
+         expect(calibrate(50)).to.equal(25);
+         expect(calibrate(100)).to.equal(50);
+         expect(calibrate(150)).to.equal(100);
+         expect(calibrate(300)).to.equal(250);
+      });
+      it('should never produce negative values', function() {
+         var sample = { sampleTimeSecs : 1000, particleConcentration : 0, humidity : 100, rawParticleCount : 0 };
+         expect(calibration.calibrate("humidity", sample).calibrated.particleConcentration).to.equal(0);
+      });
+      it('should leave samples from devices without a profile uncalibrated', function() {
+         var sample = { sampleTimeSecs : 1000, particleConcentration : 10, humidity : 40, rawParticleCount : 3 };
+         expect(calibration.calibrate("unknown", sample)).to.deep.equal(sample);
+         expect(calibration.calibrate("piecewise", sample)).to.deep.equal(sample);
+      });
+   });
+
+   describe('load()', function() {
+      it('should load profiles from a JSON file', function() {
+         var filePath = path.join(os.tmpdir(), "speck-calibration-test-" + process.pid + ".json");
+         fs.writeFileSync(filePath, JSON.stringify({ abc : { particleCount : { type : "linear", slope : 1, intercept : 2 } } }));
+         try {
+            var calibration = Calibration.load(filePath);
+            expect(calibration.getDeviceIds()).to.deep.equal(["abc"]);
+            expect(calibration.getProfile("abc").particleCount.intercept).to.equal(2);
+            expect(calibration.getProfile("def")).to.be.null;
+         }
+         finally {
+            fs.unlinkSync(filePath);
+         }
+      });
+   });
+
+   describe('with a Speck', function() {
+      it('should add calibrated values to samples read from the Speck', function(done) {
+         var transport = new Speck.SimulatedTransport([{ protocolVersion : 3, id : DEVICE_ID, currentSample : { particleConcentration : 12.5, humidity : 40, rawParticleCount : 3 } }]);
+         var profiles = {};
+         profiles[DEVICE_ID] = { particleConcentration : { type : "linear", slope : 2, intercept : 0 } };
+         var speck = Speck.create({ transport : transport, calibration : new Calibration(profiles) });
+         speck.getCurrentSample(function(err, sample) {
+            expect(err).to.not.exist;
+            expect(sample.particleConcentration).to.equal(12.5);
+            expect(sample.calibrated).to.deep.equal({ particleConcentration : 25 });
+            speck.disconnect();
+            done();
+         });
+      });
+   });
+});
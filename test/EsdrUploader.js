@@ -0,0 +1,264 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var Speck = require('../index');
+
+var createSample = function(sampleTimeSecs) {
+   return {
+      sampleTimeSecs : sampleTimeSecs,
+      particleConcentration : 12.5,
+      humidity : 40,
+      rawParticleCount : 7
+   };
+};
+
+var removeDirectory = function(directory) {
+   if (fs.existsSync(directory)) {
+      fs.readdirSync(directory).forEach(function(filename) {
+         fs.unlinkSync(path.join(directory, filename));
+      });
+      fs.rmdirSync(directory);
+   }
+};
+
+describe('EsdrUploader', function() {
+   var server = null;
+   var esdrUrl = null;
+   var requests = null;
+   var responseStatusCodes = null;
+   var queueDirectory = null;
+   var uploader = null;
+
+   var createUploader = function(options) {
+      options = options || {};
+      options.feedApiKey = options.feedApiKey || "my-api-key";
+      options.queueDirectory = queueDirectory;
+      options.esdrUrl = esdrUrl;
+      options.retryBackoffMillis = options.retryBackoffMillis || 10;
+      uploader = new Speck.EsdrUploader(options);
+      return uploader;
+   };
+
+   beforeEach(function(done) {
+      requests = [];
+      responseStatusCodes = [];
+      queueDirectory = path.join(os.tmpdir(), "speck-esdr-test-" + process.pid + "-" + new Date().getTime());
+      server = http.createServer(function(request, response) {
+         var body = "";
+         request.on('data', function(chunk) {
+            body += chunk;
+         });
+         request.on('end', function() {
+            requests.push({ method : request.method, url : request.url, body : JSON.parse(body) });
+            response.statusCode = responseStatusCodes.length > 0 ? responseStatusCodes.shift() : 200;
+            response.end(JSON.stringify({ code : response.statusCode }));
+         });
+      });
+      server.listen(0, "127.0.0.1", function() {
+         esdrUrl = "http://127.0.0.1:" + server.address().port;
+         done();
+      });
+   });
+   afterEach(function(done) {
+      if (uploader) {
+         uploader.stop();
+         uploader = null;
+      }
+      removeDirectory(queueDirectory);
+      server.close(function() {
+         done();
+      });
+   });
+
+   describe('toFeedUpload()', function() {
+      it('should use particle_concentration for protocol version 3 samples', function() {
+         expect(Speck.EsdrUploader.toFeedUpload([createSample(1000), createSample(1060)])).to.deep.equal({
+            channel_names : ["particle_concentration", "humidity", "raw_particles"],
+            data : [[1000, 12.5, 40, 7], [1060, 12.5, 40, 7]]
+         });
+      });
+      it('should use particle_count and temperature for protocol version 1 samples', function() {
+         var sample = { sampleTimeSecs : 1000, particleCount : 3, humidity : 41, rawParticleCount : 5, temperature : 700 };
+         expect(Speck.EsdrUploader.toFeedUpload([sample])).to.deep.equal({
+            channel_names : ["particle_count", "humidity", "raw_particles", "temperature"],
+            data : [[1000, 3, 41, 5, 700]]
+         });
+      });
+      it('should leave out channels which are null in normalized samples', function() {
+         var speckConfig = { id : "abc", protocolVersion : 3, loggingIntervalSecs : 60 };
+         var sample = Speck.SampleSchema.normalize(createSample(1000), speckConfig);
+         expect(Speck.EsdrUploader.toFeedUpload([sample])).to.deep.equal({
+            channel_names : ["particle_concentration", "humidity", "raw_particles"],
+            data : [[1000, 12.5, 40, 7]]
+         });
+      });
+   });
+
+   describe('constructor', function() {
+      it('should require a feedApiKey and a queueDirectory', function() {
+         expect(function() {
+            new Speck.EsdrUploader({ queueDirectory : queueDirectory });
+         }).to.throw(Speck.SpeckError.CommandError);
+         expect(function() {
+            new Speck.EsdrUploader({ feedApiKey : "my-api-key" });
+         }).to.throw(Speck.SpeckError.CommandError);
+      });
+   });
+
+   describe('add() and flush()', function() {
+      it('should upload full batches once started, and the rest on flush', function(done) {
+         createUploader({ batchSize : 2 });
+         var uploadedBatchSizes = [];
+         uploader.on('upload', function(numSamples) {
+            uploadedBatchSizes.push(numSamples);
+            if (uploadedBatchSizes.length == 1) {
+               expect(requests).to.have.length(1);
+               expect(requests[0].method).to.equal("PUT");
+               expect(requests[0].url).to.equal("/api/v1/feeds/my-api-key");
+               expect(requests[0].body.data).to.deep.equal([[1000, 12.5, 40, 7], [1060, 12.5, 40, 7]]);
+               uploader.flush(function(err) {
+                  expect(err).to.not.exist;
+                  expect(uploadedBatchSizes).to.deep.equal([2, 1]);
+                  expect(requests[1].body.data).to.deep.equal([[1120, 12.5, 40, 7]]);
+                  expect(uploader.getQueueStatus().numQueuedSamples).to.equal(0);
+                  done();
+               });
+            }
+         });
+         uploader.start();
+         uploader.add(createSample(1000), function(err) {
+            expect(err).to.not.exist;
+            uploader.add(createSample(1060), function(err) {
+               expect(err).to.not.exist;
+               uploader.add(createSample(1120), function(err) {
+                  expect(err).to.not.exist;
+               });
+            });
+         });
+      });
+      it('should work as the persistSample function for downloadAllSamples()', function(done) {
+         var transport = new Speck.SimulatedTransport();
+         var now = Math.round(new Date().getTime() / 1000);
+         transport.add({ protocolVersion : 3, samples : [{ sampleTimeSecs : now - 120 }, { sampleTimeSecs : now - 60 }] });
+         var speck = new Speck(Speck.enumerate({ transport : transport })[0], { transport : transport });
+         createUploader();
+         speck.downloadAllSamples({ persistSample : uploader.add }, function(err, result) {
+            expect(err).to.not.exist;
+            expect(result.numSamples).to.equal(2);
+            expect(uploader.getQueueStatus().numQueuedSamples).to.equal(2);
+            uploader.flush(function(err) {
+               expect(err).to.not.exist;
+               expect(requests).to.have.length(1);
+               expect(requests[0].body.channel_names).to.deep.equal(["particle_concentration", "humidity", "raw_particles"]);
+               expect(requests[0].body.data).to.have.length(2);
+               speck.disconnect();
+               done();
+            });
+         });
+      });
+   });
+
+   describe('offline queue', function() {
+      it('should keep batches on disk while the server is unreachable, and resume in a new instance', function(done) {
+         var unreachableUrl = esdrUrl;
+         server.close(function() {
+            server = http.createServer();
+            createUploader();
+            uploader.add(createSample(1000), function() {
+               uploader.flush(function(err) {
+                  expect(err).to.exist;
+                  expect(uploader.getQueueStatus().numQueuedSamples).to.equal(1);
+                  uploader.add(createSample(1060), function() {
+                     // start a server on a new port, and a new uploader which picks up the old queue
+                     server.close();
+                     server = http.createServer(function(request, response) {
+                        var body = "";
+                        request.on('data', function(chunk) {
+                           body += chunk;
+                        });
+                        request.on('end', function() {
+                           requests.push({ body : JSON.parse(body) });
+                           response.end("{}");
+                        });
+                     });
+                     server.listen(0, "127.0.0.1", function() {
+                        esdrUrl = "http://127.0.0.1:" + server.address().port;
+                        expect(esdrUrl).to.not.equal(unreachableUrl);
+                        createUploader();
+                        expect(uploader.getQueueStatus().numQueuedSamples).to.equal(2);
+                        uploader.flush(function(err) {
+                           expect(err).to.not.exist;
+                           expect(requests).to.have.length(2);
+                           expect(requests[0].body.data).to.deep.equal([[1000, 12.5, 40, 7]]);
+                           expect(requests[1].body.data).to.deep.equal([[1060, 12.5, 40, 7]]);
+                           done();
+                        });
+                     });
+                  });
+               });
+            });
+         });
+      });
+      it('should retry failed uploads with backoff', function(done) {
+         responseStatusCodes = [500, 503];
+         createUploader({ batchSize : 1 });
+         var numErrors = 0;
+         uploader.on('error', function(err) {
+            expect(err.statusCode).to.be.at.least(500);
+            expect(err.isRejected).to.be.false;
+            numErrors++;
+         });
+         uploader.on('upload', function(numSamples) {
+            expect(numSamples).to.equal(1);
+            expect(numErrors).to.equal(2);
+            expect(requests).to.have.length(3);
+            done();
+         });
+         uploader.add(createSample(1000), function() {
+            uploader.start();
+         });
+      });
+      it('should discard a partially-written sample left by a crash before queueing more', function(done) {
+         fs.mkdirSync(queueDirectory);
+         fs.writeFileSync(path.join(queueDirectory, "pending.jsonl"), JSON.stringify(createSample(1000)) + "\n" + JSON.stringify(createSample(1060)).slice(0, 20));
+         fs.writeFileSync(path.join(queueDirectory, "batch-000000000000001-000000.jsonl"), JSON.stringify(createSample(900)) + "\n{\"sampleTi");
+         createUploader();
+         expect(uploader.getQueueStatus().numQueuedSamples).to.equal(2);
+         uploader.add(createSample(1120), function(err) {
+            expect(err).to.not.exist;
+            expect(uploader.getQueueStatus().numQueuedSamples).to.equal(3);
+            uploader.flush(function(err) {
+               expect(err).to.not.exist;
+               var uploadedTimes = [];
+               requests.forEach(function(request) {
+                  request.body.data.forEach(function(row) {
+                     uploadedTimes.push(row[0]);
+                  });
+               });
+               expect(uploadedTimes).to.deep.equal([900, 1000, 1120]);
+               done();
+            });
+         });
+      });
+      it('should set aside batches rejected by the server', function(done) {
+         responseStatusCodes = [400];
+         createUploader({ batchSize : 1 });
+         uploader.on('error', function(err) {
+            expect(err.statusCode).to.equal(400);
+            expect(err.isRejected).to.be.true;
+         });
+         uploader.add(createSample(1000), function() {
+            uploader.add(createSample(1060), function() {
+               uploader.flush(function(err) {
+                  expect(err).to.not.exist;
+                  expect(requests).to.have.length(2);
+                  expect(uploader.getQueueStatus()).to.deep.equal({ numQueuedSamples : 0, numRejectedBatches : 1 });
+                  done();
+               });
+            });
+         });
+      });
+   });
+});
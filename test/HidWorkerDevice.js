@@ -0,0 +1,131 @@
+var expect = require('chai').expect;
+var path = require('path');
+var Speck = require('../index');
+var fakeNodeHid = require('./fixtures/fakeNodeHid');
+
+var FAKE_NODE_HID = path.join(__dirname, "fixtures", "fakeNodeHid.js");
+
+// a transport like the HidTransport, but whose workers open the fake node-hid's devices
+var createWorkerTransport = function(devicePath) {
+   return {
+      devices : function() {
+         return [{ vendorId : 0x2354, productId : 0x3333, path : devicePath }];
+      },
+      open : function(path) {
+         return new Speck.HidWorkerDevice(path, { hidModule : FAKE_NODE_HID });
+      }
+   };
+};
+
+describe('HidWorkerDevice', function() {
+   var device = null;
+   afterEach(function() {
+      if (device) {
+         device.close();
+         device = null;
+      }
+   });
+
+   it('should throw if the device could not be opened', function() {
+      var err = null;
+      try {
+         new Speck.HidWorkerDevice("nope", { hidModule : FAKE_NODE_HID });
+      }
+      catch (e) {
+         err = e;
+      }
+      expect(err).to.be.an.instanceOf(Error);
+      expect(err.message).to.contain("nope");
+      expect(err.stage).to.equal("open");
+   });
+
+   it('should exchange a command and its response in the worker', function(done) {
+      device = new Speck.HidWorkerDevice("speck", { hidModule : FAKE_NODE_HID });
+      var command = Speck.SpeckProtocol.encodeGetInfoCommand();
+      Speck.SpeckProtocol.stampCommand(command, 1);
+      device.exchangeFeatureReports(command,
+                                    Speck.SpeckProtocol.REPORT_ID,
+                                    Speck.SpeckProtocol.COMMAND_LENGTH_IN_BYTES,
+                                    function(err, bytes) {
+                                       expect(err).to.be.null;
+                                       expect(bytes).to.have.length(Speck.SpeckProtocol.COMMAND_LENGTH_IN_BYTES);
+                                       expect(Speck.SpeckProtocol.validateResponse(command, bytes)).to.be.null;
+                                       done();
+                                    });
+   });
+
+   it('should fail exchanges once closed', function(done) {
+      device = new Speck.HidWorkerDevice("speck", { hidModule : FAKE_NODE_HID });
+      device.close();
+      var isCalledBack = false;
+      device.exchangeFeatureReports([0x49], 1, 16, function(err, bytes) {
+         isCalledBack = true;
+         expect(err).to.be.an.instanceOf(Error);
+         expect(err.message).to.contain("closed");
+         expect(bytes).to.be.null;
+         done();
+      });
+      expect(isCalledBack).to.be.false;
+   });
+
+   describe('with a Speck', function() {
+      var speck = null;
+      afterEach(function() {
+         if (speck) {
+            speck.disconnect();
+            speck = null;
+         }
+      });
+
+      it('should connect, and read the config and samples', function(done) {
+         speck = Speck.create({ transport : createWorkerTransport("speck") });
+         expect(speck).to.not.be.null;
+         speck.getSpeckConfig(function(err, config) {
+            expect(err).to.be.null;
+            expect(config.id).to.equal("0123456789abcdef0123456789abcdef");
+            expect(config.protocolVersion).to.equal(3);
+            speck.getSample(function(err, sample) {
+               expect(err).to.be.null;
+               expect(sample.sampleTimeSecs).to.equal(1000);
+               done();
+            });
+         });
+      });
+
+      it('should not connect if the device could not be opened', function() {
+         expect(Speck.create({ transport : createWorkerTransport("nope") })).to.be.null;
+      });
+
+      it('should not block the event loop while waiting for a response', function(done) {
+         this.timeout(10000);
+         speck = Speck.create({ transport : createWorkerTransport("slow-speck") });
+
+         var numTicks = 0;
+         var ticker = setInterval(function() {
+            numTicks++;
+         }, 5);
+
+         // the config read and the sample read each take at least SLOW_RESPONSE_MILLIS in the worker
+         var startTime = Date.now();
+         speck.getSample(function(err, sample) {
+            clearInterval(ticker);
+            expect(err).to.be.null;
+            expect(sample.sampleTimeSecs).to.equal(1000);
+            expect(Date.now() - startTime).to.be.at.least(2 * fakeNodeHid.SLOW_RESPONSE_MILLIS);
+            expect(numTicks).to.be.at.least(10);
+            done();
+         });
+      });
+
+      it('should time out a command while the device is slow to respond, and ignore the late response', function(done) {
+         this.timeout(10000);
+         speck = Speck.create({ transport : createWorkerTransport("slow-speck"), commandTimeoutMillis : 20 });
+
+         speck.getSpeckConfig(function(err) {
+            expect(err).to.be.an.instanceOf(Speck.SpeckError);
+            expect(err.code).to.equal(Speck.SpeckError.CODES.TIMEOUT);
+            done();
+         });
+      });
+   });
+});
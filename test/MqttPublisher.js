@@ -0,0 +1,190 @@
+var expect = require('chai').expect;
+var net = require('net');
+var mqtt = require('mqtt');
+var aedes = require('aedes');
+var Speck = require('../index');
+
+describe('MqttPublisher', function() {
+   var broker = null;
+   var brokerServer = null;
+   var brokerUrl = null;
+   var transport = null;
+   var device = null;
+   var manager = null;
+   var publisher = null;
+   var subscriber = null;
+
+   // Subscribes to the given topic filter, and calls onMessage with each message's topic, payload string, and packet
+   var subscribe = function(topicFilter, onMessage, callback) {
+      subscriber = mqtt.connect(brokerUrl);
+      subscriber.on('message', function(topic, payload, packet) {
+         onMessage(topic, String(payload), packet);
+      });
+      subscriber.subscribe(topicFilter, { qos : 1 }, function(err) {
+         expect(err).to.not.exist;
+         callback();
+      });
+   };
+
+   var createPublisher = function(options) {
+      options = options || {};
+      options.brokerUrl = brokerUrl;
+      options.manager = manager;
+      options.samplingIntervalMillis = options.samplingIntervalMillis || 20;
+      publisher = new Speck.MqttPublisher(options);
+      return publisher;
+   };
+
+   beforeEach(function(done) {
+      broker = aedes();
+      brokerServer = net.createServer(broker.handle);
+      brokerServer.listen(0, "127.0.0.1", function() {
+         brokerUrl = "mqtt://127.0.0.1:" + brokerServer.address().port;
+         transport = new Speck.SimulatedTransport();
+         device = transport.add({ protocolVersion : 3 });
+         manager = new Speck.SpeckManager({ transport : transport });
+         manager.poll(function() {
+            done();
+         });
+      });
+   });
+   afterEach(function(done) {
+      var finish = function() {
+         if (subscriber) {
+            subscriber.end(true);
+            subscriber = null;
+         }
+         var speck = manager.getSpeck(device.getId());
+         if (speck) {
+            speck.disconnect();
+         }
+         broker.close(function() {
+            brokerServer.close(function() {
+               done();
+            });
+         });
+      };
+      if (publisher) {
+         publisher.stop(function() {
+            publisher = null;
+            finish();
+         });
+      }
+      else {
+         finish();
+      }
+   });
+
+   it('should reject invalid QoS levels', function() {
+      expect(function() {
+         new Speck.MqttPublisher({ qos : 3, manager : manager });
+      }).to.throw(Error);
+   });
+
+   it('should fail to start if the broker is unreachable', function(done) {
+      brokerServer.close(function() {
+         createPublisher({ mqttOptions : { reconnectPeriod : 0 } }).start(function(err) {
+            expect(err).to.exist;
+            publisher = null;
+            done();
+         });
+      });
+   });
+
+   it('should publish retained device info and status when started', function(done) {
+      createPublisher().start(function(err) {
+         expect(err).to.not.exist;
+
+         // subscribe afterwards, so only retained messages arrive
+         var messages = {};
+         var isDone = false;
+         subscribe("speck/#", function(topic, payload, packet) {
+            if (packet.retain) {
+               messages[topic] = payload;
+            }
+            if (Object.keys(messages).length == 3 && !isDone) {
+               isDone = true;
+               expect(JSON.parse(messages["speck/" + device.getId() + "/info"]).id).to.equal(device.getId());
+               expect(messages["speck/" + device.getId() + "/status"]).to.equal("online");
+               expect(messages["speck/publisher/status"]).to.equal("online");
+               done();
+            }
+         }, function() {
+         });
+      });
+   });
+
+   it('should publish new current samples to configurable topics', function(done) {
+      subscribe("building/+/reading", function(topic, payload) {
+         expect(topic).to.equal("building/" + device.getId() + "/reading");
+         expect(JSON.parse(payload).particleConcentration).to.be.a('number');
+         done();
+      }, function() {
+         createPublisher({ topics : { sample : "building/{id}/reading" }, qos : 2 }).start(function(err) {
+            expect(err).to.not.exist;
+         });
+      });
+   });
+
+   it('should publish historic samples when used with downloadAllSamples()', function(done) {
+      var now = Math.round(new Date().getTime() / 1000);
+      device.addSample({ sampleTimeSecs : now - 120 });
+      device.addSample({ sampleTimeSecs : now - 60 });
+      var received = [];
+      subscribe("speck/+/historic", function(topic, payload) {
+         received.push(JSON.parse(payload).sampleTimeSecs);
+      }, function() {
+         createPublisher({ samplingIntervalMillis : 60000 }).start(function(err) {
+            expect(err).to.not.exist;
+            var speck = manager.getSpeck(device.getId());
+            speck.downloadAllSamples({ persistSample : publisher.createPersistSample(device.getId()) }, function(err, result) {
+               expect(err).to.not.exist;
+               expect(result.numSamples).to.equal(2);
+               setTimeout(function() {
+                  expect(received).to.deep.equal([now - 120, now - 60]);
+                  done();
+               }, 50);
+            });
+         });
+      });
+   });
+
+   it('should publish an offline status when a Speck disconnects', function(done) {
+      createPublisher().start(function(err) {
+         expect(err).to.not.exist;
+         subscribe("speck/" + device.getId() + "/status", function(topic, payload, packet) {
+            if (payload == "online") {
+               manager.getSpeck(device.getId()).disconnect();
+            }
+            else {
+               expect(payload).to.equal("offline");
+               done();
+            }
+         }, function() {
+         });
+      });
+   });
+
+   it('should have the broker publish an offline status if the publisher goes away', function(done) {
+      var publisherConnection = null;
+      broker.on('client', function(client) {
+         if (client.will) {
+            publisherConnection = client.conn;
+         }
+      });
+      createPublisher({ mqttOptions : { reconnectPeriod : 0 } }).start(function(err) {
+         expect(err).to.not.exist;
+         subscribe("speck/publisher/status", function(topic, payload) {
+            if (payload == "online") {
+               // drop the publisher's connection without a clean disconnect
+               publisherConnection.destroy();
+            }
+            else {
+               expect(payload).to.equal("offline");
+               done();
+            }
+         }, function() {
+         });
+      });
+   });
+});
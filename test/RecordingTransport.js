@@ -0,0 +1,134 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Speck = require('../index');
+
+var readTrace = function(traceFile) {
+   return fs.readFileSync(traceFile, 'utf8').split("\n").filter(function(line) {
+      return line.length > 0;
+   }).map(function(line) {
+      return JSON.parse(line);
+   });
+};
+
+// wraps the given transport's devices in handles which exchange feature reports asynchronously, like a HidWorkerDevice
+var createAsyncTransport = function(transport) {
+   return {
+      devices : function(vendorId, productId) {
+         return transport.devices(vendorId, productId);
+      },
+      open : function(path) {
+         var device = transport.open(path);
+         return {
+            exchangeFeatureReports : function(command, reportId, lengthInBytes, callback) {
+               setImmediate(function() {
+                  try {
+                     device.sendFeatureReport(command);
+                  }
+                  catch (e) {
+                     e.stage = "write";
+                     return callback(e, null);
+                  }
+                  callback(null, device.getFeatureReport(reportId, lengthInBytes));
+               });
+            },
+            close : function() {
+               device.close();
+            }
+         };
+      }
+   };
+};
+
+describe('RecordingTransport', function() {
+   var traceFile = null;
+   var transport = null;
+   var device = null;
+   beforeEach(function() {
+      traceFile = path.join(os.tmpdir(), "speck-trace-test-" + process.pid + "-" + new Date().getTime() + ".jsonl");
+      transport = new Speck.SimulatedTransport();
+      device = transport.add({ protocolVersion : 3 });
+   });
+   afterEach(function() {
+      if (fs.existsSync(traceFile)) {
+         fs.unlinkSync(traceFile);
+      }
+   });
+
+   it('should require a trace file', function() {
+      expect(function() {
+         new Speck.RecordingTransport({ transport : transport });
+      }).to.throw(Error);
+   });
+
+   it('should record timestamped requests and responses when given the traceFile option', function(done) {
+      var speck = Speck.create({ transport : transport, traceFile : traceFile });
+      speck.getCurrentSample(function(err) {
+         expect(err).to.not.exist;
+         speck.disconnect();
+
+         var records = readTrace(traceFile);
+         expect(records[0].type).to.equal("open");
+         expect(records[0].path).to.equal(device.path);
+         expect(records[records.length - 1].type).to.equal("close");
+
+         var requests = records.filter(function(record) {
+            return record.type == "request";
+         });
+         var responses = records.filter(function(record) {
+            return record.type == "response";
+         });
+         expect(requests).to.have.length(responses.length);
+         expect(requests.map(function(record) {
+            return String.fromCharCode(record.bytes[0]);
+         })).to.deep.equal(["I", "i", "S"]);
+         responses.forEach(function(record) {
+            expect(record.bytes).to.have.length(16);
+            expect(record.reportId).to.equal(1);
+         });
+         records.forEach(function(record) {
+            expect(record.timeMillis).to.be.a('number');
+         });
+         done();
+      });
+   });
+
+   it('should record I/O errors', function(done) {
+      var speck = Speck.create({ transport : transport, traceFile : traceFile });
+      transport.remove(device);
+      speck.getCurrentSample(function(err) {
+         expect(err).to.exist;
+         var errors = readTrace(traceFile).filter(function(record) {
+            return record.type == "error";
+         });
+         expect(errors).to.have.length(1);
+         expect(errors[0].operation).to.equal("sendFeatureReport");
+         expect(errors[0].message).to.be.a('string');
+         done();
+      });
+   });
+
+   it('should record the traffic of devices which exchange feature reports asynchronously', function(done) {
+      var speck = Speck.create({ transport : createAsyncTransport(transport), traceFile : traceFile });
+      speck.getCurrentSample(function(err) {
+         expect(err).to.not.exist;
+         transport.remove(device);
+         speck.getCurrentSample(function(err) {
+            expect(err).to.exist;
+
+            var records = readTrace(traceFile);
+            expect(records.map(function(record) {
+               return record.type;
+            })).to.deep.equal(["open",
+                               "request", "response",
+                               "request", "response",
+                               "request", "response",
+                               "error",
+                               "close"]);
+            expect(records[records.length - 2].operation).to.equal("sendFeatureReport");
+            done();
+         });
+      });
+   });
+});
@@ -0,0 +1,104 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Speck = require('../index');
+
+describe('ReplayTransport', function() {
+   var traceFile = null;
+   var transport = null;
+   var device = null;
+   beforeEach(function() {
+      traceFile = path.join(os.tmpdir(), "speck-replay-test-" + process.pid + "-" + new Date().getTime() + ".jsonl");
+      transport = new Speck.SimulatedTransport();
+      device = transport.add({ protocolVersion : 3, currentSample : { particleConcentration : 7.5, humidity : 33, rawParticleCount : 4 } });
+   });
+   afterEach(function() {
+      if (fs.existsSync(traceFile)) {
+         fs.unlinkSync(traceFile);
+      }
+   });
+
+   // Records a session in which the given actions are performed with a Speck
+   var record = function(actions, callback) {
+      var speck = Speck.create({ transport : transport, traceFile : traceFile, retryBackoffMillis : 1 });
+      actions(speck, function() {
+         speck.disconnect();
+         callback();
+      });
+   };
+
+   it('should play back a recorded session through the Speck class', function(done) {
+      record(function(speck, finished) {
+         speck.getCurrentSample(finished);
+      }, function() {
+         var replayTransport = new Speck.ReplayTransport(traceFile);
+         expect(Speck.enumerate({ transport : replayTransport })).to.have.length(1);
+         var speck = Speck.create({ transport : replayTransport });
+         expect(speck).to.exist;
+         speck.getSpeckConfig(function(err, config) {
+            expect(err).to.not.exist;
+            expect(config.id).to.equal(device.getId());
+            speck.getCurrentSample(function(err, sample) {
+               expect(err).to.not.exist;
+               expect(sample.particleConcentration).to.equal(7.5);
+               expect(sample.humidity).to.equal(33);
+               done();
+            });
+         });
+      });
+   });
+
+   it('should reproduce checksum failures from the trace', function(done) {
+      record(function(speck, finished) {
+         // every attempt gets a corrupted response, so the command fails after its retries
+         device.corruptResponses(3, "checksum");
+         speck.getCurrentSample(function(err) {
+            expect(err).to.exist;
+            finished();
+         });
+      }, function() {
+         var speck = Speck.create({ transport : new Speck.ReplayTransport(traceFile), retryBackoffMillis : 1 });
+         speck.getCurrentSample(function(err) {
+            expect(err).to.exist;
+            expect(err.message).to.match(/invalid checksum/);
+            done();
+         });
+      });
+   });
+
+   it('should fail when the replay diverges from the trace', function(done) {
+      record(function(speck, finished) {
+         speck.getCurrentSample(finished);
+      }, function() {
+         var speck = Speck.create({ transport : new Speck.ReplayTransport(traceFile) });
+         speck.getSample(function(err) {
+            expect(err).to.exist;
+            expect(err.message).to.match(/diverged/);
+            done();
+         });
+      });
+   });
+
+   it('should fail at the end of the trace', function(done) {
+      record(function(speck, finished) {
+         finished();
+      }, function() {
+         var speck = Speck.create({ transport : new Speck.ReplayTransport(traceFile) });
+         speck.getCurrentSample(function(err) {
+            expect(err).to.exist;
+            expect(speck.isConnected()).to.be.false;
+            done();
+         });
+      });
+   });
+
+   it('should accept an array of records', function() {
+      var replayTransport = new Speck.ReplayTransport([{ timeMillis : 0, path : "a", type : "open", descriptor : { path : "a" } }]);
+      expect(replayTransport.devices(1, 2)).to.deep.equal([{ vendorId : 1, productId : 2, path : "a" }]);
+      replayTransport.open("a");
+      expect(function() {
+         replayTransport.open("a");
+      }).to.throw(/no more sessions/);
+   });
+});
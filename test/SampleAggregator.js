@@ -0,0 +1,203 @@
+var expect = require('chai').expect;
+var Speck = require('../index');
+var SampleAggregator = Speck.SampleAggregator;
+
+// 2015-01-01T00:00:00Z, which is on a day boundary
+var START_TIME_SECS = 1420070400;
+
+var createSamples = function(numSamples, intervalSecs, offsetSecs) {
+   var samples = [];
+   for (var i = 0; i < numSamples; i++) {
+      samples.push({
+         sampleTimeSecs : START_TIME_SECS + (offsetSecs || 0) + i * intervalSecs,
+         particleConcentration : i,
+         humidity : 40,
+         rawParticleCount : 10 + i
+      });
+   }
+   return samples;
+};
+
+describe('SampleAggregator', function() {
+   describe('computeStats()', function() {
+      it('should compute the count, mean, median, min, max, and standard deviation', function() {
+         expect(SampleAggregator.computeStats([2, 4, 4, 4, 5, 5, 7, 9])).to.deep.equal({
+            count : 8,
+            mean : 5,
+            median : 4.5,
+            min : 2,
+            max : 9,
+            standardDeviation : 2
+         });
+         expect(SampleAggregator.computeStats([3, 1, 2]).median).to.equal(2);
+      });
+      it('should ignore missing values, and return null if there are none', function() {
+         expect(SampleAggregator.computeStats([null, 1, undefined, NaN, 3]).count).to.equal(2);
+         expect(SampleAggregator.computeStats([null, undefined])).to.be.null;
+         expect(SampleAggregator.computeStats([])).to.be.null;
+      });
+   });
+
+   describe('rolling statistics', function() {
+      it('should only include samples within the rolling window', function() {
+         var aggregator = new SampleAggregator({ rollingWindowSecs : 300 });
+         createSamples(10, 60).forEach(aggregator.add);
+
+         var stats = aggregator.getRollingStats();
+         expect(stats.numSamples).to.equal(5);
+         expect(stats.startTimeSecs).to.equal(START_TIME_SECS + 5 * 60);
+         expect(stats.endTimeSecs).to.equal(START_TIME_SECS + 9 * 60);
+         expect(stats.fields.particleConcentration.mean).to.equal(7);
+         expect(stats.fields.particleConcentration.min).to.equal(5);
+         expect(stats.fields.particleConcentration.max).to.equal(9);
+         expect(stats.fields.humidity.standardDeviation).to.equal(0);
+         expect(stats.fields.particleCount).to.be.null;
+      });
+      it('should report no samples before any are added', function() {
+         var stats = new SampleAggregator().getRollingStats();
+         expect(stats.numSamples).to.equal(0);
+         expect(stats.startTimeSecs).to.be.null;
+         expect(stats.fields.humidity).to.be.null;
+      });
+      it('should ignore duplicate samples', function() {
+         var aggregator = new SampleAggregator();
+         var samples = createSamples(3, 60);
+         samples.concat(samples).forEach(aggregator.add);
+         expect(aggregator.getRollingStats().numSamples).to.equal(3);
+      });
+   });
+
+   describe('buckets', function() {
+      it('should emit each bucket once a sample from a later bucket arrives', function() {
+         var aggregator = new SampleAggregator({ resolutions : ["minute"], loggingIntervalSecs : 20 });
+         var buckets = [];
+         aggregator.on('bucket', function(bucket) {
+            buckets.push(bucket);
+         });
+
+         // each sample covers the 20 seconds before it, so the first three are in the first minute
+         createSamples(4, 20, 20).forEach(aggregator.add);
+         expect(buckets).to.have.length(1);
+         expect(buckets[0].resolution).to.equal("minute");
+         expect(buckets[0].startTimeSecs).to.equal(START_TIME_SECS);
+         expect(buckets[0].endTimeSecs).to.equal(START_TIME_SECS + 60);
+         expect(buckets[0].numSamples).to.equal(3);
+         expect(buckets[0].completeness).to.equal(100);
+         expect(buckets[0].fields.particleConcentration.median).to.equal(1);
+
+         expect(aggregator.getOpenBuckets()).to.have.length(1);
+         expect(aggregator.flush()[0].numSamples).to.equal(1);
+         expect(buckets).to.have.length(2);
+         expect(buckets[1].completeness).to.equal(33.3);
+         expect(aggregator.getOpenBuckets()).to.be.empty;
+      });
+      it('should not include samples in buckets which were already emitted', function() {
+         var aggregator = new SampleAggregator({ resolutions : ["minute"], loggingIntervalSecs : 60 });
+         var buckets = [];
+         aggregator.on('bucket', function(bucket) {
+            buckets.push(bucket);
+         });
+
+         aggregator.add({ sampleTimeSecs : START_TIME_SECS + 120, humidity : 40 });
+         aggregator.add({ sampleTimeSecs : START_TIME_SECS + 180, humidity : 40 });
+         expect(buckets).to.have.length(1);
+         expect(buckets[0].startTimeSecs).to.equal(START_TIME_SECS + 60);
+
+         // only in the emitted bucket, so ignored
+         aggregator.add({ sampleTimeSecs : START_TIME_SECS + 60, humidity : 40 });
+         expect(aggregator.getOpenBuckets()[0].numSamples).to.equal(1);
+
+         // straddles the emitted bucket and the open one, so only included in the open one
+         aggregator.add({ sampleTimeSecs : START_TIME_SECS + 150, humidity : 40 });
+         expect(buckets).to.have.length(1);
+         expect(aggregator.getOpenBuckets()).to.have.length(1);
+         expect(aggregator.getOpenBuckets()[0].startTimeSecs).to.equal(START_TIME_SECS + 120);
+         expect(aggregator.getOpenBuckets()[0].numSamples).to.equal(2);
+      });
+      it("should spread a sample's coverage over the buckets its logging interval overlaps", function() {
+         // covers the last 30 seconds of the first minute and the first 30 seconds of the second
+         var result = SampleAggregator.aggregate([{ sampleTimeSecs : START_TIME_SECS + 90, humidity : 40 }], { loggingIntervalSecs : 60, resolutions : ["minute"] });
+         expect(result.minute.map(function(bucket) {
+            return [bucket.startTimeSecs, bucket.numSamples, bucket.completeness];
+         })).to.deep.equal([[START_TIME_SECS, 1, 50], [START_TIME_SECS + 60, 1, 50]]);
+      });
+      it('should compute completeness from the logging interval', function() {
+         // 30 samples at a 60 second logging interval cover half an hour
+         var result = SampleAggregator.aggregate(createSamples(30, 60, 60), { loggingIntervalSecs : 60 });
+         expect(result.minute).to.have.length(30);
+         expect(result.minute[0].completeness).to.equal(100);
+         expect(result.hour).to.have.length(1);
+         expect(result.hour[0].completeness).to.equal(50);
+         expect(result.day[0].completeness).to.equal(2.1);
+      });
+      it('should include a sample in every bucket shorter than its logging interval', function() {
+         // each sample covers the 5 minutes before it: the first covers the last 5 minutes of the previous hour
+         var result = SampleAggregator.aggregate(createSamples(3, 300), { loggingIntervalSecs : 300 });
+         expect(result.minute).to.have.length(15);
+         result.minute.forEach(function(bucket, i) {
+            expect(bucket.startTimeSecs).to.equal(START_TIME_SECS - 300 + i * 60);
+            expect(bucket.numSamples).to.equal(1);
+            expect(bucket.completeness).to.equal(100);
+            expect(bucket.fields.particleConcentration.mean).to.equal(Math.floor(i / 5));
+         });
+         expect(result.hour.map(function(bucket) {
+            return [bucket.startTimeSecs, bucket.numSamples, bucket.completeness];
+         })).to.deep.equal([[START_TIME_SECS - 3600, 1, 8.3], [START_TIME_SECS, 2, 16.7]]);
+      });
+      it("should prefer each sample's own logging interval", function() {
+         var samples = createSamples(2, 900, 900).map(function(sample) {
+            sample.loggingIntervalSecs = 900;
+            return sample;
+         });
+         var result = SampleAggregator.aggregate(samples, { loggingIntervalSecs : 60, resolutions : ["hour"] });
+         expect(Object.keys(result)).to.deep.equal(["hour"]);
+         expect(result.hour[0].completeness).to.equal(50);
+      });
+      it('should report unknown completeness when the logging interval is unknown', function() {
+         var result = SampleAggregator.aggregate(createSamples(2, 60), { resolutions : ["hour"] });
+         expect(result.hour[0].completeness).to.be.null;
+         expect(result.hour[0].numSamples).to.equal(2);
+      });
+      it('should aggregate unsorted samples into UTC-aligned buckets', function() {
+         var samples = createSamples(3, 24 * 60 * 60, 12 * 60 * 60).reverse();
+         var result = SampleAggregator.aggregate(samples, { loggingIntervalSecs : 60, resolutions : ["day"] });
+         expect(result.day.map(function(bucket) {
+            return bucket.startTimeSecs;
+         })).to.deep.equal([START_TIME_SECS, START_TIME_SECS + 86400, START_TIME_SECS + 2 * 86400]);
+         expect(result.day[2].fields.rawParticleCount.mean).to.equal(12);
+      });
+   });
+
+   describe('samples from a Speck', function() {
+      it('should aggregate normalized samples', function(done) {
+         var currentSample = { sampleTimeSecs : START_TIME_SECS + 40, particleConcentration : 5.5, humidity : 40, rawParticleCount : 12 };
+         var transport = new Speck.SimulatedTransport([{ protocolVersion : 3, loggingIntervalSecs : 20, currentSample : currentSample }]);
+         var speck = Speck.create({ transport : transport, normalizeSamples : true });
+         var aggregator = new SampleAggregator({ resolutions : ["minute"] });
+         speck.getCurrentSample(function(err, sample) {
+            expect(err).to.not.exist;
+            aggregator.add(sample);
+            var bucket = aggregator.getOpenBuckets()[0];
+            expect(bucket.completeness).to.equal(33.3);
+            expect(bucket.fields.particleConcentration.count).to.equal(1);
+            expect(bucket.fields.particleCount).to.be.null;
+            speck.disconnect();
+            done();
+         });
+      });
+   });
+
+   describe('options', function() {
+      it('should reject invalid options', function() {
+         expect(function() {
+            new SampleAggregator({ resolutions : ["week"] });
+         }).to.throw(Speck.SpeckError.CommandError, /Invalid resolution \[week\]/);
+         expect(function() {
+            new SampleAggregator({ loggingIntervalSecs : -1 });
+         }).to.throw(Speck.SpeckError.CommandError, /Invalid loggingIntervalSecs/);
+         expect(function() {
+            new SampleAggregator().add({ humidity : 40 });
+         }).to.throw(Speck.SpeckError.CommandError, /Invalid sample/);
+      });
+   });
+});
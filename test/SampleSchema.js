@@ -0,0 +1,94 @@
+var expect = require('chai').expect;
+var Speck = require('../index');
+
+var EXPECTED_KEYS = [
+   "deviceId",
+   "protocolVersion",
+   "loggingIntervalSecs",
+   "sampleTimeSecs",
+   "timestamp",
+   "particleCount",
+   "particleConcentration",
+   "humidity",
+   "rawParticleCount",
+   "temperature",
+   "calibrated",
+   "units"
+].sort();
+
+describe('SampleSchema', function() {
+   describe('normalize()', function() {
+      it('should fill in missing fields with nulls and add the device info', function() {
+         var speckConfig = { id : "abc", protocolVersion : 3, loggingIntervalSecs : 60 };
+         var sample = { sampleTimeSecs : 1420070400, particleConcentration : 5.5, humidity : 40, rawParticleCount : 12 };
+         var normalizedSample = Speck.SampleSchema.normalize(sample, speckConfig);
+         expect(Object.keys(normalizedSample).sort()).to.deep.equal(EXPECTED_KEYS);
+         expect(normalizedSample.deviceId).to.equal("abc");
+         expect(normalizedSample.protocolVersion).to.equal(3);
+         expect(normalizedSample.loggingIntervalSecs).to.equal(60);
+         expect(normalizedSample.timestamp.getTime()).to.equal(1420070400000);
+         expect(normalizedSample.particleCount).to.be.null;
+         expect(normalizedSample.temperature).to.be.null;
+         expect(normalizedSample.calibrated).to.be.null;
+         expect(normalizedSample.units).to.deep.equal(Speck.SampleSchema.UNITS);
+         expect(Speck.SampleSchema.isNormalized(normalizedSample)).to.be.true;
+         expect(Speck.SampleSchema.isNormalized(sample)).to.be.false;
+      });
+      it('should keep extra fields', function() {
+         var sample = { sampleTimeSecs : 1000, deviceSampleTimeSecs : 990, timestampFlags : [] };
+         var normalizedSample = Speck.SampleSchema.normalize(sample, { id : "abc", protocolVersion : 1, loggingIntervalSecs : 60 });
+         expect(normalizedSample.deviceSampleTimeSecs).to.equal(990);
+         expect(normalizedSample.timestampFlags).to.deep.equal([]);
+      });
+   });
+
+   [1, 2, 3].forEach(function(protocolVersion) {
+      describe('Speck with the normalizeSamples option, protocol version ' + protocolVersion, function() {
+         var transport = null;
+         var device = null;
+         var speck = null;
+         beforeEach(function() {
+            var now = Math.round(new Date().getTime() / 1000);
+            transport = new Speck.SimulatedTransport();
+            device = transport.add({ protocolVersion : protocolVersion, loggingIntervalSecs : 60, samples : [{ sampleTimeSecs : now - 60 }] });
+            speck = Speck.create({ transport : transport, normalizeSamples : true });
+         });
+         afterEach(function() {
+            speck.disconnect();
+         });
+
+         it('should return current samples with the same keys regardless of protocol version', function(done) {
+            speck.getCurrentSample(function(err, sample) {
+               expect(err).to.not.exist;
+               expect(Object.keys(sample).sort()).to.deep.equal(EXPECTED_KEYS);
+               expect(sample.deviceId).to.equal(device.getId());
+               expect(sample.protocolVersion).to.equal(protocolVersion);
+               expect(sample.loggingIntervalSecs).to.equal(protocolVersion >= 2 ? 60 : 1);
+               expect(sample.timestamp).to.be.an.instanceof(Date);
+               expect(sample.timestamp.getTime()).to.equal(sample.sampleTimeSecs * 1000);
+               expect(sample.particleCount === null).to.equal(protocolVersion >= 3);
+               expect(sample.particleConcentration === null).to.equal(protocolVersion <= 2);
+               expect(sample.temperature === null).to.equal(protocolVersion >= 2);
+               done();
+            });
+         });
+         it('should keep the timestamp in step with corrected sample times when downloading', function(done) {
+            device.setClockOffset(100);
+            var samples = [];
+            speck.downloadAllSamples({
+               correctClock : true,
+               persistSample : function(sample, done) {
+                  samples.push(sample);
+                  done();
+               }
+            }, function(err) {
+               expect(err).to.not.exist;
+               expect(samples).to.have.length(1);
+               expect(samples[0].timestamp.getTime()).to.equal(samples[0].sampleTimeSecs * 1000);
+               expect(samples[0].deviceSampleTimeSecs - samples[0].sampleTimeSecs).to.be.closeTo(100, 2);
+               done();
+            });
+         });
+      });
+   });
+});
@@ -0,0 +1,185 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Speck = require('../index');
+
+var DEVICE_ID = "0123456789abcdef0123456789abcdef";
+
+var createSample = function(sampleTimeSecs) {
+   return { sampleTimeSecs : sampleTimeSecs, particleConcentration : 10, humidity : 40, rawParticleCount : 3 };
+};
+
+var removeDirectory = function(directory) {
+   if (fs.existsSync(directory)) {
+      fs.readdirSync(directory).forEach(function(filename) {
+         fs.unlinkSync(path.join(directory, filename));
+      });
+      fs.rmdirSync(directory);
+   }
+};
+
+// Inserts the samples with the given times, one after the other
+var insertAll = function(store, deviceId, sampleTimes, callback) {
+   if (sampleTimes.length == 0) {
+      return callback();
+   }
+   store.insert(deviceId, createSample(sampleTimes[0]), function(err) {
+      expect(err).to.not.exist;
+      insertAll(store, deviceId, sampleTimes.slice(1), callback);
+   });
+};
+
+describe('SampleStore', function() {
+   var directory = null;
+   var store = null;
+   beforeEach(function() {
+      directory = path.join(os.tmpdir(), "speck-store-test-" + process.pid + "-" + new Date().getTime());
+      store = new Speck.SampleStore({ directory : directory });
+   });
+   afterEach(function() {
+      removeDirectory(directory);
+   });
+
+   it('should require a directory', function() {
+      expect(function() {
+         new Speck.SampleStore();
+      }).to.throw(Speck.SpeckError.CommandError);
+   });
+
+   describe('insert()', function() {
+      it('should ignore duplicate samples', function(done) {
+         store.insert(DEVICE_ID, createSample(1000), function(err, wasInserted) {
+            expect(err).to.not.exist;
+            expect(wasInserted).to.be.true;
+            store.insert(DEVICE_ID, createSample(1000), function(err, wasInserted) {
+               expect(err).to.not.exist;
+               expect(wasInserted).to.be.false;
+               expect(store.count(DEVICE_ID)).to.equal(1);
+               done();
+            });
+         });
+      });
+      it('should reject invalid device ids and samples', function(done) {
+         store.insert("../evil", createSample(1000), function(err) {
+            expect(err).to.exist;
+            store.insert(DEVICE_ID, { humidity : 3 }, function(err) {
+               expect(err).to.exist;
+               done();
+            });
+         });
+      });
+      it('should persist samples across instances', function(done) {
+         insertAll(store, DEVICE_ID, [1000, 1060], function() {
+            var otherStore = new Speck.SampleStore({ directory : directory });
+            expect(otherStore.getDeviceIds()).to.deep.equal([DEVICE_ID]);
+            otherStore.insert(DEVICE_ID, createSample(1060), function(err, wasInserted) {
+               expect(wasInserted).to.be.false;
+               expect(otherStore.count(DEVICE_ID)).to.equal(2);
+               done();
+            });
+         });
+      });
+      it('should recover from a partially-written record', function(done) {
+         insertAll(store, DEVICE_ID, [1000], function() {
+            fs.appendFileSync(path.join(directory, DEVICE_ID + ".samples.jsonl"), '{"sample":{"sampleTi');
+            var otherStore = new Speck.SampleStore({ directory : directory });
+            insertAll(otherStore, DEVICE_ID, [1060], function() {
+               var thirdStore = new Speck.SampleStore({ directory : directory });
+               expect(thirdStore.count(DEVICE_ID)).to.equal(2);
+               done();
+            });
+         });
+      });
+   });
+
+   describe('query()', function() {
+      it('should return samples in the given range, sorted by time', function(done) {
+         insertAll(store, DEVICE_ID, [1120, 1000, 1180, 1060], function() {
+            store.query(DEVICE_ID, { from : 1060, to : 1120 }, function(err, samples) {
+               expect(err).to.not.exist;
+               expect(samples.map(function(sample) {
+                  return sample.sampleTimeSecs;
+               })).to.deep.equal([1060, 1120]);
+               store.query(DEVICE_ID, function(err, samples) {
+                  expect(samples).to.have.length(4);
+                  expect(samples[0]).to.deep.equal(createSample(1000));
+                  done();
+               });
+            });
+         });
+      });
+      it('should keep devices separate', function(done) {
+         insertAll(store, DEVICE_ID, [1000], function() {
+            insertAll(store, "other", [1000, 1060], function() {
+               expect(store.getDeviceIds()).to.deep.equal([DEVICE_ID, "other"]);
+               store.query("other", { from : 1000 }, function(err, samples) {
+                  expect(samples).to.have.length(2);
+                  done();
+               });
+            });
+         });
+      });
+   });
+
+   describe('remove() and compact()', function() {
+      it('should remove samples, and reclaim their space when compacted', function(done) {
+         var samplesFilePath = path.join(directory, DEVICE_ID + ".samples.jsonl");
+         insertAll(store, DEVICE_ID, [1000, 1060, 1120], function() {
+            store.remove(DEVICE_ID, { to : 1060 }, function(err, numRemoved) {
+               expect(err).to.not.exist;
+               expect(numRemoved).to.equal(2);
+               expect(new Speck.SampleStore({ directory : directory }).count(DEVICE_ID)).to.equal(1);
+               var sizeBeforeCompaction = fs.statSync(samplesFilePath).size;
+               store.compact(function(err) {
+                  expect(err).to.not.exist;
+                  expect(fs.statSync(samplesFilePath).size).to.be.below(sizeBeforeCompaction);
+                  store.query(DEVICE_ID, function(err, samples) {
+                     expect(samples).to.deep.equal([createSample(1120)]);
+
+                     // removed samples can be inserted again
+                     store.insert(DEVICE_ID, createSample(1000), function(err, wasInserted) {
+                        expect(wasInserted).to.be.true;
+                        done();
+                     });
+                  });
+               });
+            });
+         });
+      });
+   });
+
+   describe('download position', function() {
+      it('should be null before any download', function() {
+         expect(store.getDownloadPosition(DEVICE_ID)).to.be.null;
+      });
+      it('should record the download position and ignore samples downloaded again after an interruption', function(done) {
+         var transport = new Speck.SimulatedTransport();
+         var now = Math.round(new Date().getTime() / 1000);
+         var device = transport.add({ protocolVersion : 3 });
+         [now - 180, now - 120, now - 60].forEach(function(sampleTimeSecs) {
+            device.addSample({ sampleTimeSecs : sampleTimeSecs });
+         });
+         var speck = new Speck(Speck.enumerate({ transport : transport })[0], { transport : transport });
+         var persistSample = store.createPersistSample(device.getId());
+
+         // simulate an interrupted download, where the first sample was stored but not deleted from the Speck
+         speck.getSample(function(err, sample) {
+            expect(err).to.not.exist;
+            persistSample(sample, function(err) {
+               expect(err).to.not.exist;
+               expect(store.getDownloadPosition(device.getId())).to.equal(now - 180);
+
+               speck.downloadAllSamples({ persistSample : persistSample }, function(err, result) {
+                  expect(err).to.not.exist;
+                  expect(result.numSamples).to.equal(3);
+                  expect(store.count(device.getId())).to.equal(3);
+                  expect(store.getDownloadPosition(device.getId())).to.equal(now - 60);
+                  speck.disconnect();
+                  done();
+               });
+            });
+         });
+      });
+   });
+});
@@ -0,0 +1,91 @@
+var expect = require('chai').expect;
+var Speck = require('../index');
+var SpeckError = Speck.SpeckError;
+
+describe('SpeckError', function() {
+   it('should create the subclass for each code', function() {
+      var expectSubclass = function(code, subclass) {
+         var err = SpeckError.create(code, "message");
+         expect(err).to.be.an.instanceof(subclass);
+         expect(err).to.be.an.instanceof(SpeckError);
+         expect(err).to.be.an.instanceof(Error);
+         expect(err.code).to.equal(code);
+         expect(err.message).to.equal("message");
+      };
+      expectSubclass(SpeckError.CODES.NOT_CONNECTED, SpeckError.ConnectionError);
+      expectSubclass(SpeckError.CODES.DISCONNECTED, SpeckError.ConnectionError);
+      expectSubclass(SpeckError.CODES.HID_IO, SpeckError.ConnectionError);
+      expectSubclass(SpeckError.CODES.CHECKSUM_MISMATCH, SpeckError.ResponseError);
+      expectSubclass(SpeckError.CODES.COMMAND_ID_MISMATCH, SpeckError.ResponseError);
+      expectSubclass(SpeckError.CODES.NO_RESPONSE_DATA, SpeckError.ResponseError);
+      expectSubclass(SpeckError.CODES.UNEXPECTED_RESPONSE, SpeckError.ResponseError);
+      expectSubclass(SpeckError.CODES.UNSUPPORTED_BY_PROTOCOL, SpeckError.UnsupportedError);
+      expectSubclass(SpeckError.CODES.TIMEOUT, SpeckError.CommandError);
+      expectSubclass(SpeckError.CODES.ABORTED, SpeckError.CommandError);
+      expectSubclass(SpeckError.CODES.INVALID_ARGUMENT, SpeckError.CommandError);
+   });
+   it('should copy the raw frames and cause', function() {
+      var cause = new Error("could not read from HID device");
+      var command = new Buffer([0x53, 0, 0, 0, 1]);
+      var err = SpeckError.create(SpeckError.CODES.HID_IO, "message", { command : command, bytes : new Uint8Array([1, 2]), cause : cause });
+      expect(err.command).to.deep.equal([0x53, 0, 0, 0, 1]);
+      expect(err.bytes).to.deep.equal([1, 2]);
+      expect(err.cause).to.equal(cause);
+      expect(err.name).to.equal("SpeckError");
+      expect(err.stack).to.contain("message");
+
+      var plainErr = SpeckError.create(SpeckError.CODES.TIMEOUT, "message");
+      expect(plainErr).to.not.have.property('bytes');
+      expect(plainErr).to.not.have.property('cause');
+   });
+   it('should name aborted errors AbortError', function() {
+      expect(SpeckError.create(SpeckError.CODES.ABORTED, "aborted").name).to.equal("AbortError");
+   });
+   it('should check codes', function() {
+      var err = new SpeckError.UnsupportedError("unsupported");
+      expect(SpeckError.hasCode(err, SpeckError.CODES.UNSUPPORTED_BY_PROTOCOL)).to.be.true;
+      expect(SpeckError.hasCode(err, SpeckError.CODES.HID_IO)).to.be.false;
+      expect(SpeckError.hasCode(new Error("plain"), SpeckError.CODES.HID_IO)).to.be.false;
+      expect(SpeckError.hasCode(null, SpeckError.CODES.HID_IO)).to.be.false;
+   });
+
+   describe('errors from a Speck', function() {
+      var transport = null;
+      var speck = null;
+      beforeEach(function() {
+         transport = new Speck.SimulatedTransport([{ protocolVersion : 1 }]);
+         speck = Speck.create({ transport : transport });
+      });
+      afterEach(function() {
+         speck.disconnect();
+      });
+
+      it('should report unsupported commands', function(done) {
+         speck.getNumberOfAvailableSamples(function(err, data) {
+            expect(err.code).to.equal("UNSUPPORTED_BY_PROTOCOL");
+            expect(data).to.be.null;
+            done();
+         });
+      });
+      it('should report commands sent while not connected', function(done) {
+         speck.disconnect();
+         speck.deleteSample(1000, function(err, wasSuccessful) {
+            expect(err).to.be.an.instanceof(SpeckError.ConnectionError);
+            expect(err.code).to.equal("NOT_CONNECTED");
+            expect(wasSuccessful).to.be.null;
+            done();
+         });
+      });
+      it('should report invalid arguments', function(done) {
+         speck.downloadAllSamples({}, function(err) {
+            expect(err.code).to.equal("INVALID_ARGUMENT");
+            done();
+         });
+      });
+      it('should throw if the descriptor is not a Speck', function() {
+         expect(function() {
+            new Speck({ vendorId : 1, productId : 2 }, { transport : transport });
+         }).to.throw(SpeckError, /does not represent a Speck/);
+      });
+   });
+});
@@ -0,0 +1,160 @@
+var expect = require('chai').expect;
+var WebSocket = require('ws');
+var Speck = require('../index');
+
+describe('SpeckFeedServer', function() {
+   var transport = null;
+   var devices = null;
+   var manager = null;
+   var server = null;
+   var port = null;
+   var clients = null;
+
+   // Connects a client, which records the messages it receives and calls onMessage (if given) for each one
+   var connect = function(query, onMessage) {
+      var client = new WebSocket("ws://127.0.0.1:" + port + "/" + (query || ""));
+      client.messages = [];
+      client.on('message', function(data) {
+         var message = JSON.parse(String(data));
+         client.messages.push(message);
+         if (onMessage) {
+            onMessage(message, client);
+         }
+      });
+      clients.push(client);
+      return client;
+   };
+
+   var createServer = function(options, callback) {
+      options.manager = manager;
+      options.port = 0;
+      options.host = "127.0.0.1";
+      options.samplingIntervalMillis = options.samplingIntervalMillis || 20;
+      server = new Speck.SpeckFeedServer(options);
+      server.start(function(err, address) {
+         expect(err).to.not.exist;
+         port = address.port;
+         callback();
+      });
+   };
+
+   beforeEach(function(done) {
+      clients = [];
+      transport = new Speck.SimulatedTransport();
+      devices = [transport.add({ protocolVersion : 3 }), transport.add({ protocolVersion : 2 })];
+      manager = new Speck.SpeckManager({ transport : transport });
+      manager.poll(function() {
+         done();
+      });
+   });
+   afterEach(function(done) {
+      clients.forEach(function(client) {
+         client.terminate();
+      });
+      server.stop(function() {
+         var attachedSpecks = manager.getAttachedSpecks();
+         Object.keys(attachedSpecks).forEach(function(id) {
+            attachedSpecks[id].disconnect();
+         });
+         done();
+      });
+   });
+
+   it('should send the config of the attached Specks when a client connects', function(done) {
+      createServer({}, function() {
+         connect("", function(message) {
+            expect(message.type).to.equal("config");
+            var ids = message.specks.map(function(config) {
+               return config.id;
+            });
+            expect(ids.sort()).to.deep.equal([devices[0].getId(), devices[1].getId()].sort());
+            done();
+         });
+      });
+   });
+
+   it('should only send samples from the Specks a client subscribed to in the URL, in any case', function(done) {
+      createServer({}, function() {
+         connect("?id=" + devices[1].getId().toUpperCase(), function(message) {
+            if (message.type == "sample") {
+               expect(message.id).to.equal(devices[1].getId());
+               expect(message.sample.particleCount).to.be.a('number');
+               done();
+            }
+         });
+         setTimeout(function() {
+            // change the current samples so both Specks have new readings
+            devices.forEach(function(device, i) {
+               device.setCurrentSample({ humidity : 40 + i, rawParticleCount : 1, particleCount : 2, particleConcentration : 3 });
+            });
+         }, 50);
+      });
+   });
+
+   it('should let clients subscribe and unsubscribe with messages', function(done) {
+      createServer({}, function() {
+         var id = devices[0].getId();
+         connect("", function(message, client) {
+            if (message.type == "config") {
+               // ids may be given in any case
+               client.send(JSON.stringify({ type : "subscribe", ids : [id.toUpperCase()] }));
+            }
+            else if (message.type == "subscriptions" && message.ids.length == 1) {
+               expect(message.ids).to.deep.equal([id]);
+            }
+            else if (message.type == "sample") {
+               expect(message.id).to.equal(id);
+               client.send(JSON.stringify({ type : "unsubscribe", ids : [id] }));
+            }
+            else if (message.type == "subscriptions") {
+               expect(message.ids).to.deep.equal([]);
+               client.send("nonsense");
+            }
+            else if (message.type == "error") {
+               done();
+            }
+         });
+      });
+   });
+
+   it('should notify clients when a Speck disconnects', function(done) {
+      createServer({}, function() {
+         connect("", function(message) {
+            if (message.type == "config") {
+               transport.remove(devices[0]);
+               manager.getSpeck(devices[0].getId()).getCurrentSample(function() {
+               });
+            }
+            else if (message.type == "disconnect") {
+               expect(message.id).to.equal(devices[0].getId());
+               done();
+            }
+         });
+      });
+   });
+
+   it('should only send the newest sample from each Speck to clients which are behind', function(done) {
+      createServer({ maxInFlightMessages : 1, samplingIntervalMillis : 60000 }, function() {
+         var speck = manager.getSpeck(devices[0].getId());
+         connect("?id=*", function(message) {
+            if (message.type == "config") {
+               for (var i = 0; i < 10; i++) {
+                  speck.emit('sample', { sampleTimeSecs : i });
+               }
+               setTimeout(function() {
+                  var sampleTimes = clientSamples().map(function(message) {
+                     return message.sample.sampleTimeSecs;
+                  });
+                  expect(sampleTimes).to.deep.equal([0, 9]);
+                  done();
+               }, 100);
+            }
+         });
+         var clientSamples = function() {
+            return clients[0].messages.filter(function(message) {
+               return message.type == "sample" && message.id == devices[0].getId() && message.sample.sampleTimeSecs < 10;
+            });
+         };
+      });
+   });
+});
@@ -0,0 +1,214 @@
+var expect = require('chai').expect;
+var Speck = require('../index');
+
+describe('SpeckManager', function() {
+   var transport = null;
+   var device = null;
+   var manager = null;
+   var attached = null;
+   var detached = null;
+   beforeEach(function() {
+      transport = new Speck.SimulatedTransport();
+      device = transport.add({ protocolVersion : 3 });
+      manager = new Speck.SpeckManager({ transport : transport });
+      attached = [];
+      detached = [];
+      manager.on('attach', function(id, speck) {
+         attached.push({ id : id, speck : speck });
+      });
+      manager.on('detach', function(id, speck) {
+         detached.push({ id : id, speck : speck });
+      });
+   });
+   afterEach(function() {
+      manager.stop();
+   });
+
+   describe('poll()', function() {
+      it('should emit an attach event keyed by the Speck id', function(done) {
+         manager.poll(function() {
+            expect(attached).to.have.length(1);
+            expect(attached[0].id).to.equal(device.getId());
+            expect(attached[0].speck.isConnected()).to.be.true;
+            expect(manager.getSpeck(device.getId())).to.equal(attached[0].speck);
+            expect(Object.keys(manager.getAttachedSpecks())).to.deep.equal([device.getId()]);
+            done();
+         });
+      });
+      it('should not emit an attach event for a Speck already attached', function(done) {
+         manager.poll(function() {
+            manager.poll(function() {
+               expect(attached).to.have.length(1);
+               done();
+            });
+         });
+      });
+      it('should not start a second scan while one is in progress', function(done) {
+         var secondDevice = transport.add({ protocolVersion : 3 });
+         var numOpensByPath = {};
+         var open = transport.open;
+         transport.open = function(path) {
+            numOpensByPath[path] = (numOpensByPath[path] || 0) + 1;
+            return open(path);
+         };
+
+         var numOverlappingCallbacks = 0;
+         manager.poll(function() {
+            expect(numOverlappingCallbacks).to.equal(2);
+            expect(numOpensByPath[device.path]).to.equal(1);
+            expect(numOpensByPath[secondDevice.path]).to.equal(1);
+            expect(attached.map(function(attachment) {
+               return attachment.id;
+            })).to.deep.equal([device.getId(), secondDevice.getId()]);
+            done();
+         });
+         manager.poll(function() {
+            numOverlappingCallbacks++;
+         });
+         manager.poll(function() {
+            numOverlappingCallbacks++;
+         });
+      });
+      it('should emit a detach event when the Speck is unplugged', function(done) {
+         manager.poll(function() {
+            transport.remove(device);
+            manager.poll(function() {
+               expect(detached).to.have.length(1);
+               expect(detached[0].id).to.equal(device.getId());
+               expect(detached[0].speck.isConnected()).to.be.false;
+               expect(manager.getAttachedSpecks()).to.deep.equal({});
+               done();
+            });
+         });
+      });
+      it('should reconnect the same Speck instance when plugged back in on a new path', function(done) {
+         manager.poll(function() {
+            var speck = attached[0].speck;
+            var oldPath = device.path;
+            transport.remove(device);
+            manager.poll(function() {
+               device.path = null;
+               transport.add(device);
+               expect(device.path).to.not.equal(oldPath);
+               manager.poll(function() {
+                  expect(attached).to.have.length(2);
+                  expect(attached[1].speck).to.equal(speck);
+                  expect(speck.isConnected()).to.be.true;
+                  expect(speck.getHidDeviceDescriptor().path).to.equal(device.path);
+                  speck.getCurrentSample(function(err, sample) {
+                     expect(err).to.be.null;
+                     expect(sample).to.not.be.null;
+                     done();
+                  });
+               });
+            });
+         });
+      });
+      it('should detach the old path if the Speck comes back before the unplug is noticed', function(done) {
+         manager.poll(function() {
+            var speck = attached[0].speck;
+            transport.remove(device);
+            device.path = null;
+            transport.add(device);
+            manager.poll(function() {
+               expect(detached).to.have.length(1);
+               expect(attached).to.have.length(2);
+               expect(attached[1].speck).to.equal(speck);
+               expect(speck.isConnected()).to.be.true;
+               done();
+            });
+         });
+      });
+      it('should reconnect a Speck disconnected by an I/O error on the same path', function(done) {
+         manager.poll(function() {
+            var speck = attached[0].speck;
+            device.setAttached(false);
+            speck.getCurrentSample(function(err) {
+               expect(err).to.be.an.instanceof(Error);
+               expect(speck.isConnected()).to.be.false;
+               device.setAttached(true);
+               manager.poll(function() {
+                  expect(speck.isConnected()).to.be.true;
+                  expect(detached).to.have.length(0);
+                  done();
+               });
+            });
+         });
+      });
+      it('should not reconnect a Speck which was explicitly disconnected', function(done) {
+         manager.poll(function() {
+            var speck = attached[0].speck;
+            speck.disconnect();
+            manager.poll(function() {
+               expect(speck.isConnected()).to.be.false;
+               done();
+            });
+         });
+      });
+   });
+
+   describe('bootloader mode', function() {
+      it('should emit a bootloader event, then detach and reattach the same Speck once it comes back', function(done) {
+         var bootloaderIds = [];
+         manager.on('bootloader', function(id) {
+            bootloaderIds.push(id);
+         });
+         manager.poll(function() {
+            var speck = attached[0].speck;
+            speck.enterBootloaderMode(function(err, wasSuccessful) {
+               expect(wasSuccessful).to.be.true;
+               expect(bootloaderIds).to.deep.equal([device.getId()]);
+               manager.poll(function() {
+                  expect(detached).to.have.length(1);
+                  device.exitBootloaderMode();
+                  manager.poll(function() {
+                     expect(attached).to.have.length(2);
+                     expect(attached[1].speck).to.equal(speck);
+                     expect(speck.isConnected()).to.be.true;
+                     expect(speck.isInBootloaderMode()).to.be.false;
+                     done();
+                  });
+               });
+            });
+         });
+      });
+   });
+
+   describe('speckOptions', function() {
+      it('should pass the Speck options along to the Specks it creates', function(done) {
+         var profiles = {};
+         profiles[device.getId()] = { particleConcentration : { type : "linear", slope : 2, intercept : 0 } };
+         manager = new Speck.SpeckManager({
+            transport : transport,
+            speckOptions : { normalizeSamples : true, calibration : new Speck.Calibration(profiles) }
+         });
+         manager.poll(function() {
+            var speck = manager.getSpeck(device.getId());
+            speck.getCurrentSample(function(err, sample) {
+               speck.disconnect();
+               expect(err).to.not.exist;
+               expect(Speck.SampleSchema.isNormalized(sample)).to.be.true;
+               expect(sample.deviceId).to.equal(device.getId());
+               expect(sample.calibrated).to.exist;
+               done();
+            });
+         });
+      });
+   });
+
+   describe('start()', function() {
+      it('should scan for Specks periodically', function(done) {
+         var second = null;
+         manager = new Speck.SpeckManager({ transport : transport, pollIntervalMillis : 10 });
+         manager.on('attach', function(id) {
+            if (second != null && id == second.getId()) {
+               done();
+            }
+         });
+         manager.start();
+         setTimeout(function() {
+            second = transport.add({ protocolVersion : 2 });
+         }, 30);
+      });
+   });
+});
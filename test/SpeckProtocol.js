@@ -0,0 +1,307 @@
+var expect = require('chai').expect;
+var Speck = require('../index');
+var SpeckProtocol = Speck.SpeckProtocol;
+var SpeckError = Speck.SpeckError;
+
+// 2015-01-01T00:00:00Z
+var START_TIME_SECS = 1420070400;
+
+// Sends the given command to the given simulated Speck, and returns its response
+var exchange = function(device, command) {
+   device.sendFeatureReport(command);
+   return device.getFeatureReport(SpeckProtocol.REPORT_ID, SpeckProtocol.COMMAND_LENGTH_IN_BYTES);
+};
+
+var createOpenDevice = function(options) {
+   var device = new Speck.SimulatedSpeck(options);
+   device.open();
+   return device;
+};
+
+// A simple deterministic pseudo-random number generator (a linear congruential generator), so fuzz failures are
+// reproducible
+var createRandom = function(seed) {
+   var state = seed;
+   return function() {
+      state = (state * 1103515245 + 12345) & 0x7fffffff;
+      return state / 0x80000000;
+   };
+};
+
+describe('SpeckProtocol', function() {
+   describe('encoding commands', function() {
+      it('should encode the command character, timestamp, command ID, and checksum', function() {
+         var command = SpeckProtocol.encodeGetCurrentSampleCommand({ timeSecs : START_TIME_SECS, commandId : 7 });
+         expect(command).to.have.length(16);
+         expect(command.slice(0, 5)).to.deep.equal([0x53, 0x54, 0xa4, 0x8e, 0x00]);
+         expect(command[15]).to.equal(7);
+         expect(command[14]).to.equal(SpeckProtocol.computeChecksum(command));
+         expect(command[14]).to.equal((0x53 + 0x54 + 0xa4 + 0x8e) & 0xff);
+      });
+      it('should leave the command ID and checksum zero unless a command ID is given', function() {
+         var command = SpeckProtocol.encodeGetInfoCommand({ timeSecs : START_TIME_SECS });
+         expect(command[14]).to.equal(0);
+         expect(command[15]).to.equal(0);
+         expect(SpeckProtocol.stampCommand(command, 300)).to.equal(command);
+         expect(command[15]).to.equal(300 & 0xff);
+         expect(command[14]).to.equal(SpeckProtocol.computeChecksum(command));
+      });
+      it('should default the timestamp to the current time', function() {
+         var command = SpeckProtocol.encodeGetSampleCountCommand();
+         var timeSecs = new Buffer(command).readUInt32BE(1);
+         expect(Math.abs(timeSecs - Date.now() / 1000)).to.be.below(2);
+      });
+      it('should encode each command character', function() {
+         expect(SpeckProtocol.getCommandCharacter(SpeckProtocol.encodeGetInfoCommand())).to.equal("I");
+         expect(SpeckProtocol.getCommandCharacter(SpeckProtocol.encodeGetExtendedInfoCommand())).to.equal("i");
+         expect(SpeckProtocol.getCommandCharacter(SpeckProtocol.encodeGetCurrentSampleCommand())).to.equal("S");
+         expect(SpeckProtocol.getCommandCharacter(SpeckProtocol.encodeGetHistoricSampleCommand())).to.equal("G");
+         expect(SpeckProtocol.getCommandCharacter(SpeckProtocol.encodeGetSampleCountCommand())).to.equal("P");
+         expect(SpeckProtocol.getCommandCharacter(SpeckProtocol.encodeDeleteSampleCommand(START_TIME_SECS))).to.equal("D");
+         expect(SpeckProtocol.getCommandCharacter(SpeckProtocol.encodeSetLoggingIntervalCommand(60))).to.equal("I");
+         expect(SpeckProtocol.getCommandCharacter(SpeckProtocol.encodeEnterBootloaderModeCommand())).to.equal("B");
+         expect(SpeckProtocol.getCommandCharacter([])).to.be.null;
+      });
+      it('should encode the sample time in place of the timestamp when deleting a sample', function() {
+         var command = SpeckProtocol.encodeDeleteSampleCommand(0xfffffffe, { commandId : 1 });
+         expect(command.slice(1, 5)).to.deep.equal([0xff, 0xff, 0xff, 0xfe]);
+         expect(command[14]).to.equal(SpeckProtocol.computeChecksum(command));
+         expect(function() {
+            SpeckProtocol.encodeDeleteSampleCommand(-1);
+         }).to.throw(Error, /Invalid sample time/);
+      });
+      it('should encode the logging interval, and reject invalid ones', function() {
+         expect(SpeckProtocol.encodeSetLoggingIntervalCommand(255)[5]).to.equal(255);
+         [0, 256, 1.5, "60", null].forEach(function(loggingIntervalSecs) {
+            expect(function() {
+               SpeckProtocol.encodeSetLoggingIntervalCommand(loggingIntervalSecs);
+            }).to.throw(Error, /Invalid logging interval/);
+         });
+      });
+      it('should reject invalid command characters', function() {
+         expect(function() {
+            SpeckProtocol.encodeCommand("SS");
+         }).to.throw(SpeckError, /Invalid command character/);
+      });
+   });
+
+   describe('validateResponse()', function() {
+      var command = SpeckProtocol.encodeGetCurrentSampleCommand({ commandId : 42 });
+      var device = null;
+
+      beforeEach(function() {
+         device = createOpenDevice({ protocolVersion : 3 });
+      });
+
+      it('should accept a valid response', function() {
+         expect(SpeckProtocol.validateResponse(command, exchange(device, command))).to.be.null;
+      });
+      it('should reject a missing response', function() {
+         var err = SpeckProtocol.validateResponse(command, null);
+         expect(err.message).to.equal("Failed to read response: no data");
+         expect(err.code).to.equal("NO_RESPONSE_DATA");
+      });
+      it('should reject a response with the wrong command ID', function() {
+         device.corruptResponses(1, "commandId");
+         var err = SpeckProtocol.validateResponse(command, exchange(device, command));
+         expect(err.message).to.equal("Failed to read response: invalid command ID.  Expected [42] actual [43]");
+         expect(err.code).to.equal("COMMAND_ID_MISMATCH");
+         expect(err.command).to.deep.equal(command);
+         expect(err.bytes[15]).to.equal(43);
+      });
+      it('should reject a response with an invalid checksum', function() {
+         device.corruptResponses(1, "checksum");
+         var err = SpeckProtocol.validateResponse(command, exchange(device, command));
+         expect(err.message).to.contain("Failed to read response: invalid checksum");
+         expect(err).to.be.an.instanceof(SpeckError);
+         expect(err.code).to.equal("CHECKSUM_MISMATCH");
+         expect(err.bytes).to.have.length(16);
+      });
+      it('should accept responses as a Buffer, Uint8Array, ArrayBuffer, or DataView', function() {
+         var response = exchange(device, command);
+         var typedArray = new Uint8Array(response);
+         expect(SpeckProtocol.validateResponse(command, new Buffer(response))).to.be.null;
+         expect(SpeckProtocol.validateResponse(command, typedArray)).to.be.null;
+         expect(SpeckProtocol.validateResponse(command, typedArray.buffer)).to.be.null;
+         expect(SpeckProtocol.validateResponse(command, new DataView(typedArray.buffer))).to.be.null;
+      });
+   });
+
+   describe('decoding responses', function() {
+      var ID_PROTOCOL_1_AND_2 = "0123456789abcdef0123";
+      var ID_PROTOCOL_3 = "0123456789abcdeffedcba9876543210";
+
+      it('should decode info responses for protocol version 1', function() {
+         var device = createOpenDevice({ protocolVersion : 1, id : ID_PROTOCOL_1_AND_2, loggingIntervalSecs : 60 });
+         expect(SpeckProtocol.decodeInfoResponse(exchange(device, SpeckProtocol.encodeGetInfoCommand()))).to.deep.equal({
+            id : ID_PROTOCOL_1_AND_2,
+            protocolVersion : 1,
+            loggingIntervalSecs : 1
+         });
+      });
+      it('should decode info responses for protocol version 2', function() {
+         var device = createOpenDevice({ protocolVersion : 2, id : ID_PROTOCOL_1_AND_2, loggingIntervalSecs : 60 });
+         expect(SpeckProtocol.decodeInfoResponse(exchange(device, SpeckProtocol.encodeGetInfoCommand()))).to.deep.equal({
+            id : ID_PROTOCOL_1_AND_2,
+            protocolVersion : 2,
+            loggingIntervalSecs : 60
+         });
+      });
+      it('should decode info and extended info responses for protocol version 3', function() {
+         var device = createOpenDevice({
+            protocolVersion : 3,
+            id : ID_PROTOCOL_3,
+            loggingIntervalSecs : 5,
+            firmwareVersion : 12,
+            hardwareVersion : 4
+         });
+         expect(SpeckProtocol.decodeInfoResponse(exchange(device, SpeckProtocol.encodeGetInfoCommand()))).to.deep.equal({
+            id : ID_PROTOCOL_3.substr(0, 16),
+            protocolVersion : 3,
+            loggingIntervalSecs : 5,
+            firmwareVersion : 12,
+            hardwareVersion : 4
+         });
+         expect(SpeckProtocol.decodeExtendedInfoResponse(exchange(device, SpeckProtocol.encodeGetExtendedInfoCommand()))).to.deep.equal({
+            id : ID_PROTOCOL_3.substr(16)
+         });
+      });
+      it('should decode data sample responses for each protocol version', function() {
+         var sample = {
+            sampleTimeSecs : START_TIME_SECS,
+            particleCount : 1234,
+            particleConcentration : 12.3,
+            temperature : -42,
+            humidity : 45,
+            rawParticleCount : 513
+         };
+         var expectedSamples = {
+            1 : { sampleTimeSecs : START_TIME_SECS, particleCount : 1234, temperature : -42, humidity : 45, rawParticleCount : 513 },
+            2 : { sampleTimeSecs : START_TIME_SECS, particleCount : 1234, humidity : 45, rawParticleCount : 513 },
+            3 : { sampleTimeSecs : START_TIME_SECS, particleConcentration : 12.3, humidity : 45, rawParticleCount : 513 }
+         };
+         [1, 2, 3].forEach(function(protocolVersion) {
+            var device = createOpenDevice({ protocolVersion : protocolVersion, currentSample : sample, samples : [sample] });
+            var currentResponse = exchange(device, SpeckProtocol.encodeGetCurrentSampleCommand());
+            var historicResponse = exchange(device, SpeckProtocol.encodeGetHistoricSampleCommand());
+            expect(SpeckProtocol.decodeDataSampleResponse(currentResponse, protocolVersion)).to.deep.equal(expectedSamples[protocolVersion]);
+            expect(SpeckProtocol.decodeDataSampleResponse(historicResponse, protocolVersion)).to.deep.equal(expectedSamples[protocolVersion]);
+         });
+      });
+      it('should decode a data sample response with no sample as null', function() {
+         var device = createOpenDevice({ protocolVersion : 3 });
+         var response = exchange(device, SpeckProtocol.encodeGetHistoricSampleCommand());
+         expect(SpeckProtocol.decodeDataSampleResponse(response, 3)).to.be.null;
+      });
+      it('should decode sample count and delete sample responses', function() {
+         var device = createOpenDevice({
+            protocolVersion : 2,
+            samples : [{ sampleTimeSecs : START_TIME_SECS }, { sampleTimeSecs : START_TIME_SECS + 60 }]
+         });
+         expect(SpeckProtocol.decodeSampleCountResponse(exchange(device, SpeckProtocol.encodeGetSampleCountCommand()))).to.deep.equal({ numSamples : 2 });
+         expect(SpeckProtocol.decodeDeleteSampleResponse(exchange(device, SpeckProtocol.encodeDeleteSampleCommand(START_TIME_SECS)))).to.deep.equal({ sampleTimeSecs : START_TIME_SECS });
+         expect(SpeckProtocol.decodeDeleteSampleResponse(exchange(device, SpeckProtocol.encodeDeleteSampleCommand(START_TIME_SECS)))).to.deep.equal({ sampleTimeSecs : 0 });
+         expect(SpeckProtocol.decodeSampleCountResponse(exchange(device, SpeckProtocol.encodeGetSampleCountCommand()))).to.deep.equal({ numSamples : 1 });
+      });
+      it('should decode set logging interval responses', function() {
+         var device = createOpenDevice({ protocolVersion : 2 });
+         var response = exchange(device, SpeckProtocol.encodeSetLoggingIntervalCommand(30));
+         expect(SpeckProtocol.decodeSetLoggingIntervalResponse(response)).to.deep.equal({ loggingIntervalSecs : 30 });
+         expect(device.getLoggingInterval()).to.equal(30);
+      });
+      it('should decode enter bootloader mode responses', function() {
+         var device = createOpenDevice({ protocolVersion : 2, refusesBootloaderMode : true });
+         expect(SpeckProtocol.decodeEnterBootloaderModeResponse(exchange(device, SpeckProtocol.encodeEnterBootloaderModeCommand()))).to.deep.equal({ isConfirmed : false });
+         device.setRefusesBootloaderMode(false);
+         expect(SpeckProtocol.decodeEnterBootloaderModeResponse(exchange(device, SpeckProtocol.encodeEnterBootloaderModeCommand()))).to.deep.equal({ isConfirmed : true });
+         expect(device.isInBootloaderMode()).to.be.true;
+      });
+      it('should throw when given too few bytes', function() {
+         var decoders = [
+            SpeckProtocol.decodeInfoResponse,
+            SpeckProtocol.decodeExtendedInfoResponse,
+            SpeckProtocol.decodeDataSampleResponse,
+            SpeckProtocol.decodeSampleCountResponse,
+            SpeckProtocol.decodeDeleteSampleResponse,
+            SpeckProtocol.decodeSetLoggingIntervalResponse,
+            SpeckProtocol.decodeEnterBootloaderModeResponse
+         ];
+         decoders.forEach(function(decode) {
+            expect(function() {
+               decode([0x53, 1, 2, 3], 3);
+            }).to.throw(Error, /expected \[16\] bytes, but got \[4\]/);
+            expect(function() {
+               decode(null, 3);
+            }).to.throw(Error, /no data/);
+            try {
+               decode([0x53, 1, 2, 3], 3);
+            }
+            catch (e) {
+               expect(e.code).to.equal("UNEXPECTED_RESPONSE");
+               expect(e.bytes).to.deep.equal([0x53, 1, 2, 3]);
+            }
+         });
+      });
+   });
+
+   describe('fuzzing', function() {
+      it('should round trip random data samples through the simulated Speck for every protocol version', function() {
+         var random = createRandom(1);
+         for (var i = 0; i < 500; i++) {
+            var protocolVersion = 1 + Math.floor(random() * 3);
+            var sample = {
+               sampleTimeSecs : 1 + Math.floor(random() * 0xfffffffe),
+               particleCount : Math.floor(random() * 0x100000000),
+               particleConcentration : Math.floor(random() * 0x100000000) / 10,
+               temperature : Math.floor(random() * 0x10000) - 0x8000,
+               humidity : Math.floor(random() * 256),
+               rawParticleCount : Math.floor(random() * 0x10000)
+            };
+            var device = createOpenDevice({ protocolVersion : protocolVersion, currentSample : sample });
+            var command = SpeckProtocol.encodeGetCurrentSampleCommand({ commandId : 1 + Math.floor(random() * 255) });
+            var response = exchange(device, command);
+            expect(SpeckProtocol.validateResponse(command, response)).to.be.null;
+
+            var decodedSample = SpeckProtocol.decodeDataSampleResponse(response, protocolVersion);
+            expect(decodedSample.sampleTimeSecs).to.equal(sample.sampleTimeSecs);
+            expect(decodedSample.humidity).to.equal(sample.humidity);
+            expect(decodedSample.rawParticleCount).to.equal(sample.rawParticleCount);
+            if (protocolVersion < 3) {
+               expect(decodedSample.particleCount).to.equal(sample.particleCount);
+            }
+            else {
+               expect(decodedSample.particleConcentration).to.be.closeTo(sample.particleConcentration, 0.05);
+            }
+            expect(decodedSample.temperature).to.equal(protocolVersion == 1 ? sample.temperature : undefined);
+         }
+      });
+      it('should decode random bytes without failing, and detect any single corrupted byte', function() {
+         var random = createRandom(2);
+         for (var i = 0; i < 500; i++) {
+            var bytes = [];
+            for (var j = 0; j < SpeckProtocol.COMMAND_LENGTH_IN_BYTES; j++) {
+               bytes.push(Math.floor(random() * 256));
+            }
+
+            // decoding arbitrary bytes should never throw or produce values outside the fields' ranges
+            var info = SpeckProtocol.decodeInfoResponse(bytes);
+            expect(info.id).to.match(/^[0-9a-f]+$/);
+            expect(info.loggingIntervalSecs).to.be.within(0, 255);
+            var sample = SpeckProtocol.decodeDataSampleResponse(bytes, 1 + (i % 3));
+            if (sample != null) {
+               expect(sample.sampleTimeSecs).to.be.within(1, 0xffffffff);
+               expect(sample.rawParticleCount).to.be.within(0, 0xffff);
+            }
+            expect(SpeckProtocol.decodeSampleCountResponse(bytes).numSamples).to.be.within(0, 0xffffffff);
+
+            // a correctly stamped response is valid, but not once any byte covered by the checksum changes
+            var command = SpeckProtocol.stampCommand(bytes.slice(), bytes[SpeckProtocol.COMMAND_ID_BYTE_INDEX]);
+            expect(SpeckProtocol.validateResponse(command, command)).to.be.null;
+            var corrupted = command.slice();
+            var corruptedByteIndex = Math.floor(random() * SpeckProtocol.CHECKSUM_BYTE_INDEX);
+            corrupted[corruptedByteIndex] = (corrupted[corruptedByteIndex] + 1 + Math.floor(random() * 255)) & 0xff;
+            expect(SpeckProtocol.validateResponse(command, corrupted)).to.be.an.instanceof(Error);
+         }
+      });
+   });
+});
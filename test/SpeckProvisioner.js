@@ -0,0 +1,178 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Speck = require('../index');
+var SpeckProvisioner = Speck.SpeckProvisioner;
+var STATUS = SpeckProvisioner.STATUS;
+
+describe('SpeckProvisioner', function() {
+   var transport = null;
+   var devices = null;
+
+   // Returns the report entry for the given simulated device
+   var findResult = function(report, device) {
+      return report.devices.filter(function(result) {
+         return result.id == device.getId();
+      })[0];
+   };
+
+   beforeEach(function() {
+      transport = new Speck.SimulatedTransport();
+      devices = {
+         v1 : transport.add({ protocolVersion : 1 }),
+         v2 : transport.add({ protocolVersion : 2, loggingIntervalSecs : 60 }),
+         v3 : transport.add({ protocolVersion : 3, loggingIntervalSecs : 1 }),
+         other : transport.add({ protocolVersion : 3, loggingIntervalSecs : 1 })
+      };
+   });
+
+   var createConfig = function() {
+      var config = { devices : {} };
+      config.devices[devices.v1.getId()] = { loggingIntervalSecs : 30 };
+      config.devices[devices.v2.getId()] = { loggingIntervalSecs : 60, name : "Porch" };
+      config.devices[devices.v3.getId().toUpperCase()] = { loggingIntervalSecs : 30, name : "Kitchen", location : "Above the stove" };
+      config.devices["00000000000000000000000000000000"] = { loggingIntervalSecs : 30 };
+      return config;
+   };
+
+   it('should apply, verify, and report on the settings for each attached Speck', function(done) {
+      var provisioner = new SpeckProvisioner(createConfig(), { transport : transport });
+      provisioner.provision(function(err, report) {
+         expect(err).to.not.exist;
+         expect(report.dryRun).to.be.false;
+         expect(report.devices).to.have.length(3);
+
+         var v1 = findResult(report, devices.v1);
+         expect(v1.status).to.equal(STATUS.UNSUPPORTED_BY_PROTOCOL);
+         expect(v1.errorCode).to.equal("UNSUPPORTED_BY_PROTOCOL");
+         expect(v1.changes).to.deep.equal([{ setting : "loggingIntervalSecs", from : 1, to : 30 }]);
+
+         var v2 = findResult(report, devices.v2);
+         expect(v2.status).to.equal(STATUS.COMPLIANT);
+         expect(v2.changes).to.be.empty;
+         expect(v2.metadata).to.deep.equal({ name : "Porch" });
+
+         var v3 = findResult(report, devices.v3);
+         expect(v3.status).to.equal(STATUS.CHANGED);
+         expect(v3.protocolVersion).to.equal(3);
+         expect(v3.changes).to.deep.equal([{ setting : "loggingIntervalSecs", from : 1, to : 30 }]);
+         expect(v3.metadata).to.deep.equal({ name : "Kitchen", location : "Above the stove" });
+         expect(v3).to.not.have.property('error');
+         expect(devices.v3.getLoggingInterval()).to.equal(30);
+
+         expect(report.unconfigured).to.deep.equal([devices.other.getId()]);
+         expect(report.missing).to.deep.equal(["00000000000000000000000000000000"]);
+         expect(report.failures).to.be.empty;
+         expect(report.summary).to.deep.equal({ "compliant" : 1, "changed" : 1, "unsupported-by-protocol" : 1, "failed" : 0 });
+
+         // every Speck should have been disconnected
+         Object.keys(devices).forEach(function(name) {
+            expect(devices[name].isOpen()).to.be.false;
+         });
+         done();
+      });
+   });
+
+   it('should not change anything in a dry run', function(done) {
+      var provisioner = new SpeckProvisioner(createConfig(), { transport : transport });
+      provisioner.provision({ dryRun : true }, function(err, report) {
+         expect(err).to.not.exist;
+         expect(report.dryRun).to.be.true;
+         expect(findResult(report, devices.v3).status).to.equal(STATUS.CHANGED);
+         expect(findResult(report, devices.v1).status).to.equal(STATUS.UNSUPPORTED_BY_PROTOCOL);
+         expect(devices.v3.getLoggingInterval()).to.equal(1);
+         done();
+      });
+   });
+
+   it('should apply the defaults to every attached Speck', function(done) {
+      var config = { defaults : { loggingIntervalSecs : 60 }, devices : {} };
+      config.devices[devices.v3.getId()] = { loggingIntervalSecs : 15 };
+      var provisioner = new SpeckProvisioner(config, { transport : transport });
+      provisioner.provision(function(err, report) {
+         expect(err).to.not.exist;
+         expect(report.devices).to.have.length(4);
+         expect(report.unconfigured).to.be.empty;
+         expect(findResult(report, devices.v2).status).to.equal(STATUS.COMPLIANT);
+         expect(devices.v3.getLoggingInterval()).to.equal(15);
+         expect(devices.other.getLoggingInterval()).to.equal(60);
+         done();
+      });
+   });
+
+   it('should report a Speck as failed if setting the logging interval fails', function(done) {
+      var provisioner = new SpeckProvisioner(createConfig(), { transport : transport });
+      Speck.create({ transport : transport, id : devices.v3.getId(), retryBackoffMillis : 1 }, function(err, speck) {
+         devices.v3.corruptResponses(100, "checksum");
+         provisioner.provisionSpeck(speck, function(err, result) {
+            speck.disconnect();
+            expect(err).to.not.exist;
+            expect(result.status).to.equal(STATUS.FAILED);
+            expect(result.errorCode).to.equal("CHECKSUM_MISMATCH");
+            expect(result.error).to.match(/invalid checksum/);
+            done();
+         });
+      });
+   });
+
+   it('should report a Speck as failed if it acknowledges the new logging interval, but keeps the old one', function(done) {
+      devices.v3.setIgnoresLoggingIntervalChanges(true);
+      var provisioner = new SpeckProvisioner(createConfig(), { transport : transport });
+      provisioner.provision(function(err, report) {
+         expect(err).to.not.exist;
+         var v3 = findResult(report, devices.v3);
+         expect(v3.status).to.equal(STATUS.FAILED);
+         expect(v3.errorCode).to.equal("UNEXPECTED_RESPONSE");
+         expect(v3.error).to.match(/Verification failed: expected a logging interval of \[30\], but the Speck reports \[1\]/);
+         expect(v3.changes).to.deep.equal([{ setting : "loggingIntervalSecs", from : 1, to : 30 }]);
+         expect(devices.v3.getLoggingInterval()).to.equal(1);
+         expect(report.summary[STATUS.FAILED]).to.equal(1);
+         done();
+      });
+   });
+
+   it('should report Specks which could not be connected to', function(done) {
+      devices.other.corruptResponses(100, "checksum");
+      var provisioner = new SpeckProvisioner({ defaults : {} }, { transport : transport });
+      provisioner.provision(function(err, report) {
+         expect(err).to.not.exist;
+         expect(report.devices).to.have.length(3);
+         expect(report.failures).to.have.length(1);
+         expect(report.failures[0].path).to.equal(devices.other.path);
+         expect(report.failures[0].error).to.be.a('string');
+         done();
+      });
+   });
+
+   it('should reject invalid configs', function() {
+      expect(function() {
+         new SpeckProvisioner(null);
+      }).to.throw(Speck.SpeckError.CommandError, /must be an object/);
+      expect(function() {
+         new SpeckProvisioner({ devices : { abc : { loggingIntervalSecs : 0 } } });
+      }).to.throw(Speck.SpeckError.CommandError, /device \[abc\]: loggingIntervalSecs must be an integer from 1 to 255/);
+      expect(function() {
+         new SpeckProvisioner({ devices : { abc : { loggingIntervalSecs : 2.5 } } });
+      }).to.throw(Speck.SpeckError.CommandError, /loggingIntervalSecs/);
+      expect(function() {
+         new SpeckProvisioner({ defaults : { name : 42 } });
+      }).to.throw(Speck.SpeckError.CommandError, /the defaults: name must be a string/);
+      expect(function() {
+         new SpeckProvisioner({ devices : { abc : { color : "red" } } });
+      }).to.throw(Speck.SpeckError.CommandError, /unknown setting \[color\]/);
+   });
+
+   it('should load the config from a file', function(done) {
+      var configFile = path.join(os.tmpdir(), "speck-provisioner-test-" + process.pid + ".json");
+      fs.writeFileSync(configFile, JSON.stringify(createConfig()));
+      var provisioner = SpeckProvisioner.load(configFile, { transport : transport });
+      fs.unlinkSync(configFile);
+      expect(provisioner.getSettings(devices.v3.getId())).to.deep.equal({ loggingIntervalSecs : 30, name : "Kitchen", location : "Above the stove" });
+      expect(provisioner.getSettings(devices.other.getId())).to.be.null;
+      provisioner.provision({ dryRun : true }, function(err, report) {
+         expect(report.summary[STATUS.CHANGED]).to.equal(1);
+         done();
+      });
+   });
+});
@@ -0,0 +1,175 @@
+var expect = require('chai').expect;
+var http = require('http');
+var Speck = require('../index');
+
+describe('SpeckServer', function() {
+   var transport = null;
+   var devices = null;
+   var manager = null;
+   var server = null;
+   var port = null;
+
+   // Sends a request to the server, and calls back with the status code and parsed JSON body
+   var request = function(method, path, body, callback) {
+      if (typeof body === 'function') {
+         callback = body;
+         body = null;
+      }
+      var req = http.request({ method : method, hostname : "127.0.0.1", port : port, path : path }, function(res) {
+         var data = "";
+         res.setEncoding('utf8');
+         res.on('data', function(chunk) {
+            data += chunk;
+         });
+         res.on('end', function() {
+            expect(res.headers['content-type']).to.equal("application/json");
+            callback(res.statusCode, JSON.parse(data));
+         });
+      });
+      req.end(body == null ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)));
+   };
+
+   beforeEach(function(done) {
+      transport = new Speck.SimulatedTransport();
+      devices = {
+         v1 : transport.add({ protocolVersion : 1 }),
+         v3 : transport.add({ protocolVersion : 3, loggingIntervalSecs : 60 })
+      };
+      manager = new Speck.SpeckManager({ transport : transport });
+      server = new Speck.SpeckServer({ manager : manager, port : 0, host : "127.0.0.1" });
+      manager.poll(function() {
+         server.start(function(err, address) {
+            expect(err).to.not.exist;
+            port = address.port;
+            done();
+         });
+      });
+   });
+   afterEach(function(done) {
+      server.stop(function() {
+         var attachedSpecks = manager.getAttachedSpecks();
+         Object.keys(attachedSpecks).forEach(function(id) {
+            attachedSpecks[id].disconnect();
+         });
+         done();
+      });
+   });
+
+   it('should list the attached Specks', function(done) {
+      request("GET", "/specks", function(statusCode, specks) {
+         expect(statusCode).to.equal(200);
+         expect(specks).to.have.length(2);
+         var ids = specks.map(function(speck) {
+            return speck.id;
+         });
+         expect(ids).to.include(devices.v1.getId());
+         expect(ids).to.include(devices.v3.getId());
+         specks.forEach(function(speck) {
+            expect(speck.path).to.be.a('string');
+            expect(speck.protocolVersion).to.be.a('number');
+         });
+         done();
+      });
+   });
+
+   it('should describe a Speck, including its API support', function(done) {
+      request("GET", "/specks/" + devices.v3.getId(), function(statusCode, info) {
+         expect(statusCode).to.equal(200);
+         expect(info.id).to.equal(devices.v3.getId());
+         expect(info.protocolVersion).to.equal(3);
+         expect(info.loggingIntervalSecs).to.equal(60);
+         expect(info.apiSupport.canMutateLoggingInterval).to.be.true;
+         expect(info.apiSupport.hasParticleConcentration).to.be.true;
+         expect(info.apiSupport.hasTemperatureSensor).to.be.false;
+         done();
+      });
+   });
+
+   it('should find a Speck by its id in any case', function(done) {
+      request("GET", "/specks/" + devices.v3.getId().toUpperCase(), function(statusCode, info) {
+         expect(statusCode).to.equal(200);
+         expect(info.id).to.equal(devices.v3.getId());
+         done();
+      });
+   });
+
+   it('should return the current sample', function(done) {
+      request("GET", "/specks/" + devices.v3.getId() + "/current", function(statusCode, sample) {
+         expect(statusCode).to.equal(200);
+         expect(sample.sampleTimeSecs).to.be.a('number');
+         expect(sample.particleConcentration).to.be.a('number');
+         done();
+      });
+   });
+
+   it('should return the number of samples', function(done) {
+      request("GET", "/specks/" + devices.v3.getId() + "/samples/count", function(statusCode, data) {
+         expect(statusCode).to.equal(200);
+         expect(data).to.deep.equal({ numSamples : 0 });
+         done();
+      });
+   });
+
+   it('should set the logging interval', function(done) {
+      request("PUT", "/specks/" + devices.v3.getId() + "/logging-interval", { loggingIntervalSecs : 30 }, function(statusCode, config) {
+         expect(statusCode).to.equal(200);
+         expect(config.loggingIntervalSecs).to.equal(30);
+         expect(devices.v3.getLoggingInterval()).to.equal(30);
+         done();
+      });
+   });
+
+   it('should reject invalid logging intervals', function(done) {
+      request("PUT", "/specks/" + devices.v3.getId() + "/logging-interval", { loggingIntervalSecs : 0 }, function(statusCode, body) {
+         expect(statusCode).to.equal(400);
+         expect(body.error).to.be.a('string');
+         request("PUT", "/specks/" + devices.v3.getId() + "/logging-interval", "not json", function(statusCode) {
+            expect(statusCode).to.equal(400);
+            done();
+         });
+      });
+   });
+
+   it('should respond with 501 for requests unsupported by the protocol version', function(done) {
+      request("GET", "/specks/" + devices.v1.getId() + "/samples/count", function(statusCode, body) {
+         expect(statusCode).to.equal(501);
+         expect(body.error).to.match(/protocol version/);
+         request("PUT", "/specks/" + devices.v1.getId() + "/logging-interval", { loggingIntervalSecs : 30 }, function(statusCode) {
+            expect(statusCode).to.equal(501);
+            done();
+         });
+      });
+   });
+
+   it('should respond with 503 for disconnected Specks', function(done) {
+      manager.getSpeck(devices.v3.getId()).disconnect();
+      request("GET", "/specks/" + devices.v3.getId() + "/current", function(statusCode, body) {
+         expect(statusCode).to.equal(503);
+         expect(body.error).to.match(/not connected/);
+         done();
+      });
+   });
+
+   it('should include the error code when a command fails', function(done) {
+      devices.v3.corruptResponses(3, "checksum");
+      request("GET", "/specks/" + devices.v3.getId() + "/current", function(statusCode, body) {
+         expect(statusCode).to.equal(500);
+         expect(body.code).to.equal("CHECKSUM_MISMATCH");
+         expect(body.error).to.match(/invalid checksum/);
+         done();
+      });
+   });
+
+   it('should respond with 404 for unknown Specks and URLs, and 405 for unsupported methods', function(done) {
+      request("GET", "/specks/nope", function(statusCode) {
+         expect(statusCode).to.equal(404);
+         request("GET", "/nope", function(statusCode) {
+            expect(statusCode).to.equal(404);
+            request("DELETE", "/specks", function(statusCode) {
+               expect(statusCode).to.equal(405);
+               done();
+            });
+         });
+      });
+   });
+});
@@ -0,0 +1,83 @@
+var expect = require('chai').expect;
+var Speck = require('../index');
+var SpeckSubscription = require('../lib/SpeckSubscription');
+
+// 2015-01-01T00:00:00Z
+var START_TIME_SECS = 1420070400;
+
+describe('SpeckSubscription', function() {
+   var device = null;
+   var manager = null;
+   var speck = null;
+
+   beforeEach(function(done) {
+      var transport = new Speck.SimulatedTransport();
+      device = transport.add({
+         protocolVersion : 3,
+         currentSample : { sampleTimeSecs : START_TIME_SECS, particleConcentration : 5, humidity : 40, rawParticleCount : 10 }
+      });
+      manager = new Speck.SpeckManager({ transport : transport });
+      manager.poll(function() {
+         speck = manager.getSpeck(device.getId());
+         done();
+      });
+   });
+   afterEach(function() {
+      speck.disconnect();
+   });
+
+   it('should call the handlers for attached Specks and their samples', function(done) {
+      var numDisconnectListeners = speck.listeners('disconnect').length;
+      var attachedIds = [];
+      var subscription = new SpeckSubscription(manager, {
+         samplingIntervalMillis : 10,
+         onAttach : function(id, attachedSpeck) {
+            expect(attachedSpeck).to.equal(speck);
+            attachedIds.push(id);
+         },
+         onSample : function(id, sample) {
+            expect(attachedIds).to.deep.equal([device.getId()]);
+            expect(id).to.equal(device.getId());
+            expect(sample.sampleTimeSecs).to.equal(START_TIME_SECS);
+            subscription.stop();
+            expect(speck.isSampling()).to.be.false;
+            expect(speck.listeners('sample')).to.be.empty;
+            expect(speck.listeners('disconnect')).to.have.length(numDisconnectListeners);
+            done();
+         }
+      });
+      subscription.start();
+      expect(speck.isSampling()).to.be.true;
+   });
+
+   it('should keep sampling for the other subscriptions sharing the manager', function(done) {
+      var first = new SpeckSubscription(manager, { samplingIntervalMillis : 10 });
+      var second = new SpeckSubscription(manager, {
+         samplingIntervalMillis : 10,
+         onSample : function(id, sample) {
+            if (sample.sampleTimeSecs == START_TIME_SECS + 1) {
+               expect(speck.isSampling()).to.be.true;
+               second.stop();
+               expect(speck.isSampling()).to.be.false;
+               done();
+            }
+         }
+      });
+      first.start();
+      second.start();
+
+      // the first subscription started sampling, but stopping it mustn't stop the second one's samples
+      first.stop();
+      expect(speck.isSampling()).to.be.true;
+      device.setCurrentSample({ sampleTimeSecs : START_TIME_SECS + 1, particleConcentration : 6, humidity : 40, rawParticleCount : 11 });
+   });
+
+   it("should not stop sampling which it didn't start", function() {
+      speck.startSampling(10);
+      var subscription = new SpeckSubscription(manager, { samplingIntervalMillis : 10 });
+      subscription.start();
+      subscription.stop();
+      expect(speck.isSampling()).to.be.true;
+      speck.stopSampling();
+   });
+});
@@ -0,0 +1,253 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Speck = require('../index');
+var SpeckCli = require('../lib/cli');
+
+var createStream = function() {
+   return {
+      output : "",
+      write : function(text, callback) {
+         this.output += text;
+         if (typeof callback === 'function') {
+            callback();
+         }
+         return true;
+      }
+   };
+};
+
+describe('SpeckCli', function() {
+   var transport = null;
+   var devices = null;
+   var stdout = null;
+   var stderr = null;
+   var cli = null;
+
+   var run = function(args, callback) {
+      cli.run(args, function(exitCode) {
+         callback(exitCode, stdout.output, stderr.output);
+      });
+   };
+
+   beforeEach(function() {
+      var now = Math.round(new Date().getTime() / 1000);
+      transport = new Speck.SimulatedTransport();
+      devices = [
+         transport.add({ protocolVersion : 2, loggingIntervalSecs : 60 }),
+         transport.add({
+            protocolVersion : 3,
+            samples : [
+               { sampleTimeSecs : now - 120, particleConcentration : 12.3, humidity : 45, rawParticleCount : 20 },
+               { sampleTimeSecs : now - 60, particleConcentration : 12.8, humidity : 46, rawParticleCount : 21 }
+            ]
+         })
+      ];
+      stdout = createStream();
+      stderr = createStream();
+      cli = new SpeckCli({ transport : transport, stdout : stdout, stderr : stderr });
+   });
+
+   it('should print usage and fail when given no command', function(done) {
+      run([], function(exitCode, output) {
+         expect(exitCode).to.equal(2);
+         expect(output).to.contain("Usage: speck");
+         done();
+      });
+   });
+   it('should fail for an unknown command', function(done) {
+      run(["bogus"], function(exitCode, output, errorOutput) {
+         expect(exitCode).to.equal(2);
+         expect(errorOutput).to.contain("Unknown command [bogus]");
+         done();
+      });
+   });
+   it('list should list all attached Specks', function(done) {
+      run(["list", "--json"], function(exitCode, output) {
+         expect(exitCode).to.equal(0);
+         var results = JSON.parse(output);
+         expect(results).to.have.length(2);
+         expect(results[0]).to.deep.equal({ path : devices[0].path, id : devices[0].getId(), protocolVersion : 2 });
+         expect(results[1].id).to.equal(devices[1].getId());
+         done();
+      });
+   });
+   it('info should select a Speck by id', function(done) {
+      run(["info", "--id", devices[1].getId(), "--json"], function(exitCode, output) {
+         expect(exitCode).to.equal(0);
+         var info = JSON.parse(output);
+         expect(info.config.id).to.equal(devices[1].getId());
+         expect(info.apiSupport.hasParticleConcentration).to.be.true;
+         done();
+      });
+   });
+   it('info should select a Speck by path', function(done) {
+      run(["info", "--path=" + devices[0].path], function(exitCode, output) {
+         expect(exitCode).to.equal(0);
+         expect(output).to.contain("id: " + devices[0].getId());
+         expect(output).to.contain("protocolVersion: 2");
+         done();
+      });
+   });
+   it('should reject --id together with --path', function(done) {
+      run(["info", "--id", devices[1].getId(), "--path", devices[0].path], function(exitCode, output, errorOutput) {
+         expect(exitCode).to.equal(2);
+         expect(errorOutput).to.contain("can't be used together");
+         expect(output).to.equal("");
+         done();
+      });
+   });
+   it('should fail for an unknown id', function(done) {
+      run(["info", "--id", "nope"], function(exitCode, output, errorOutput) {
+         expect(exitCode).to.equal(1);
+         expect(errorOutput).to.contain("No Speck found with id [nope]");
+         done();
+      });
+   });
+   it('current should print the current sample', function(done) {
+      run(["current", "--json"], function(exitCode, output) {
+         expect(exitCode).to.equal(0);
+         expect(JSON.parse(output).sampleTimeSecs).to.exist;
+         done();
+      });
+   });
+   it('watch should print samples until the limit is reached', function(done) {
+      var sampleTimeSecs = 1000;
+      var timer = setInterval(function() {
+         devices[0].setCurrentSample({ sampleTimeSecs : sampleTimeSecs++, particleCount : 5, humidity : 40, rawParticleCount : 10 });
+      }, 5);
+      run(["watch", "--path", devices[0].path, "--interval", "5", "--limit", "3"], function(exitCode, output) {
+         clearInterval(timer);
+         expect(exitCode).to.equal(0);
+         var lines = output.trim().split("\n");
+         expect(lines).to.have.length(4);
+         expect(lines[0]).to.equal("sampleTimeSecs,humidity,rawParticleCount,particleCount");
+         done();
+      });
+   });
+   it('watch should fail only once when the Speck is unplugged', function(done) {
+      var numCalls = 0;
+      var sampleTimeSecs = 1000;
+      var timer = setInterval(function() {
+         devices[0].setCurrentSample({ sampleTimeSecs : sampleTimeSecs++, particleCount : 5, humidity : 40, rawParticleCount : 10 });
+         if (sampleTimeSecs > 1002) {
+            clearInterval(timer);
+            transport.remove(devices[0]);
+         }
+      }, 5);
+      run(["watch", "--path", devices[0].path, "--interval", "5"], function(exitCode, output, errorOutput) {
+         numCalls++;
+         expect(exitCode).to.equal(1);
+         expect(errorOutput.match(/Error:/g)).to.have.length(1);
+
+         // give a second failure a chance to show up
+         setTimeout(function() {
+            expect(numCalls).to.equal(1);
+            done();
+         }, 30);
+      });
+   });
+   it('count should print the number of historic samples', function(done) {
+      run(["count", "--id", devices[1].getId()], function(exitCode, output) {
+         expect(exitCode).to.equal(0);
+         expect(output).to.equal("2\n");
+         done();
+      });
+   });
+   it('download should write all historic samples to a file', function(done) {
+      var outputFile = path.join(os.tmpdir(), "speck-cli-test-" + process.pid + ".csv");
+      run(["download", "--id", devices[1].getId(), "--output", outputFile], function(exitCode, output, errorOutput) {
+         var lines = fs.readFileSync(outputFile, 'utf8').trim().split("\n");
+         fs.unlinkSync(outputFile);
+         expect(exitCode).to.equal(0);
+         expect(lines).to.have.length(3);
+         expect(lines[0]).to.equal("sampleTimeSecs,humidity,rawParticleCount,particleConcentration");
+         expect(errorOutput).to.contain("Downloaded 2 samples");
+         expect(devices[1].getSamples()).to.be.empty;
+         done();
+      });
+   });
+   it('download should not create the output file if no Speck is found', function(done) {
+      var outputFile = path.join(os.tmpdir(), "speck-cli-test-missing-" + process.pid + ".csv");
+      run(["download", "--id", "00000000000000000000000000000000", "--output", outputFile], function(exitCode) {
+         expect(exitCode).to.not.equal(0);
+         expect(fs.existsSync(outputFile)).to.be.false;
+         done();
+      });
+   });
+   it('download should write JSON lines to stdout', function(done) {
+      run(["download", "--id", devices[1].getId(), "--json", "--correct-clock"], function(exitCode, output) {
+         expect(exitCode).to.equal(0);
+         var samples = output.trim().split("\n").map(JSON.parse);
+         expect(samples).to.have.length(2);
+         expect(samples[0].timestampFlags).to.deep.equal([]);
+         done();
+      });
+   });
+   it('set-interval should set the logging interval', function(done) {
+      run(["set-interval", "30", "--path", devices[0].path, "--json"], function(exitCode, output) {
+         expect(exitCode).to.equal(0);
+         expect(JSON.parse(output)).to.deep.equal({ loggingIntervalSecs : 30 });
+         expect(devices[0].getLoggingInterval()).to.equal(30);
+         done();
+      });
+   });
+   it('set-interval should fail without an interval', function(done) {
+      run(["set-interval"], function(exitCode, output, errorOutput) {
+         expect(exitCode).to.equal(1);
+         expect(errorOutput).to.contain("requires the logging interval");
+         done();
+      });
+   });
+   it('provision should apply the config file and report on each Speck', function(done) {
+      var configFile = path.join(os.tmpdir(), "speck-cli-provision-test-" + process.pid + ".json");
+      var config = { devices : {} };
+      config.devices[devices[0].getId()] = { loggingIntervalSecs : 60 };
+      config.devices[devices[1].getId()] = { loggingIntervalSecs : 30, name : "Kitchen" };
+      fs.writeFileSync(configFile, JSON.stringify(config));
+      run(["provision", configFile, "--dry-run"], function(exitCode, output) {
+         expect(exitCode).to.equal(0);
+         expect(output).to.contain(devices[0].getId() + "\tcompliant");
+         expect(output).to.contain(devices[1].getId() + "\tchanged\tloggingIntervalSecs 1 -> 30");
+         expect(output).to.contain("Dry run");
+         expect(devices[1].getLoggingInterval()).to.equal(1);
+
+         stdout = createStream();
+         cli = new SpeckCli({ transport : transport, stdout : stdout, stderr : stderr });
+         run(["provision", configFile, "--json"], function(exitCode, output) {
+            fs.unlinkSync(configFile);
+            expect(exitCode).to.equal(0);
+            expect(JSON.parse(output).summary).to.deep.equal({ "compliant" : 1, "changed" : 1, "unsupported-by-protocol" : 0, "failed" : 0 });
+            expect(devices[1].getLoggingInterval()).to.equal(30);
+            done();
+         });
+      });
+   });
+   it('provision should fail for an invalid config file', function(done) {
+      run(["provision", path.join(os.tmpdir(), "no-such-speck-config.json")], function(exitCode, output, errorOutput) {
+         expect(exitCode).to.equal(1);
+         expect(errorOutput).to.contain("failed to read config file");
+         done();
+      });
+   });
+   it('should record a trace with --trace and play it back with --replay', function(done) {
+      var traceFile = path.join(os.tmpdir(), "speck-cli-trace-test-" + process.pid + ".jsonl");
+      run(["info", "--id", devices[1].getId(), "--json", "--trace", traceFile], function(exitCode, output) {
+         expect(exitCode).to.equal(0);
+         var recordedInfo = JSON.parse(output);
+
+         // play it back without any Specks attached
+         transport.remove(devices[0]);
+         transport.remove(devices[1]);
+         stdout = createStream();
+         cli = new SpeckCli({ transport : transport, stdout : stdout, stderr : stderr });
+         run(["info", "--id", devices[1].getId(), "--json", "--replay", traceFile], function(exitCode, output) {
+            fs.unlinkSync(traceFile);
+            expect(exitCode).to.equal(0);
+            expect(JSON.parse(output)).to.deep.equal(recordedInfo);
+            done();
+         });
+      });
+   });
+});
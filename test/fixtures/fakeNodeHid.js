@@ -0,0 +1,40 @@
+// A stand-in for node-hid, which the HID worker loads in the tests instead of the real thing.  Its devices are
+// simulated Specks, opened by path:
+//    "speck": a protocol version 3 Speck with one historic sample
+//    "slow-speck": the same, but it takes SLOW_RESPONSE_MILLIS to respond to each command, blocking its thread
+//    anything else: can't be opened
+
+var SimulatedSpeck = require('../../lib/SimulatedSpeck');
+
+var SLOW_RESPONSE_MILLIS = 100;
+
+var createDevice = function(path) {
+   var device = new SimulatedSpeck({
+      protocolVersion : 3,
+      id : "0123456789abcdef0123456789abcdef",
+      samples : [{ sampleTimeSecs : 1000, particleConcentration : 5, humidity : 40, rawParticleCount : 10 }]
+   });
+   device.open();
+
+   if (path == "slow-speck") {
+      var getFeatureReport = device.getFeatureReport;
+      device.getFeatureReport = function(reportId, lengthInBytes) {
+         var endTime = Date.now() + SLOW_RESPONSE_MILLIS;
+         while (Date.now() < endTime) {
+            // busy wait, like a blocking read from the device
+         }
+         return getFeatureReport(reportId, lengthInBytes);
+      };
+   }
+   return device;
+};
+
+module.exports = {
+   SLOW_RESPONSE_MILLIS : SLOW_RESPONSE_MILLIS,
+   HID : function(path) {
+      if (path != "speck" && path != "slow-speck") {
+         throw new Error("cannot open device at path [" + path + "]");
+      }
+      return createDevice(path);
+   }
+};
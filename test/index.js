@@ -28,20 +28,55 @@ describe('Speck constructor', function() {
    });
 });
 
-describe('Speck.enumerate()', function() {
-   var speckDeviceDescriptors = Speck.enumerate();
-   it("should return an array containing at least one Speck device descriptor", function() {
-      expect(speckDeviceDescriptors).to.exist;
-      expect(speckDeviceDescriptors).to.be.a('Array');
-      expect(speckDeviceDescriptors).to.not.be.empty;
+var createSimulatedTransport = function(protocolVersion) {
+   var now = Math.round(new Date().getTime() / 1000);
+   return new Speck.SimulatedTransport([
+      {
+         protocolVersion : protocolVersion,
+         loggingIntervalSecs : 60,
+         samples : [
+            { sampleTimeSecs : now - 120, particleCount : 250, particleConcentration : 12.3, humidity : 45, rawParticleCount : 20, temperature : 215 },
+            { sampleTimeSecs : now - 60, particleCount : 260, particleConcentration : 12.8, humidity : 46, rawParticleCount : 21, temperature : 216 }
+         ]
+      }
+   ]);
+};
+
+var testSpeckApi = function(options) {
+   describe('Speck.enumerate()', function() {
+      var speckDeviceDescriptors = Speck.enumerate(options);
+      it("should return an array containing at least one Speck device descriptor", function() {
+         expect(speckDeviceDescriptors).to.exist;
+         expect(speckDeviceDescriptors).to.be.a('Array');
+         expect(speckDeviceDescriptors).to.not.be.empty;
+      });
+
+      // only test one of them
+      var hidDeviceDescriptor = speckDeviceDescriptors[0];
+      var speck = null;
+      describe('Speck()', function() {
+         it("should return a Speck instance when given a valid Speck HID device descriptor", function() {
+            speck = new Speck(hidDeviceDescriptor, options);
+            expect(speck).to.exist;
+         });
+         describe('speck.isConnected()', function() {
+            it("should be connected to the Speck hardware", function() {
+               expect(speck.isConnected()).to.be.true;
+            });
+         });
+         describe('speck.disconnect()', function() {
+            it("should disconnect from the Speck hardware", function() {
+               speck.disconnect();
+               expect(speck.isConnected()).to.be.false;
+            });
+         });
+      });
    });
 
-   // only test one of them
-   var hidDeviceDescriptor = speckDeviceDescriptors[0];
-   var speck = null;
-   describe('Speck()', function() {
-      it("should return a Speck instance when given a valid Speck HID device descriptor", function() {
-         speck = new Speck(hidDeviceDescriptor);
+   describe('Speck.create()', function() {
+      var speck = null;
+      it("should return a Speck instance", function() {
+         speck = Speck.create(options);
          expect(speck).to.exist;
       });
       describe('speck.isConnected()', function() {
@@ -49,6 +84,163 @@ describe('Speck.enumerate()', function() {
             expect(speck.isConnected()).to.be.true;
          });
       });
+      describe('getSpeckConfig()', function() {
+         it('should return the speck config', function(done) {
+            speck.getSpeckConfig(function(err, response) {
+               expect(err).to.be.null;
+               expect(response).to.not.be.null;
+
+               expect(response.id).to.exist;
+               expect(response.protocolVersion).to.exist;
+               expect(response.loggingIntervalSecs).to.exist;
+
+               done();
+            });
+         });
+         it('should re-read the speck config from the Speck when refreshing', function(done) {
+            speck.getSpeckConfig(function(err, cachedConfig) {
+               expect(err).to.be.null;
+               var numCommands = speck.getCommandStats().numCommands;
+               speck.getSpeckConfig({ refresh : true }, function(err, refreshedConfig) {
+                  expect(err).to.be.null;
+                  expect(refreshedConfig).to.deep.equal(cachedConfig);
+                  expect(speck.getCommandStats().numCommands).to.equal(numCommands + 1);
+                  done();
+               });
+            });
+         });
+      });
+      describe('getCurrentSample()', function() {
+         it('should return the current sample', function(done) {
+            speck.getCurrentSample(function(err, response) {
+               expect(err).to.be.null;
+               expect(response).to.not.be.null;
+
+               expect(response.sampleTimeSecs).to.exist;
+               expect(response.humidity).to.exist;
+               expect(response.rawParticleCount).to.exist;
+
+               if (speck.getApiSupport().getProtocolVersion() == 1) {
+                  expect(response.temperature).to.exist;
+               }
+               else if (speck.getApiSupport().getProtocolVersion() < 3) {
+                  expect(response.particleCount).to.exist;
+               }
+               else {
+                  expect(response.particleConcentration).to.exist;
+               }
+
+               done();
+            });
+         });
+      });
+      describe('getSample()', function() {
+         it('should return a historic sample', function(done) {
+            speck.getSample(function(err, response) {
+               expect(err).to.be.null;
+               expect(response).to.not.be.null;
+
+               expect(response.sampleTimeSecs).to.exist;
+               expect(response.humidity).to.exist;
+               expect(response.rawParticleCount).to.exist;
+
+               if (speck.getApiSupport().getProtocolVersion() == 1) {
+                  expect(response.temperature).to.exist;
+               }
+               else if (speck.getApiSupport().getProtocolVersion() < 3) {
+                  expect(response.particleCount).to.exist;
+               }
+               else {
+                  expect(response.particleConcentration).to.exist;
+               }
+
+               done();
+            });
+         });
+      });
+      describe('setLoggingInterval()', function() {
+         var currentLoggingInterval = null;
+         var desiredLoggingInterval = null;
+         before(function(initDone) {
+            speck.getSpeckConfig(function(err, config) {
+               if (err) {
+                  return initDone(err);
+               }
+               currentLoggingInterval = config.loggingIntervalSecs;
+               desiredLoggingInterval = (currentLoggingInterval == 10) ? 60 : 10;
+               initDone();
+            });
+         });
+
+         var setAndCheckLoggingInterval = function(desiredLoggingInterval, callback){
+            speck.setLoggingInterval(desiredLoggingInterval, function(err, wasSuccessful) {
+               expect(err).to.be.null;
+               expect(wasSuccessful).to.be.true;
+
+               speck.getSpeckConfig(function(err, config1) {
+                  if (err) {
+                     return callback(err);
+                  }
+
+                  if (config1.loggingIntervalSecs == desiredLoggingInterval) {
+                     // now disconnect, then reconnect and re-read the speck config
+                     speck.disconnect();
+                     speck.connect();
+
+                     speck.getSpeckConfig(function(err, config2) {
+                        if (err) {
+                           return callback(err);
+                        }
+
+                        if (config2.loggingIntervalSecs == desiredLoggingInterval) {
+                           callback(null, true);
+                        } else {
+                           callback(new Error("Incorrect logging interval: expected [" + desiredLoggingInterval + "], got [" + config2.loggingIntervalSecs + "]"));
+                        }
+                     });
+                  } else {
+                     callback(new Error("Incorrect logging interval: expected [" + desiredLoggingInterval + "], got [" + config1.loggingIntervalSecs + "]"));
+                  }
+               });
+            });
+         };
+
+         it('should fail to set the logging interval if the Speck does not support it', function(done) {
+            if (speck.getApiSupport().canMutateLoggingInterval()) {
+               return this.skip();
+            }
+            speck.setLoggingInterval(10, function(err, wasSuccessful) {
+               expect(err).to.be.an.instanceof(Speck.SpeckError);
+               expect(err.code).to.equal("UNSUPPORTED_BY_PROTOCOL");
+               expect(wasSuccessful).to.be.null;
+               done();
+            });
+         });
+
+         it('should be able to set the logging interval', function(done) {
+            if (!speck.getApiSupport().canMutateLoggingInterval()) {
+               return this.skip();
+            }
+            console.log("Current logging interval is [" + currentLoggingInterval + "], will change it to [" + desiredLoggingInterval + "]");
+            setAndCheckLoggingInterval(desiredLoggingInterval, function(err, wasSuccessful){
+               expect(err).to.be.null;
+               expect(wasSuccessful).to.be.true;
+               done();
+            });
+         });
+
+         it('should be able to set the logging interval back to what it was before the testing', function(done) {
+            if (!speck.getApiSupport().canMutateLoggingInterval()) {
+               return this.skip();
+            }
+            console.log("Reverting the logging interval back to [" + currentLoggingInterval + "]");
+            setAndCheckLoggingInterval(currentLoggingInterval, function(err, wasSuccessful){
+               expect(err).to.be.null;
+               expect(wasSuccessful).to.be.true;
+               done();
+            });
+         });
+      });
       describe('speck.disconnect()', function() {
          it("should disconnect from the Speck hardware", function() {
             speck.disconnect();
@@ -56,152 +248,810 @@ describe('Speck.enumerate()', function() {
          });
       });
    });
+};
+
+[1, 2, 3].forEach(function(protocolVersion) {
+   describe('Simulated Speck (protocol version ' + protocolVersion + ')', function() {
+      testSpeckApi({ transport : createSimulatedTransport(protocolVersion) });
+   });
 });
 
-describe('Speck.create()', function() {
-   var speck = null;
-   it("should return a Speck instance", function() {
-      speck = Speck.create();
-      expect(speck).to.exist;
+[1, 2, 3].forEach(function(protocolVersion) {
+   describe('Simulated Speck historic data (protocol version ' + protocolVersion + ')', function() {
+      var transport = null;
+      var speck = null;
+      beforeEach(function() {
+         transport = createSimulatedTransport(protocolVersion);
+         speck = Speck.create({ transport : transport });
+      });
+      afterEach(function() {
+         speck.disconnect();
+      });
+
+      describe('deleteSample()', function() {
+         it('should delete the oldest historic sample', function(done) {
+            speck.getSample(function(err, oldest) {
+               expect(err).to.be.null;
+               speck.deleteSample(oldest.sampleTimeSecs, function(err, wasSuccessful) {
+                  expect(err).to.be.null;
+                  expect(wasSuccessful).to.be.true;
+                  speck.getSample(function(err, next) {
+                     expect(err).to.be.null;
+                     expect(next.sampleTimeSecs).to.be.above(oldest.sampleTimeSecs);
+                     done();
+                  });
+               });
+            });
+         });
+         it('should fail with an UNEXPECTED_RESPONSE error when deleting a sample which does not exist', function(done) {
+            speck.deleteSample(12345, function(err, wasSuccessful) {
+               expect(err).to.be.an.instanceof(Speck.SpeckError.ResponseError);
+               expect(err.code).to.equal("UNEXPECTED_RESPONSE");
+               expect(err.message).to.contain("12345");
+               expect(err.command).to.have.length(16);
+               expect(err.bytes).to.have.length(16);
+               expect(wasSuccessful).to.be.null;
+               done();
+            });
+         });
+      });
+
+      describe('downloadAllSamples()', function() {
+         it('should persist and then delete every historic sample', function(done) {
+            var persisted = [];
+            var progress = [];
+            speck.downloadAllSamples({
+               persistSample : function(sample, persistDone) {
+                  persisted.push(sample);
+                  persistDone();
+               },
+               onProgress : function(numSamplesDownloaded, numSamplesTotal) {
+                  progress.push([numSamplesDownloaded, numSamplesTotal]);
+               }
+            }, function(err, data) {
+               expect(err).to.be.null;
+               expect(data.numSamples).to.equal(2);
+               expect(persisted).to.have.length(2);
+               expect(persisted[0].sampleTimeSecs).to.be.below(persisted[1].sampleTimeSecs);
+               var expectedTotal = (protocolVersion < 2) ? null : 2;
+               expect(progress).to.deep.equal([[1, expectedTotal], [2, expectedTotal]]);
+               speck.getSample(function(err, sample) {
+                  expect(err).to.be.null;
+                  expect(sample).to.be.null;
+                  done();
+               });
+            });
+         });
+         it('should not delete a sample which failed to persist', function(done) {
+            var numAttempts = 0;
+            speck.downloadAllSamples({
+               persistSample : function(sample, persistDone) {
+                  numAttempts++;
+                  persistDone(numAttempts > 1 ? new Error("disk full") : null);
+               }
+            }, function(err, data) {
+               expect(err).to.be.an.instanceof(Error);
+               expect(data.numSamples).to.equal(1);
+               speck.getSample(function(err, sample) {
+                  expect(err).to.be.null;
+                  expect(sample).to.not.be.null;
+                  done();
+               });
+            });
+         });
+         it('should fail if no persistSample function is given', function(done) {
+            speck.downloadAllSamples({}, function(err, data) {
+               expect(err).to.be.an.instanceof(Error);
+               expect(data).to.be.null;
+               done();
+            });
+         });
+      });
    });
-   describe('speck.isConnected()', function() {
-      it("should be connected to the Speck hardware", function() {
-         expect(speck.isConnected()).to.be.true;
+});
+
+[1, 2, 3].forEach(function(protocolVersion) {
+   describe('Simulated Speck Promise API (protocol version ' + protocolVersion + ')', function() {
+      var speck = null;
+      beforeEach(function() {
+         speck = Speck.create({ transport : createSimulatedTransport(protocolVersion) });
+      });
+      afterEach(function() {
+         speck.disconnect();
+      });
+
+      it('should return undefined when given a callback', function(done) {
+         expect(speck.getCurrentSample(function() {
+            done();
+         })).to.be.undefined;
+      });
+      it('should resolve getSpeckConfig() with the speck config', function() {
+         return speck.getSpeckConfig().then(function(config) {
+            expect(config.protocolVersion).to.equal(protocolVersion);
+         });
+      });
+      it('should resolve getCurrentSample() with the current sample', function() {
+         return speck.getCurrentSample().then(function(sample) {
+            expect(sample.sampleTimeSecs).to.exist;
+         });
+      });
+      it('should resolve getSample() with null once there is no more historic data', function() {
+         return speck.downloadAllSamples({
+            persistSample : function(sample, done) {
+               done();
+            }
+         }).then(function(data) {
+            expect(data.numSamples).to.equal(2);
+            return speck.getSample();
+         }).then(function(sample) {
+            expect(sample).to.be.null;
+         });
+      });
+      it('should resolve or reject getNumberOfAvailableSamples() depending on protocol support', function() {
+         return speck.getNumberOfAvailableSamples().then(function(data) {
+            expect(protocolVersion).to.be.at.least(2);
+            expect(data.numSamples).to.equal(2);
+         }, function(err) {
+            expect(protocolVersion).to.equal(1);
+            expect(err).to.be.an.instanceof(Error);
+         });
+      });
+      it('should reject when not connected', function() {
+         speck.disconnect();
+         return speck.getCurrentSample().then(function() {
+            throw new Error("Expected the Promise to be rejected");
+         }, function(err) {
+            expect(err.message).to.equal("Not connected to a Speck!");
+            expect(err.code).to.equal("NOT_CONNECTED");
+         });
       });
    });
-   describe('getSpeckConfig()', function() {
-      it('should return the speck config', function(done) {
-         speck.getSpeckConfig(function(err, response) {
-            expect(err).to.be.null;
-            expect(response).to.not.be.null;
+});
 
-            expect(response.id).to.exist;
-            expect(response.protocolVersion).to.exist;
-            expect(response.loggingIntervalSecs).to.exist;
+describe('Simulated Speck selection', function() {
+   var transport = null;
+   var devices = null;
+   var specks = null;
+   beforeEach(function() {
+      transport = new Speck.SimulatedTransport();
+      devices = [
+         transport.add({ protocolVersion : 3 }),
+         transport.add({ protocolVersion : 2 }),
+         transport.add({ protocolVersion : 3 })
+      ];
+      specks = [];
+   });
+   afterEach(function() {
+      specks.forEach(function(speck) {
+         speck.disconnect();
+      });
+   });
 
+   describe('Speck.create() with an id', function() {
+      it('should return the Speck with the given id, and leave the others closed', function(done) {
+         Speck.create({ transport : transport, id : devices[2].getId() }, function(err, speck) {
+            expect(err).to.not.exist;
+            specks.push(speck);
+            expect(speck).to.exist;
+            expect(speck.getHidDeviceDescriptor().path).to.equal(devices[2].path);
+            expect(speck.getId()).to.equal(devices[2].getId());
+            expect(devices[0].isOpen()).to.be.false;
+            expect(devices[1].isOpen()).to.be.false;
+            done();
+         });
+      });
+      it('should match ids case-insensitively', function(done) {
+         Speck.create({ transport : transport, id : devices[1].getId().toUpperCase() }, function(err, speck) {
+            specks.push(speck);
+            expect(speck.getHidDeviceDescriptor().path).to.equal(devices[1].path);
+            done();
+         });
+      });
+      it('should skip Specks which are in use', function(done) {
+         Speck.create({ transport : transport, id : devices[0].getId() }, function(err, inUse) {
+            specks.push(inUse);
+            Speck.create({ transport : transport, id : devices[1].getId() }, function(err, speck) {
+               specks.push(speck);
+               expect(speck.getHidDeviceDescriptor().path).to.equal(devices[1].path);
+               Speck.create({ transport : transport, id : devices[0].getId() }, function(err, speck) {
+                  expect(err).to.not.exist;
+                  expect(speck).to.be.null;
+                  done();
+               });
+            });
+         });
+      });
+      it('should skip Specks whose config cannot be read', function(done) {
+         devices[0].corruptResponses(100, "checksum");
+         Speck.create({ transport : transport, retryBackoffMillis : 1 }, function(err, speck) {
+            specks.push(speck);
+            expect(speck.getHidDeviceDescriptor().path).to.equal(devices[1].path);
+            expect(devices[0].isOpen()).to.be.false;
+            done();
+         });
+      });
+      it('should return null for an unknown id', function(done) {
+         Speck.create({ transport : transport, id : "nope" }, function(err, speck) {
+            expect(err).to.not.exist;
+            expect(speck).to.be.null;
+            devices.forEach(function(device) {
+               expect(device.isOpen()).to.be.false;
+            });
             done();
          });
       });
+      it('should return a Promise when not given a callback', function() {
+         var promise = Speck.create({ transport : transport, id : devices[1].getId() });
+         expect(promise).to.be.an.instanceof(Promise);
+         return promise.then(function(speck) {
+            specks.push(speck);
+            expect(speck.getHidDeviceDescriptor().path).to.equal(devices[1].path);
+            return Speck.create({ transport : transport, id : "nope" });
+         }).then(function(speck) {
+            expect(speck).to.be.null;
+         });
+      });
    });
-   describe('getCurrentSample()', function() {
-      it('should return the current sample', function(done) {
-         speck.getCurrentSample(function(err, response) {
-            expect(err).to.be.null;
-            expect(response).to.not.be.null;
 
-            expect(response.sampleTimeSecs).to.exist;
-            expect(response.humidity).to.exist;
-            expect(response.rawParticleCount).to.exist;
+   describe('Speck.createAll()', function() {
+      it('should return an instance for every attachable Speck', function() {
+         var result = Speck.createAll({ transport : transport });
+         specks = result.specks;
+         expect(result.specks).to.have.length(3);
+         expect(result.failures).to.be.empty;
+      });
+      it('should report the Specks which could not be connected to', function() {
+         var inUse = new Speck(Speck.enumerate({ transport : transport })[1], { transport : transport });
+         specks.push(inUse);
+         var result = Speck.createAll({ transport : transport });
+         specks = specks.concat(result.specks);
+         expect(result.specks).to.have.length(2);
+         expect(result.failures).to.have.length(1);
+         expect(result.failures[0].path).to.equal(devices[1].path);
+         expect(result.failures[0].error).to.be.an.instanceof(Error);
+      });
+   });
+});
 
-            if (speck.getApiSupport().getProtocolVersion() == 1) {
-               expect(response.temperature).to.exist;
-            }
-            else if (speck.getApiSupport().getProtocolVersion() < 3) {
-               expect(response.particleCount).to.exist;
-            }
-            else {
-               expect(response.particleConcentration).to.exist;
-            }
+describe('Simulated Speck logging interval', function() {
+   var device = null;
+   var speck = null;
+   beforeEach(function() {
+      var transport = new Speck.SimulatedTransport();
+      device = transport.add({ protocolVersion : 3, loggingIntervalSecs : 1, ignoresLoggingIntervalChanges : true });
+      speck = Speck.create({ transport : transport });
+   });
+   afterEach(function() {
+      speck.disconnect();
+   });
 
-            done();
+   it('should only reveal an ignored change when refreshing the config', function(done) {
+      speck.setLoggingInterval(30, function(err, wasSuccessful) {
+         // the Speck acknowledged the change, so it's cached...
+         expect(err).to.be.null;
+         expect(wasSuccessful).to.be.true;
+         speck.getSpeckConfig(function(err, cachedConfig) {
+            expect(cachedConfig.loggingIntervalSecs).to.equal(30);
+
+            // ...but it kept its old interval
+            speck.getSpeckConfig({ refresh : true }, function(err, refreshedConfig) {
+               expect(err).to.be.null;
+               expect(refreshedConfig.loggingIntervalSecs).to.equal(1);
+               expect(refreshedConfig.id).to.equal(device.getId());
+               expect(device.getLoggingInterval()).to.equal(1);
+               speck.getSpeckConfig(function(err, config) {
+                  expect(config.loggingIntervalSecs).to.equal(1);
+                  done();
+               });
+            });
          });
       });
    });
-   describe('getSample()', function() {
-      it('should return a historic sample', function(done) {
-         speck.getSample(function(err, response) {
-            expect(err).to.be.null;
-            expect(response).to.not.be.null;
+});
 
-            expect(response.sampleTimeSecs).to.exist;
-            expect(response.humidity).to.exist;
-            expect(response.rawParticleCount).to.exist;
+describe('Simulated Speck events', function() {
+   var transport = null;
+   var device = null;
+   var speck = null;
+   beforeEach(function(done) {
+      transport = new Speck.SimulatedTransport();
+      device = transport.add({ protocolVersion : 3 });
+      speck = Speck.create({ transport : transport });
+      speck.getSpeckConfig(function(err) {
+         done(err);
+      });
+   });
+   afterEach(function() {
+      speck.stopSampling();
+      speck.disconnect();
+   });
 
-            if (speck.getApiSupport().getProtocolVersion() == 1) {
-               expect(response.temperature).to.exist;
-            }
-            else if (speck.getApiSupport().getProtocolVersion() < 3) {
-               expect(response.particleCount).to.exist;
+   describe('startSampling()', function() {
+      it('should emit sample events, skipping duplicate sample times', function(done) {
+         var sampleTimes = [];
+         device.setCurrentSample({ sampleTimeSecs : 1000, particleConcentration : 5, humidity : 40, rawParticleCount : 10 });
+         speck.on('sample', function(sample) {
+            sampleTimes.push(sample.sampleTimeSecs);
+            if (sampleTimes.length == 1) {
+               // let a few duplicate reads go by before the Speck takes a new sample
+               setTimeout(function() {
+                  device.setCurrentSample({ sampleTimeSecs : 1001, particleConcentration : 6, humidity : 40, rawParticleCount : 10 });
+               }, 50);
             }
             else {
-               expect(response.particleConcentration).to.exist;
+               expect(sampleTimes).to.deep.equal([1000, 1001]);
+               expect(sample.particleConcentration).to.equal(6);
+               done();
             }
-
+         });
+         speck.startSampling(10);
+         expect(speck.isSampling()).to.be.true;
+      });
+      it('should emit an error and a disconnect event when the Speck is unplugged', function(done) {
+         var disconnectError = null;
+         speck.on('disconnect', function(err) {
+            disconnectError = err;
+         });
+         speck.on('error', function(err) {
+            expect(err).to.be.an.instanceof(Speck.SpeckError.ConnectionError);
+            expect(err.code).to.equal("HID_IO");
+            expect(err.cause).to.be.an.instanceof(Error);
+            expect(err.command).to.have.length(16);
+            expect(disconnectError).to.equal(err);
+            expect(speck.isConnected()).to.be.false;
             done();
          });
+         transport.remove(device);
+         speck.startSampling(10);
       });
    });
-   describe('setLoggingInterval()', function() {
-      var currentLoggingInterval = null;
-      var desiredLoggingInterval = null;
-      before(function(initDone) {
-         speck.getSpeckConfig(function(err, config) {
-            if (err) {
-               return initDone(err);
-            }
-            currentLoggingInterval = config.loggingIntervalSecs;
-            desiredLoggingInterval = (currentLoggingInterval == 10) ? 60 : 10;
-            initDone();
+
+   describe('stopSampling()', function() {
+      it('should stop emitting sample events', function(done) {
+         speck.on('sample', function() {
+            done(new Error("Should not have emitted a sample"));
          });
+         speck.startSampling(10);
+         speck.stopSampling();
+         expect(speck.isSampling()).to.be.false;
+         setTimeout(done, 50);
       });
+   });
 
-      var setAndCheckLoggingInterval = function(desiredLoggingInterval, callback){
-         speck.setLoggingInterval(desiredLoggingInterval, function(err, wasSuccessful) {
+   describe('disconnect()', function() {
+      it('should emit a disconnect event with no error', function(done) {
+         speck.on('disconnect', function(err) {
             expect(err).to.be.null;
-            expect(wasSuccessful).to.be.true;
-
-            speck.getSpeckConfig(function(err, config1) {
-               if (err) {
-                  return callback(err);
-               }
+            done();
+         });
+         speck.disconnect();
+      });
+   });
+});
 
-               if (config1.loggingIntervalSecs == desiredLoggingInterval) {
-                  // now disconnect, then reconnect and re-read the speck config
-                  speck.disconnect();
-                  speck.connect();
-
-                  speck.getSpeckConfig(function(err, config2) {
-                     if (err) {
-                        return callback(err);
-                     }
-
-                     if (config2.loggingIntervalSecs == desiredLoggingInterval) {
-                        callback(null, true);
-                     } else {
-                        callback(new Error("Incorrect logging interval: expected [" + desiredLoggingInterval + "], got [" + config2.loggingIntervalSecs + "]"));
-                     }
-                  });
-               } else {
-                  callback(new Error("Incorrect logging interval: expected [" + desiredLoggingInterval + "], got [" + config1.loggingIntervalSecs + "]"));
-               }
-            });
+describe('Simulated Speck command queue', function() {
+   var transport = null;
+   var device = null;
+   var speck = null;
+   // creates the Speck, then calls the callback (if any) once its config has been read, so the test's corrupted
+   // responses and timeouts apply to the test's own commands
+   var createSpeck = function(options, callback) {
+      options.transport = transport;
+      speck = Speck.create(options);
+      if (callback) {
+         speck.getSpeckConfig(function(err) {
+            expect(err).to.be.null;
+            callback();
          });
-      };
+      }
+   };
+   beforeEach(function() {
+      transport = new Speck.SimulatedTransport();
+      device = transport.add({ protocolVersion : 3, samples : [{ sampleTimeSecs : 1000, particleConcentration : 5, humidity : 40, rawParticleCount : 10 }] });
+   });
+   afterEach(function() {
+      speck.disconnect();
+   });
 
-      it('should be able to set the logging interval', function(done) {
-         console.log("Current logging interval is [" + currentLoggingInterval + "], will change it to [" + desiredLoggingInterval + "]");
-         setAndCheckLoggingInterval(desiredLoggingInterval, function(err, wasSuccessful){
+   it('should retry commands whose responses have an invalid checksum', function(done) {
+      createSpeck({ maxRetries : 2, retryBackoffMillis : 1 }, function() {
+         device.corruptResponses(2, "checksum");
+         speck.getCurrentSample(function(err, sample) {
             expect(err).to.be.null;
-            expect(wasSuccessful).to.be.true;
+            expect(sample).to.not.be.null;
             done();
          });
       });
-
-      it('should be able to set the logging interval back to what it was before the testing', function(done) {
-         console.log("Reverting the logging interval back to [" + currentLoggingInterval + "]");
-         setAndCheckLoggingInterval(currentLoggingInterval, function(err, wasSuccessful){
+   });
+   it('should give up after the maximum number of retries', function(done) {
+      createSpeck({ maxRetries : 2, retryBackoffMillis : 1 }, function() {
+         device.corruptResponses(3, "commandId");
+         speck.getCurrentSample(function(err, sample) {
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.message).to.contain("invalid command ID");
+            expect(err.code).to.equal("COMMAND_ID_MISMATCH");
+            expect(err.bytes).to.have.length(16);
+            expect(err.command).to.have.length(16);
+            expect(err.bytes[15]).to.not.equal(err.command[15]);
+            expect(sample).to.be.null;
+            done();
+         });
+      });
+   });
+   it('should not retry when retries are disabled', function(done) {
+      createSpeck({ maxRetries : 0 }, function() {
+         device.corruptResponses(1);
+         speck.getCurrentSample(function(err) {
+            expect(err.message).to.contain("invalid checksum");
+            expect(err).to.be.an.instanceof(Speck.SpeckError.ResponseError);
+            expect(err.code).to.equal("CHECKSUM_MISMATCH");
+            done();
+         });
+      });
+   });
+   it('should not retry deleteSample()', function(done) {
+      createSpeck({ maxRetries : 2, retryBackoffMillis : 1 }, function() {
+         device.corruptResponses(1);
+         speck.deleteSample(1000, function(err) {
+            expect(err).to.be.an.instanceof(Error);
+            expect(device.getSamples()).to.be.empty;
+            done();
+         });
+      });
+   });
+   it('should time out commands which take too long', function(done) {
+      createSpeck({ maxRetries : 2, retryBackoffMillis : 100, commandTimeoutMillis : 30 }, function() {
+         device.corruptResponses(1);
+         var didTimeOut = false;
+         speck.getCurrentSample(function(err, sample) {
+            expect(err.message).to.contain("timed out");
+            expect(err.code).to.equal("TIMEOUT");
+            expect(sample).to.be.null;
+            didTimeOut = true;
+         });
+         speck.getSample(function(err, sample) {
+            expect(didTimeOut).to.be.true;
+            expect(err).to.be.null;
+            expect(sample).to.not.be.null;
+            done();
+         });
+      });
+   });
+   it('should cancel queued commands when their AbortSignal is aborted', function(done) {
+      createSpeck({ maxRetries : 2, retryBackoffMillis : 20 }, function() {
+         device.corruptResponses(1);
+         var controller = new AbortController();
+         var wasAborted = false;
+         speck.getCurrentSample(function(err, sample) {
             expect(err).to.be.null;
-            expect(wasSuccessful).to.be.true;
+            expect(sample).to.not.be.null;
+            expect(wasAborted).to.be.true;
             done();
          });
+         speck.getSample({ signal : controller.signal }, function(err, sample) {
+            expect(err.name).to.equal("AbortError");
+            expect(err.code).to.equal("ABORTED");
+            expect(sample).to.be.null;
+            wasAborted = true;
+         });
+         controller.abort();
+      });
+   });
+   it('should immediately fail commands whose AbortSignal is already aborted', function() {
+      createSpeck({});
+      var controller = new AbortController();
+      controller.abort();
+      return speck.getCurrentSample({ signal : controller.signal }).then(function() {
+         throw new Error("Expected the Promise to be rejected");
+      }, function(err) {
+         expect(err.name).to.equal("AbortError");
+      });
+   });
+   it('should fail all pending commands on disconnect()', function(done) {
+      createSpeck({ maxRetries : 2, retryBackoffMillis : 20 }, function() {
+         device.corruptResponses(1);
+         var errors = [];
+         var handleError = function(err) {
+            errors.push(err);
+            if (errors.length == 2) {
+               errors.forEach(function(err) {
+                  expect(err.message).to.contain("Disconnected");
+                  expect(err.code).to.equal("DISCONNECTED");
+               });
+               done();
+            }
+         };
+         speck.getCurrentSample(handleError);
+         speck.getSample(handleError);
+         speck.disconnect();
       });
    });
-   describe('speck.disconnect()', function() {
-      it("should disconnect from the Speck hardware", function() {
+   it('should always call callbacks asynchronously', function(done) {
+      createSpeck({});
+      var hasReturned = false;
+      speck.getSpeckConfig(function(err, config) {
+         expect(hasReturned).to.be.true;
+         expect(config.id).to.equal(speck.getId());
          speck.disconnect();
+         hasReturned = false;
+         speck.getCurrentSample(function(err) {
+            expect(err.code).to.equal("NOT_CONNECTED");
+            expect(hasReturned).to.be.true;
+            done();
+         });
+         hasReturned = true;
+      });
+      hasReturned = true;
+   });
+   it('should run queued commands in order, without growing the stack or blocking other I/O', function(done) {
+      createSpeck({});
+      var NUM_COMMANDS = 200;
+      var sampleTimes = [];
+      var stackDepths = [];
+      var numOtherEvents = 0;
+      var countOtherEvents = function() {
+         numOtherEvents++;
+         if (sampleTimes.length < NUM_COMMANDS) {
+            setImmediate(countOtherEvents);
+         }
+      };
+      setImmediate(countOtherEvents);
+
+      for (var i = 0; i < NUM_COMMANDS; i++) {
+         device.setCurrentSample({ sampleTimeSecs : 2000 + i, particleConcentration : 5, humidity : 40, rawParticleCount : 10 });
+         speck.getCurrentSample(function(err, sample) {
+            expect(err).to.be.null;
+            sampleTimes.push(sample.sampleTimeSecs);
+            stackDepths.push(new Error().stack.split("\n").length);
+            if (sampleTimes.length == NUM_COMMANDS) {
+               // the simulated Speck reports its latest sample, so every command saw the last one set
+               expect(sampleTimes[0]).to.equal(2000 + NUM_COMMANDS - 1);
+               expect(stackDepths[NUM_COMMANDS - 1]).to.equal(stackDepths[0]);
+               expect(numOtherEvents).to.be.at.least(NUM_COMMANDS / 2);
+               done();
+            }
+         });
+      }
+   });
+   it('should keep commands in the order they were enqueued', function(done) {
+      createSpeck({});
+      var order = [];
+      speck.getNumberOfAvailableSamples(function(err, data) {
+         expect(data.numSamples).to.equal(1);
+         order.push("count");
+      });
+      speck.getSample(function(err, sample) {
+         expect(sample.sampleTimeSecs).to.equal(1000);
+         order.push("sample");
+      });
+      speck.deleteSample(1000, function(err, wasSuccessful) {
+         expect(wasSuccessful).to.be.true;
+         order.push("delete");
+      });
+      speck.getSample(function(err, sample) {
+         expect(sample).to.be.null;
+         expect(order).to.deep.equal(["count", "sample", "delete"]);
+         done();
+      });
+   });
+   it("should fail commands sent before the config is read, and disconnect, if the config can't be read", function(done) {
+      createSpeck({ maxRetries : 0 });
+      device.corruptResponses(1, "checksum");
+      var disconnectError = null;
+      speck.on('disconnect', function(err) {
+         disconnectError = err;
+      });
+      speck.getCurrentSample(function(err, sample) {
+         expect(err.code).to.equal("CHECKSUM_MISMATCH");
+         expect(disconnectError).to.equal(err);
+         expect(sample).to.be.null;
          expect(speck.isConnected()).to.be.false;
+         expect(speck.getId()).to.be.null;
+         done();
+      });
+   });
+   it('should only report API support once the config is read, unless given a callback', function(done) {
+      createSpeck({});
+      expect(function() {
+         speck.getApiSupport();
+      }).to.throw(/config hasn't been read/);
+      speck.getApiSupport(function(err, apiSupport) {
+         expect(err).to.be.null;
+         expect(apiSupport.getProtocolVersion()).to.equal(3);
+         expect(speck.getApiSupport().hasExtendedId()).to.be.true;
+         done();
+      });
+   });
+   it("should fail to report API support if the config can't be read", function(done) {
+      createSpeck({ maxRetries : 0 });
+      device.corruptResponses(1, "checksum");
+      speck.getApiSupport(function(err, apiSupport) {
+         expect(err.code).to.equal("CHECKSUM_MISMATCH");
+         expect(apiSupport).to.be.null;
+         done();
+      });
+   });
+   it('should report command statistics', function(done) {
+      createSpeck({ maxRetries : 2, retryBackoffMillis : 1 }, function() {
+         device.corruptResponses(1);
+         speck.getCurrentSample(function(err) {
+            expect(err).to.be.null;
+         });
+         speck.getSample(function() {
+            // the two commands which read the config when connecting are counted too
+            var stats = speck.getCommandStats();
+            expect(stats.numCommands).to.equal(4);
+            expect(stats.numFailedCommands).to.equal(0);
+            expect(stats.numRetries).to.equal(1);
+            expect(stats.numExchanges).to.equal(5);
+            expect(stats.averageIoMillis).to.be.at.least(0);
+            expect(stats.commandsPerSecond).to.be.above(0);
+            expect(stats.queueLength).to.equal(0);
+            expect(stats.maxQueueLength).to.equal(2);
+
+            speck.resetCommandStats();
+            expect(speck.getCommandStats().numCommands).to.equal(0);
+            expect(speck.getCommandStats().averageIoMillis).to.be.null;
+            done();
+         });
+         expect(speck.getCommandStats().queueLength).to.equal(2);
+      });
+   });
+});
+
+describe('Simulated Speck bootloader mode', function() {
+   [1, 2, 3].forEach(function(protocolVersion) {
+      describe('enterBootloaderMode() (protocol version ' + protocolVersion + ')', function() {
+         var transport = null;
+         var speck = null;
+         beforeEach(function() {
+            transport = createSimulatedTransport(protocolVersion);
+            speck = Speck.create({ transport : transport });
+         });
+         afterEach(function() {
+            speck.disconnect();
+         });
+
+         if (protocolVersion < 2) {
+            it('should fail if the Speck does not support bootloader mode', function(done) {
+               speck.enterBootloaderMode(function(err, wasSuccessful) {
+                  expect(err.code).to.equal("UNSUPPORTED_BY_PROTOCOL");
+                  expect(wasSuccessful).to.be.null;
+                  expect(speck.isConnected()).to.be.true;
+                  done();
+               });
+            });
+         }
+         else {
+            it('should enter bootloader mode, disconnect, and emit a bootloader event', function(done) {
+               var id = null;
+               var bootloaderEventId = null;
+               speck.getSpeckConfig(function(err, config) {
+                  id = config.id;
+                  speck.on('bootloader', function(speckId) {
+                     bootloaderEventId = speckId;
+                  });
+                  speck.enterBootloaderMode(function(err, wasSuccessful) {
+                     expect(err).to.be.null;
+                     expect(wasSuccessful).to.be.true;
+                     expect(bootloaderEventId).to.equal(id);
+                     expect(speck.isConnected()).to.be.false;
+                     expect(speck.isInBootloaderMode()).to.be.true;
+                     expect(Speck.enumerate({ transport : transport })).to.be.empty;
+                     done();
+                  });
+               });
+            });
+            it('should report a Speck which declines to enter bootloader mode, and stay connected', function(done) {
+               speck.disconnect();
+               var device = new Speck.SimulatedSpeck({ protocolVersion : protocolVersion, refusesBootloaderMode : true });
+               transport = new Speck.SimulatedTransport([device]);
+               speck = Speck.create({ transport : transport });
+
+               var bootloaderEvents = 0;
+               speck.on('bootloader', function() {
+                  bootloaderEvents++;
+               });
+               speck.enterBootloaderMode(function(err, wasSuccessful) {
+                  expect(err.code).to.equal("UNEXPECTED_RESPONSE");
+                  expect(err.bytes).to.have.length(16);
+                  expect(wasSuccessful).to.be.null;
+                  expect(bootloaderEvents).to.equal(0);
+                  expect(speck.isConnected()).to.be.true;
+                  expect(speck.isInBootloaderMode()).to.be.false;
+                  expect(device.isInBootloaderMode()).to.be.false;
+                  speck.getCurrentSample(function(err, sample) {
+                     expect(err).to.be.null;
+                     expect(sample).to.exist;
+                     done();
+                  });
+               });
+            });
+         }
       });
    });
 });
 
+describe('Simulated Speck clock', function() {
+   var CLOCK_OFFSET_SECS = 600;
+   var now = null;
+   var transport = null;
+   var speck = null;
+   beforeEach(function() {
+      now = Math.round(new Date().getTime() / 1000);
+      transport = new Speck.SimulatedTransport([
+         {
+            protocolVersion : 3,
+            clockOffsetSecs : CLOCK_OFFSET_SECS,
+            samples : [
+               { sampleTimeSecs : now + CLOCK_OFFSET_SECS - 120, particleConcentration : 1, humidity : 40, rawParticleCount : 10 },
+               { sampleTimeSecs : now + CLOCK_OFFSET_SECS - 60, particleConcentration : 2, humidity : 40, rawParticleCount : 10 },
+               { sampleTimeSecs : 5000, particleConcentration : 3, humidity : 40, rawParticleCount : 10 },
+               { sampleTimeSecs : now + CLOCK_OFFSET_SECS + 3600, particleConcentration : 4, humidity : 40, rawParticleCount : 10 }
+            ]
+         }
+      ]);
+      speck = Speck.create({ transport : transport });
+   });
+   afterEach(function() {
+      speck.disconnect();
+   });
+
+   describe('getClockStatus()', function() {
+      it('should report how far the Speck clock is ahead of the host clock', function() {
+         return speck.getClockStatus().then(function(clockStatus) {
+            expect(clockStatus.offsetSecs).to.be.within(CLOCK_OFFSET_SECS - 1, CLOCK_OFFSET_SECS + 1);
+            expect(clockStatus.deviceTimeSecs - clockStatus.hostTimeSecs).to.equal(clockStatus.offsetSecs);
+            expect(clockStatus.hostTimeSecs).to.be.within(now - 1, now + 1);
+         });
+      });
+   });
+
+   describe('downloadAllSamples() with correctClock', function() {
+      it('should correct sample times and flag implausible ones', function() {
+         var persisted = [];
+         return speck.downloadAllSamples({
+            correctClock : true,
+            persistSample : function(sample, done) {
+               persisted.push(sample);
+               done();
+            }
+         }).then(function(data) {
+            expect(data.numSamples).to.equal(4);
+            expect(data.clockOffsetSecs).to.be.within(CLOCK_OFFSET_SECS - 1, CLOCK_OFFSET_SECS + 1);
+
+            expect(persisted[0].deviceSampleTimeSecs).to.equal(now + CLOCK_OFFSET_SECS - 120);
+            expect(persisted[0].sampleTimeSecs).to.equal(now + CLOCK_OFFSET_SECS - 120 - data.clockOffsetSecs);
+            expect(persisted[0].timestampFlags).to.be.empty;
+            expect(persisted[1].timestampFlags).to.be.empty;
+            expect(persisted[2].timestampFlags).to.deep.equal(["unset", "nonMonotonic"]);
+            expect(persisted[3].timestampFlags).to.deep.equal(["future"]);
+
+            return speck.getSample();
+         }).then(function(sample) {
+            // all samples should have been deleted using their original device timestamps
+            expect(sample).to.be.null;
+         });
+      });
+      it('should leave sample times alone without correctClock', function() {
+         var persisted = [];
+         return speck.downloadAllSamples({
+            persistSample : function(sample, done) {
+               persisted.push(sample);
+               done();
+            }
+         }).then(function(data) {
+            expect(data.clockOffsetSecs).to.be.undefined;
+            expect(persisted[0].sampleTimeSecs).to.equal(now + CLOCK_OFFSET_SECS - 120);
+            expect(persisted[0].timestampFlags).to.be.undefined;
+         });
+      });
+   });
+});
 
+// These tests won't pass unless you actually have a Speck plugged in, so they only run when asked for
+if (process.env.SPECK_TEST_HARDWARE) {
+   describe('Speck hardware', function() {
+      testSpeckApi({});
+   });
+}